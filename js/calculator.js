@@ -6,26 +6,110 @@
 'use strict';
 
 /**
- * Main Calculator class - handles all calculator logic and user interactions
+ * Main Calculator class - connects the page to CalculatorEngine
+ *
+ * Buttons and keys are turned into engine inputs; after each input the
+ * engine's state is rendered through Display. Calculation logic lives in
+ * the engine so it behaves the same in the browser and in Node.
  */
 class Calculator {
   constructor() {
     // Initialize components
+    this.themes = new ThemeManager();
     this.display = new Display();
-    this.memory = new MemoryOperations();
-    
-    // Calculator state
-    this.state = {
-      previousValue: null,
-      currentOperator: null,
-      waitingForOperand: false,
-      lastOperation: null,
-      justCalculated: false
-    };
+    this.engine = new CalculatorEngine({
+      inputMode: Utils.loadFromStorage('inputMode', 'expression'),
+      keypadMode: Utils.loadFromStorage('keypadMode', 'standard'),
+      angleMode: Utils.loadFromStorage('angleMode', 'deg'),
+      conversion: Utils.loadFromStorage('conversion', null),
+      currencyPair: Utils.loadFromStorage('currencyPair', null),
+      programmer: Utils.loadFromStorage('programmer', null),
+      fraction: Utils.loadFromStorage('fraction', null),
+      complexFormat: Utils.loadFromStorage('complexFormat', 'rectangular'),
+      dates: Utils.loadFromStorage('dates', null),
+      handlers: {
+        onFeedback: (type) => this.display.showFeedback(type),
+        onHistory: () => this.historyPanel.render(),
+        onSettingChange: (name, value) => this.applySetting(name, value)
+      }
+    });
+    this.memory = this.engine.memory;
+    this.historyPanel = new HistoryPanel(this.memory, {
+      onLoadResult: (entry) => this.runEngine(() => this.engine.loadValue(entry.result)),
+      onLoadExpression: (entry) => this.runEngine(() => this.engine.loadExpression(entry.expression)),
+      onMessage: (message, isError) => this.display.showMessage(message, isError),
+      onReport: () => this.reportView.open('history')
+    });
+    this.variablesPanel = new VariablesPanel(this.memory, {
+      onUse: (input) => this.runEngine(() => this.engine.press(input)),
+      onStore: (text) => this.storeVariable(text)
+    });
+    this.converterPanel = new ConverterPanel({
+      onChange: (selection) => this.runEngine(() => this.engine.setConversion(selection))
+    });
+    this.themeEditor = new ThemeEditor(this.themes, {
+      onMessage: (message, isError) => this.display.showMessage(message, isError)
+    });
+    this.currencyPanel = new CurrencyPanel({
+      onChange: (pair) => this.runEngine(() => this.engine.setCurrencyPair(pair)),
+      onOverride: (rate) => this.setRateOverride(rate),
+      onImport: (text) => this.importRates(text)
+    });
+    this.programmerPanel = new ProgrammerPanel({
+      onChange: (settings) => this.runEngine(() => this.engine.setProgrammer(settings))
+    });
+    this.fractionPanel = new FractionPanel({
+      onChange: (settings) => this.runEngine(() => this.engine.setFraction(settings))
+    });
+    this.tapePanel = new TapePanel({
+      onEdit: (id, text) => this.editTapeItem(id, text),
+      onRemove: (id) => this.runEngine(() => this.engine.removeTapeEntry(id)),
+      onExport: (format) => this.exportTape(format),
+      onReport: () => this.reportView.open('tape')
+    });
+    this.statisticsPanel = new StatisticsPanel({
+      onUse: (input) => this.runEngine(() => this.engine.press(input)),
+      onAdd: (values) => this.addDataRow(values),
+      onEdit: (id, field, text) => this.editDataRow(id, field, text),
+      onRemove: (id) => this.runEngine(() => this.engine.removeDataRow(id))
+    });
+    this.financePanel = new FinancePanel({
+      onUse: (input) => this.runEngine(() => this.engine.press(input)),
+      onChange: (settings) => this.runEngine(() => this.engine.setFinanceSettings(settings)),
+      onRemove: (id) => this.runEngine(() => this.engine.removeCashFlow(id)),
+      onExport: (format) => this.exportSchedule(format)
+    });
+    this.datePanel = new DatePanel({
+      onPick: (field, date) => this.runEngine(() => this.engine.pickDate(field, date)),
+      onChange: (settings) => this.runEngine(() => this.engine.setDates(settings)),
+      onAddHoliday: (date, name) => this.addHoliday(date, name),
+      onRemoveHoliday: (date) => this.runEngine(() => this.engine.removeHoliday(date))
+    });
+    this.reportView = new ReportView(this.memory, this.engine.ledger);
     
     // Get DOM elements
     this.calculatorElement = document.querySelector('.calculator');
     this.keypadElement = document.querySelector('.keypad');
+    this.scientificElement = document.querySelector('.scientific-keypad');
+    this.converterElement = document.querySelector('.converter-panel');
+    this.currencyElement = document.querySelector('.currency-panel');
+    this.programmerKeypadElement = document.querySelector('.programmer-keypad');
+    this.fractionKeysElement = document.querySelector('.fraction-keys');
+    this.complexElement = document.querySelector('.complex-keypad');
+    this.formatIndicatorElement = document.querySelector('.format-indicator');
+    this.tapeKeysElement = document.querySelector('.tape-keys');
+    this.statisticsKeysElement = document.querySelector('.statistics-keys');
+    this.financeKeysElement = document.querySelector('.finance-keys');
+    this.cashFlowKeysElement = document.querySelector('.cash-flow-keys');
+    this.dateKeysElement = document.querySelector('.date-keys');
+    this.memoryBarElement = document.querySelector('.memory-bar');
+    this.undoBarElement = document.querySelector('.undo-bar');
+    this.memorySlotSelect = document.querySelector('.memory-slot');
+    this.inputModeSelect = document.querySelector('.input-mode-select');
+    this.roundingSelect = document.querySelector('.rounding-select');
+    this.keypadModeSelect = document.querySelector('.keypad-mode-select');
+    this.localeSelect = document.querySelector('.locale-select');
+    this.undoButtonsSelect = document.querySelector('.undo-buttons-select');
     
     if (!this.calculatorElement || !this.keypadElement) {
       throw new Error('Required calculator elements not found');
@@ -40,6 +124,15 @@ class Calculator {
   init() {
     this.setupEventListeners();
     this.setupKeyboardSupport();
+    this.setRoundingMode(Utils.loadFromStorage('rounding', Decimal.config.rounding));
+    this.setLocale(Utils.loadFromStorage('locale', null));
+    this.setUndoButtons(Utils.loadFromStorage('undoButtons', 'shown'));
+    
+    ['inputMode', 'keypadMode', 'angleMode', 'conversion', 'currencyPair', 'programmer', 'fraction', 'complexFormat', 'dates'].forEach(name => {
+      this.applySetting(name, this.engine[name]);
+    });
+    
+    this.render();
     Utils.log('info', 'TallyUp Calculator initialized');
   }
   
@@ -68,6 +161,70 @@ class Calculator {
       }
     });
     
+    // Memory, undo, scientific, converter, programmer, fraction, complex, tape,
+    // statistics, finance and date keys (and the format indicator) share the keypad's button handling
+    [
+      this.memoryBarElement,
+      this.undoBarElement,
+      this.scientificElement,
+      this.converterElement,
+      this.currencyElement,
+      this.programmerKeypadElement,
+      this.fractionKeysElement,
+      this.complexElement,
+      this.formatIndicatorElement,
+      this.tapeKeysElement,
+      this.statisticsKeysElement,
+      this.financeKeysElement,
+      this.cashFlowKeysElement,
+      this.dateKeysElement
+    ].forEach(element => {
+      if (!element) return;
+      
+      element.addEventListener('click', (event) => {
+        if (!event.target.matches('button')) return;
+        
+        event.preventDefault();
+        this.handleButtonClick(event.target);
+      });
+    });
+    
+    if (this.memorySlotSelect) {
+      this.memorySlotSelect.addEventListener('change', (event) => {
+        this.selectMemorySlot(parseInt(event.target.value, 10));
+      });
+    }
+    
+    if (this.inputModeSelect) {
+      this.inputModeSelect.addEventListener('change', (event) => {
+        this.setInputMode(event.target.value);
+      });
+    }
+    
+    if (this.keypadModeSelect) {
+      this.keypadModeSelect.addEventListener('change', (event) => {
+        this.setKeypadMode(event.target.value);
+      });
+    }
+    
+    if (this.roundingSelect) {
+      this.roundingSelect.addEventListener('change', (event) => {
+        this.setRoundingMode(event.target.value);
+      });
+    }
+    
+    if (this.localeSelect) {
+      this.localeSelect.addEventListener('change', (event) => {
+        this.setLocale(event.target.value || null);
+      });
+    }
+    
+    if (this.undoButtonsSelect) {
+      this.undoButtonsSelect.addEventListener('change', (event) => {
+        this.setUndoButtons(event.target.value);
+      });
+    }
+    
     // Handle mouse leave to clean up active states
     this.keypadElement.addEventListener('mouseleave', () => {
       document.querySelectorAll('.btn.active').forEach(btn => {
@@ -83,6 +240,33 @@ class Calculator {
     document.addEventListener('keydown', (event) => {
       this.handleKeyPress(event);
     });
+    
+    // Paste anywhere on the page (Ctrl/Cmd+V or the Edit menu)
+    document.addEventListener('paste', (event) => {
+      if (this.isEditableTarget(event.target)) return;
+      
+      event.preventDefault();
+      this.pasteText(event.clipboardData ? event.clipboardData.getData('text') : '');
+    });
+  }
+  
+  /**
+   * Check if an event target is a field the user types into
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True for editable inputs, selects and textareas
+   */
+  isEditableTarget(target) {
+    return Boolean(target && target.matches &&
+      target.matches('input:not([readonly]), select, textarea'));
+  }
+  
+  /**
+   * Run engine calls, then render the result
+   * @param {Function} callback - Function that updates the engine
+   */
+  runEngine(callback) {
+    callback();
+    this.render();
   }
   
   /**
@@ -90,20 +274,11 @@ class Calculator {
    * @param {HTMLElement} button - Clicked button element
    */
   handleButtonClick(button) {
-    const number = button.dataset.number;
-    const operator = button.dataset.operator;
-    const action = button.dataset.action;
-    
     // Provide audio/haptic feedback
     this.provideFeedback(button);
     
-    if (number !== undefined) {
-      this.inputNumber(number);
-    } else if (operator) {
-      this.inputOperator(operator);
-    } else if (action) {
-      this.performAction(action);
-    }
+    // A button's data attributes (data-number, data-action, ...) are its engine input
+    this.runEngine(() => this.engine.press(button.dataset));
   }
   
   /**
@@ -111,212 +286,480 @@ class Calculator {
    * @param {KeyboardEvent} event - Keyboard event
    */
   handleKeyPress(event) {
-    const key = event.key;
-    
-    // Prevent default browser behavior for calculator keys
-    if (/[0-9+\-*/.=]|Enter|Escape|Backspace/.test(key)) {
-      event.preventDefault();
+    // Leave typing in form fields (history search, pickers) alone, and
+    // keep keys away from the calculator behind an open report
+    if (this.isEditableTarget(event.target) || this.reportView.isOpen()) {
+      return;
     }
     
-    // Map keyboard input to calculator functions
-    if (/[0-9]/.test(key)) {
-      this.inputNumber(key);
-    } else if (key === '.') {
-      this.performAction('decimal');
-    } else if (['+', '-'].includes(key)) {
-      this.inputOperator(key);
-    } else if (key === '*') {
-      this.inputOperator('×');
-    } else if (key === '/') {
-      this.inputOperator('÷');
-    } else if (key === '=' || key === 'Enter') {
-      this.performAction('calculate');
-    } else if (key === 'Escape') {
-      this.performAction('clear');
-    } else if (key === 'Backspace') {
-      this.performAction('delete');
-    } else if (key === '%') {
-      this.performAction('percentage');
+    // Modifier combinations are shortcuts, never digit or operator input
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+      this.handleShortcut(event);
+      return;
     }
     
+    const input = this.engine.inputForKey(event.key);
+    if (!input) return;
+    
+    // Prevent default browser behavior for calculator keys
+    event.preventDefault();
+    this.runEngine(() => this.engine.press(input));
+    
     // Visual feedback for keyboard input
-    this.highlightKey(key);
+    this.highlightInput(input);
   }
   
   /**
-   * Input a number digit
-   * @param {string} digit - Number digit to input
+   * Handle keyboard shortcuts (Ctrl/Cmd/Alt combinations)
+   * @param {KeyboardEvent} event - Keyboard event
    */
-  inputNumber(digit) {
-    if (this.state.waitingForOperand) {
-      this.display.updateDisplay(digit);
-      this.state.waitingForOperand = false;
-      this.state.justCalculated = false;
-    } else {
-      if (this.state.justCalculated) {
-        this.display.clear();
-        this.state.justCalculated = false;
+  handleShortcut(event) {
+    // Alt+letter, by physical key: Ctrl/Cmd+L, R, P, Q and M belong to the
+    // browser (address bar, reload, print, quit, minimize)
+    const memoryShortcuts = {
+      KeyL: 'memory-clear',
+      KeyR: 'memory-recall',
+      KeyP: 'memory-add',
+      KeyQ: 'memory-subtract',
+      KeyM: 'memory-store'
+    };
+    
+    if (event.ctrlKey || event.metaKey) {
+      // Ctrl+Z undoes; Ctrl+Shift+Z and Ctrl+Y redo
+      const key = event.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        event.preventDefault();
+        const action = key === 'y' || event.shiftKey ? 'redo' : 'undo';
+        this.runEngine(() => this.engine.press({ action }));
+        this.highlightInput({ action });
+        return;
       }
-      this.display.appendDigit(digit);
+      
+      // Ctrl+C copies the formatted value, Ctrl+Alt+C the raw value; an
+      // actual text selection keeps the browser's own copy
+      const hasSelection = window.getSelection && window.getSelection().toString() !== '';
+      if ((key === 'c' || event.code === 'KeyC') && !hasSelection) {
+        event.preventDefault();
+        this.copyValue(event.altKey);
+      }
+      return;
+    }
+    
+    const action = event.altKey && !event.shiftKey ? memoryShortcuts[event.code] : null;
+    if (action) {
+      event.preventDefault();
+      this.runEngine(() => this.engine.press({ action }));
+      this.highlightInput({ action });
+      return;
+    }
+    
+    // Alt+0-9 selects the memory slot (event.code is layout-independent)
+    const slotMatch = /^Digit([0-9])$/.exec(event.code);
+    if (event.altKey && slotMatch) {
+      event.preventDefault();
+      this.selectMemorySlot(parseInt(slotMatch[1], 10));
     }
   }
   
   /**
-   * Input an operator
-   * @param {string} operator - Mathematical operator
+   * Switch between expression and simple input modes
+   * @param {string} mode - "expression" or "simple"
    */
-  inputOperator(operator) {
-    const currentValue = this.display.getCurrentValue();
-    
-    if (this.state.previousValue === null) {
-      this.state.previousValue = currentValue;
-    } else if (this.state.currentOperator && !this.state.waitingForOperand) {
-      // Perform calculation with previous operator
-      const result = this.calculate();
-      if (result !== null) {
-        this.display.updateDisplay(Utils.formatNumber(result));
-        this.state.previousValue = result;
-      }
-    } else {
-      this.state.previousValue = currentValue;
-    }
-    
-    this.state.currentOperator = operator;
-    this.state.waitingForOperand = true;
-    this.state.justCalculated = false;
-    
-    // Update expression display
-    const expression = `${Utils.formatNumber(this.state.previousValue)} ${operator}`;
-    this.display.updateExpression(expression);
-    
-    // Visual feedback for operator selection
-    this.highlightOperator(operator);
+  setInputMode(mode) {
+    this.runEngine(() => this.engine.setInputMode(mode));
   }
   
   /**
-   * Perform various calculator actions
-   * @param {string} action - Action to perform
+   * Switch keypad layout
+   * @param {string} mode - One of CalculatorEngine.KEYPAD_MODES
    */
-  performAction(action) {
-    switch (action) {
-      case 'clear':
-        this.clear();
+  setKeypadMode(mode) {
+    this.runEngine(() => this.engine.setKeypadMode(mode));
+  }
+  
+  /**
+   * Set the angle unit for trigonometric functions
+   * @param {string} mode - One of CalculatorEngine.ANGLE_MODES
+   */
+  setAngleMode(mode) {
+    this.runEngine(() => this.engine.setAngleMode(mode));
+  }
+  
+  /**
+   * Reflect an engine mode in the page and save it
+   * @param {string} name - Setting name (inputMode, keypadMode, angleMode, conversion, currencyPair, programmer, fraction, complexFormat, dates)
+   * @param {string|Object} value - New value
+   */
+  applySetting(name, value) {
+    switch (name) {
+      case 'inputMode':
+        this.calculatorElement.dataset.inputMode = value;
+        if (this.inputModeSelect) {
+          this.inputModeSelect.value = value;
+        }
         break;
-      case 'delete':
-        this.delete();
+      case 'keypadMode':
+        this.calculatorElement.dataset.keypadMode = value;
+        if (this.keypadModeSelect) {
+          this.keypadModeSelect.value = value;
+        }
+        break;
+      case 'angleMode': {
+        // The scientific and complex keypads each have an angle key
+        const label = value.toUpperCase();
+        this.calculatorElement.querySelectorAll('[data-action="angle-mode"]').forEach(button => {
+          button.textContent = label;
+          button.setAttribute('aria-label', `Angle unit: ${label}, press to change`);
+        });
+        break;
+      }
+      case 'conversion':
+        this.converterPanel.setSelection(value);
         break;
-      case 'decimal':
-        this.inputDecimal();
+      case 'currencyPair':
+        this.currencyPanel.setSelection(value);
         break;
-      case 'calculate':
-        this.equals();
+      case 'programmer':
+        this.programmerPanel.setSelection(value);
         break;
-      case 'percentage':
-        this.percentage();
+      case 'fraction':
+        this.fractionPanel.setSelection(value);
+        break;
+      case 'dates':
+        this.datePanel.setSelection(value);
         break;
     }
+    
+    Utils.saveToStorage(name, value);
   }
   
   /**
-   * Perform calculation
-   * @returns {number|null} Calculation result or null if error
+   * Set the rounding mode used by the decimal engine
+   * @param {string} rounding - One of Decimal.ROUNDING_MODES
    */
-  calculate() {
-    const previousValue = this.state.previousValue;
-    const currentValue = this.display.getCurrentValue();
-    const operator = this.state.currentOperator;
+  setRoundingMode(rounding) {
+    if (!Decimal.ROUNDING_MODES.includes(rounding)) return;
+    
+    Decimal.configure({ rounding });
     
-    if (previousValue === null || operator === null) {
-      return currentValue;
+    if (this.roundingSelect) {
+      this.roundingSelect.value = rounding;
     }
     
-    const result = Operations.calculate(previousValue, currentValue, operator);
+    Utils.saveToStorage('rounding', rounding);
+  }
+  
+  /**
+   * Show or hide the on-screen undo and redo buttons (the shortcuts always work)
+   * @param {string} visibility - "shown" or "hidden"
+   */
+  setUndoButtons(visibility) {
+    const value = visibility === 'hidden' ? 'hidden' : 'shown';
+    this.calculatorElement.dataset.undoButtons = value;
     
-    // Add to history
-    const operation = Operations.formatOperation(previousValue, operator, currentValue);
-    this.memory.addToHistory(operation, result);
+    if (this.undoButtonsSelect) {
+      this.undoButtonsSelect.value = value;
+    }
     
-    return typeof result === 'number' ? result : null;
+    Utils.saveToStorage('undoButtons', value);
   }
   
   /**
-   * Handle equals button press
+   * Set the locale for number grouping and the decimal separator
+   * @param {string|null} locale - BCP 47 tag, or null to follow the browser
    */
-  equals() {
-    if (this.state.currentOperator && this.state.previousValue !== null) {
-      const result = this.calculate();
-      
-      if (result !== null) {
-        const operation = Operations.formatOperation(
-          this.state.previousValue,
-          this.state.currentOperator,
-          this.display.getCurrentValue()
-        );
-        
-        this.display.showResult(result, operation);
-        
-        // Store for potential repeated operations
-        this.state.lastOperation = {
-          operator: this.state.currentOperator,
-          operand: this.display.getCurrentValue()
-        };
-        
-        this.resetState();
-        this.state.justCalculated = true;
-      } else {
-        this.display.showResult('Error');
-        this.resetState();
-      }
+  setLocale(locale) {
+    const previous = Utils.getSeparators();
+    Utils.setLocale(locale);
+    
+    if (this.localeSelect) {
+      this.localeSelect.value = Utils.locale || '';
+    }
+    
+    const decimalButton = this.keypadElement.querySelector('[data-action="decimal"]');
+    if (decimalButton) {
+      decimalButton.textContent = Utils.getSeparators().decimal;
     }
+    
+    // Re-render numbers already on screen in the new format
+    this.runEngine(() => this.engine.refreshLocale(previous));
+    this.historyPanel.render();
+    
+    Utils.saveToStorage('locale', Utils.locale);
+  }
+  
+  /**
+   * Set or clear the manual rate of the current currency pair
+   * @param {string} rate - Rate as typed; empty clears the override
+   */
+  setRateOverride(rate) {
+    let outcome;
+    this.runEngine(() => {
+      outcome = this.engine.setRateOverride(rate);
+    });
+    this.display.showMessage(outcome.message, !outcome.saved);
+  }
+  
+  /**
+   * Replace the exchange rate table from a JSON or CSV file
+   * @param {string} text - File contents
+   */
+  importRates(text) {
+    let outcome;
+    this.runEngine(() => {
+      outcome = this.engine.importRates(text);
+    });
+    this.display.showMessage(outcome.message, !outcome.imported, 4000);
   }
   
   /**
-   * Clear calculator completely
+   * Change an item already on the adding-machine tape
+   * @param {string} id - Ledger row id
+   * @param {string} text - Signed amount as typed
    */
-  clear() {
-    this.display.clear();
-    this.resetState();
-    this.clearOperatorHighlight();
-    Utils.log('info', 'Calculator cleared');
+  editTapeItem(id, text) {
+    let outcome;
+    this.runEngine(() => {
+      outcome = this.engine.editTapeItem(id, text);
+    });
+    this.display.showMessage(outcome.message, !outcome.saved);
   }
   
   /**
-   * Delete last input
+   * Add a data point from the statistics panel
+   * @param {Object} values - { x, y, frequency } as typed
+   * @returns {boolean} True if the point was added
    */
-  delete() {
-    if (!this.state.waitingForOperand) {
-      this.display.deleteLast();
+  addDataRow(values) {
+    let outcome;
+    this.runEngine(() => {
+      outcome = this.engine.addDataRow(values);
+    });
+    this.display.showMessage(outcome.message, !outcome.saved);
+    return outcome.saved;
+  }
+  
+  /**
+   * Change a value of a data point in the statistics panel
+   * @param {string} id - Dataset row id
+   * @param {string} field - "x", "y" or "frequency"
+   * @param {string} text - New value as typed
+   */
+  editDataRow(id, field, text) {
+    let outcome;
+    this.runEngine(() => {
+      outcome = this.engine.editDataRow(id, field, text);
+    });
+    this.display.showMessage(outcome.message, !outcome.saved);
+  }
+  
+  /**
+   * Add a holiday from the date panel
+   * @param {string} date - Day as YYYY-MM-DD
+   * @param {string} name - Optional name
+   * @returns {boolean} True if the holiday was added
+   */
+  addHoliday(date, name) {
+    let outcome;
+    this.runEngine(() => {
+      outcome = this.engine.addHoliday(date, name);
+    });
+    this.display.showMessage(outcome.message, !outcome.saved);
+    return outcome.saved;
+  }
+  
+  /**
+   * Store a user variable from the variables panel
+   * @param {string} text - "name" for the displayed value, or "name = value"
+   * @returns {boolean} True if the variable was stored
+   */
+  storeVariable(text) {
+    const outcome = this.engine.storeVariable(text);
+    this.render();
+    this.display.showMessage(outcome.message, !outcome.saved);
+    return outcome.saved;
+  }
+  
+  /**
+   * Download the adding-machine tape as a file
+   * @param {string} format - "csv" or "json"
+   */
+  exportTape(format) {
+    const isCSV = format === 'csv';
+    const filename = `tallyup-tape-${Utils.toDateKey(new Date())}.${isCSV ? 'csv' : 'json'}`;
+    
+    Utils.downloadText(this.engine.ledger.exportTape(format), filename, isCSV ? 'text/csv' : 'application/json');
+    this.display.showMessage('Tape exported');
+  }
+  
+  /**
+   * Download the amortization schedule as a file
+   * @param {string} format - "csv" or "json"
+   */
+  exportSchedule(format) {
+    const isCSV = format === 'csv';
+    const filename = `tallyup-amortization-${Utils.toDateKey(new Date())}.${isCSV ? 'csv' : 'json'}`;
+    
+    try {
+      Utils.downloadText(this.engine.finance.exportSchedule(format), filename, isCSV ? 'text/csv' : 'application/json');
+    } catch (error) {
+      this.display.showMessage(error.message, true);
+      return;
+    }
+    this.display.showMessage('Schedule exported');
+  }
+  
+  /**
+   * Copy the current value to the clipboard
+   * @param {boolean} raw - Copy without grouping separators
+   */
+  copyValue(raw = false) {
+    const view = this.engine.getDisplayState();
+    if (view.isError) {
+      this.display.showMessage('Nothing to copy', true);
+      return;
+    }
+    
+    let text;
+    if (view.keypadMode === 'programmer') {
+      // Digits in the current base, grouped as on screen unless raw
+      text = ProgrammerOperations.format(this.engine.integer.value, view.programmer.base, view.programmer, !raw);
+    } else if (view.keypadMode === 'fraction' && view.fraction.format !== 'decimal') {
+      // The fraction as shown, or as a plain improper fraction when raw
+      text = raw ? this.engine.rational.value.toString() : view.fraction.values[view.fraction.format];
+    } else if (view.keypadMode === 'complex') {
+      // The complex number as shown, or as plain rectangular text when raw
+      text = raw ? this.engine.complex.value.toString() : view.complex.values[view.complex.format];
+    } else if (view.dates.shown) {
+      // A day as shown, or as a plain ISO date when raw
+      text = raw ? view.dates.shown : view.text;
+    } else {
+      const plain = Decimal.from(this.engine.getCurrentExact()).toString();
+      text = raw ? Utils.localizeNumber(plain) : Utils.addThousandsSeparator(plain);
     }
+    
+    Utils.copyText(text).then((copied) => {
+      this.display.showMessage(copied ? `Copied ${text}` : 'Could not copy to clipboard', !copied);
+    });
   }
   
   /**
-   * Input decimal point
+   * Paste a number or expression from the clipboard
+   * @param {string} text - Pasted text
    */
-  inputDecimal() {
-    if (this.state.waitingForOperand) {
-      this.display.updateDisplay('0.');
-      this.state.waitingForOperand = false;
-    } else if (!this.display.hasDecimal()) {
-      this.display.appendDigit('.');
+  pasteText(text) {
+    let outcome;
+    this.runEngine(() => {
+      outcome = this.engine.pasteText(text);
+    });
+    this.display.showMessage(outcome.message, !outcome.pasted);
+  }
+  
+  /**
+   * Select the memory slot that memory keys act on
+   * @param {number} slot - Slot number (0 = M, 1-9 = M1-M9)
+   */
+  selectMemorySlot(slot) {
+    this.runEngine(() => this.engine.selectMemorySlot(slot));
+  }
+  
+  /**
+   * Render the engine state: display, operator highlight and indicators
+   */
+  render() {
+    const view = this.engine.getDisplayState();
+    
+    this.display.render(view);
+    this.updateOperatorHighlight(view.activeOperator);
+    this.updateMemoryIndicator();
+    this.variablesPanel.render();
+    
+    // Show the angle unit while the scientific or complex keypad is active
+    const usesAngles = view.keypadMode === 'scientific' || view.keypadMode === 'complex';
+    this.display.updateAngleIndicator(usesAngles ? view.angleMode.toUpperCase() : '');
+    
+    if (view.keypadMode === 'converter') {
+      this.converterPanel.render(view.conversion);
     }
+    
+    // Currency mode shows the date of the rates in the display
+    if (view.keypadMode === 'currency') {
+      this.currencyPanel.render(view.currency);
+    }
+    this.display.updateRatesIndicator(view.keypadMode === 'currency' ? view.currency.asOf : '');
+    
+    if (view.keypadMode === 'programmer') {
+      this.programmerPanel.render(view.programmer);
+    }
+    
+    // Fraction and complex modes show the display format, which can be pressed to change it
+    if (view.keypadMode === 'fraction') {
+      this.fractionPanel.render(view.fraction);
+      this.display.updateFormatIndicator(Calculator.FRACTION_INDICATORS[view.fraction.format],
+        FractionPanel.LABELS[view.fraction.format]);
+    } else if (view.keypadMode === 'complex') {
+      this.display.updateFormatIndicator(Calculator.COMPLEX_INDICATORS[view.complex.format],
+        Calculator.COMPLEX_LABELS[view.complex.format]);
+    } else {
+      this.display.updateFormatIndicator('');
+    }
+    
+    if (view.keypadMode === 'tape') {
+      this.tapePanel.render(view.tape);
+    }
+    if (view.keypadMode === 'statistics') {
+      this.statisticsPanel.render(view.statistics);
+    }
+    if (view.keypadMode === 'finance') {
+      this.financePanel.render(view.finance);
+    }
+    if (view.keypadMode === 'date') {
+      this.datePanel.render(view.dates);
+    }
+    this.updateKeyAvailability(view);
   }
   
   /**
-   * Handle percentage calculation
+   * Disable keys the current mode cannot use: digits outside the
+   * programmer base, the decimal point and percentage for integers,
+   * percentage for fractions and complex numbers, on the tape everything
+   * but adding and subtracting, and undo or redo with nothing to step through
+   * @param {Object} view - State from CalculatorEngine#getDisplayState
    */
-  percentage() {
-    this.display.showAsPercentage();
-    this.state.justCalculated = true;
+  updateKeyAvailability(view) {
+    const isProgrammer = view.keypadMode === 'programmer';
+    const isTape = view.keypadMode === 'tape';
+    const hasNoPercentage = isTape || view.keypadMode === 'fraction' || view.keypadMode === 'complex';
+    const radix = isProgrammer ? ProgrammerOperations.BASES[view.programmer.base].radix : 10;
+    
+    this.calculatorElement.querySelectorAll('[data-number]').forEach(button => {
+      button.disabled = !(ProgrammerOperations.digitValue(button.dataset.number) < radix);
+    });
+    
+    this.keypadElement.querySelectorAll('[data-action="decimal"], [data-action="percentage"]').forEach(button => {
+      button.disabled = isProgrammer || (hasNoPercentage && button.dataset.action === 'percentage');
+    });
+    
+    this.keypadElement.querySelectorAll('[data-operator="×"], [data-operator="÷"]').forEach(button => {
+      button.disabled = isTape;
+    });
+    
+    if (this.undoBarElement) {
+      this.undoBarElement.querySelector('[data-action="undo"]').disabled = !view.canUndo;
+      this.undoBarElement.querySelector('[data-action="redo"]').disabled = !view.canRedo;
+    }
   }
   
   /**
-   * Reset calculator state
+   * Sync the memory indicator and slot picker with memory contents
    */
-  resetState() {
-    this.state.previousValue = null;
-    this.state.currentOperator = null;
-    this.state.waitingForOperand = false;
-    this.state.lastOperation = null;
+  updateMemoryIndicator() {
+    const labels = this.memory.getUsedSlots().map(slot => MemoryOperations.slotLabel(slot));
+    this.display.updateMemoryIndicator(labels);
+    
+    if (this.memorySlotSelect) {
+      this.memorySlotSelect.value = String(this.memory.activeSlot);
+    }
   }
   
   /**
@@ -334,63 +777,47 @@ class Calculator {
   }
   
   /**
-   * Highlight key press visually
-   * @param {string} key - Key that was pressed
-   */
-  highlightKey(key) {
-    const keyMap = {
-      '0': '[data-number="0"]',
-      '1': '[data-number="1"]',
-      '2': '[data-number="2"]',
-      '3': '[data-number="3"]',
-      '4': '[data-number="4"]',
-      '5': '[data-number="5"]',
-      '6': '[data-number="6"]',
-      '7': '[data-number="7"]',
-      '8': '[data-number="8"]',
-      '9': '[data-number="9"]',
-      '+': '[data-operator="+"]',
-      '-': '[data-operator="-"]',
-      '*': '[data-operator="×"]',
-      '/': '[data-operator="÷"]',
-      '=': '[data-action="calculate"]',
-      'Enter': '[data-action="calculate"]',
-      '.': '[data-action="decimal"]',
-      '%': '[data-action="percentage"]'
-    };
-    
-    const selector = keyMap[key];
-    if (selector) {
-      const button = this.keypadElement.querySelector(selector);
-      if (button) {
-        Utils.addClass(button, 'active', 150);
-      }
-    }
-  }
-  
-  /**
-   * Highlight selected operator
-   * @param {string} operator - Operator to highlight
+   * Briefly highlight the button for an input made from the keyboard
+   * @param {Object} input - Engine input (e.g. { number: '7' } or { action: 'calculate' })
    */
-  highlightOperator(operator) {
-    this.clearOperatorHighlight();
-    
-    const button = this.keypadElement.querySelector(`[data-operator="${operator}"]`);
+  highlightInput(input) {
+    const [name, value] = Object.entries(input)[0];
+    const button = this.calculatorElement.querySelector(`[data-${name}="${value}"]`);
     if (button) {
-      Utils.addClass(button, 'active');
+      Utils.addClass(button, 'active', 150);
     }
   }
   
   /**
-   * Clear operator highlighting
+   * Highlight the operator of the pending operation
+   * @param {string|null} operator - Operator to highlight, or null for none
    */
-  clearOperatorHighlight() {
-    this.keypadElement.querySelectorAll('.btn-operator.active').forEach(btn => {
-      Utils.removeClass(btn, 'active');
+  updateOperatorHighlight(operator) {
+    this.calculatorElement.querySelectorAll('[data-operator]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.operator === operator);
     });
   }
 }
 
+// Fraction format indicator text for each of CalculatorEngine.FRACTION_FORMATS
+Calculator.FRACTION_INDICATORS = {
+  mixed: 'a b/c',
+  improper: 'b/c',
+  decimal: 'DEC'
+};
+
+// Complex format indicator text for each of CalculatorEngine.COMPLEX_FORMATS
+Calculator.COMPLEX_INDICATORS = {
+  rectangular: 'a+bi',
+  polar: 'r∠θ'
+};
+
+// Spoken names of CalculatorEngine.COMPLEX_FORMATS
+Calculator.COMPLEX_LABELS = {
+  rectangular: 'Rectangular',
+  polar: 'Polar'
+};
+
 // Initialize calculator when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
   try {
@@ -399,6 +826,12 @@ document.addEventListener('DOMContentLoaded', () => {
   } catch (error) {
     Utils.log('error', 'Failed to initialize calculator:', error);
   }
+  
+  try {
+    window.updateManager = new UpdateManager();
+  } catch (error) {
+    Utils.log('error', 'Failed to initialize offline support:', error);
+  }
 });
 
 // Export for module systems or attach to window for global access
@@ -406,4 +839,4 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = Calculator;
 } else if (typeof window !== 'undefined') {
   window.Calculator = Calculator;
-}
\ No newline at end of file
+}
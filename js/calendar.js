@@ -0,0 +1,432 @@
+/**
+ * TallyUp Calculator - Calendar Module
+ * Date differences, adding durations to dates and business days around a holiday list
+ */
+
+'use strict';
+
+/**
+ * Calendar arithmetic on whole days, with the holiday list kept in localStorage
+ *
+ * Dates are ISO day strings ("2026-02-16") worked on as UTC midnights, so
+ * daylight saving changes never shift a result by a day. Business days are
+ * Monday to Friday, leaving out the saved holidays. Adding months keeps the
+ * day of the month where it can and otherwise ends on the month's last day
+ * (31 January + 1 month = 28 February).
+ */
+class Calendar {
+  constructor() {
+    // Holidays in date order: { date, name }
+    this.holidays = [];
+    
+    this.loadHolidays();
+  }
+  
+  /**
+   * Add a holiday, left out of business day counts
+   * @param {string} date - Day as YYYY-MM-DD
+   * @param {string} name - Optional name
+   * @returns {Object} The new holiday
+   */
+  addHoliday(date, name = '') {
+    if (!Calendar.isValid(date)) {
+      throw new Error('Enter the holiday as a date');
+    }
+    if (this.isHoliday(date)) {
+      throw new Error(`${date} is already a holiday`);
+    }
+    
+    const holiday = { date, name: String(name || '').trim() };
+    this.holidays.push(holiday);
+    this.holidays.sort((a, b) => a.date.localeCompare(b.date));
+    this.saveHolidays();
+    return holiday;
+  }
+  
+  /**
+   * Delete a holiday
+   * @param {string} date - Day as YYYY-MM-DD
+   * @returns {boolean} True if a holiday was removed
+   */
+  removeHoliday(date) {
+    const count = this.holidays.length;
+    this.holidays = this.holidays.filter(holiday => holiday.date !== date);
+    
+    if (this.holidays.length === count) {
+      return false;
+    }
+    
+    this.saveHolidays();
+    return true;
+  }
+  
+  /**
+   * Put back holidays copied earlier (undo and redo)
+   * @param {Array<Object>} holidays - Holidays in date order
+   */
+  restoreHolidays(holidays) {
+    this.holidays = holidays;
+    this.saveHolidays();
+  }
+  
+  /**
+   * Check if a day is on the holiday list
+   * @param {string} date - Day as YYYY-MM-DD
+   * @returns {boolean} True for a holiday
+   */
+  isHoliday(date) {
+    return this.holidays.some(holiday => holiday.date === date);
+  }
+  
+  /**
+   * Check if a day is a working day: not a weekend and not a holiday
+   * @param {string} date - Day as YYYY-MM-DD
+   * @returns {boolean} True for a business day
+   */
+  isBusinessDay(date) {
+    return !Calendar.isWeekend(date) && !this.isHoliday(date);
+  }
+  
+  /**
+   * Count the holidays that fall on weekdays between two days
+   * @param {string} from - Day as YYYY-MM-DD (not counted)
+   * @param {string} to - Day as YYYY-MM-DD, before or after the first
+   * @returns {number} Holidays that would otherwise be business days
+   */
+  countHolidays(from, to) {
+    const [first, last] = from < to ? [from, to] : [to, from];
+    return this.holidays.filter(({ date }) =>
+      (from < to ? date > first && date <= last : date >= first && date < last) && !Calendar.isWeekend(date)).length;
+  }
+  
+  /**
+   * Count the business days after the start up to and including the end,
+   * so a deadline tomorrow is one business day away
+   * @param {string} start - First day as YYYY-MM-DD (not counted)
+   * @param {string} end - Last day as YYYY-MM-DD
+   * @returns {number} Business days, negative when the end is before the start
+   */
+  businessDaysBetween(start, end) {
+    if (end < start) {
+      return -this.businessDaysBetween(end, start);
+    }
+    
+    // Every run of seven days holds five weekdays; only the rest is walked
+    const days = Calendar.daysBetween(start, end);
+    const weeks = Math.floor(days / 7);
+    let count = weeks * 5;
+    
+    for (let offset = weeks * 7 + 1; offset <= days; offset++) {
+      if (!Calendar.isWeekend(Calendar.addDays(start, offset))) {
+        count++;
+      }
+    }
+    return count - this.countHolidays(start, end);
+  }
+  
+  /**
+   * Move a number of business days forward or back, skipping weekends and holidays
+   * @param {string} date - Day as YYYY-MM-DD
+   * @param {number} count - Whole number of business days, negative to go back
+   * @returns {string} Day as YYYY-MM-DD
+   */
+  addBusinessDays(date, count) {
+    const step = count < 0 ? -1 : 1;
+    let remaining = Math.abs(count);
+    let day = date;
+    
+    while (remaining > 0) {
+      // Skip whole weeks of five business days, stopping short of the last one
+      const weeks = Math.floor((remaining - 1) / 5);
+      if (weeks > 0) {
+        const next = Calendar.addDays(day, step * weeks * 7);
+        remaining -= weeks * 5 - this.countHolidays(day, next);
+        day = next;
+        continue;
+      }
+      
+      day = Calendar.addDays(day, step);
+      if (this.isBusinessDay(day)) {
+        remaining--;
+      }
+    }
+    return day;
+  }
+  
+  /**
+   * Difference between two days in a unit
+   * @param {string} start - Day as YYYY-MM-DD
+   * @param {string} end - Day as YYYY-MM-DD
+   * @param {string} unit - Key of Calendar.UNITS
+   * @returns {Object} { value, detail } - value is the difference (whole
+   *   months and years, fractional weeks); detail spells out what is left
+   *   over (e.g. "2 months 14 days"), or is empty
+   */
+  difference(start, end, unit) {
+    const days = Calendar.daysBetween(start, end);
+    
+    switch (unit) {
+      case 'bd':
+        return { value: this.businessDaysBetween(start, end), detail: '' };
+      case 'mo':
+      case 'yr': {
+        const { months, days: rest } = Calendar.monthsBetween(start, end);
+        const years = (months - months % 12) / 12;
+        const value = unit === 'yr' ? years : months;
+        const parts = unit === 'yr'
+          ? [[years, 'yr'], [months - years * 12, 'mo'], [rest, 'd']]
+          : [[months, 'mo'], [rest, 'd']];
+        return { value, detail: Calendar.describeParts(parts) };
+      }
+      case 'wk': {
+        const weeks = Math.trunc(days / 7);
+        return {
+          value: Units.convert(days, 'time', 'd', 'wk'),
+          detail: days % 7 === 0 ? '' : Calendar.describeParts([[weeks, 'wk'], [days - weeks * 7, 'd']])
+        };
+      }
+      default:
+        return { value: Units.convert(days, 'time', 'd', unit), detail: '' };
+    }
+  }
+  
+  /**
+   * Add a duration to a day
+   * @param {string} date - Day as YYYY-MM-DD
+   * @param {number} amount - Duration in the unit, negative to go back
+   * @param {string} unit - Key of Calendar.UNITS
+   * @returns {string} Day as YYYY-MM-DD
+   * @throws {RangeError} If the duration is not a whole number of days (or
+   *   months), or the result is outside the years 1 to 9999
+   */
+  shift(date, amount, unit) {
+    const isCalendarUnit = unit === 'mo' || unit === 'yr' || unit === 'bd';
+    const count = isCalendarUnit ? amount : Units.convert(amount, 'time', unit, 'd');
+    
+    if (!Number.isInteger(count)) {
+      throw new RangeError(isCalendarUnit
+        ? `Add a whole number of ${Calendar.UNITS[unit].label}`
+        : 'Only whole days can be added to a date');
+    }
+    
+    let result = null;
+    try {
+      if (unit === 'bd') {
+        result = this.addBusinessDays(date, count);
+      } else if (isCalendarUnit) {
+        result = Calendar.addMonths(date, unit === 'yr' ? count * 12 : count);
+      } else {
+        result = Calendar.addDays(date, count);
+      }
+    } catch (error) {
+      // Date cannot hold the day at all; reported below
+    }
+    
+    if (!Calendar.isValid(result)) {
+      throw new RangeError('The date is out of range');
+    }
+    return result;
+  }
+  
+  /**
+   * Check if text is a real day in YYYY-MM-DD form (2026-02-30 is not)
+   * @param {any} date - Text to check
+   * @returns {boolean} True for a valid day
+   */
+  static isValid(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return false;
+    }
+    return Calendar.toDate(Calendar.toTime(date)) === date;
+  }
+  
+  /**
+   * Check if a day falls on a weekend
+   * @param {string} date - Day as YYYY-MM-DD
+   * @returns {boolean} True on Saturday and Sunday
+   */
+  static isWeekend(date) {
+    return Calendar.WEEKEND.includes(new Date(Calendar.toTime(date)).getUTCDay());
+  }
+  
+  /**
+   * Milliseconds since the epoch of a day's UTC midnight
+   * @param {string} date - Day as YYYY-MM-DD
+   * @returns {number} Time value
+   */
+  static toTime(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  }
+  
+  /**
+   * Day of a UTC time value
+   * @param {number} time - Milliseconds since the epoch
+   * @returns {string} Day as YYYY-MM-DD
+   */
+  static toDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+  }
+  
+  /**
+   * Today in the local time zone
+   * @returns {string} Day as YYYY-MM-DD
+   */
+  static today() {
+    return Utils.toDateKey(new Date());
+  }
+  
+  /**
+   * Whole days from one day to another
+   * @param {string} start - Day as YYYY-MM-DD
+   * @param {string} end - Day as YYYY-MM-DD
+   * @returns {number} Days, negative when the end is before the start
+   */
+  static daysBetween(start, end) {
+    return Math.round((Calendar.toTime(end) - Calendar.toTime(start)) / Calendar.DAY);
+  }
+  
+  /**
+   * Move a number of calendar days forward or back
+   * @param {string} date - Day as YYYY-MM-DD
+   * @param {number} days - Whole number of days
+   * @returns {string} Day as YYYY-MM-DD
+   */
+  static addDays(date, days) {
+    return Calendar.toDate(Calendar.toTime(date) + days * Calendar.DAY);
+  }
+  
+  /**
+   * Move a number of months forward or back, ending on the last day of a
+   * shorter month
+   * @param {string} date - Day as YYYY-MM-DD
+   * @param {number} months - Whole number of months
+   * @returns {string} Day as YYYY-MM-DD
+   */
+  static addMonths(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return Calendar.toDate(target.getTime());
+  }
+  
+  /**
+   * Whole months from one day to another and the days left over
+   * @param {string} start - Day as YYYY-MM-DD
+   * @param {string} end - Day as YYYY-MM-DD
+   * @returns {Object} { months, days } - both negative when the end is before the start
+   */
+  static monthsBetween(start, end) {
+    if (end < start) {
+      const { months, days } = Calendar.monthsBetween(end, start);
+      return { months: -months, days: -days };
+    }
+    
+    const [startYear, startMonth] = start.split('-').map(Number);
+    const [endYear, endMonth] = end.split('-').map(Number);
+    let months = (endYear - startYear) * 12 + endMonth - startMonth;
+    if (Calendar.addMonths(start, months) > end) {
+      months--;
+    }
+    return { months, days: Calendar.daysBetween(Calendar.addMonths(start, months), end) };
+  }
+  
+  /**
+   * Spell out a duration such as "2 months 14 days", leaving out zero parts
+   * @param {Array<Array>} parts - [amount, unit key] pairs, largest first
+   * @returns {string} Description, or "0 days"
+   */
+  static describeParts(parts) {
+    const text = parts
+      .filter(([amount]) => amount !== 0)
+      .map(([amount, unit]) => Calendar.describeDuration(amount, unit))
+      .join(' ');
+    return text || Calendar.describeDuration(0, 'd');
+  }
+  
+  /**
+   * Describe an amount of a unit
+   * @param {number} amount - Amount
+   * @param {string} unit - Key of Calendar.UNITS
+   * @returns {string} e.g. "45 days", "1 week" or "1.5 hours"
+   */
+  static describeDuration(amount, unit) {
+    const info = Calendar.UNITS[unit];
+    return `${Utils.formatNumber(amount)} ${Math.abs(amount) === 1 ? info.singular : info.label}`;
+  }
+  
+  /**
+   * Show a day with its weekday, for the display and history
+   * @param {string} date - Day as YYYY-MM-DD
+   * @returns {string} e.g. "Mon 2026-02-16" (weekday in the number format's language)
+   */
+  static format(date) {
+    const weekday = new Date(Calendar.toTime(date))
+      .toLocaleDateString(Utils.locale || undefined, { weekday: 'short', timeZone: 'UTC' });
+    return `${weekday} ${date}`;
+  }
+  
+  /**
+   * Fill in and check the date pickers and duration unit
+   * @param {Object} settings - { start, end, unit }, possibly partial or from storage
+   * @returns {Object} { start, end, unit } with invalid days replaced by today
+   */
+  static normalizeSettings(settings) {
+    const { start, end, unit } = settings || {};
+    
+    return {
+      start: Calendar.isValid(start) ? start : Calendar.today(),
+      end: Calendar.isValid(end) ? end : Calendar.today(),
+      unit: Calendar.UNITS[unit] ? unit : 'd'
+    };
+  }
+  
+  /**
+   * Load the saved holidays from storage
+   */
+  loadHolidays() {
+    const saved = Utils.loadFromStorage('holidays', []);
+    if (!Array.isArray(saved)) return;
+    
+    this.holidays = saved
+      .filter(holiday => holiday && Calendar.isValid(holiday.date))
+      .map(holiday => ({ date: holiday.date, name: String(holiday.name || '') }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+  
+  /**
+   * Save the holidays to storage
+   */
+  saveHolidays() {
+    Utils.saveToStorage('holidays', this.holidays);
+  }
+}
+
+// Milliseconds in a day
+Calendar.DAY = 86400000;
+
+// Days of the week (0 = Sunday) that are never business days
+Calendar.WEEKEND = [0, 6];
+
+// Duration units; the first four are also units of the converter's time
+// category, so they convert into each other exactly
+Calendar.UNITS = {
+  min: { label: 'minutes', singular: 'minute' },
+  h: { label: 'hours', singular: 'hour' },
+  d: { label: 'days', singular: 'day' },
+  wk: { label: 'weeks', singular: 'week' },
+  mo: { label: 'months', singular: 'month' },
+  yr: { label: 'years', singular: 'year' },
+  bd: { label: 'business days', singular: 'business day' }
+};
+
+// Units that convert into each other (Units time category keys)
+Calendar.CONVERTIBLE = ['min', 'h', 'd', 'wk'];
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Calendar;
+} else if (typeof window !== 'undefined') {
+  window.Calendar = Calendar;
+}
@@ -0,0 +1,309 @@
+/**
+ * TallyUp Calculator - Complex Arithmetic Module
+ * Complex numbers so √-4 is 2i instead of an error
+ */
+
+'use strict';
+
+/**
+ * Immutable complex number a + bi
+ *
+ * The real and imaginary parts are JavaScript numbers. Angles are in
+ * radians; converting to and from the calculator's angle mode is left to
+ * Operations.
+ */
+class Complex {
+  /**
+   * @param {number} re - Real part
+   * @param {number} im - Imaginary part
+   */
+  constructor(re, im = 0) {
+    // Normalize -0 so 3 - 0i shows as 3
+    this.re = re || 0;
+    this.im = im || 0;
+    Object.freeze(this);
+  }
+  
+  /**
+   * Create a Complex from a number or another Complex
+   * @param {number|Complex} value - Value to convert
+   * @returns {Complex} Complex value
+   * @throws {RangeError} If the value is not a number or Complex
+   */
+  static from(value) {
+    if (value instanceof Complex) {
+      return value;
+    }
+    if (typeof value !== 'number' || isNaN(value)) {
+      throw new RangeError('Not a number');
+    }
+    return new Complex(value, 0);
+  }
+  
+  /**
+   * Create a Complex from polar coordinates
+   * @param {number} magnitude - Distance from zero
+   * @param {number} angle - Angle from the positive real axis in radians
+   * @returns {Complex} Complex value
+   */
+  static fromPolar(magnitude, angle) {
+    return new Complex(magnitude * Math.cos(angle), magnitude * Math.sin(angle));
+  }
+  
+  /**
+   * Parse rectangular text: "3+4i", "3-i", "-2.5i", "i" or "4" ("j" works as "i")
+   * @param {string} text - Plain text (no grouping, "." as decimal point)
+   * @returns {Complex} Parsed value
+   * @throws {RangeError} If the text is not a complex number
+   */
+  static parse(text) {
+    const source = String(text).replace(/\s+/g, '').replace(/j$/i, 'i');
+    const number = '(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?';
+    
+    if (new RegExp(`^[+-]?${number}$`, 'i').test(source)) {
+      return new Complex(parseFloat(source));
+    }
+    
+    // Real part (optional), then a signed imaginary part with an optional coefficient
+    const match = new RegExp(`^([+-]?${number}(?=[+-]))?([+-]?)(${number})?i$`, 'i').exec(source);
+    if (!match) {
+      throw new RangeError(`Not a complex number: ${text}`);
+    }
+    
+    const [, real = '0', sign, coefficient = '1'] = match;
+    const imaginary = parseFloat(coefficient);
+    return new Complex(parseFloat(real), sign === '-' ? -imaginary : imaginary);
+  }
+  
+  /**
+   * Addition
+   * @param {number|Complex} other - Value to add
+   * @returns {Complex} Sum
+   */
+  plus(other) {
+    const value = Complex.from(other);
+    return new Complex(this.re + value.re, this.im + value.im);
+  }
+  
+  /**
+   * Subtraction
+   * @param {number|Complex} other - Value to subtract
+   * @returns {Complex} Difference
+   */
+  minus(other) {
+    const value = Complex.from(other);
+    return new Complex(this.re - value.re, this.im - value.im);
+  }
+  
+  /**
+   * Multiplication
+   * @param {number|Complex} other - Value to multiply by
+   * @returns {Complex} Product
+   */
+  times(other) {
+    const value = Complex.from(other);
+    return new Complex(
+      this.re * value.re - this.im * value.im,
+      this.re * value.im + this.im * value.re
+    );
+  }
+  
+  /**
+   * Division
+   * @param {number|Complex} other - Divisor
+   * @returns {Complex} Quotient
+   * @throws {RangeError} On division by zero
+   */
+  dividedBy(other) {
+    const value = Complex.from(other);
+    if (value.isZero()) {
+      throw new RangeError('Division by zero');
+    }
+    
+    // Smith's method: scale by the larger part of the divisor so the
+    // squared magnitude cannot overflow
+    if (Math.abs(value.re) >= Math.abs(value.im)) {
+      const ratio = value.im / value.re;
+      const scale = value.re + value.im * ratio;
+      return new Complex((this.re + this.im * ratio) / scale, (this.im - this.re * ratio) / scale);
+    }
+    const ratio = value.re / value.im;
+    const scale = value.re * ratio + value.im;
+    return new Complex((this.re * ratio + this.im) / scale, (this.im * ratio - this.re) / scale);
+  }
+  
+  /**
+   * Reciprocal (1/z)
+   * @returns {Complex} Reciprocal
+   * @throws {RangeError} If the value is zero
+   */
+  reciprocal() {
+    return new Complex(1).dividedBy(this);
+  }
+  
+  /**
+   * Negation
+   * @returns {Complex} Negated value
+   */
+  negate() {
+    return new Complex(-this.re, -this.im);
+  }
+  
+  /**
+   * Complex conjugate (a - bi)
+   * @returns {Complex} Conjugate
+   */
+  conjugate() {
+    return new Complex(this.re, -this.im);
+  }
+  
+  /**
+   * Magnitude (modulus)
+   * @returns {number} |z|
+   */
+  abs() {
+    return Math.hypot(this.re, this.im);
+  }
+  
+  /**
+   * Argument: angle from the positive real axis
+   * @returns {number} Angle in radians, in (-π, π]
+   */
+  arg() {
+    return Math.atan2(this.im, this.re);
+  }
+  
+  /**
+   * Principal square root, computed without cancellation so √(3 + 4i) is exactly 2 + i
+   * @returns {Complex} Square root with a non-negative real part
+   */
+  sqrt() {
+    if (this.isZero()) {
+      return new Complex(0);
+    }
+    
+    const magnitude = this.abs();
+    if (this.re >= 0) {
+      const re = Math.sqrt((magnitude + this.re) / 2);
+      return new Complex(re, this.im / (2 * re));
+    }
+    const im = Math.sqrt((magnitude - this.re) / 2);
+    return new Complex(Math.abs(this.im) / (2 * im), this.im < 0 ? -im : im);
+  }
+  
+  /**
+   * Exponential (e^z)
+   * @returns {Complex} e raised to this value
+   */
+  exp() {
+    return Complex.fromPolar(Math.exp(this.re), this.im);
+  }
+  
+  /**
+   * Principal natural logarithm
+   * @returns {Complex} ln|z| + i·arg(z)
+   * @throws {RangeError} If the value is zero
+   */
+  ln() {
+    if (this.isZero()) {
+      throw new RangeError('Logarithm of zero');
+    }
+    return new Complex(Math.log(this.abs()), this.arg());
+  }
+  
+  /**
+   * Principal power; whole exponents use repeated multiplication so
+   * (1 + i)² is exactly 2i
+   * @param {number|Complex} exponent - Power to raise to
+   * @returns {Complex} Result
+   * @throws {RangeError} For zero raised to a non-positive or complex power
+   */
+  power(exponent) {
+    const value = Complex.from(exponent);
+    
+    if (value.isReal() && Number.isInteger(value.re) && Math.abs(value.re) <= Complex.MAX_REPEATED_POWER) {
+      let result = new Complex(1);
+      let base = this;
+      for (let n = Math.abs(value.re); n > 0; n = Math.floor(n / 2)) {
+        if (n % 2 === 1) result = result.times(base);
+        base = base.times(base);
+      }
+      return value.re < 0 ? result.reciprocal() : result;
+    }
+    
+    if (this.isZero()) {
+      if (value.isReal() && value.re > 0) {
+        return new Complex(0);
+      }
+      throw new RangeError('Zero to a non-positive or complex power');
+    }
+    return value.times(this.ln()).exp();
+  }
+  
+  /**
+   * Principal nth root
+   * @param {number|Complex} degree - Root degree (2 for the square root)
+   * @returns {Complex} Root
+   * @throws {RangeError} If the degree is zero
+   */
+  root(degree) {
+    const value = Complex.from(degree);
+    if (value.isZero()) {
+      throw new RangeError('Zeroth root');
+    }
+    if (value.isReal() && value.re === 2) {
+      return this.sqrt();
+    }
+    return this.power(value.reciprocal());
+  }
+  
+  /**
+   * Check for zero
+   * @returns {boolean} True if both parts are zero
+   */
+  isZero() {
+    return this.re === 0 && this.im === 0;
+  }
+  
+  /**
+   * Check for a real value
+   * @returns {boolean} True if the imaginary part is zero
+   */
+  isReal() {
+    return this.im === 0;
+  }
+  
+  /**
+   * Check that both parts are finite
+   * @returns {boolean} True if neither part is infinite or NaN
+   */
+  isFinite() {
+    return Number.isFinite(this.re) && Number.isFinite(this.im);
+  }
+  
+  /**
+   * Plain rectangular text
+   * @returns {string} e.g. "3+4i", "-2i" or "5"
+   */
+  toString() {
+    if (this.isReal()) {
+      return String(this.re);
+    }
+    
+    const imaginary = `${Math.abs(this.im) === 1 ? '' : Math.abs(this.im)}i`;
+    if (this.re === 0) {
+      return `${this.im < 0 ? '-' : ''}${imaginary}`;
+    }
+    return `${this.re}${this.im < 0 ? '-' : '+'}${imaginary}`;
+  }
+}
+
+// Largest whole exponent computed by repeated multiplication
+Complex.MAX_REPEATED_POWER = 1024;
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Complex;
+} else if (typeof window !== 'undefined') {
+  window.Complex = Complex;
+}
@@ -0,0 +1,138 @@
+/**
+ * TallyUp Calculator - Converter Panel Module
+ * Renders the unit pickers and live conversion of the converter keypad
+ */
+
+'use strict';
+
+/**
+ * Unit converter panel: category and from/to pickers, a swap button and
+ * the conversion of the displayed value
+ */
+class ConverterPanel {
+  /**
+   * @param {Object} handlers - Callbacks for picker changes
+   * @param {Function} handlers.onChange - Called with a new { category, from, to } selection
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    
+    this.panelElement = document.querySelector('.converter-panel');
+    this.categorySelect = document.querySelector('.converter-category');
+    this.fromSelect = document.querySelector('.converter-from');
+    this.toSelect = document.querySelector('.converter-to');
+    this.resultElement = document.querySelector('.converter-result');
+    
+    if (!this.panelElement || !this.categorySelect || !this.fromSelect || !this.toSelect) {
+      throw new Error('Required converter elements not found');
+    }
+    
+    this.category = null;
+    
+    this.init();
+  }
+  
+  /**
+   * Initialize converter panel
+   */
+  init() {
+    this.fillOptions(this.categorySelect, Object.entries(Units.CATEGORIES).map(([key, category]) => ({
+      value: key,
+      label: category.label
+    })));
+    this.setupEventListeners();
+    Utils.log('info', 'Converter panel initialized');
+  }
+  
+  /**
+   * Setup event listeners for the pickers
+   */
+  setupEventListeners() {
+    // A new category starts from its default units
+    this.categorySelect.addEventListener('change', () => {
+      this.notifyChange({ category: this.categorySelect.value });
+    });
+    
+    [this.fromSelect, this.toSelect].forEach(select => {
+      select.addEventListener('change', () => {
+        this.notifyChange({
+          category: this.categorySelect.value,
+          from: this.fromSelect.value,
+          to: this.toSelect.value
+        });
+      });
+    });
+  }
+  
+  /**
+   * Report a picker change
+   * @param {Object} selection - { category, from, to }
+   */
+  notifyChange(selection) {
+    if (this.handlers.onChange) {
+      this.handlers.onChange(selection);
+    }
+  }
+  
+  /**
+   * Replace the options of a select
+   * @param {HTMLSelectElement} select - Select element
+   * @param {Array<Object>} options - { value, label } pairs
+   */
+  fillOptions(select, options) {
+    select.textContent = '';
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  }
+  
+  /**
+   * Show the selected category and units
+   * @param {Object} selection - { category, from, to }
+   */
+  setSelection(selection) {
+    if (selection.category !== this.category) {
+      const units = Object.entries(Units.CATEGORIES[selection.category].units).map(([key, unit]) => ({
+        value: key,
+        label: `${unit.label} (${unit.symbol})`
+      }));
+      
+      this.fillOptions(this.fromSelect, units);
+      this.fillOptions(this.toSelect, units);
+      this.category = selection.category;
+    }
+    
+    this.categorySelect.value = selection.category;
+    this.fromSelect.value = selection.from;
+    this.toSelect.value = selection.to;
+  }
+  
+  /**
+   * Show the conversion of the displayed value
+   * @param {Object} conversion - From CalculatorEngine#getConversion
+   */
+  render(conversion) {
+    this.setSelection(conversion);
+    
+    if (!this.resultElement) return;
+    
+    const text = `${Units.format(conversion.value, conversion.category, conversion.from)} = ` +
+      Units.format(conversion.result, conversion.category, conversion.to);
+    
+    if (this.resultElement.textContent !== text) {
+      this.resultElement.textContent = text;
+      this.resultElement.setAttribute('aria-label', `${text}, press to use the result`);
+    }
+    this.resultElement.classList.toggle('error', typeof conversion.result !== 'number');
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConverterPanel;
+} else if (typeof window !== 'undefined') {
+  window.ConverterPanel = ConverterPanel;
+}
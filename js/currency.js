@@ -0,0 +1,152 @@
+/**
+ * TallyUp Calculator - Currency Panel Module
+ * Renders the currency pickers, rate, override field and rate import
+ */
+
+'use strict';
+
+/**
+ * Currency converter panel: from/to pickers, a swap button, the conversion
+ * of the displayed value, the rate in use with a manual override field, and
+ * a JSON/CSV rate file import
+ */
+class CurrencyPanel {
+  /**
+   * @param {Object} handlers - Callbacks for panel changes
+   * @param {Function} handlers.onChange - Called with a new { from, to } pair
+   * @param {Function} handlers.onOverride - Called with the typed override rate ("" to clear it)
+   * @param {Function} handlers.onImport - Called with the contents of a chosen rate file
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    
+    this.panelElement = document.querySelector('.currency-panel');
+    this.fromSelect = document.querySelector('.currency-from');
+    this.toSelect = document.querySelector('.currency-to');
+    this.resultElement = document.querySelector('.currency-result');
+    this.rateElement = document.querySelector('.currency-rate');
+    this.overrideInput = document.querySelector('.currency-override');
+    this.importInput = document.querySelector('.currency-import');
+    
+    if (!this.panelElement || !this.fromSelect || !this.toSelect) {
+      throw new Error('Required currency elements not found');
+    }
+    
+    // Currency list the pickers were last filled with
+    this.currencies = '';
+    
+    this.setupEventListeners();
+    Utils.log('info', 'Currency panel initialized');
+  }
+  
+  /**
+   * Setup event listeners for the pickers, override field and import
+   */
+  setupEventListeners() {
+    [this.fromSelect, this.toSelect].forEach(select => {
+      select.addEventListener('change', () => {
+        if (this.handlers.onChange) {
+          this.handlers.onChange({ from: this.fromSelect.value, to: this.toSelect.value });
+        }
+      });
+    });
+    
+    // The override applies on Enter or when the field loses focus
+    if (this.overrideInput) {
+      this.overrideInput.addEventListener('change', () => {
+        if (this.handlers.onOverride) {
+          this.handlers.onOverride(this.overrideInput.value);
+        }
+      });
+    }
+    
+    if (this.importInput) {
+      this.importInput.addEventListener('change', () => {
+        const file = this.importInput.files && this.importInput.files[0];
+        if (!file) return;
+        
+        file.text().then((text) => {
+          if (this.handlers.onImport) {
+            this.handlers.onImport(text);
+          }
+        }).catch((error) => {
+          Utils.log('error', 'Could not read rate file:', error);
+        });
+        
+        // Allow the same file to be chosen again after editing it
+        this.importInput.value = '';
+      });
+    }
+  }
+  
+  /**
+   * Fill both pickers with the currencies of the rate table
+   * @param {Array<string>} currencies - ISO 4217 codes
+   */
+  setCurrencies(currencies) {
+    const key = currencies.join(',');
+    if (key === this.currencies) return;
+    
+    [this.fromSelect, this.toSelect].forEach(select => {
+      select.textContent = '';
+      currencies.forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = `${code} – ${CurrencyRates.getName(code)}`;
+        select.appendChild(option);
+      });
+    });
+    this.currencies = key;
+  }
+  
+  /**
+   * Show the selected pair
+   * @param {Object} pair - { from, to }
+   */
+  setSelection(pair) {
+    this.fromSelect.value = pair.from;
+    this.toSelect.value = pair.to;
+  }
+  
+  /**
+   * Show the conversion of the displayed value and the rate behind it
+   * @param {Object} conversion - From CalculatorEngine#getCurrencyConversion
+   */
+  render(conversion) {
+    this.setCurrencies(conversion.currencies);
+    this.setSelection(conversion);
+    
+    if (this.resultElement) {
+      const text = `${CurrencyRates.format(conversion.value, conversion.from)} = ` +
+        CurrencyRates.format(conversion.result, conversion.to);
+      
+      if (this.resultElement.textContent !== text) {
+        this.resultElement.textContent = text;
+        this.resultElement.setAttribute('aria-label', `${text}, press to use the result`);
+      }
+      this.resultElement.classList.toggle('error', typeof conversion.result !== 'number');
+    }
+    
+    if (this.rateElement && conversion.rate !== null) {
+      const notes = {
+        override: 'manual rate',
+        cross: `cross rate via ${conversion.base}`,
+        base: 'table rate'
+      };
+      this.rateElement.textContent = `1 ${conversion.from} = ${Utils.formatNumber(conversion.rate, 6)} ${conversion.to} (${notes[conversion.source]})`;
+    }
+    
+    // Leave the field alone while it is being edited
+    if (this.overrideInput && document.activeElement !== this.overrideInput) {
+      this.overrideInput.value = conversion.source === 'override' ? Utils.formatNumber(conversion.rate, 6) : '';
+      this.overrideInput.setAttribute('aria-label', `Manual ${conversion.from}/${conversion.to} rate, empty to use the table rate`);
+    }
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CurrencyPanel;
+} else if (typeof window !== 'undefined') {
+  window.CurrencyPanel = CurrencyPanel;
+}
@@ -0,0 +1,432 @@
+/**
+ * TallyUp Calculator - Dataset Module
+ * Data points for statistics mode: summary statistics and linear regression
+ */
+
+'use strict';
+
+/**
+ * Data list behind statistics mode, kept in localStorage
+ *
+ * Each row is an x value with an optional y value (an x,y pair for
+ * regression) and a frequency, so 4 entered three times is one row
+ * { x: '4', frequency: 3 }. Values are stored as decimal strings and summed
+ * exactly; only the final divisions and square roots are rounded.
+ */
+class Dataset {
+  constructor() {
+    // Rows in entry order: { id, x, y, frequency }; y is null for a single value
+    this.rows = [];
+    
+    this.loadDataset();
+  }
+  
+  /**
+   * Check if there are no data points
+   * @returns {boolean} True if empty
+   */
+  isEmpty() {
+    return this.rows.length === 0;
+  }
+  
+  /**
+   * Check if any data point has a y value
+   * @returns {boolean} True if there is at least one x,y pair
+   */
+  hasPairs() {
+    return this.rows.some(row => row.y !== null);
+  }
+  
+  /**
+   * Add a data point
+   * @param {number|string} x - Value (or x of a pair)
+   * @param {number|string|null} y - y of a pair, or null for a single value
+   * @param {number|string} frequency - How many times the point occurs
+   * @returns {Object} The new row
+   */
+  addRow(x, y = null, frequency = 1) {
+    const row = { id: Utils.generateId('data'), ...Dataset.normalizeRow({ x, y, frequency }) };
+    this.rows.push(row);
+    this.saveDataset();
+    return row;
+  }
+  
+  /**
+   * Change a data point already in the list
+   * @param {string} id - Row id
+   * @param {Object} changes - Any of { x, y, frequency }; y may be null to drop it
+   */
+  updateRow(id, changes) {
+    const row = this.rows.find(candidate => candidate.id === id);
+    if (!row) {
+      throw new Error('Data point not found');
+    }
+    
+    Object.assign(row, Dataset.normalizeRow({ ...row, ...changes }));
+    this.saveDataset();
+  }
+  
+  /**
+   * Delete a row
+   * @param {string} id - Row id
+   * @returns {boolean} True if a row was removed
+   */
+  remove(id) {
+    const count = this.rows.length;
+    this.rows = this.rows.filter(row => row.id !== id);
+    
+    if (this.rows.length === count) {
+      return false;
+    }
+    
+    this.saveDataset();
+    return true;
+  }
+  
+  /**
+   * Take one occurrence of a data point out (Σ−): the latest matching row
+   * loses one from its frequency, or goes if it was the last
+   * @param {number|string} x - Value (or x of a pair)
+   * @param {number|string|null} y - y of a pair, or null for a single value
+   * @returns {boolean} True if a matching point was found
+   */
+  removeValue(x, y = null) {
+    const target = Dataset.normalizeRow({ x, y, frequency: 1 });
+    const row = this.rows.slice().reverse().find(candidate =>
+      candidate.x === target.x && candidate.y === target.y);
+    
+    if (!row) {
+      return false;
+    }
+    
+    if (row.frequency > 1) {
+      row.frequency--;
+      this.saveDataset();
+      return true;
+    }
+    return this.remove(row.id);
+  }
+  
+  /**
+   * Remove every data point
+   */
+  clear() {
+    this.rows = [];
+    this.saveDataset();
+  }
+  
+  /**
+   * Put back rows copied earlier (undo and redo)
+   * @param {Array<Object>} rows - Rows in entry order
+   */
+  restoreRows(rows) {
+    this.rows = rows;
+    this.saveDataset();
+  }
+  
+  /**
+   * Summary statistics of the x values, weighted by frequency
+   * @returns {Object} { count, sum, mean, median, mode, modes, min, max, q1, q3,
+   *   populationVariance, populationStdDev, sampleVariance, sampleStdDev } -
+   *   numbers, or null where the data has too few points (modes is an array,
+   *   empty when every value occurs equally often)
+   */
+  getStatistics() {
+    const sorted = this.rows
+      .map(row => ({ value: Decimal.from(row.x), frequency: row.frequency }))
+      .sort((a, b) => a.value.compare(b.value));
+    const count = sorted.reduce((total, { frequency }) => total + frequency, 0);
+    
+    if (count === 0) {
+      const empty = Object.fromEntries(Object.keys(Dataset.STATISTICS)
+        .filter(name => Dataset.STATISTICS[name].group === 'summary')
+        .map(name => [name, null]));
+      return { ...empty, count: 0, sum: 0, modes: [] };
+    }
+    
+    let sum = Decimal.from(0);
+    let sumOfSquares = Decimal.from(0);
+    sorted.forEach(({ value, frequency }) => {
+      const weighted = value.times(frequency);
+      sum = sum.plus(weighted);
+      sumOfSquares = sumOfSquares.plus(weighted.times(value));
+    });
+    
+    // n·Σx² − (Σx)² is exact, so the variance loses nothing to cancellation
+    const n = Decimal.from(count);
+    const spread = n.times(sumOfSquares).minus(sum.times(sum));
+    const populationVariance = spread.dividedBy(n.times(n), Dataset.PRECISION).toNumber();
+    const sampleVariance = count > 1 ? spread.dividedBy(n.times(count - 1), Dataset.PRECISION).toNumber() : null;
+    
+    // Quartiles are the medians of the lower and upper halves, leaving out
+    // the median itself when the count is odd
+    const half = Math.floor(count / 2);
+    
+    return {
+      count,
+      sum: sum.toNumber(),
+      mean: sum.dividedBy(n, Dataset.PRECISION).toNumber(),
+      median: Dataset.medianOf(sorted, 0, count),
+      ...Dataset.findModes(sorted),
+      min: sorted[0].value.toNumber(),
+      max: sorted[sorted.length - 1].value.toNumber(),
+      q1: half > 0 ? Dataset.medianOf(sorted, 0, half) : null,
+      q3: half > 0 ? Dataset.medianOf(sorted, count - half, count) : null,
+      populationVariance,
+      populationStdDev: Math.sqrt(populationVariance),
+      sampleVariance,
+      sampleStdDev: sampleVariance === null ? null : Math.sqrt(sampleVariance)
+    };
+  }
+  
+  /**
+   * Least-squares line y = a + bx through the x,y pairs, weighted by frequency
+   * @returns {Object|null} { count, slope, intercept, r, rSquared } - r and
+   *   rSquared are null when every y is the same; null without two pairs
+   *   or when every x is the same
+   */
+  getRegression() {
+    const line = this.fitLine();
+    if (!line) {
+      return null;
+    }
+    
+    return {
+      count: line.count,
+      slope: line.slope.toNumber(),
+      intercept: line.intercept.toNumber(),
+      r: line.rSquared === null ? null : (line.slope.isNegative() ? -1 : 1) * Math.sqrt(line.rSquared),
+      rSquared: line.rSquared
+    };
+  }
+  
+  /**
+   * Fit the regression line, keeping the slope and intercept as Decimals so
+   * predictions are not rounded twice
+   * @returns {Object|null} { count, slope, intercept, rSquared } - see getRegression
+   */
+  fitLine() {
+    let count = 0;
+    let sumX = Decimal.from(0);
+    let sumY = Decimal.from(0);
+    let sumXX = Decimal.from(0);
+    let sumYY = Decimal.from(0);
+    let sumXY = Decimal.from(0);
+    
+    this.rows.filter(row => row.y !== null).forEach(row => {
+      const x = Decimal.from(row.x);
+      const y = Decimal.from(row.y);
+      const weightedX = x.times(row.frequency);
+      const weightedY = y.times(row.frequency);
+      
+      count += row.frequency;
+      sumX = sumX.plus(weightedX);
+      sumY = sumY.plus(weightedY);
+      sumXX = sumXX.plus(weightedX.times(x));
+      sumYY = sumYY.plus(weightedY.times(y));
+      sumXY = sumXY.plus(weightedX.times(y));
+    });
+    
+    if (count < 2) {
+      return null;
+    }
+    
+    const n = Decimal.from(count);
+    const sxx = n.times(sumXX).minus(sumX.times(sumX));
+    const syy = n.times(sumYY).minus(sumY.times(sumY));
+    const sxy = n.times(sumXY).minus(sumX.times(sumY));
+    if (sxx.isZero()) {
+      return null;
+    }
+    
+    return {
+      count,
+      slope: sxy.dividedBy(sxx, Dataset.PRECISION),
+      intercept: sumY.times(sxx).minus(sumX.times(sxy)).dividedBy(n.times(sxx), Dataset.PRECISION),
+      rSquared: syy.isZero() ? null : sxy.times(sxy).dividedBy(sxx.times(syy), Dataset.PRECISION).toNumber()
+    };
+  }
+  
+  /**
+   * Statistics and regression together, for views
+   * @returns {Object} { statistics, regression } - see getStatistics and getRegression
+   */
+  getSummary() {
+    return { statistics: this.getStatistics(), regression: this.getRegression() };
+  }
+  
+  /**
+   * y on the regression line at x (ŷ)
+   * @param {number} x - x value
+   * @returns {number|null} Predicted y, or null without a regression line
+   */
+  predictY(x) {
+    const line = this.fitLine();
+    if (!line || !isFinite(x)) {
+      return null;
+    }
+    return line.slope.times(x).plus(line.intercept).toNumber();
+  }
+  
+  /**
+   * x on the regression line at y (x̂)
+   * @param {number} y - y value
+   * @returns {number|null} Predicted x, or null without a regression line or when it is flat
+   */
+  predictX(y) {
+    const line = this.fitLine();
+    if (!line || line.slope.isZero() || !isFinite(y)) {
+      return null;
+    }
+    return Decimal.from(y).minus(line.intercept).dividedBy(line.slope, Dataset.PRECISION).toNumber();
+  }
+  
+  /**
+   * Value at a position of the sorted values, counting each row frequency times
+   * @param {Array<Object>} sorted - { value, frequency } in ascending order
+   * @param {number} index - Zero-based position
+   * @returns {Decimal} Value at that position
+   */
+  static valueAt(sorted, index) {
+    let position = index;
+    const group = sorted.find(({ frequency }) => {
+      position -= frequency;
+      return position < 0;
+    });
+    return group.value;
+  }
+  
+  /**
+   * Median of a range of the sorted values
+   * @param {Array<Object>} sorted - { value, frequency } in ascending order
+   * @param {number} start - First position (inclusive)
+   * @param {number} end - Last position (exclusive)
+   * @returns {number} Middle value, or the mean of the two middle values
+   */
+  static medianOf(sorted, start, end) {
+    const middle = start + Math.floor((end - start) / 2);
+    if ((end - start) % 2 === 1) {
+      return Dataset.valueAt(sorted, middle).toNumber();
+    }
+    return Dataset.valueAt(sorted, middle - 1)
+      .plus(Dataset.valueAt(sorted, middle))
+      .dividedBy(2, Dataset.PRECISION)
+      .toNumber();
+  }
+  
+  /**
+   * Most frequent values
+   * @param {Array<Object>} sorted - { value, frequency } in ascending order
+   * @returns {Object} { mode, modes } - the smallest mode and all of them in
+   *   ascending order; none when several values all occur equally often
+   */
+  static findModes(sorted) {
+    // Equal values may be on several rows; sorting put them next to each other
+    const totals = [];
+    sorted.forEach(({ value, frequency }) => {
+      const last = totals[totals.length - 1];
+      if (last && last.value.compare(value) === 0) {
+        last.frequency += frequency;
+      } else {
+        totals.push({ value, frequency });
+      }
+    });
+    
+    const highest = Math.max(...totals.map(({ frequency }) => frequency));
+    const modes = totals.filter(({ frequency }) => frequency === highest).map(({ value }) => value.toNumber());
+    
+    if (totals.length > 1 && modes.length === totals.length) {
+      return { mode: null, modes: [] };
+    }
+    return { mode: modes[0], modes };
+  }
+  
+  /**
+   * Validate a data point
+   * @param {Object} point - { x, y, frequency }; y may be null or '' and frequency '' for 1
+   * @returns {Object} { x, y, frequency } with decimal string values and a whole frequency
+   * @throws {Error} If a value is not a number or the frequency is not a whole number of at least 1
+   */
+  static normalizeRow({ x, y = null, frequency = 1 }) {
+    const isMissing = value => value === '' || value === null || value === undefined;
+    
+    if (isMissing(x) || !isFinite(Number(x))) {
+      throw new Error('x must be a number');
+    }
+    if (!isMissing(y) && !isFinite(Number(y))) {
+      throw new Error('y must be a number');
+    }
+    
+    const count = isMissing(frequency) ? 1 : Number(frequency);
+    if (!Number.isSafeInteger(count) || count < 1) {
+      throw new Error('Frequency must be a whole number of at least 1');
+    }
+    
+    return {
+      x: Decimal.from(x).toString(),
+      y: isMissing(y) ? null : Decimal.from(y).toString(),
+      frequency: count
+    };
+  }
+  
+  /**
+   * Load the saved data points from storage
+   */
+  loadDataset() {
+    const saved = Utils.loadFromStorage('dataset', []);
+    if (!Array.isArray(saved)) return;
+    
+    this.rows = saved.flatMap(row => {
+      try {
+        return [{ id: row.id || Utils.generateId('data'), ...Dataset.normalizeRow(row) }];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+  
+  /**
+   * Save the data points to storage
+   */
+  saveDataset() {
+    Utils.saveToStorage('dataset', this.rows);
+  }
+}
+
+// Decimal places kept by the divisions behind means, variances and the regression line
+Dataset.PRECISION = 20;
+
+// Results that can be entered into the display: the symbol on the key and a
+// spoken label, grouped into summary statistics of x and the regression line
+Dataset.STATISTICS = {
+  count: { symbol: 'n', label: 'Count', group: 'summary' },
+  sum: { symbol: 'Σx', label: 'Sum', group: 'summary' },
+  mean: { symbol: 'x̄', label: 'Mean', group: 'summary' },
+  median: { symbol: 'Med', label: 'Median', group: 'summary' },
+  mode: { symbol: 'Mo', label: 'Mode', group: 'summary' },
+  min: { symbol: 'min', label: 'Minimum', group: 'summary' },
+  max: { symbol: 'max', label: 'Maximum', group: 'summary' },
+  q1: { symbol: 'Q1', label: 'First quartile', group: 'summary' },
+  q3: { symbol: 'Q3', label: 'Third quartile', group: 'summary' },
+  populationStdDev: { symbol: 'σx', label: 'Population standard deviation', group: 'summary' },
+  sampleStdDev: { symbol: 'sx', label: 'Sample standard deviation', group: 'summary' },
+  populationVariance: { symbol: 'σ²', label: 'Population variance', group: 'summary' },
+  sampleVariance: { symbol: 's²', label: 'Sample variance', group: 'summary' },
+  slope: { symbol: 'b', label: 'Slope', group: 'regression' },
+  intercept: { symbol: 'a', label: 'Intercept', group: 'regression' },
+  r: { symbol: 'r', label: 'Correlation coefficient', group: 'regression' },
+  rSquared: { symbol: 'r²', label: 'Coefficient of determination', group: 'regression' }
+};
+
+// Values read off the regression line for the displayed value
+Dataset.PREDICTIONS = {
+  predictY: { symbol: 'ŷ', label: 'Predicted y' },
+  predictX: { symbol: 'x̂', label: 'Predicted x' }
+};
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Dataset;
+} else if (typeof window !== 'undefined') {
+  window.Dataset = Dataset;
+}
@@ -0,0 +1,190 @@
+/**
+ * TallyUp Calculator - Date Panel Module
+ * Renders the date pickers, duration unit and holiday list behind the date keypad
+ */
+
+'use strict';
+
+/**
+ * Panel shown in date mode: start and end date pickers, the unit that
+ * differences and durations are in, the live difference between the picked
+ * days and the holidays business days leave out. Picking a day shows it in
+ * the display; the date keys work from the picked days.
+ */
+class DatePanel {
+  /**
+   * @param {Object} handlers - Callbacks for picked days, settings and holidays
+   * @param {Function} handlers.onPick - Called with ("start" or "end", YYYY-MM-DD) when a day is picked
+   * @param {Function} handlers.onChange - Called with { unit } when the duration unit changes
+   * @param {Function} handlers.onAddHoliday - Called with (date, name); returns true if the holiday was added
+   * @param {Function} handlers.onRemoveHoliday - Called with the date of a holiday to delete
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    
+    this.panelElement = document.querySelector('.date-panel');
+    this.startInput = document.querySelector('.date-start');
+    this.endInput = document.querySelector('.date-end');
+    this.unitSelect = document.querySelector('.date-unit');
+    this.summaryElement = document.querySelector('.date-summary');
+    this.conversionButtons = Array.from(document.querySelectorAll('.date-keys [data-duration-to]'));
+    this.holidaysElement = document.querySelector('.holiday-list');
+    this.formElement = document.querySelector('.holiday-form');
+    
+    if (!this.panelElement || !this.startInput || !this.endInput || !this.unitSelect) {
+      throw new Error('Required date elements not found');
+    }
+    
+    // Holidays the list was last built from
+    this.holidaysKey = '';
+    
+    this.init();
+  }
+  
+  /**
+   * Initialize date panel
+   */
+  init() {
+    Object.entries(Calendar.UNITS).forEach(([key, unit]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = unit.label.charAt(0).toUpperCase() + unit.label.slice(1);
+      this.unitSelect.appendChild(option);
+    });
+    
+    this.setupEventListeners();
+    Utils.log('info', 'Date panel initialized');
+  }
+  
+  /**
+   * Setup event listeners for the pickers, the unit, the holiday form and list
+   */
+  setupEventListeners() {
+    [['start', this.startInput], ['end', this.endInput]].forEach(([field, input]) => {
+      input.addEventListener('change', () => {
+        if (this.handlers.onPick) {
+          this.handlers.onPick(field, input.value);
+        }
+      });
+    });
+    
+    this.unitSelect.addEventListener('change', () => {
+      if (this.handlers.onChange) {
+        this.handlers.onChange({ unit: this.unitSelect.value });
+      }
+    });
+    
+    if (this.formElement) {
+      this.formElement.addEventListener('submit', (event) => {
+        event.preventDefault();
+        
+        const dateInput = this.formElement.querySelector('.holiday-date');
+        const nameInput = this.formElement.querySelector('.holiday-name');
+        if (this.handlers.onAddHoliday && this.handlers.onAddHoliday(dateInput.value, nameInput ? nameInput.value : '')) {
+          dateInput.value = '';
+          if (nameInput) {
+            nameInput.value = '';
+          }
+          dateInput.focus();
+        }
+      });
+    }
+    
+    if (this.holidaysElement) {
+      this.holidaysElement.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-date-action="remove"]');
+        const item = button ? button.closest('[data-holiday-date]') : null;
+        if (item && this.handlers.onRemoveHoliday) {
+          this.handlers.onRemoveHoliday(item.dataset.holidayDate);
+        }
+      });
+    }
+  }
+  
+  /**
+   * Show the picked days and duration unit
+   * @param {Object} dates - { start, end, unit }
+   */
+  setSelection(dates) {
+    this.startInput.value = dates.start;
+    this.endInput.value = dates.end;
+    this.unitSelect.value = dates.unit;
+    
+    // Only durations of a fixed length convert, and not into their own unit
+    this.conversionButtons.forEach(button => {
+      const to = button.dataset.durationTo;
+      button.disabled = !Calendar.CONVERTIBLE.includes(dates.unit) || to === dates.unit;
+    });
+  }
+  
+  /**
+   * Show the picked days, the difference between them and the holidays;
+   * the holiday list is only rebuilt when it or the number format changes
+   * @param {Object} state - From CalculatorEngine#getDateState
+   */
+  render(state) {
+    if (!state) return;
+    
+    this.setSelection(state);
+    
+    if (this.summaryElement) {
+      const { value, detail } = state.difference;
+      this.summaryElement.textContent = `Between: ${detail || Calendar.describeDuration(value, state.unit)}`;
+    }
+    
+    const holidaysKey = `${Utils.locale}|${JSON.stringify(state.holidays)}`;
+    if (this.holidaysElement && holidaysKey !== this.holidaysKey) {
+      this.holidaysKey = holidaysKey;
+      this.renderHolidays(state.holidays);
+    }
+  }
+  
+  /**
+   * List the holidays in date order
+   * @param {Array<Object>} holidays - { date, name } from Calendar
+   */
+  renderHolidays(holidays) {
+    this.holidaysElement.textContent = '';
+    
+    if (holidays.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'holiday-empty';
+      empty.textContent = 'No holidays: business days are Monday to Friday';
+      this.holidaysElement.appendChild(empty);
+      return;
+    }
+    
+    holidays.forEach(holiday => {
+      const formatted = Calendar.format(holiday.date);
+      
+      const item = document.createElement('li');
+      item.className = 'holiday';
+      item.dataset.holidayDate = holiday.date;
+      
+      const date = document.createElement('span');
+      date.className = 'holiday-day';
+      date.textContent = formatted;
+      
+      const name = document.createElement('span');
+      name.className = 'holiday-label';
+      name.textContent = holiday.name;
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'holiday-delete';
+      deleteButton.dataset.dateAction = 'remove';
+      deleteButton.textContent = '×';
+      deleteButton.setAttribute('aria-label', `Delete holiday ${formatted}${holiday.name ? `, ${holiday.name}` : ''}`);
+      
+      item.append(date, name, deleteButton);
+      this.holidaysElement.appendChild(item);
+    });
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DatePanel;
+} else if (typeof window !== 'undefined') {
+  window.DatePanel = DatePanel;
+}
@@ -0,0 +1,313 @@
+/**
+ * TallyUp Calculator - Decimal Arithmetic Module
+ * Exact base-10 arithmetic so money sums never pick up binary float artefacts
+ */
+
+'use strict';
+
+/**
+ * Immutable arbitrary-precision decimal number
+ *
+ * A value is stored as an integer coefficient (BigInt) and a scale, meaning
+ * coefficient × 10^-scale. Addition, subtraction and multiplication are exact;
+ * division and rounding use the configured precision and rounding mode.
+ */
+class Decimal {
+  /**
+   * @param {bigint} coefficient - Unscaled integer value
+   * @param {number} scale - Number of digits after the decimal point
+   */
+  constructor(coefficient, scale = 0) {
+    // Normalize: strip trailing zeros so equal values share one representation
+    while (scale > 0 && coefficient !== 0n && coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      scale--;
+    }
+    
+    this.coefficient = coefficient;
+    this.scale = coefficient === 0n ? 0 : scale;
+    Object.freeze(this);
+  }
+  
+  /**
+   * Create a Decimal from a number, numeric string or Decimal
+   * Numbers use their shortest round-trip representation, so 0.1 is exactly 0.1
+   * @param {number|string|Decimal} value - Value to convert
+   * @returns {Decimal} Decimal value
+   * @throws {RangeError} If the value is not a finite number
+   */
+  static from(value) {
+    if (value instanceof Decimal) {
+      return value;
+    }
+    
+    if (typeof value === 'number' && !isFinite(value)) {
+      throw new RangeError(`Cannot represent ${value} as a decimal`);
+    }
+    
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+    if (!match || (match[2] === '' && !match[3])) {
+      throw new RangeError(`Invalid decimal value "${value}"`);
+    }
+    
+    const [, sign, integerDigits, fractionDigits = '', exponent = '0'] = match;
+    let coefficient = BigInt(`${integerDigits}${fractionDigits}` || '0');
+    let scale = fractionDigits.length - parseInt(exponent, 10);
+    
+    if (scale < 0) {
+      coefficient *= 10n ** BigInt(-scale);
+      scale = 0;
+    }
+    
+    return new Decimal(sign === '-' ? -coefficient : coefficient, scale);
+  }
+  
+  /**
+   * Set the default precision and rounding mode
+   * @param {Object} options - Settings to change
+   * @param {number} options.precision - Decimal places kept by division
+   * @param {string} options.rounding - One of Decimal.ROUNDING_MODES
+   */
+  static configure(options = {}) {
+    if (options.precision !== undefined) {
+      if (!Number.isInteger(options.precision) || options.precision < 0) {
+        throw new RangeError(`Invalid precision "${options.precision}"`);
+      }
+      Decimal.config.precision = options.precision;
+    }
+    
+    if (options.rounding !== undefined) {
+      if (!Decimal.ROUNDING_MODES.includes(options.rounding)) {
+        throw new RangeError(`Unknown rounding mode "${options.rounding}"`);
+      }
+      Decimal.config.rounding = options.rounding;
+    }
+  }
+  
+  /**
+   * Round a truncated integer quotient using its remainder
+   * @param {bigint} quotient - Quotient truncated toward zero
+   * @param {bigint} remainder - Remainder of the division
+   * @param {bigint} divisor - Divisor of the division
+   * @param {boolean} negative - Whether the exact result is negative
+   * @param {string} rounding - Rounding mode
+   * @returns {bigint} Rounded quotient
+   */
+  static roundQuotient(quotient, remainder, divisor, negative, rounding) {
+    if (remainder === 0n || rounding === 'truncate') {
+      return quotient;
+    }
+    
+    const twiceRemainder = 2n * (remainder < 0n ? -remainder : remainder);
+    const absDivisor = divisor < 0n ? -divisor : divisor;
+    const isTie = twiceRemainder === absDivisor;
+    let roundAway = twiceRemainder > absDivisor;
+    
+    if (isTie) {
+      roundAway = rounding === 'half-up' || (quotient % 2n !== 0n);
+    }
+    
+    if (!roundAway) {
+      return quotient;
+    }
+    return negative ? quotient - 1n : quotient + 1n;
+  }
+  
+  /**
+   * Rescale coefficients of two decimals to a common scale
+   * @param {Decimal} a - First value
+   * @param {Decimal} b - Second value
+   * @returns {Array} [coefficientA, coefficientB, scale]
+   */
+  static align(a, b) {
+    const scale = Math.max(a.scale, b.scale);
+    return [
+      a.coefficient * 10n ** BigInt(scale - a.scale),
+      b.coefficient * 10n ** BigInt(scale - b.scale),
+      scale
+    ];
+  }
+  
+  /**
+   * Addition
+   * @param {number|string|Decimal} other - Value to add
+   * @returns {Decimal} Exact sum
+   */
+  plus(other) {
+    const [a, b, scale] = Decimal.align(this, Decimal.from(other));
+    return new Decimal(a + b, scale);
+  }
+  
+  /**
+   * Subtraction
+   * @param {number|string|Decimal} other - Value to subtract
+   * @returns {Decimal} Exact difference
+   */
+  minus(other) {
+    const [a, b, scale] = Decimal.align(this, Decimal.from(other));
+    return new Decimal(a - b, scale);
+  }
+  
+  /**
+   * Multiplication
+   * @param {number|string|Decimal} other - Value to multiply by
+   * @returns {Decimal} Exact product
+   */
+  times(other) {
+    const value = Decimal.from(other);
+    return new Decimal(this.coefficient * value.coefficient, this.scale + value.scale);
+  }
+  
+  /**
+   * Division
+   * @param {number|string|Decimal} other - Divisor
+   * @param {number} precision - Decimal places to keep
+   * @param {string} rounding - Rounding mode
+   * @returns {Decimal} Rounded quotient
+   * @throws {RangeError} On division by zero
+   */
+  dividedBy(other, precision = Decimal.config.precision, rounding = Decimal.config.rounding) {
+    const value = Decimal.from(other);
+    if (value.isZero()) {
+      throw new RangeError('Division by zero');
+    }
+    
+    // (a / 10^sa) / (b / 10^sb) at `precision` places = a × 10^(sb + precision) / (b × 10^sa)
+    const numerator = this.coefficient * 10n ** BigInt(value.scale + precision);
+    const denominator = value.coefficient * 10n ** BigInt(this.scale);
+    const negative = (numerator < 0n) !== (denominator < 0n);
+    const quotient = Decimal.roundQuotient(
+      numerator / denominator,
+      numerator % denominator,
+      denominator,
+      negative,
+      rounding
+    );
+    
+    return new Decimal(quotient, precision);
+  }
+  
+  /**
+   * Round to a number of decimal places
+   * @param {number} places - Decimal places to keep
+   * @param {string} rounding - Rounding mode
+   * @returns {Decimal} Rounded value
+   */
+  round(places = 0, rounding = Decimal.config.rounding) {
+    if (this.scale <= places) {
+      return this;
+    }
+    
+    const divisor = 10n ** BigInt(this.scale - places);
+    const quotient = Decimal.roundQuotient(
+      this.coefficient / divisor,
+      this.coefficient % divisor,
+      divisor,
+      this.coefficient < 0n,
+      rounding
+    );
+    
+    return new Decimal(quotient, places);
+  }
+  
+  /**
+   * Negation
+   * @returns {Decimal} Negated value
+   */
+  negate() {
+    return new Decimal(-this.coefficient, this.scale);
+  }
+  
+  /**
+   * Absolute value
+   * @returns {Decimal} Absolute value
+   */
+  abs() {
+    return this.coefficient < 0n ? this.negate() : this;
+  }
+  
+  /**
+   * Compare with another value
+   * @param {number|string|Decimal} other - Value to compare with
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    const [a, b] = Decimal.align(this, Decimal.from(other));
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  }
+  
+  /**
+   * Check for zero
+   * @returns {boolean} True if zero
+   */
+  isZero() {
+    return this.coefficient === 0n;
+  }
+  
+  /**
+   * Check for a negative value
+   * @returns {boolean} True if less than zero
+   */
+  isNegative() {
+    return this.coefficient < 0n;
+  }
+  
+  /**
+   * Format with a fixed number of decimal places
+   * @param {number} places - Decimal places
+   * @param {string} rounding - Rounding mode
+   * @returns {string} Plain decimal string (e.g. "1234.50")
+   */
+  toFixed(places, rounding = Decimal.config.rounding) {
+    const rounded = this.round(places, rounding);
+    const padding = places - rounded.scale;
+    const text = rounded.toString();
+    
+    if (places === 0 || padding === 0) {
+      return text;
+    }
+    return `${text}${rounded.scale === 0 ? '.' : ''}${'0'.repeat(padding)}`;
+  }
+  
+  /**
+   * Plain decimal string, never in exponential notation
+   * @returns {string} Decimal string (e.g. "-0.0125")
+   */
+  toString() {
+    const negative = this.coefficient < 0n;
+    let digits = (negative ? -this.coefficient : this.coefficient).toString();
+    
+    if (this.scale > 0) {
+      digits = digits.padStart(this.scale + 1, '0');
+      digits = `${digits.slice(0, -this.scale)}.${digits.slice(-this.scale)}`;
+    }
+    
+    return negative ? `-${digits}` : digits;
+  }
+  
+  /**
+   * Nearest JavaScript number
+   * @returns {number} Number value
+   */
+  toNumber() {
+    return Number(this.toString());
+  }
+}
+
+// Supported rounding modes: half-up rounds ties away from zero,
+// half-even rounds ties to the even neighbour, truncate drops extra digits
+Decimal.ROUNDING_MODES = ['half-up', 'half-even', 'truncate'];
+
+// Default settings: division keeps 20 places, ties round away from zero
+Decimal.config = {
+  precision: 20,
+  rounding: 'half-up'
+};
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Decimal;
+} else if (typeof window !== 'undefined') {
+  window.Decimal = Decimal;
+}
@@ -7,21 +7,30 @@
 
 /**
  * Display management class for calculator interface
+ * Renders the state kept by CalculatorEngine and shows visual feedback
  */
 class Display {
   constructor() {
     this.displayInput = document.getElementById('calculator-display');
     this.expressionDiv = document.querySelector('.expression');
     this.displayContainer = document.querySelector('.display');
+    this.memoryIndicator = document.querySelector('.memory-indicator');
+    this.angleIndicator = document.querySelector('.angle-indicator');
+    this.formatIndicator = document.querySelector('.format-indicator');
+    this.ratesIndicator = document.querySelector('.rates-indicator');
+    this.messageElement = document.querySelector('.display-message');
+    this.alertElement = document.querySelector('.display-alert');
     
     if (!this.displayInput || !this.expressionDiv) {
       throw new Error('Required display elements not found');
     }
     
-    this.currentValue = '0';
     this.expression = '';
     this.isError = false;
     
+    // Error last announced ({ error, message } from the engine), so it is read out once
+    this.error = null;
+    
     this.init();
   }
   
@@ -35,37 +44,50 @@ class Display {
   }
   
   /**
-   * Update the main display value
-   * @param {string} value - Value to display
+   * Render the engine's display state
+   * @param {Object} view - State from CalculatorEngine#getDisplayState
    */
-  updateDisplay(value) {
-    if (!value && value !== '0') {
-      value = '0';
-    }
+  render(view) {
+    this.updateDisplay(view.text, view.isError);
+    this.announceError(view.error || null);
     
-    this.currentValue = value.toString();
-    
-    // Handle error states
-    if (this.currentValue === 'Error' || this.currentValue === 'Infinity' || this.currentValue === '-Infinity') {
-      this.setErrorState(true);
-    } else {
-      this.setErrorState(false);
+    if (view.expression !== this.expression) {
+      this.updateExpression(view.expression);
     }
-    
-    // Format for display
-    let displayValue = this.currentValue;
-    
-    // Limit display length to prevent overflow
-    if (displayValue.length > 15 && !displayValue.includes('e')) {
-      displayValue = parseFloat(displayValue).toExponential(6);
+  }
+  
+  /**
+   * Update the main display value
+   * @param {string} value - Text to display
+   * @param {boolean} isError - Whether the value is an error
+   */
+  updateDisplay(value, isError = false) {
+    if (this.displayInput.value !== value) {
+      Utils.log('info', `Display updated: ${value}`);
     }
     
-    this.displayInput.value = displayValue;
+    this.displayInput.value = value;
+    this.setErrorState(isError);
     
     // Update ARIA label for accessibility
-    this.displayInput.setAttribute('aria-label', `Calculator result: ${displayValue}`);
-    
-    Utils.log('info', `Display updated: ${displayValue}`);
+    this.displayInput.setAttribute('aria-label', isError ? `Error: ${value}` : `Calculator result: ${value}`);
+  }
+  
+  /**
+   * Announce a new error to screen readers; the alert is emptied once the
+   * error is gone
+   * @param {Object|null} error - { error, message } from CalculatorEngine#getDisplayState
+   */
+  announceError(error) {
+    const previous = this.error;
+    this.error = error;
+    if (!this.alertElement) return;
+    
+    if (!error) {
+      this.alertElement.textContent = '';
+    } else if (!previous || previous.error !== error.error || previous.message !== error.message) {
+      this.alertElement.textContent = `Error: ${error.message}`;
+    }
   }
   
   /**
@@ -83,96 +105,97 @@ class Display {
   }
   
   /**
-   * Append to current display value
-   * @param {string} digit - Digit to append
+   * Update the memory indicator
+   * @param {Array<string>} labels - Labels of memory slots holding a value (e.g. ['M', 'M3'])
    */
-  appendDigit(digit) {
-    if (this.isError) {
-      this.clearError();
-      this.currentValue = '0';
-    }
-    
-    // Handle initial zero or replace if current value is zero
-    if (this.currentValue === '0' && digit !== '.') {
-      this.currentValue = digit;
-    } else {
-      // Prevent multiple decimal points
-      if (digit === '.' && this.currentValue.includes('.')) {
-        return;
-      }
-      
-      // Limit input length
-      if (this.currentValue.length >= 15) {
-        this.showFeedback('flash');
-        return;
-      }
-      
-      this.currentValue += digit;
-    }
+  updateMemoryIndicator(labels = []) {
+    if (!this.memoryIndicator) return;
     
-    this.updateDisplay(this.currentValue);
+    this.memoryIndicator.textContent = labels.join(' ');
+    this.memoryIndicator.setAttribute('aria-label',
+      labels.length ? `Memory in use: ${labels.join(', ')}` : 'Memory empty'
+    );
   }
   
   /**
-   * Get current display value as number
-   * @returns {number} Current display value
+   * Update the angle unit indicator
+   * @param {string} label - Indicator text (e.g. DEG), or empty to hide it
    */
-  getCurrentValue() {
-    if (this.isError) {
-      return 0;
-    }
-    return Utils.toNumber(this.currentValue);
+  updateAngleIndicator(label = '') {
+    if (!this.angleIndicator) return;
+    
+    this.angleIndicator.textContent = label;
+    this.angleIndicator.setAttribute('aria-label', label ? `Angle unit: ${label}` : '');
   }
   
   /**
-   * Set error state
-   * @param {boolean} isError - Whether display is in error state
+   * Update the fraction or complex format indicator, which also switches the format when pressed
+   * @param {string} label - Indicator text (e.g. a b/c), or empty to hide it
+   * @param {string} description - Spoken name of the format (e.g. Mixed number)
    */
-  setErrorState(isError) {
-    this.isError = isError;
+  updateFormatIndicator(label = '', description = label) {
+    if (!this.formatIndicator) return;
     
-    if (isError) {
-      Utils.addClass(this.displayContainer, 'error');
-    } else {
-      Utils.removeClass(this.displayContainer, 'error');
-    }
+    this.formatIndicator.hidden = !label;
+    this.formatIndicator.textContent = label;
+    this.formatIndicator.setAttribute('aria-label', label ? `Display format: ${description}, press to change` : '');
   }
   
   /**
-   * Clear error state
+   * Update the exchange rate date indicator
+   * @param {string|null} asOf - Date of the rates (YYYY-MM-DD), null for an undated table, or empty to hide it
    */
-  clearError() {
-    this.setErrorState(false);
+  updateRatesIndicator(asOf = '') {
+    if (!this.ratesIndicator) return;
+    
+    if (asOf === null) {
+      this.ratesIndicator.textContent = 'Rates undated';
+      this.ratesIndicator.setAttribute('aria-label', 'Exchange rates of unknown date');
+      return;
+    }
+    
+    const date = asOf ? new Date(`${asOf}T00:00:00`) : null;
+    const label = date && !isNaN(date.getTime()) ? date.toLocaleDateString(Utils.locale || []) : asOf;
+    
+    this.ratesIndicator.textContent = label ? `Rates as of ${label}` : '';
+    this.ratesIndicator.setAttribute('aria-label', label ? `Exchange rates as of ${label}` : '');
   }
   
   /**
-   * Clear display completely
+   * Show a short status message (e.g. "Copied") above the result
+   * @param {string} message - Message text
+   * @param {boolean} isError - Style as an error
+   * @param {number} duration - Time in ms before the message clears
    */
-  clear() {
-    this.currentValue = '0';
-    this.expression = '';
-    this.setErrorState(false);
-    this.updateDisplay('0');
-    this.updateExpression('');
-    Utils.log('info', 'Display cleared');
+  showMessage(message, isError = false, duration = 2500) {
+    if (!this.messageElement) return;
+    
+    clearTimeout(this.messageTimeout);
+    this.messageElement.textContent = message;
+    this.messageElement.classList.toggle('error', isError);
+    
+    if (isError) {
+      this.showFeedback('shake');
+    }
+    
+    this.messageTimeout = setTimeout(() => {
+      this.messageElement.textContent = '';
+      this.messageElement.classList.remove('error');
+    }, duration);
   }
   
   /**
-   * Delete last digit from display
+   * Set error state
+   * @param {boolean} isError - Whether display is in error state
    */
-  deleteLast() {
-    if (this.isError) {
-      this.clear();
-      return;
-    }
+  setErrorState(isError) {
+    this.isError = isError;
     
-    if (this.currentValue.length > 1) {
-      this.currentValue = this.currentValue.slice(0, -1);
+    if (isError) {
+      Utils.addClass(this.displayContainer, 'error');
     } else {
-      this.currentValue = '0';
+      Utils.removeClass(this.displayContainer, 'error');
     }
-    
-    this.updateDisplay(this.currentValue);
   }
   
   /**
@@ -192,54 +215,6 @@ class Display {
         break;
     }
   }
-  
-  /**
-   * Set display to show result
-   * @param {any} result - Calculation result
-   * @param {string} operation - Operation that produced the result
-   */
-  showResult(result, operation = '') {
-    if (Operations.isValidResult(result)) {
-      if (typeof result === 'number') {
-        this.updateDisplay(Utils.formatNumber(result));
-      } else {
-        this.updateDisplay(result);
-      }
-    } else {
-      this.updateDisplay('Error');
-      this.showFeedback('shake');
-    }
-    
-    if (operation) {
-      this.updateExpression(operation + ' =');
-    }
-  }
-  
-  /**
-   * Check if display is showing zero
-   * @returns {boolean} True if showing zero
-   */
-  isShowingZero() {
-    return this.currentValue === '0';
-  }
-  
-  /**
-   * Check if display has decimal point
-   * @returns {boolean} True if has decimal
-   */
-  hasDecimal() {
-    return this.currentValue.includes('.');
-  }
-  
-  /**
-   * Format display for percentage
-   */
-  showAsPercentage() {
-    const value = this.getCurrentValue();
-    const percentage = Operations.percentage(value);
-    this.updateDisplay(Utils.formatNumber(percentage));
-    this.updateExpression(`${Utils.formatNumber(value)}%`);
-  }
 }
 
 // Export for module systems or attach to window for global access
@@ -0,0 +1,4507 @@
+/**
+ * TallyUp Calculator - Calculator Engine Module
+ * DOM-free state machine behind the calculator, usable in the browser and in Node
+ */
+
+'use strict';
+
+// Node has no shared script scope, so expose the modules the engine
+// builds on as globals, the way the browser's <script> tags do
+if (typeof module !== 'undefined' && module.exports && typeof window === 'undefined') {
+  Object.assign(globalThis, {
+    Decimal: require('./decimal.js'),
+    Utils: require('./utils.js'),
+    Expression: require('./expression.js'),
+    Units: require('./units.js'),
+    CurrencyRates: require('./rates.js'),
+    Ledger: require('./ledger.js'),
+    Rational: require('./rational.js'),
+    Complex: require('./complex.js'),
+    Dataset: require('./dataset.js'),
+    Finance: require('./finance.js'),
+    Calendar: require('./calendar.js'),
+    ...require('./operations.js')
+  });
+}
+
+/**
+ * Calculator engine: takes key or button inputs and keeps the calculation
+ * state and display text. It never touches the DOM; the browser UI
+ * (Calculator and Display) renders its state after every input.
+ *
+ * Inputs are plain objects shaped like a button's data attributes:
+ *   { number: '7' }, { operator: '×' }, { action: 'calculate' },
+ *   { function: 'sqrt' }, { constant: 'pi' }, { variable: 'Ans' }
+ *
+ * @example
+ * const engine = new CalculatorEngine();
+ * engine.pressKeys('12.5*4+3=');
+ * engine.getDisplayText(); // "53"
+ */
+class CalculatorEngine {
+  /**
+   * @param {Object} options - Engine settings
+   * @param {MemoryOperations} options.memory - Memory and history store (default: a new one)
+   * @param {string} options.inputMode - "expression" (default) or "simple"
+   * @param {string} options.keypadMode - One of CalculatorEngine.KEYPAD_MODES
+   * @param {string} options.angleMode - One of CalculatorEngine.ANGLE_MODES
+   * @param {Object} options.conversion - Converter units { category, from, to }
+   * @param {CurrencyRates} options.rates - Exchange rate table (default: the saved one)
+   * @param {Object} options.currencyPair - Currencies to convert between { from, to }
+   * @param {Object} options.programmer - Programmer keypad settings { base, wordSize, signed }
+   * @param {Object} options.fraction - Fraction keypad settings { format, maxDenominator }
+   * @param {string} options.complexFormat - How the complex keypad shows values, one of CalculatorEngine.COMPLEX_FORMATS
+   * @param {Ledger} options.ledger - Adding-machine tape (default: the saved one)
+   * @param {Dataset} options.dataset - Statistics data points (default: the saved ones)
+   * @param {Finance} options.finance - Financial registers and cash flows (default: the saved ones)
+   * @param {Calendar} options.calendar - Holidays left out of business days (default: the saved ones)
+   * @param {Object} options.dates - Date keypad settings { start, end, unit }
+   * @param {Object} options.handlers - Callbacks for side effects
+   * @param {Function} options.handlers.onFeedback - Called with "flash" or "shake" for rejected input
+   * @param {Function} options.handlers.onHistory - Called with each new history entry
+   * @param {Function} options.handlers.onSettingChange - Called with (name, value) when a mode changes
+   */
+  constructor(options = {}) {
+    this.memory = options.memory || new MemoryOperations();
+    this.handlers = options.handlers || {};
+    
+    // Calculator state
+    this.state = {
+      previousValue: null,
+      currentOperator: null,
+      waitingForOperand: false,
+      lastOperation: null,
+      justCalculated: false,
+      // Simple mode: percentage typed for the entry, which shows the amount it stands for
+      percentEntry: null,
+      // Tape mode: the display shows a total from the tape rather than an entry
+      tapeTotalShown: false,
+      // Statistics mode: x of a pair waiting for its y value
+      dataX: null,
+      // Finance mode: CPT was pressed, so the next register key solves that register
+      computePending: false,
+      // Date mode: the day shown instead of a number (YYYY-MM-DD), or null
+      dateShown: null,
+      // Expression mode: tokens entered so far and unclosed parentheses
+      tokens: [],
+      openParens: 0
+    };
+    
+    // Display state: the entry text, the full-precision number behind a
+    // formatted result (null while typing), the expression line and the
+    // CalculationError shown in place of a result
+    this.display = {
+      value: '0',
+      exactValue: null,
+      expression: '',
+      isError: false,
+      error: null
+    };
+    
+    // "expression" evaluates with precedence; "simple" evaluates left to right
+    this.inputMode = options.inputMode === 'simple' ? 'simple' : 'expression';
+    
+    // Keypad layout (decides which keys are live) and angle unit for trigonometric functions
+    this.keypadMode = CalculatorEngine.KEYPAD_MODES.includes(options.keypadMode) ? options.keypadMode : 'standard';
+    this.angleMode = CalculatorEngine.ANGLE_MODES.includes(options.angleMode) ? options.angleMode : 'deg';
+    
+    // Units the converter keypad converts between
+    this.conversion = Units.normalizeSelection(options.conversion || {});
+    
+    // Exchange rates and the pair the currency keypad converts between
+    this.rates = options.rates || new CurrencyRates();
+    this.currencyPair = this.rates.normalizePair(options.currencyPair || {});
+    
+    // Programmer keypad: input base, word size and signedness, and its own
+    // integer calculation on exact BigInts
+    this.programmer = ProgrammerOperations.normalizeSettings(options.programmer || {});
+    this.resetInteger();
+    
+    // Fraction keypad: display format and the largest denominator a decimal
+    // becomes, and its own calculation on exact fractions
+    this.fraction = CalculatorEngine.normalizeFraction(options.fraction || {});
+    this.resetRational();
+    
+    // Complex keypad: rectangular or polar display, and its own calculation
+    // on complex numbers (all three follow the input mode; see inputTypedOperator)
+    this.complexFormat = CalculatorEngine.COMPLEX_FORMATS.includes(options.complexFormat) ? options.complexFormat : 'rectangular';
+    this.resetComplex();
+    
+    // Adding-machine tape: + and − print entries, ◇ and * print totals
+    this.ledger = options.ledger || new Ledger();
+    
+    // Statistics data: Σ+ and Σ− add and remove points, results go to the display
+    this.dataset = options.dataset || new Dataset();
+    
+    // Financial registers: N, I/Y, PV, PMT and FV store the displayed value,
+    // or solve for it after CPT; cash flows feed NPV and IRR
+    this.finance = options.finance || new Finance();
+    
+    // Date keypad: the days picked as start and end and the unit of
+    // durations; the calendar keeps the holidays business days skip
+    this.calendar = options.calendar || new Calendar();
+    this.dates = Calendar.normalizeSettings(options.dates);
+    
+    // Undo and redo: snapshots taken before each change, most recent last
+    this.undoStack = { past: [], future: [], recording: false };
+  }
+  
+  /**
+   * Run an input; { action: 'undo' } and { action: 'redo' } step through
+   * the changes made by earlier inputs
+   * @param {Object} input - Input object (e.g. { number: '7' } or a button's dataset)
+   */
+  press(input) {
+    if (input.action === 'undo') {
+      this.undo();
+    } else if (input.action === 'redo') {
+      this.redo();
+    } else {
+      this.recordUndo(() => this.runInput(input));
+    }
+  }
+  
+  /**
+   * Run an input that is not undo or redo
+   * @param {Object} input - Input object
+   */
+  runInput(input) {
+    if (this.keypadMode === 'programmer') {
+      this.pressInteger(input);
+      return;
+    }
+    
+    if (this.keypadMode === 'fraction') {
+      this.pressRational(input);
+      return;
+    }
+    
+    if (this.keypadMode === 'complex') {
+      this.pressComplex(input);
+      return;
+    }
+    
+    if (this.keypadMode === 'tape' && this.pressTape(input)) {
+      return;
+    }
+    
+    if (this.keypadMode === 'statistics' && this.pressStatistics(input)) {
+      return;
+    }
+    
+    if (this.keypadMode === 'finance' && this.pressFinance(input)) {
+      return;
+    }
+    
+    if (this.keypadMode === 'date' && this.pressDate(input)) {
+      return;
+    }
+    
+    if (input.number !== undefined) {
+      this.inputNumber(input.number);
+    } else if (input.operator) {
+      this.inputOperator(input.operator);
+    } else if (input.action) {
+      this.performAction(input.action);
+    } else if (input.function) {
+      this.applyFunction(input.function);
+    } else if (input.constant) {
+      this.inputConstant(input.constant);
+    } else if (input.variable) {
+      this.inputVariable(input.variable);
+    }
+  }
+  
+  /**
+   * Run a change so that it can be undone: the calculation is saved first,
+   * and kept on the undo stack if the display, memory, the tape or the data changed. Calls
+   * made while a change is already being recorded join that change.
+   * @param {Function} callback - Function that updates the engine
+   * @returns {any} The callback's return value
+   */
+  recordUndo(callback) {
+    if (this.undoStack.recording) {
+      return callback();
+    }
+    
+    const before = this.takeSnapshot();
+    const key = this.getUndoKey();
+    this.undoStack.recording = true;
+    
+    try {
+      return callback();
+    } finally {
+      this.undoStack.recording = false;
+      
+      if (this.getUndoKey() !== key) {
+        this.undoStack.past.push(before);
+        if (this.undoStack.past.length > CalculatorEngine.UNDO_DEPTH) {
+          this.undoStack.past.shift();
+        }
+        this.undoStack.future = [];
+      }
+    }
+  }
+  
+  /**
+   * Go back to the calculation before the last change
+   */
+  undo() {
+    if (this.undoStack.past.length === 0) {
+      this.feedback('shake');
+      return;
+    }
+    
+    this.undoStack.future.push(this.takeSnapshot());
+    this.restoreSnapshot(this.undoStack.past.pop());
+  }
+  
+  /**
+   * Apply the last undone change again
+   */
+  redo() {
+    if (this.undoStack.future.length === 0) {
+      this.feedback('shake');
+      return;
+    }
+    
+    this.undoStack.past.push(this.takeSnapshot());
+    this.restoreSnapshot(this.undoStack.future.pop());
+  }
+  
+  /**
+   * Forget every undo and redo step; snapshots do not carry across
+   * input modes, keypad layouts, programmer settings or locales
+   */
+  clearUndo() {
+    this.undoStack.past = [];
+    this.undoStack.future = [];
+  }
+  
+  /**
+   * Copy everything undo puts back: calculation state, display, the
+   * programmer, fraction and complex keypads' calculations, the memory
+   * registers, the tape rows, the statistics data, the financial registers
+   * and the holidays
+   * @returns {Object} Snapshot for restoreSnapshot
+   */
+  takeSnapshot() {
+    return CalculatorEngine.copy({
+      state: this.state,
+      display: this.display,
+      integer: this.integer,
+      rational: this.rational,
+      complex: this.complex,
+      memory: this.memory.getRegisters(),
+      tape: this.ledger.rows,
+      data: this.dataset.rows,
+      finance: this.finance.getData(),
+      holidays: this.calendar.holidays
+    });
+  }
+  
+  /**
+   * Put back a snapshot taken by takeSnapshot
+   * @param {Object} snapshot - Snapshot, no longer used by the caller
+   */
+  restoreSnapshot(snapshot) {
+    this.state = snapshot.state;
+    this.display = snapshot.display;
+    this.integer = snapshot.integer;
+    this.rational = snapshot.rational;
+    this.complex = snapshot.complex;
+    
+    // Registers may hold Decimals, which JSON cannot write
+    if (snapshot.memory.join() !== this.memory.getRegisters().join()) {
+      this.memory.restoreRegisters(snapshot.memory);
+    }
+    if (JSON.stringify(snapshot.tape) !== JSON.stringify(this.ledger.rows)) {
+      this.ledger.restoreRows(snapshot.tape);
+    }
+    if (JSON.stringify(snapshot.data) !== JSON.stringify(this.dataset.rows)) {
+      this.dataset.restoreRows(snapshot.data);
+    }
+    if (JSON.stringify(snapshot.finance) !== JSON.stringify(this.finance.getData())) {
+      this.finance.restoreData(snapshot.finance);
+    }
+    if (JSON.stringify(snapshot.holidays) !== JSON.stringify(this.calendar.holidays)) {
+      this.calendar.restoreHolidays(snapshot.holidays);
+    }
+  }
+  
+  /**
+   * Describe what the user sees, to tell whether an input changed anything;
+   * fractions are described as improper fractions and complex numbers in
+   * rectangular form, so switching their display format is not a change
+   * @returns {string} Display text, expression line, operator, memory, tape rows, data points, financial registers and holidays
+   */
+  getUndoKey() {
+    const format = CalculatorEngine.UNDO_FORMATS[this.keypadMode] || null;
+    
+    return JSON.stringify([
+      this.getDisplayText(format),
+      this.getExpressionLine(format),
+      this.getActiveOperator(),
+      this.memory.getRegisters().map(String),
+      this.ledger.rows,
+      this.dataset.rows,
+      this.finance.getData(),
+      this.calendar.holidays
+    ]);
+  }
+  
+  
+  /**
+   * Find the input a keyboard key stands for
+   * @param {string} key - Key name as in KeyboardEvent.key (e.g. "7", "*", "Enter")
+   * @returns {Object|null} Input object, or null if the key does nothing
+   */
+  inputForKey(key) {
+    // The locale's decimal separator (e.g. "," in de-DE) types a decimal point, as does "."
+    if (key === Utils.getSeparators().decimal) {
+      key = '.';
+    }
+    
+    if (/^[0-9]$/.test(key)) {
+      return { number: key };
+    }
+    
+    // Hex digits and bitwise operators, only live in programmer mode
+    if (this.keypadMode === 'programmer') {
+      if (/^[a-f]$/i.test(key)) {
+        return { number: key.toUpperCase() };
+      }
+      if (CalculatorEngine.PROGRAMMER_KEYS[key]) {
+        return CalculatorEngine.PROGRAMMER_KEYS[key];
+      }
+    }
+    
+    if (this.keypadMode === 'fraction' && CalculatorEngine.FRACTION_KEYS[key]) {
+      return CalculatorEngine.FRACTION_KEYS[key];
+    }
+    
+    if (this.keypadMode === 'complex' && CalculatorEngine.COMPLEX_KEYS[key]) {
+      return CalculatorEngine.COMPLEX_KEYS[key];
+    }
+    
+    // Scientific keys are plain letters and symbols, only live in scientific mode
+    if (this.keypadMode === 'scientific' && CalculatorEngine.SCIENTIFIC_KEYS[key]) {
+      return CalculatorEngine.SCIENTIFIC_KEYS[key];
+    }
+    
+    if ((this.keypadMode === 'converter' || this.keypadMode === 'currency') && CalculatorEngine.CONVERTER_KEYS[key]) {
+      return CalculatorEngine.CONVERTER_KEYS[key];
+    }
+    
+    // On the tape * is the total key, as on an adding machine
+    if (this.keypadMode === 'tape' && CalculatorEngine.TAPE_KEYS[key]) {
+      return CalculatorEngine.TAPE_KEYS[key];
+    }
+    
+    if (this.keypadMode === 'statistics' && CalculatorEngine.STATISTICS_KEYS[key]) {
+      return CalculatorEngine.STATISTICS_KEYS[key];
+    }
+    
+    if (this.keypadMode === 'finance' && CalculatorEngine.FINANCE_KEYS[key]) {
+      return CalculatorEngine.FINANCE_KEYS[key];
+    }
+    
+    if (this.keypadMode === 'date' && CalculatorEngine.DATE_KEYS[key]) {
+      return CalculatorEngine.DATE_KEYS[key];
+    }
+    
+    return CalculatorEngine.KEYS[key] || null;
+  }
+  
+  /**
+   * Run the input for a keyboard key
+   * @param {string} key - Key name as in KeyboardEvent.key
+   * @returns {boolean} True if the key was handled
+   */
+  pressKey(key) {
+    const input = this.inputForKey(key);
+    if (!input) return false;
+    
+    this.press(input);
+    return true;
+  }
+  
+  /**
+   * Run a sequence of keys
+   * @param {string|Array<string>} keys - A string of single-character keys, or key names
+   */
+  pressKeys(keys) {
+    (Array.isArray(keys) ? keys : Array.from(keys)).forEach(key => this.pressKey(key));
+  }
+  
+  /**
+   * Input a number digit
+   * @param {string} digit - Number digit to input
+   */
+  inputNumber(digit) {
+    this.multiplyAfterGroup();
+    
+    if (this.state.waitingForOperand) {
+      this.updateDisplay(digit);
+      this.state.waitingForOperand = false;
+      this.state.justCalculated = false;
+    } else {
+      if (this.state.justCalculated) {
+        this.startNewEntry();
+      }
+      this.appendDigit(digit);
+    }
+  }
+  
+  /**
+   * In expression mode, a value entered straight after ")" or "%" multiplies
+   * it: (1 + 2)3 = (1 + 2) × 3
+   */
+  multiplyAfterGroup() {
+    if (this.isExpressionMode() && this.endsWithOperand()) {
+      this.pushToken({ type: 'operator', value: '×' });
+    }
+  }
+  
+  /**
+   * Discard a completed result before typing a new number; a pending
+   * operation stays on the expression line
+   */
+  startNewEntry() {
+    const hasPendingOperation = this.state.currentOperator !== null || this.state.tokens.length > 0;
+    
+    if (hasPendingOperation) {
+      this.updateDisplay('0');
+    } else {
+      this.clearDisplay();
+    }
+    this.state.justCalculated = false;
+  }
+  
+  /**
+   * Input an operator
+   * @param {string} operator - Mathematical operator
+   */
+  inputOperator(operator) {
+    if (this.isExpressionMode()) {
+      this.inputExpressionOperator(operator);
+      return;
+    }
+    
+    const currentValue = this.getCurrentExact();
+    
+    if (this.state.previousValue === null) {
+      this.state.previousValue = currentValue;
+    } else if (this.state.currentOperator && !this.state.waitingForOperand) {
+      // Perform calculation with previous operator; a failure ends the calculation
+      const { operation } = this.describeOperation(this.state.previousValue, this.state.currentOperator, currentValue);
+      const result = this.calculate();
+      if (result instanceof CalculationError) {
+        this.showResult(result, operation);
+        this.resetState();
+        this.state.justCalculated = true;
+        return;
+      }
+      this.showValue(result);
+      this.state.previousValue = result;
+    } else {
+      this.state.previousValue = currentValue;
+    }
+    
+    this.state.currentOperator = operator;
+    this.state.waitingForOperand = true;
+    this.state.justCalculated = false;
+    
+    // Update expression display
+    this.updateExpression(`${Utils.formatNumber(this.state.previousValue)} ${operator}`);
+  }
+  
+  /**
+   * Perform various calculator actions
+   * @param {string} action - Action to perform
+   */
+  performAction(action) {
+    switch (action) {
+      case 'clear':
+        this.clear();
+        break;
+      case 'delete':
+        this.delete();
+        break;
+      case 'decimal':
+        this.inputDecimal();
+        break;
+      case 'calculate':
+        this.equals();
+        break;
+      case 'percentage':
+        this.percentage();
+        break;
+      case 'open-paren':
+        this.openParen();
+        break;
+      case 'angle-mode':
+        this.cycleAngleMode();
+        break;
+      case 'close-paren':
+        this.closeParen();
+        break;
+      case 'convert':
+        this.convertValue();
+        break;
+      case 'swap-units':
+        this.swapUnits();
+        break;
+      case 'memory-clear':
+        this.memory.clear();
+        break;
+      case 'memory-recall':
+        this.loadValue(this.memory.recall());
+        break;
+      case 'memory-add':
+      case 'memory-subtract': {
+        // A total that would overflow leaves memory as it was
+        const error = action === 'memory-add'
+          ? this.memory.add(this.getCurrentExact())
+          : this.memory.subtract(this.getCurrentExact());
+        if (error) {
+          this.feedback('shake');
+        }
+        this.state.justCalculated = true;
+        break;
+      }
+      case 'memory-store':
+        this.memory.store(this.getCurrentExact());
+        this.state.justCalculated = true;
+        break;
+    }
+  }
+  
+  /**
+   * Perform calculation
+   * @returns {number|Decimal|CalculationError} Calculation result or the error it failed with
+   */
+  calculate() {
+    const previousValue = this.state.previousValue;
+    const currentValue = this.getCurrentExact();
+    const operator = this.state.currentOperator;
+    
+    if (previousValue === null || operator === null) {
+      return currentValue;
+    }
+    
+    const result = Operations.calculate(previousValue, currentValue, operator);
+    
+    // Add to history
+    const { operation, expression } = this.describeOperation(previousValue, operator, currentValue);
+    this.recordHistory(operation, result, expression);
+    
+    return result;
+  }
+  
+  /**
+   * Handle equals button press
+   */
+  equals() {
+    if (this.isExpressionMode()) {
+      this.evaluateExpression();
+      this.rememberAnswer();
+      return;
+    }
+    
+    if (this.state.currentOperator && this.state.previousValue !== null) {
+      const operator = this.state.currentOperator;
+      const operand = this.getCurrentExact();
+      const { operation } = this.describeOperation(this.state.previousValue, operator, operand);
+      const result = this.calculate();
+      
+      this.showResult(result, operation);
+      this.resetState();
+      
+      if (!(result instanceof CalculationError)) {
+        // Store for repeated equals: 5 + 3 = = gives 8, 11
+        this.state.lastOperation = { operator, operand };
+        this.state.justCalculated = true;
+      }
+    } else if (this.state.lastOperation) {
+      this.repeatLastOperation();
+    }
+    this.rememberAnswer();
+  }
+  
+  /**
+   * Apply the last operator and operand again to the displayed value
+   * (pressing = again after a result, or after typing a new number)
+   */
+  repeatLastOperation() {
+    const { operator, operand } = this.state.lastOperation;
+    const value = this.getCurrentExact();
+    const result = Operations.calculate(value, operand, operator);
+    const operation = Operations.formatOperation(value, operator, operand);
+    
+    this.recordHistory(operation, result, `${value} ${operator} ${operand}`);
+    this.showResult(result, operation);
+    
+    if (result instanceof CalculationError) {
+      this.resetState();
+      return;
+    }
+    
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Clear calculator completely
+   */
+  clear() {
+    this.clearDisplay();
+    this.resetState();
+    this.state.justCalculated = false;
+    this.state.dataX = null;
+    this.state.computePending = false;
+  }
+  
+  /**
+   * Delete last input
+   */
+  delete() {
+    // In expression mode an empty entry backspaces into the expression
+    const entryIsEmpty = this.state.waitingForOperand ||
+      (this.isShowingZero() && this.state.tokens.length > 0);
+    
+    if (this.isExpressionMode() && entryIsEmpty) {
+      this.deleteLastToken();
+    } else if (!this.state.waitingForOperand) {
+      this.deleteLast();
+    }
+  }
+  
+  /**
+   * Input decimal point
+   */
+  inputDecimal() {
+    this.multiplyAfterGroup();
+    
+    if (this.state.waitingForOperand) {
+      this.updateDisplay(Utils.localizeNumber('0.'));
+      this.state.waitingForOperand = false;
+    } else if (this.state.justCalculated) {
+      this.startNewEntry();
+      this.appendDigit('.');
+    } else if (!this.hasDecimal()) {
+      this.appendDigit('.');
+    }
+  }
+  
+  /**
+   * Handle the percentage key the way a desk calculator does: after + or -
+   * the entry is a percent of the value before it (200 + 10% = 220, 200 - 10%
+   * = 180); after × or ÷ it is a plain fraction (200 × 10% = 20, 200 ÷ 10% =
+   * 2000); on its own it divides by 100
+   */
+  percentage() {
+    if (this.isExpressionMode()) {
+      this.inputPercent();
+      return;
+    }
+    
+    const value = this.getCurrentExact();
+    const { previousValue, currentOperator: operator } = this.state;
+    
+    if (operator === null || previousValue === null) {
+      this.showValue(Operations.percentage(value));
+      this.updateExpression(`${Utils.formatNumber(value)}%`);
+      this.state.justCalculated = true;
+      return;
+    }
+    
+    // With a pending operation the entry becomes the amount it stands for
+    // (20 for 200 + 10%); = then completes the calculation
+    const operand = Operations.percentageOperand(previousValue, value, operator);
+    if (operand instanceof CalculationError) {
+      this.showResult(operand);
+      this.resetState();
+      return;
+    }
+    
+    this.showValue(operand);
+    this.state.percentEntry = value;
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+    this.updateExpression(this.describeOperation(previousValue, operator, operand).operation);
+  }
+  
+  /**
+   * Describe a simple-mode operation for the expression line and history;
+   * an operand entered with % is shown as the percentage typed
+   * @param {number} previousValue - First operand
+   * @param {string} operator - Operator
+   * @param {number} operand - Second operand
+   * @returns {Object} { operation, expression } - Formatted text and re-enterable text
+   */
+  describeOperation(previousValue, operator, operand) {
+    const percent = this.state.percentEntry;
+    
+    if (percent === null) {
+      return {
+        operation: Operations.formatOperation(previousValue, operator, operand),
+        expression: `${previousValue} ${operator} ${operand}`
+      };
+    }
+    
+    return {
+      operation: `${Operations.formatOperation(previousValue, operator, percent)}%`,
+      expression: `${previousValue} ${operator} ${percent}%`
+    };
+  }
+  
+  /**
+   * Add "%" to the pending expression after the number being typed or a
+   * closed group; Expression works out what the percentage stands for
+   */
+  inputPercent() {
+    const canTakePercent = !this.state.waitingForOperand || this.lastTokenIs(')');
+    if (!canTakePercent) {
+      this.feedback('shake');
+      return;
+    }
+    
+    if (!this.state.waitingForOperand) {
+      this.commitEntry();
+    }
+    
+    this.pushToken({ type: 'percent', value: '%' });
+    this.state.waitingForOperand = true;
+    this.state.justCalculated = false;
+  }
+  
+  /**
+   * Switch between expression and simple input modes
+   * @param {string} mode - "expression" or "simple"
+   */
+  setInputMode(mode) {
+    this.inputMode = mode === 'simple' ? 'simple' : 'expression';
+    this.clear();
+    this.clearUndo();
+    this.notifySetting('inputMode', this.inputMode);
+  }
+  
+  /**
+   * Apply a single-argument function to the displayed value
+   * @param {string} name - Function name understood by Operations.applyFunction
+   */
+  applyFunction(name) {
+    if (name === 'negate') {
+      this.negateEntry();
+      return;
+    }
+    
+    const value = this.getCurrentValue();
+    const result = Operations.applyFunction(name, value, this.angleMode);
+    
+    if (this.state.waitingForOperand) {
+      this.multiplyAfterGroup();
+    }
+    const operation = Operations.formatOperation(value, name);
+    this.recordHistory(operation, result);
+    
+    const hasPendingOperation = this.state.currentOperator !== null || this.state.tokens.length > 0;
+    
+    if (typeof result !== 'number') {
+      this.showResult(result);
+      this.resetState();
+      this.updateExpression(operation);
+      this.state.justCalculated = true;
+      return;
+    }
+    
+    this.showValue(result);
+    if (!hasPendingOperation) {
+      this.updateExpression(operation);
+    }
+    
+    // The result becomes the current operand; typing starts a new number
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Change the sign of the displayed value (±)
+   */
+  negateEntry() {
+    if (this.state.waitingForOperand) {
+      this.multiplyAfterGroup();
+      this.showValue(Operations.negate(this.getCurrentValue()));
+      this.state.waitingForOperand = false;
+      this.state.justCalculated = true;
+    } else {
+      this.toggleSign();
+    }
+  }
+  
+  /**
+   * Enter a named constant as the current operand
+   * @param {string} name - Constant name (pi, e)
+   */
+  inputConstant(name) {
+    const value = Operations.CONSTANTS[name];
+    if (typeof value !== 'number') return;
+    
+    this.multiplyAfterGroup();
+    
+    this.showValue(value);
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Enter the value of Ans or a user variable as the current operand
+   * @param {string} name - Variable name, or MemoryOperations.ANSWER
+   */
+  inputVariable(name) {
+    const value = this.memory.getVariable(name);
+    if (typeof value !== 'number') {
+      this.feedback('shake');
+      return;
+    }
+    
+    this.loadValue(value);
+  }
+  
+  /**
+   * Keep the value shown after equals as Ans
+   */
+  rememberAnswer() {
+    if (!this.isShowingError() && !this.isShowingComplex()) {
+      this.memory.setAnswer(this.getCurrentValue());
+    }
+  }
+  
+  /**
+   * Values of every name an expression can use: the constants (also as π),
+   * Ans and the user variables
+   * @returns {Object} Values by name
+   */
+  getNamedValues() {
+    const names = { ...Operations.CONSTANTS, π: Operations.CONSTANTS.pi };
+    names[MemoryOperations.ANSWER] = this.memory.answer;
+    this.memory.getVariables().forEach(({ name, value }) => {
+      names[name] = value;
+    });
+    return names;
+  }
+  
+  /**
+   * Store a user variable: "rate" takes the displayed value, "rate = 0.2"
+   * (or any expression, e.g. "total = Ans × 1.2") the value given
+   * @param {string} text - Name, or name = expression, in the current locale
+   * @returns {Object} { saved, message } - Whether a variable was stored, and a status message
+   */
+  storeVariable(text) {
+    const match = /^\s*([^=\s]*)\s*(?:=(.*))?$/.exec(String(text || ''));
+    const name = match ? match[1] : '';
+    const problem = MemoryOperations.checkVariableName(name);
+    if (problem) {
+      return { saved: false, message: problem };
+    }
+    
+    let value;
+    if (match[2] === undefined) {
+      if (this.isShowingError()) {
+        return { saved: false, message: 'Nothing to store' };
+      }
+      if (this.isShowingComplex()) {
+        return { saved: false, message: `Can't store ${name}: variables hold real numbers only` };
+      }
+      value = this.getCurrentValue();
+    } else {
+      try {
+        value = Expression.evaluate(Expression.tokenize(Utils.delocalizeNumber(match[2].trim()), this.getNamedValues()));
+      } catch (error) {
+        return { saved: false, message: `Can't store ${name}: ${error.message}` };
+      }
+      if (value instanceof CalculationError) {
+        return { saved: false, message: `Can't store ${name}: ${value.message}` };
+      }
+    }
+    
+    try {
+      this.memory.setVariable(name, value);
+    } catch (error) {
+      return { saved: false, message: error.message };
+    }
+    return { saved: true, message: `${name} = ${Utils.formatNumber(value)}` };
+  }
+  
+  /**
+   * Switch keypad layout
+   * @param {string} mode - One of CalculatorEngine.KEYPAD_MODES
+   */
+  setKeypadMode(mode) {
+    const wasProgrammer = this.keypadMode === 'programmer';
+    const wasFraction = this.keypadMode === 'fraction';
+    const wasComplex = this.keypadMode === 'complex';
+    const wasTape = this.keypadMode === 'tape';
+    
+    // A day on the display is no number to carry over
+    if (this.state.dateShown) {
+      this.clearDisplay();
+    }
+    const value = this.getCurrentValue();
+    
+    this.keypadMode = CalculatorEngine.KEYPAD_MODES.includes(mode) ? mode : 'standard';
+    const isProgrammer = this.keypadMode === 'programmer';
+    const isFraction = this.keypadMode === 'fraction';
+    const isComplex = this.keypadMode === 'complex';
+    const isTape = this.keypadMode === 'tape';
+    this.state.dataX = null;
+    this.state.computePending = false;
+    
+    // The displayed value carries over; entering programmer mode drops its
+    // fraction, entering fraction mode turns it into the nearest allowed
+    // fraction, leaving complex mode drops the imaginary part, and a pending
+    // operation does not carry onto or off the tape
+    if (isProgrammer && !wasProgrammer) {
+      this.resetInteger(ProgrammerOperations.fromNumber(value, this.programmer));
+    } else if (isFraction && !wasFraction) {
+      this.resetRational(Rational.approximate(value, this.fraction.maxDenominator));
+    } else if (isComplex && !wasComplex) {
+      this.resetComplex(new Complex(value));
+    } else if ((wasProgrammer && !isProgrammer) || (wasFraction && !isFraction) || (wasComplex && !isComplex) || isTape !== wasTape) {
+      this.clear();
+      this.loadValue(value);
+    }
+    
+    this.clearUndo();
+    this.notifySetting('keypadMode', this.keypadMode);
+  }
+  
+  /**
+   * Set the angle unit for trigonometric functions
+   * @param {string} mode - One of CalculatorEngine.ANGLE_MODES
+   */
+  setAngleMode(mode) {
+    this.angleMode = CalculatorEngine.ANGLE_MODES.includes(mode) ? mode : 'deg';
+    this.notifySetting('angleMode', this.angleMode);
+  }
+  
+  /**
+   * Choose the converter's category and units; missing or unknown
+   * units fall back to the category's defaults
+   * @param {Object} selection - { category, from, to }
+   */
+  setConversion(selection) {
+    this.conversion = Units.normalizeSelection(selection);
+    this.notifySetting('conversion', this.conversion);
+  }
+  
+  /**
+   * Swap the converter's "from" and "to" units, or the currencies in currency mode
+   */
+  swapUnits() {
+    if (this.keypadMode === 'currency') {
+      const { from, to } = this.currencyPair;
+      this.setCurrencyPair({ from: to, to: from });
+      return;
+    }
+    
+    const { category, from, to } = this.conversion;
+    this.setConversion({ category, from: to, to: from });
+  }
+  
+  /**
+   * Convert the displayed value with the current converter units
+   * @returns {Object} { category, from, to, value, result } - result is a number or error message
+   */
+  getConversion() {
+    const { category, from, to } = this.conversion;
+    const value = this.getCurrentValue();
+    
+    return { category, from, to, value, result: Units.convert(value, category, from, to) };
+  }
+  
+  /**
+   * Choose the currencies to convert between; unknown codes fall back to defaults
+   * @param {Object} pair - { from, to } ISO 4217 codes
+   */
+  setCurrencyPair(pair) {
+    this.currencyPair = this.rates.normalizePair(pair);
+    this.notifySetting('currencyPair', this.currencyPair);
+  }
+  
+  /**
+   * Convert the displayed value between the current currencies
+   * @returns {Object} { from, to, value, result, rate, source, base, asOf, currencies } - result is a number or error message
+   */
+  getCurrencyConversion() {
+    const { from, to } = this.currencyPair;
+    const value = this.getCurrentValue();
+    const quote = this.rates.getRate(from, to);
+    
+    return {
+      from,
+      to,
+      value,
+      result: this.rates.convert(value, from, to),
+      rate: quote ? quote.rate.toNumber() : null,
+      source: quote ? quote.source : null,
+      base: this.rates.base,
+      asOf: this.rates.asOf,
+      currencies: this.rates.getCurrencies()
+    };
+  }
+  
+  /**
+   * Set or clear the manual rate of the current currency pair
+   * @param {string} text - Rate as typed (locale separators allowed); empty clears the override
+   * @returns {Object} { saved, message } - Whether the rate changed, and a status message
+   */
+  setRateOverride(text) {
+    const { from, to } = this.currencyPair;
+    const cleaned = Utils.cleanNumberText(text || '');
+    
+    if (cleaned === '') {
+      this.rates.removeOverride(from, to);
+      return { saved: true, message: `Using ${from}/${to} table rate` };
+    }
+    
+    const rate = Utils.isValidNumber(cleaned) ? Utils.toNumber(cleaned) : NaN;
+    try {
+      this.rates.setOverride(from, to, rate);
+    } catch (error) {
+      return { saved: false, message: error.message };
+    }
+    return { saved: true, message: `${from}/${to} rate set to ${Utils.formatNumber(rate)}` };
+  }
+  
+  /**
+   * Replace the exchange rate table from a JSON or CSV file
+   * @param {string} text - File contents
+   * @returns {Object} { imported, message } - Whether the table was replaced, and a status message
+   */
+  importRates(text) {
+    let table;
+    try {
+      table = this.rates.importRates(text);
+    } catch (error) {
+      return { imported: false, message: error.message };
+    }
+    
+    // Keep the pair if both currencies are still in the table
+    this.setCurrencyPair(this.currencyPair);
+    const date = table.asOf ? `as of ${table.asOf}` : '(no date in the file)';
+    return { imported: true, message: `Imported ${table.count} rates against ${table.base} ${date}` };
+  }
+  
+  /**
+   * Replace the displayed value with its conversion (units, or currency in
+   * currency mode) and record it in history
+   */
+  convertValue() {
+    let operation;
+    let result;
+    
+    if (this.keypadMode === 'currency') {
+      const conversion = this.getCurrencyConversion();
+      operation = `${CurrencyRates.format(conversion.value, conversion.from)} → ${conversion.to}`;
+      result = conversion.result;
+    } else {
+      const conversion = this.getConversion();
+      const { category, from, to } = conversion;
+      operation = `${Units.format(conversion.value, category, from)} → ${Units.getUnit(category, to).symbol}`;
+      result = conversion.result;
+    }
+    
+    if (this.state.waitingForOperand) {
+      this.multiplyAfterGroup();
+    }
+    this.recordHistory(operation, result);
+    
+    if (typeof result !== 'number') {
+      this.showResult(result);
+      this.resetState();
+      this.updateExpression(operation);
+      this.state.justCalculated = true;
+      return;
+    }
+    
+    this.showValue(result);
+    if (this.state.currentOperator === null && this.state.tokens.length === 0) {
+      this.updateExpression(operation);
+    }
+    
+    // The converted value becomes the current operand
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Step through DEG, RAD and GRAD
+   */
+  cycleAngleMode() {
+    const modes = CalculatorEngine.ANGLE_MODES;
+    this.setAngleMode(modes[(modes.indexOf(this.angleMode) + 1) % modes.length]);
+  }
+  
+  /**
+   * Choose the programmer keypad's base, word size or signedness; values
+   * on screen wrap to the new word
+   * @param {Object} settings - Any of { base, wordSize, signed }
+   */
+  setProgrammer(settings) {
+    this.programmer = ProgrammerOperations.normalizeSettings({ ...this.programmer, ...settings });
+    
+    const integer = this.integer;
+    const wrap = (value) => ProgrammerOperations.wrap(value, this.programmer);
+    
+    integer.value = wrap(integer.value);
+    integer.pending.forEach(term => {
+      term.value = wrap(term.value);
+    });
+    if (integer.lastOperation) {
+      integer.lastOperation.operand = wrap(integer.lastOperation.operand);
+    }
+    if (integer.expression) {
+      (integer.expression.terms || []).forEach(term => {
+        term.value = wrap(term.value);
+      });
+      if (integer.expression.right !== null) {
+        integer.expression.right = wrap(integer.expression.right);
+      }
+    }
+    
+    // Digits typed in one base cannot be extended in another
+    integer.entry = null;
+    
+    this.clearUndo();
+    this.notifySetting('programmer', this.programmer);
+  }
+  
+  /**
+   * Choose how the fraction keypad shows values and the largest
+   * denominator a decimal is turned into
+   * @param {Object} settings - Any of { format, maxDenominator }
+   */
+  setFraction(settings) {
+    this.fraction = CalculatorEngine.normalizeFraction({ ...this.fraction, ...settings });
+    
+    // A decimal being typed stands for a different fraction under a new limit
+    const rational = this.rational;
+    if (rational.entry) {
+      rational.value = this.parseRationalEntry(rational.entry) || rational.value;
+    }
+    
+    this.notifySetting('fraction', this.fraction);
+  }
+  
+  /**
+   * Step through mixed-number, improper fraction and decimal display
+   */
+  cycleFractionFormat() {
+    const formats = CalculatorEngine.FRACTION_FORMATS;
+    this.setFraction({ format: formats[(formats.indexOf(this.fraction.format) + 1) % formats.length] });
+  }
+  
+  /**
+   * Choose how the complex keypad shows values
+   * @param {string} format - One of CalculatorEngine.COMPLEX_FORMATS
+   */
+  setComplexFormat(format) {
+    this.complexFormat = CalculatorEngine.COMPLEX_FORMATS.includes(format) ? format : 'rectangular';
+    this.notifySetting('complexFormat', this.complexFormat);
+  }
+  
+  /**
+   * Switch between rectangular (a + bi) and polar (r∠θ) display
+   */
+  cycleComplexFormat() {
+    const formats = CalculatorEngine.COMPLEX_FORMATS;
+    this.setComplexFormat(formats[(formats.indexOf(this.complexFormat) + 1) % formats.length]);
+  }
+  
+  /**
+   * The number type of the programmer, fraction or complex keypad. The three
+   * keypads share one operand and operator state machine (inputTypedOperator,
+   * typedEquals) that works out their numbers through this
+   * @returns {Object|null} { calculation, operators, commit, calculate, literal,
+   *   operand, historyResult, showError }, or null on the standard keypads
+   */
+  getNumberType() {
+    if (this.keypadMode === 'programmer') {
+      return {
+        calculation: this.integer,
+        operators: ProgrammerOperations.OPERATORS,
+        commit: () => {
+          this.integer.entry = null;
+          return true;
+        },
+        calculate: (left, right, operator) => ProgrammerOperations.calculate(left, right, operator, this.programmer),
+        literal: value => this.integerLiteral(value),
+        operand: null,
+        historyResult: result => this.integerHistoryResult(result),
+        showError: (error, expression) => this.showIntegerError(error, expression)
+      };
+    }
+    if (this.keypadMode === 'fraction') {
+      return {
+        calculation: this.rational,
+        operators: Object.keys(CalculatorEngine.RATIONAL_OPERATIONS),
+        commit: () => this.commitRationalEntry(),
+        calculate: (left, right, operator) => {
+          try {
+            return this.checkRational(left[CalculatorEngine.RATIONAL_OPERATIONS[operator]](right));
+          } catch (thrown) {
+            return CalculationError.from(thrown);
+          }
+        },
+        literal: value => this.rationalLiteral(value),
+        // History can re-enter "(5/3) + (3/4)", which also evaluates in expression mode
+        operand: value => this.rationalOperand(value),
+        historyResult: result => result.toNumber(),
+        showError: (error, expression) => this.showRationalError(error, expression)
+      };
+    }
+    if (this.keypadMode === 'complex') {
+      return {
+        calculation: this.complex,
+        operators: CalculatorEngine.COMPLEX_OPERATORS,
+        commit: () => {
+          this.commitComplexEntry();
+          return true;
+        },
+        calculate: (left, right, operator) => {
+          const result = Operations.calculate(left, right, operator);
+          return result instanceof Complex ? result : CalculationError.from(result);
+        },
+        literal: value => this.complexOperand(value),
+        operand: null,
+        historyResult: result => this.complexHistoryResult(result),
+        showError: (error, expression) => this.showComplexError(error, expression)
+      };
+    }
+    return null;
+  }
+  
+  /**
+   * Input a binary operator on the programmer, fraction or complex keypad.
+   * In simple mode a pending operation is worked out first, so evaluation
+   * runs left to right; in expression mode operations wait for equals and
+   * follow precedence (2 + 3 × 4 = 14)
+   * @param {Object} type - Number type (see getNumberType)
+   * @param {string} operator - One of the type's operators
+   */
+  inputTypedOperator(type, operator) {
+    if (!type.operators.includes(operator)) {
+      this.feedback('shake');
+      return;
+    }
+    if (!type.commit()) return;
+    
+    const calculation = type.calculation;
+    const { pending } = calculation;
+    
+    if (calculation.waitingForOperand && pending.length > 0) {
+      // A second operator replaces the first
+      pending[pending.length - 1].operator = operator;
+    } else {
+      if (!this.isExpressionMode() && pending.length > 0) {
+        const result = this.calculateTerms(type, pending, calculation.value);
+        if (result === null) return;
+        calculation.value = result;
+        calculation.pending = [];
+      }
+      calculation.pending.push({ value: calculation.value, operator });
+    }
+    
+    calculation.waitingForOperand = true;
+    calculation.expression = { terms: calculation.pending.map(term => ({ ...term })), right: null, complete: false };
+  }
+  
+  /**
+   * Handle equals on the programmer, fraction or complex keypad; pressing
+   * it again repeats the last operation (FF AND 0F = =, i × i = =)
+   * @param {Object} type - Number type (see getNumberType)
+   */
+  typedEquals(type) {
+    if (!type.commit()) return;
+    
+    const calculation = type.calculation;
+    let terms;
+    let right;
+    
+    if (calculation.pending.length > 0) {
+      terms = calculation.pending;
+      right = calculation.value;
+    } else if (calculation.lastOperation) {
+      terms = [{ value: calculation.value, operator: calculation.lastOperation.operator }];
+      right = calculation.lastOperation.operand;
+    } else {
+      return;
+    }
+    
+    const result = this.calculateTerms(type, terms, right);
+    if (result === null) return;
+    
+    calculation.value = result;
+    calculation.pending = [];
+    calculation.waitingForOperand = false;
+    // The operation that was applied last: 2 + 3 × 4 = = adds 12 again
+    calculation.lastOperation = Expression.finalOperation(CalculatorEngine.termTokens(terms, right), type.calculate);
+    calculation.expression = { terms, right, complete: true };
+  }
+  
+  /**
+   * Work out pending operations and the operand after them, and record the
+   * calculation in history
+   * @param {Object} type - Number type (see getNumberType)
+   * @param {Array<Object>} terms - Pending { value, operator } pairs
+   * @param {*} right - Last operand
+   * @returns {*} Result, or null after showing an error
+   */
+  calculateTerms(type, terms, right) {
+    const result = Expression.evaluate(CalculatorEngine.termTokens(terms, right), type.calculate);
+    const operation = CalculatorEngine.joinTerms(terms, right, type.literal);
+    
+    if (result instanceof CalculationError) {
+      this.recordHistory(operation, result);
+      type.showError(result, { terms, right, complete: true });
+      return null;
+    }
+    
+    const expression = type.operand ? CalculatorEngine.joinTerms(terms, right, type.operand) : undefined;
+    this.recordHistory(operation, type.historyResult(result), expression);
+    return result;
+  }
+  
+  /**
+   * Format a typed calculation line
+   * @param {Object} expression - { terms, right, complete }, or a function
+   *   applied to a value: { function, right }
+   * @param {Function} format - Writes an operand
+   * @returns {string} Expression text (e.g. "FF AND F =")
+   */
+  formatTypedExpression(expression, format) {
+    const text = CalculatorEngine.joinTerms(expression.terms, expression.right, format);
+    return expression.complete ? `${text} =` : text;
+  }
+  
+  /**
+   * Start a fresh integer calculation
+   * @param {bigint} value - Value to show
+   */
+  resetInteger(value = 0n) {
+    this.integer = {
+      // Current operand or result, wrapped to the word
+      value,
+      // Digits being typed in the current base, or null when not typing
+      entry: null,
+      // Operands waiting for the next one: [{ value, operator }]
+      pending: [],
+      waitingForOperand: false,
+      // For repeated equals: { operator, operand }
+      lastOperation: null,
+      // Expression line: { terms, right, complete }, or { function, right }
+      expression: null,
+      // Error message while an operation has failed
+      error: null
+    };
+  }
+  
+  /**
+   * Run an input on the programmer keypad
+   * @param {Object} input - Input object (e.g. { number: 'F' } or { operator: 'AND' })
+   */
+  pressInteger(input) {
+    if (this.integer.error && input.number === undefined) {
+      this.resetInteger();
+      if (input.action === 'clear' || input.action === 'delete') return;
+    }
+    
+    if (input.number !== undefined) {
+      this.inputIntegerDigit(input.number);
+    } else if (input.operator) {
+      this.inputTypedOperator(this.getNumberType(), input.operator);
+    } else if (input.function) {
+      this.applyIntegerFunction(input.function);
+    } else if (input.base) {
+      this.setProgrammer({ base: input.base });
+    } else if (input.variable) {
+      this.inputVariable(input.variable);
+    } else if (input.action) {
+      this.performIntegerAction(input.action);
+    } else {
+      this.feedback('shake');
+    }
+  }
+  
+  /**
+   * Perform an action on the programmer keypad
+   * @param {string} action - Action to perform
+   */
+  performIntegerAction(action) {
+    switch (action) {
+      case 'clear':
+        this.resetInteger();
+        break;
+      case 'delete':
+        this.deleteIntegerDigit();
+        break;
+      case 'calculate':
+        this.typedEquals(this.getNumberType());
+        this.rememberAnswer();
+        break;
+      case 'memory-clear':
+      case 'memory-recall':
+      case 'memory-add':
+      case 'memory-subtract':
+      case 'memory-store':
+        this.performAction(action);
+        this.integer.entry = null;
+        break;
+      default:
+        // Decimals, percentages, parentheses and conversions need fractions
+        this.feedback('shake');
+    }
+  }
+  
+  /**
+   * Type a digit in the current base; digits the base does not have, or
+   * that would overflow the word, are rejected
+   * @param {string} digit - "0"-"9" or "A"-"F"
+   */
+  inputIntegerDigit(digit) {
+    const { base } = this.programmer;
+    if (!(ProgrammerOperations.digitValue(digit) < ProgrammerOperations.BASES[base].radix)) {
+      this.feedback('shake');
+      return;
+    }
+    
+    if (this.integer.error) {
+      this.resetInteger();
+    }
+    
+    const integer = this.integer;
+    if (integer.entry === null && integer.pending.length === 0) {
+      // A new number after a result starts a new calculation line
+      integer.expression = null;
+    }
+    
+    const current = integer.entry === null || integer.entry === '0' ? '' : integer.entry;
+    const entry = current + String(digit).toUpperCase();
+    const value = ProgrammerOperations.parseDigits(entry, base, this.programmer);
+    
+    if (value === null) {
+      this.feedback('flash');
+      return;
+    }
+    
+    integer.entry = entry;
+    integer.value = value;
+    integer.waitingForOperand = false;
+  }
+  
+  /**
+   * Delete the last typed digit
+   */
+  deleteIntegerDigit() {
+    const integer = this.integer;
+    if (integer.entry === null) return;
+    
+    integer.entry = integer.entry.slice(0, -1) || '0';
+    integer.value = ProgrammerOperations.parseDigits(integer.entry, this.programmer.base, this.programmer);
+  }
+  
+  /**
+   * Apply NOT or change sign on the programmer keypad
+   * @param {string} name - "not" or "negate"
+   */
+  applyIntegerFunction(name) {
+    const integer = this.integer;
+    const value = integer.value;
+    
+    if (name === 'not') {
+      integer.value = ProgrammerOperations.not(value, this.programmer);
+      this.recordHistory(`NOT ${this.integerLiteral(value)}`, this.integerHistoryResult(integer.value));
+      
+      if (integer.pending.length === 0) {
+        integer.expression = { function: 'NOT', right: value };
+      }
+    } else if (name === 'negate') {
+      integer.value = ProgrammerOperations.negate(value, this.programmer);
+    } else {
+      this.feedback('shake');
+      return;
+    }
+    
+    // The result becomes the current operand; typing starts a new number
+    integer.entry = null;
+    integer.waitingForOperand = false;
+  }
+  
+  /**
+   * Show a failed integer operation
+   * @param {CalculationError} error - What went wrong
+   * @param {Object} expression - Operation that failed { left, operator, right, complete }
+   */
+  showIntegerError(error, expression) {
+    this.resetInteger();
+    this.integer.error = error;
+    this.integer.expression = expression;
+    this.feedback('shake');
+  }
+  
+  /**
+   * Load an integer as the current operand
+   * @param {bigint} value - Wrapped value
+   */
+  loadInteger(value) {
+    if (this.integer.error) {
+      this.resetInteger();
+    }
+    
+    const integer = this.integer;
+    integer.value = value;
+    integer.entry = null;
+    integer.waitingForOperand = false;
+  }
+  
+  /**
+   * Enter a pasted integer in the current base (or with a 0x, 0o or 0b prefix)
+   * @param {string} text - Pasted text
+   * @returns {Object} { pasted, message } - Whether the value was entered, and a status message
+   */
+  pasteInteger(text) {
+    let value;
+    try {
+      value = ProgrammerOperations.parse(text, this.programmer.base, this.programmer);
+    } catch (error) {
+      return { pasted: false, message: `Can't paste "${Utils.truncate(String(text).trim(), 20)}": ${error.message}` };
+    }
+    
+    this.loadInteger(value);
+    return { pasted: true, message: 'Pasted' };
+  }
+  
+  /**
+   * Format an integer in the current base for the display
+   * @param {bigint} value - Wrapped value
+   * @returns {string} Grouped digits
+   */
+  formatInteger(value) {
+    return ProgrammerOperations.format(value, this.programmer.base, this.programmer);
+  }
+  
+  /**
+   * Format an integer in the current base for history, naming the base
+   * @param {bigint} value - Wrapped value
+   * @returns {string} Literal (e.g. 0xFF)
+   */
+  integerLiteral(value) {
+    return ProgrammerOperations.toLiteral(value, this.programmer.base, this.programmer);
+  }
+  
+  /**
+   * Get the history result for an integer operation: a number while it is
+   * exact, decimal digits beyond 2^53, or the error
+   * @param {bigint|CalculationError} result - Operation result
+   * @returns {number|string|CalculationError} Result to record
+   */
+  integerHistoryResult(result) {
+    if (typeof result !== 'bigint') return result;
+    
+    const number = ProgrammerOperations.toNumber(result);
+    return Number.isSafeInteger(number) ? number : result.toString();
+  }
+  
+  /**
+   * Get the programmer keypad's expression line in the current base
+   * @returns {string} Expression text (e.g. "FF AND F =")
+   */
+  getIntegerExpression() {
+    const expression = this.integer.expression;
+    if (!expression) return '';
+    
+    if (expression.function) {
+      return `${expression.function} ${this.formatInteger(expression.right)} =`;
+    }
+    return this.formatTypedExpression(expression, value => this.formatInteger(value));
+  }
+  
+  /**
+   * Programmer keypad settings and the current value in every base
+   * @returns {Object} { base, wordSize, signed, values: { hex, dec, oct, bin } }
+   */
+  getProgrammerState() {
+    const values = {};
+    Object.keys(ProgrammerOperations.BASES).forEach(base => {
+      values[base] = ProgrammerOperations.format(this.integer.value, base, this.programmer);
+    });
+    
+    return { ...this.programmer, values };
+  }
+  
+  /**
+   * Start a fresh fraction calculation
+   * @param {Rational} value - Value to show
+   */
+  resetRational(value = new Rational(0n)) {
+    this.rational = {
+      // Current operand or result, always exact
+      value,
+      // Entry being typed, or null when not typing: { negative, parts }, where
+      // parts are digit strings, one (a whole number or decimal), two
+      // (numerator, denominator) or three (whole, numerator, denominator)
+      entry: null,
+      // Operands waiting for the next one: [{ value, operator }]
+      pending: [],
+      waitingForOperand: false,
+      // For repeated equals: { operator, operand }
+      lastOperation: null,
+      // Expression line: { terms, right, complete }, or { function, right }
+      expression: null,
+      // Error message while an operation has failed
+      error: null
+    };
+  }
+  
+  /**
+   * Run an input on the fraction keypad
+   * @param {Object} input - Input object (e.g. { number: '3' } or { action: 'fraction-bar' })
+   */
+  pressRational(input) {
+    if (this.rational.error && input.number === undefined) {
+      this.resetRational();
+      if (input.action === 'clear' || input.action === 'delete') return;
+    }
+    
+    if (input.number !== undefined) {
+      this.inputRationalDigit(input.number);
+    } else if (input.operator) {
+      this.inputTypedOperator(this.getNumberType(), input.operator);
+    } else if (input.function) {
+      this.applyRationalFunction(input.function);
+    } else if (input.constant) {
+      this.loadValue(Operations.CONSTANTS[input.constant]);
+    } else if (input.variable) {
+      this.inputVariable(input.variable);
+    } else if (input.action) {
+      this.performRationalAction(input.action);
+    } else {
+      this.feedback('shake');
+    }
+  }
+  
+  /**
+   * Perform an action on the fraction keypad
+   * @param {string} action - Action to perform
+   */
+  performRationalAction(action) {
+    switch (action) {
+      case 'clear':
+        this.resetRational();
+        break;
+      case 'delete':
+        this.deleteRationalCharacter();
+        break;
+      case 'decimal':
+        this.inputRationalDecimal();
+        break;
+      case 'fraction-bar':
+        this.inputFractionBar();
+        break;
+      case 'fraction-format':
+      case 'display-format':
+        this.cycleFractionFormat();
+        break;
+      case 'calculate':
+        this.typedEquals(this.getNumberType());
+        this.rememberAnswer();
+        break;
+      case 'memory-clear':
+      case 'memory-recall':
+      case 'memory-add':
+      case 'memory-subtract':
+      case 'memory-store':
+        if (this.commitRationalEntry()) {
+          this.performAction(action);
+        }
+        break;
+      default:
+        // Percentages, parentheses and conversions have no exact fraction form
+        this.feedback('shake');
+    }
+  }
+  
+  /**
+   * Get the entry being typed, starting one if needed; a new number after
+   * a result starts a new calculation line
+   * @returns {Object} Entry { negative, parts }
+   */
+  startRationalEntry() {
+    if (this.rational.error) {
+      this.resetRational();
+    }
+    
+    const rational = this.rational;
+    if (rational.entry === null) {
+      if (rational.pending.length === 0) {
+        rational.expression = null;
+      }
+      rational.entry = { negative: false, parts: ['0'] };
+      rational.waitingForOperand = false;
+    }
+    return rational.entry;
+  }
+  
+  /**
+   * Type a digit into the current part of the fraction entry
+   * @param {string} digit - "0"-"9"
+   */
+  inputRationalDigit(digit) {
+    if (!/^[0-9]$/.test(String(digit))) {
+      this.feedback('shake');
+      return;
+    }
+    
+    const entry = this.startRationalEntry();
+    const { parts } = entry;
+    if (parts.join('').length >= 15) {
+      this.feedback('flash');
+      return;
+    }
+    
+    const last = parts.length - 1;
+    parts[last] = parts[last] === '0' ? String(digit) : parts[last] + digit;
+    this.updateRationalEntry();
+  }
+  
+  /**
+   * Type a decimal point; only a plain number can have one, and it is
+   * turned into a fraction when the entry is finished
+   */
+  inputRationalDecimal() {
+    const entry = this.startRationalEntry();
+    if (entry.parts.length > 1) {
+      this.feedback('shake');
+      return;
+    }
+    
+    if (!entry.parts[0].includes('.')) {
+      entry.parts[0] += '.';
+    }
+  }
+  
+  /**
+   * Type the a b/c fraction bar: the first press makes the digits typed so
+   * far a numerator (3 a b/c 4 is 3/4), the second a whole number and
+   * numerator (1 a b/c 2 a b/c 3 is 1 2/3)
+   */
+  inputFractionBar() {
+    const entry = this.rational.entry;
+    const last = entry ? entry.parts[entry.parts.length - 1] : '';
+    
+    if (!entry || last === '' || last.includes('.') || entry.parts.length === 3) {
+      this.feedback('shake');
+      return;
+    }
+    
+    entry.parts.push('');
+  }
+  
+  /**
+   * Delete the last typed character, or the last fraction bar
+   */
+  deleteRationalCharacter() {
+    const entry = this.rational.entry;
+    if (entry === null) return;
+    
+    const { parts } = entry;
+    const last = parts.length - 1;
+    if (parts[last] === '' && last > 0) {
+      parts.pop();
+    } else {
+      parts[last] = parts[last].slice(0, -1) || (last > 0 ? '' : '0');
+    }
+    this.updateRationalEntry();
+  }
+  
+  /**
+   * Update the current value from the entry once it reads as a fraction
+   */
+  updateRationalEntry() {
+    const value = this.parseRationalEntry(this.rational.entry);
+    if (value !== null) {
+      this.rational.value = value;
+    }
+  }
+  
+  /**
+   * Read a fraction entry; a decimal becomes the nearest fraction whose
+   * denominator is within the limit
+   * @param {Object} entry - Entry { negative, parts }
+   * @returns {Rational|null} Value, or null while a part is missing or the denominator is zero
+   */
+  parseRationalEntry(entry) {
+    const { parts } = entry;
+    if (parts.includes('') || (parts.length > 1 && BigInt(parts[parts.length - 1]) === 0n)) {
+      return null;
+    }
+    
+    let value;
+    if (parts.length === 1) {
+      value = Rational.approximate(parts[0], this.fraction.maxDenominator);
+    } else {
+      const [numerator, denominator] = parts.slice(-2).map(part => BigInt(part));
+      value = new Rational(numerator, denominator);
+      if (parts.length === 3) {
+        value = value.plus(new Rational(BigInt(parts[0])));
+      }
+    }
+    return entry.negative ? value.negate() : value;
+  }
+  
+  /**
+   * Finish the entry being typed before it is used
+   * @returns {boolean} False (after shaking) if the entry is not a complete fraction
+   */
+  commitRationalEntry() {
+    const rational = this.rational;
+    if (rational.entry === null) return true;
+    
+    const value = this.parseRationalEntry(rational.entry);
+    if (value === null) {
+      this.feedback('shake');
+      return false;
+    }
+    
+    rational.value = value;
+    rational.entry = null;
+    return true;
+  }
+  
+  /**
+   * Apply change sign, reciprocal or rounding to the largest denominator
+   * on the fraction keypad
+   * @param {string} name - "negate", "reciprocal" or "approximate"
+   */
+  applyRationalFunction(name) {
+    const rational = this.rational;
+    
+    // Changing the sign keeps the entry editable
+    if (name === 'negate' && rational.entry) {
+      rational.entry.negative = !rational.entry.negative;
+      this.updateRationalEntry();
+      return;
+    }
+    if (!this.commitRationalEntry()) return;
+    
+    const value = rational.value;
+    let result;
+    
+    if (name === 'negate') {
+      result = value.negate();
+    } else if (name === 'reciprocal') {
+      const operation = `1/(${this.rationalLiteral(value)})`;
+      if (value.isZero()) {
+        const error = new CalculationError('division-by-zero');
+        this.recordHistory(operation, error);
+        this.showRationalError(error, { function: 'reciprocal', right: value });
+        return;
+      }
+      result = this.checkRational(value.reciprocal());
+      if (result instanceof CalculationError) {
+        this.recordHistory(operation, result);
+        this.showRationalError(result, { function: 'reciprocal', right: value });
+        return;
+      }
+      this.recordHistory(operation, result.toNumber());
+    } else if (name === 'approximate') {
+      result = Rational.approximate(value, this.fraction.maxDenominator);
+      this.recordHistory(`${this.rationalLiteral(value)} ≈ ${this.rationalLiteral(result)}`, result.toNumber());
+    } else {
+      this.feedback('shake');
+      return;
+    }
+    
+    if (name !== 'negate' && rational.pending.length === 0) {
+      rational.expression = { function: name, right: value };
+    }
+    
+    // The result becomes the current operand; typing starts a new number
+    rational.value = result;
+    rational.waitingForOperand = false;
+  }
+  
+  /**
+   * Turn a fraction too large to show or record as a number into an overflow
+   * @param {Rational} value - Result
+   * @returns {Rational|CalculationError} The result, or an overflow
+   */
+  checkRational(value) {
+    return isFinite(value.toNumber()) ? value : new CalculationError('overflow');
+  }
+  
+  /**
+   * Show a failed fraction operation
+   * @param {CalculationError} error - What went wrong
+   * @param {Object} expression - Operation that failed { left, operator, right, complete }
+   */
+  showRationalError(error, expression) {
+    this.resetRational();
+    this.rational.error = error;
+    this.rational.expression = expression;
+    this.feedback('shake');
+  }
+  
+  /**
+   * Load a fraction as the current operand; without a pending operation
+   * it starts a new calculation line
+   * @param {Rational} value - Value to load
+   */
+  loadRational(value) {
+    if (this.rational.error) {
+      this.resetRational();
+    }
+    
+    const rational = this.rational;
+    if (rational.pending.length === 0) {
+      rational.expression = null;
+    }
+    rational.value = value;
+    rational.entry = null;
+    rational.waitingForOperand = false;
+  }
+  
+  /**
+   * Load a binary operation from history ("(5/3) + (3/4)" or "12.5 × 4") as
+   * a pending fraction calculation
+   * @param {string} expression - Unformatted expression from history
+   */
+  loadRationalExpression(expression) {
+    const operand = '\\(?(-?\\d+(?:\\.\\d+)?(?:\\/\\d+)?)\\)?';
+    const match = new RegExp(`^${operand} ([+\\-×÷]) ${operand}$`).exec(expression || '');
+    if (!match) return;
+    
+    const [left, right] = [match[1], match[3]].map(text => text.includes('/')
+      ? Rational.parse(text)
+      : Rational.approximate(text, this.fraction.maxDenominator));
+    
+    this.resetRational(right);
+    const rational = this.rational;
+    rational.pending = [{ value: left, operator: match[2] }];
+    rational.waitingForOperand = true;
+    rational.expression = { terms: [{ value: left, operator: match[2] }], right: null, complete: false };
+  }
+  
+  /**
+   * Enter a pasted fraction ("1 2/3", "-5/3") or number; a decimal becomes
+   * the nearest fraction within the denominator limit
+   * @param {string} text - Pasted text
+   * @returns {Object} { pasted, message } - Whether the value was entered, and a status message
+   */
+  pasteRational(text) {
+    const plain = String(text).trim().replace(/−/g, '-');
+    const match = /^([+-]?)\s*(?:(\S+)\s+)?([^\s/]+)\s*\/\s*(\S+)$/.exec(plain);
+    let value;
+    
+    try {
+      if (match) {
+        const [whole = '0', numerator, denominator] = match.slice(2).map(part => part && Utils.delocalizeNumber(part));
+        if (![whole, numerator, denominator].every(part => /^\d+$/.test(part))) {
+          throw new RangeError('Not a fraction');
+        }
+        value = Rational.parse(`${match[1]}${whole} ${numerator}/${denominator}`);
+      } else {
+        value = Rational.approximate(Utils.delocalizeNumber(Utils.cleanNumberText(plain)), this.fraction.maxDenominator);
+      }
+    } catch (error) {
+      return { pasted: false, message: `Can't paste "${Utils.truncate(plain, 20)}": not a fraction or number` };
+    }
+    
+    this.loadRational(value);
+    return { pasted: true, message: 'Pasted' };
+  }
+  
+  /**
+   * Format a fraction for the display: "1 2/3" (mixed), "5/3" (improper) or
+   * "1.6666666667" (decimal), with the locale's digit grouping
+   * @param {Rational} value - Value to format
+   * @param {string} format - One of CalculatorEngine.FRACTION_FORMATS (default: the current one)
+   * @returns {string} Formatted value
+   */
+  formatRational(value, format = this.fraction.format) {
+    if (format === 'decimal') {
+      return Utils.formatNumber(value.toDecimal());
+    }
+    
+    const group = (digits) => Utils.addThousandsSeparator(digits.toString());
+    if (value.isInteger()) {
+      return group(value.numerator);
+    }
+    if (format === 'improper') {
+      return `${group(value.numerator)}/${group(value.denominator)}`;
+    }
+    
+    const { negative, whole, numerator, denominator } = value.toMixed();
+    const fraction = `${group(numerator)}/${group(denominator)}`;
+    return `${negative ? '-' : ''}${whole === 0n ? fraction : `${group(whole)} ${fraction}`}`;
+  }
+  
+  /**
+   * Format the entry being typed as it was keyed, without grouping
+   * @param {Object} entry - Entry { negative, parts }
+   * @returns {string} Entry text (e.g. "1 2/" or "-0,5")
+   */
+  formatRationalEntry(entry) {
+    const parts = entry.parts.map(part => Utils.localizeNumber(part));
+    let text = parts[0];
+    if (parts.length === 2) {
+      text = `${parts[0]}/${parts[1]}`;
+    } else if (parts.length === 3) {
+      text = `${parts[0]} ${parts[1]}/${parts[2]}`;
+    }
+    return entry.negative ? `-${text}` : text;
+  }
+  
+  /**
+   * Format a fraction for history, as a fraction even while decimals are shown
+   * @param {Rational} value - Value to format
+   * @returns {string} Mixed number or improper fraction
+   */
+  rationalLiteral(value) {
+    return this.formatRational(value, this.fraction.format === 'improper' ? 'improper' : 'mixed');
+  }
+  
+  /**
+   * Write a fraction as an operand that Rational.parse and expression mode
+   * both read: fractions and negative numbers in parentheses
+   * @param {Rational} value - Value to write
+   * @returns {string} Operand text (e.g. "(5/3)" or "4")
+   */
+  rationalOperand(value) {
+    return value.isInteger() && !value.isNegative() ? value.toString() : `(${value})`;
+  }
+  
+  /**
+   * Get the fraction keypad's expression line
+   * @param {string} format - One of CalculatorEngine.FRACTION_FORMATS (default: the current one)
+   * @returns {string} Expression text (e.g. "1 2/3 + 3/4 =")
+   */
+  getRationalExpression(format = this.fraction.format) {
+    const expression = this.rational.expression;
+    if (!expression) return '';
+    
+    if (expression.function === 'reciprocal') {
+      return `1/(${this.formatRational(expression.right, format)}) =`;
+    }
+    if (expression.function === 'approximate') {
+      return `${this.formatRational(expression.right, format)} ≈`;
+    }
+    return this.formatTypedExpression(expression, value => this.formatRational(value, format));
+  }
+  
+  /**
+   * Fraction keypad settings and the current value in every format
+   * @returns {Object} { format, maxDenominator, values: { mixed, improper, decimal } }
+   */
+  getFractionState() {
+    const values = {};
+    CalculatorEngine.FRACTION_FORMATS.forEach(format => {
+      values[format] = this.formatRational(this.rational.value, format);
+    });
+    
+    return { ...this.fraction, values };
+  }
+  
+  /**
+   * Start a fresh complex calculation
+   * @param {Complex} value - Value to show
+   */
+  resetComplex(value = new Complex(0)) {
+    this.complex = {
+      // Current operand or result
+      value,
+      // Entry being typed, or null when not typing: { parts, imaginary }, where
+      // parts are signed digit strings, one (a real number, or an imaginary
+      // one when imaginary is set) or two (magnitude and angle)
+      entry: null,
+      // Operands waiting for the next one: [{ value, operator }]
+      pending: [],
+      waitingForOperand: false,
+      // For repeated equals: { operator, operand }
+      lastOperation: null,
+      // Expression line: { terms, right, complete }, or { function, right }
+      expression: null,
+      // Error message while an operation has failed
+      error: null
+    };
+  }
+  
+  /**
+   * Run an input on the complex keypad
+   * @param {Object} input - Input object (e.g. { number: '3' } or { action: 'imaginary-unit' })
+   */
+  pressComplex(input) {
+    if (this.complex.error && input.number === undefined) {
+      this.resetComplex();
+      if (input.action === 'clear' || input.action === 'delete') return;
+    }
+    
+    if (input.number !== undefined) {
+      this.inputComplexDigit(input.number);
+    } else if (input.operator) {
+      this.inputTypedOperator(this.getNumberType(), input.operator);
+    } else if (input.function) {
+      this.applyComplexFunction(input.function);
+    } else if (input.constant) {
+      this.loadValue(Operations.CONSTANTS[input.constant]);
+    } else if (input.variable) {
+      this.inputVariable(input.variable);
+    } else if (input.action) {
+      this.performComplexAction(input.action);
+    } else {
+      this.feedback('shake');
+    }
+  }
+  
+  /**
+   * Perform an action on the complex keypad
+   * @param {string} action - Action to perform
+   */
+  performComplexAction(action) {
+    switch (action) {
+      case 'clear':
+        this.resetComplex();
+        break;
+      case 'delete':
+        this.deleteComplexCharacter();
+        break;
+      case 'decimal':
+        this.inputComplexDecimal();
+        break;
+      case 'imaginary-unit':
+        this.inputImaginaryUnit();
+        break;
+      case 'polar-angle':
+        this.inputPolarAngle();
+        break;
+      case 'display-format':
+        this.cycleComplexFormat();
+        break;
+      case 'angle-mode':
+        // A polar entry's angle is read in the new unit
+        this.cycleAngleMode();
+        if (this.complex.entry) {
+          this.updateComplexEntry();
+        }
+        break;
+      case 'calculate':
+        this.typedEquals(this.getNumberType());
+        this.rememberAnswer();
+        break;
+      case 'memory-clear':
+      case 'memory-recall':
+        this.commitComplexEntry();
+        this.performAction(action);
+        break;
+      case 'memory-add':
+      case 'memory-subtract':
+      case 'memory-store':
+        // Memory holds real numbers only
+        this.commitComplexEntry();
+        if (this.isShowingComplex()) {
+          this.feedback('shake');
+        } else {
+          this.performAction(action);
+        }
+        break;
+      case 'percentage':
+        // Say why rather than only shaking; the expression line stays
+        this.showComplexError(new CalculationError('invalid-input', 'No percentage of a complex number'), this.complex.expression);
+        break;
+      default:
+        // Parentheses and conversions have no complex form
+        this.feedback('shake');
+    }
+  }
+  
+  /**
+   * Get the entry being typed, starting one if needed; a new number after
+   * a result starts a new calculation line
+   * @returns {Object} Entry { parts, imaginary }
+   */
+  startComplexEntry() {
+    if (this.complex.error) {
+      this.resetComplex();
+    }
+    
+    const complex = this.complex;
+    if (complex.entry === null) {
+      if (complex.pending.length === 0) {
+        complex.expression = null;
+      }
+      complex.entry = { parts: ['0'], imaginary: false };
+      complex.waitingForOperand = false;
+    }
+    return complex.entry;
+  }
+  
+  /**
+   * Type a digit into the current part of the complex entry
+   * @param {string} digit - "0"-"9"
+   */
+  inputComplexDigit(digit) {
+    if (!/^[0-9]$/.test(String(digit))) {
+      this.feedback('shake');
+      return;
+    }
+    
+    const { parts } = this.startComplexEntry();
+    if (parts.join('').replace(/\D/g, '').length >= 15) {
+      this.feedback('flash');
+      return;
+    }
+    
+    const last = parts.length - 1;
+    parts[last] = parts[last].replace(/^(-?)0$/, '$1') + digit;
+    this.updateComplexEntry();
+  }
+  
+  /**
+   * Type a decimal point into the current part of the complex entry
+   */
+  inputComplexDecimal() {
+    const { parts } = this.startComplexEntry();
+    const last = parts.length - 1;
+    
+    if (!parts[last].includes('.')) {
+      parts[last] += '.';
+    }
+  }
+  
+  /**
+   * Type i: the number typed so far becomes imaginary (4 i is 4i), and
+   * pressing it again makes it real; without an entry it enters i itself
+   */
+  inputImaginaryUnit() {
+    const entry = this.complex.entry;
+    if (entry === null) {
+      this.loadComplex(new Complex(0, 1));
+      return;
+    }
+    if (entry.parts.length > 1) {
+      this.feedback('shake');
+      return;
+    }
+    
+    entry.imaginary = !entry.imaginary;
+    this.updateComplexEntry();
+  }
+  
+  /**
+   * Type the ∠ between a magnitude and an angle (5 ∠ 53.13 in degrees is
+   * about 3 + 4i); the angle is read in the current angle unit
+   */
+  inputPolarAngle() {
+    const entry = this.complex.entry;
+    if (!entry || entry.imaginary || entry.parts.length > 1) {
+      this.feedback('shake');
+      return;
+    }
+    
+    entry.parts.push('0');
+    this.updateComplexEntry();
+  }
+  
+  /**
+   * Delete the last typed character, the i or the ∠
+   */
+  deleteComplexCharacter() {
+    const entry = this.complex.entry;
+    if (entry === null) return;
+    
+    const { parts } = entry;
+    const last = parts.length - 1;
+    if (entry.imaginary) {
+      entry.imaginary = false;
+    } else if (last > 0 && /^-?0$/.test(parts[last])) {
+      parts.pop();
+    } else {
+      const part = parts[last].slice(0, -1);
+      parts[last] = part === '' || part === '-' ? '0' : part;
+    }
+    this.updateComplexEntry();
+  }
+  
+  /**
+   * Update the current value from the entry
+   */
+  updateComplexEntry() {
+    this.complex.value = this.parseComplexEntry(this.complex.entry);
+  }
+  
+  /**
+   * Read a complex entry
+   * @param {Object} entry - Entry { parts, imaginary }
+   * @returns {Complex} Value
+   */
+  parseComplexEntry(entry) {
+    const [first, angle] = entry.parts.map(part => Number(part));
+    
+    if (angle !== undefined) {
+      return Operations.fixComplex(Complex.fromPolar(first, Operations.toRadians(angle, this.angleMode)));
+    }
+    return entry.imaginary ? new Complex(0, first) : new Complex(first);
+  }
+  
+  /**
+   * Finish the entry being typed before it is used
+   */
+  commitComplexEntry() {
+    const complex = this.complex;
+    if (complex.entry === null) return;
+    
+    complex.value = this.parseComplexEntry(complex.entry);
+    complex.entry = null;
+  }
+  
+  /**
+   * Apply a function of the complex keypad (√, x², 1/x, conjugate,
+   * magnitude, argument, eˣ, ln or change sign) to the current value
+   * @param {string} name - Key of CalculatorEngine.COMPLEX_FUNCTIONS, or "negate"
+   */
+  applyComplexFunction(name) {
+    const complex = this.complex;
+    
+    // Changing the sign of the part being typed keeps the entry editable
+    if (name === 'negate' && complex.entry) {
+      const { parts } = complex.entry;
+      const last = parts.length - 1;
+      parts[last] = parts[last].startsWith('-') ? parts[last].slice(1) : `-${parts[last]}`;
+      this.updateComplexEntry();
+      return;
+    }
+    if (name !== 'negate' && !CalculatorEngine.COMPLEX_FUNCTIONS[name]) {
+      this.feedback('shake');
+      return;
+    }
+    this.commitComplexEntry();
+    
+    const value = complex.value;
+    const result = Operations.applyFunction(name, value, this.angleMode);
+    
+    if (name !== 'negate') {
+      const operation = this.describeComplexFunction(name, value);
+      if (result instanceof CalculationError) {
+        this.recordHistory(operation, result);
+        this.showComplexError(result, { function: name, right: value });
+        return;
+      }
+      this.recordHistory(operation, this.complexHistoryResult(Complex.from(result)));
+      
+      if (complex.pending.length === 0) {
+        complex.expression = { function: name, right: value };
+      }
+    }
+    
+    // The result (a real number for the magnitude and argument) becomes
+    // the current operand; typing starts a new number
+    complex.value = Complex.from(result);
+    complex.waitingForOperand = false;
+  }
+  
+  /**
+   * Show a failed complex operation
+   * @param {CalculationError} error - What went wrong
+   * @param {Object} expression - Operation that failed { left, operator, right, complete }
+   */
+  showComplexError(error, expression) {
+    this.resetComplex();
+    this.complex.error = error;
+    this.complex.expression = expression;
+    this.feedback('shake');
+  }
+  
+  /**
+   * Load a complex number as the current operand; without a pending
+   * operation it starts a new calculation line
+   * @param {Complex} value - Value to load
+   */
+  loadComplex(value) {
+    if (this.complex.error) {
+      this.resetComplex();
+    }
+    
+    const complex = this.complex;
+    if (complex.pending.length === 0) {
+      complex.expression = null;
+    }
+    complex.value = value;
+    complex.entry = null;
+    complex.waitingForOperand = false;
+  }
+  
+  /**
+   * Enter a pasted complex number: rectangular ("3 + 4i", "-2i") or polar
+   * ("5∠53.13°"; an angle without a unit is in the current angle unit)
+   * @param {string} text - Pasted text
+   * @returns {Object} { pasted, message } - Whether the value was entered, and a status message
+   */
+  pasteComplex(text) {
+    const plain = String(text).trim().replace(/−/g, '-');
+    const polar = /^(.+?)∠(.+?)(°|ᵍ|rad|grad)?$/i.exec(plain.replace(/\s+/g, ''));
+    let value;
+    
+    try {
+      if (polar) {
+        const [magnitude, angle] = [polar[1], polar[2]].map(part => {
+          if (!Utils.isValidNumber(part)) throw new RangeError('Not a number');
+          return Utils.toNumber(part);
+        });
+        const unit = CalculatorEngine.ANGLE_UNITS[(polar[3] || '').toLowerCase()] || this.angleMode;
+        value = Operations.fixComplex(Complex.fromPolar(magnitude, Operations.toRadians(angle, unit)));
+      } else {
+        value = Complex.parse(Utils.delocalizeNumber(Utils.cleanNumberText(plain)));
+      }
+    } catch (error) {
+      value = null;
+    }
+    
+    if (!(value instanceof Complex)) {
+      return { pasted: false, message: `Can't paste "${Utils.truncate(plain, 20)}": not a complex number` };
+    }
+    
+    this.loadComplex(value);
+    return { pasted: true, message: 'Pasted' };
+  }
+  
+  /**
+   * Format a complex number for the display: "3 + 4i" (rectangular) or
+   * "5∠53.1301023542°" (polar, with the angle in the current angle unit)
+   * @param {Complex} value - Value to format
+   * @param {string} format - One of CalculatorEngine.COMPLEX_FORMATS (default: the current one)
+   * @returns {string} Formatted value
+   */
+  formatComplex(value, format = this.complexFormat) {
+    if (format === 'polar') {
+      const angle = Operations.arg(value, this.angleMode);
+      return `${Utils.formatNumber(value.abs())}∠${Utils.formatNumber(angle)}${CalculatorEngine.ANGLE_SYMBOLS[this.angleMode]}`;
+    }
+    
+    if (value.isReal()) {
+      return Utils.formatNumber(value.re);
+    }
+    
+    const magnitude = Math.abs(value.im);
+    const imaginary = magnitude === 1 ? 'i' : `${Utils.formatNumber(magnitude)}i`;
+    if (value.re === 0) {
+      return value.im < 0 ? `-${imaginary}` : imaginary;
+    }
+    return `${Utils.formatNumber(value.re)} ${value.im < 0 ? '-' : '+'} ${imaginary}`;
+  }
+  
+  /**
+   * Format the entry being typed as it was keyed, without grouping
+   * @param {Object} entry - Entry { parts, imaginary }
+   * @returns {string} Entry text (e.g. "4i" or "5∠53,13")
+   */
+  formatComplexEntry(entry) {
+    const text = entry.parts.map(part => Utils.localizeNumber(part)).join('∠');
+    return entry.imaginary ? `${text}i` : text;
+  }
+  
+  /**
+   * Format a complex number as an operand, in parentheses when it has
+   * more than one part or a sign: (3 + 4i) × 2
+   * @param {Complex} value - Value to format
+   * @param {string} format - One of CalculatorEngine.COMPLEX_FORMATS (default: the current one)
+   * @returns {string} Operand text
+   */
+  complexOperand(value, format = this.complexFormat) {
+    const text = this.formatComplex(value, format);
+    return /[\s∠-]/.test(text) ? `(${text})` : text;
+  }
+  
+  /**
+   * Describe a function applied on the complex keypad: "√(-4)", "|3 + 4i|"
+   * @param {string} name - Key of CalculatorEngine.COMPLEX_FUNCTIONS
+   * @param {Complex} value - Argument
+   * @param {string} format - One of CalculatorEngine.COMPLEX_FORMATS (default: the current one)
+   * @returns {string} Description
+   */
+  describeComplexFunction(name, value, format = this.complexFormat) {
+    const template = CalculatorEngine.COMPLEX_FUNCTIONS[name];
+    
+    // Templates that already bracket the argument take it without parentheses
+    const bracketed = /[(|]x[)|]/.test(template);
+    return template.replace('x', bracketed ? this.formatComplex(value, format) : this.complexOperand(value, format));
+  }
+  
+  /**
+   * Result as history keeps it: a number when real, so it can be entered
+   * again, otherwise its rectangular text
+   * @param {Complex} value - Result
+   * @returns {number|string} History result
+   */
+  complexHistoryResult(value) {
+    return value.isReal() ? value.re : this.formatComplex(value, 'rectangular');
+  }
+  
+  /**
+   * Get the complex keypad's expression line
+   * @param {string} format - One of CalculatorEngine.COMPLEX_FORMATS (default: the current one)
+   * @returns {string} Expression text (e.g. "(3 + 4i) × 2 =")
+   */
+  getComplexExpression(format = this.complexFormat) {
+    const expression = this.complex.expression;
+    if (!expression) return '';
+    
+    if (expression.function) {
+      return `${this.describeComplexFunction(expression.function, expression.right, format)} =`;
+    }
+    return this.formatTypedExpression(expression, value => this.complexOperand(value, format));
+  }
+  
+  /**
+   * Check if the complex keypad shows a value with an imaginary part,
+   * which memory, Ans and variables cannot hold
+   * @returns {boolean} True while a non-real value is shown
+   */
+  isShowingComplex() {
+    return this.keypadMode === 'complex' && !this.complex.error && !this.complex.value.isReal();
+  }
+  
+  /**
+   * Complex keypad format and the current value in every format
+   * @returns {Object} { format, values: { rectangular, polar } }
+   */
+  getComplexState() {
+    const values = {};
+    CalculatorEngine.COMPLEX_FORMATS.forEach(format => {
+      values[format] = this.formatComplex(this.complex.value, format);
+    });
+    
+    return { format: this.complexFormat, values };
+  }
+  
+  /**
+   * Run an input on the adding-machine tape: + and − print the entry with
+   * its sign, = prints a subtotal, and the total keys print totals. Other
+   * operators and parentheses need a pending calculation, which the tape
+   * does not have.
+   * @param {Object} input - Input object (e.g. { operator: '+' } or { action: 'total' })
+   * @returns {boolean} True if the input was handled; entry keys (digits,
+   *   ⌫, C, memory, functions) fall through to the normal handlers
+   */
+  pressTape(input) {
+    if (input.operator === '+' || input.operator === '-') {
+      this.postTapeItem(input.operator);
+    } else if (input.operator) {
+      this.feedback('shake');
+    } else if (input.action === 'calculate' || input.action === 'subtotal') {
+      this.printTapeTotal('subtotal');
+    } else if (input.action === 'total' || input.action === 'grand-total') {
+      this.printTapeTotal(input.action);
+    } else if (input.action === 'clear-tape') {
+      this.clearTape();
+    } else if (['percentage', 'open-paren', 'close-paren'].includes(input.action)) {
+      this.feedback('shake');
+    } else {
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Check if the display holds an amount to print: anything typed or
+   * recalled, but not a total the tape just printed or the bare 0 after C
+   * @returns {boolean} True if there is an entry
+   */
+  hasTapeEntry() {
+    if (this.state.tapeTotalShown || this.display.isError) {
+      return false;
+    }
+    return !(this.isShowingZero() && this.display.exactValue === null);
+  }
+  
+  /**
+   * Print the entry with a sign; without a new entry the last amount is
+   * printed again (100 + + adds 100 twice)
+   * @param {string} sign - "+" or "-"
+   */
+  postTapeItem(sign) {
+    let amount;
+    if (this.hasTapeEntry()) {
+      amount = this.getCurrentValue();
+    } else if (this.state.lastOperation) {
+      amount = this.state.lastOperation.operand;
+    } else {
+      this.feedback('shake');
+      return;
+    }
+    
+    try {
+      // The ledger refuses an amount, or a total, that is not a finite number
+      this.ledger.addItem(amount, sign);
+    } catch (error) {
+      this.feedback('shake');
+      return;
+    }
+    
+    this.state.lastOperation = { operator: sign, operand: amount };
+    this.showTapeTotal();
+  }
+  
+  /**
+   * Print a subtotal (◇), total (*) or grand total (G*); an entry not yet
+   * printed is added first. Totals and grand totals go to history.
+   * @param {string} type - One of Ledger.MARKERS
+   */
+  printTapeTotal(type) {
+    if (this.hasTapeEntry()) {
+      this.postTapeItem('+');
+    }
+    
+    const entry = this.ledger.addMarker(type);
+    
+    if (type !== 'subtotal') {
+      this.recordHistory(`Tape ${Ledger.describe(entry)}`, entry.value);
+    }
+    this.showTapeTotal();
+  }
+  
+  /**
+   * Change an item already on the tape; the totals after it are worked out again
+   * @param {string} id - Ledger row id
+   * @param {string} text - Signed amount as typed (e.g. "-30", locale separators allowed)
+   * @returns {Object} { saved, message } - Whether the item changed, and a status message
+   */
+  editTapeItem(id, text) {
+    return this.recordUndo(() => {
+      const cleaned = Utils.cleanNumberText(text || '');
+      const amount = Utils.isValidNumber(cleaned) ? Utils.toNumber(cleaned) : NaN;
+      
+      try {
+        this.ledger.updateItem(id, amount, '+');
+      } catch (error) {
+        return { saved: false, message: error.message };
+      }
+      
+      this.refreshTapeTotal();
+      return { saved: true, message: `Tape entry changed to ${Utils.formatNumber(amount)}` };
+    });
+  }
+  
+  /**
+   * Delete a row from the tape
+   * @param {string} id - Ledger row id
+   */
+  removeTapeEntry(id) {
+    this.recordUndo(() => {
+      if (this.ledger.remove(id)) {
+        this.refreshTapeTotal();
+      }
+    });
+  }
+  
+  /**
+   * Tear off the whole tape
+   */
+  clearTape() {
+    this.ledger.clear();
+    this.state.lastOperation = null;
+    this.refreshTapeTotal();
+  }
+  
+  /**
+   * Show what the tape last printed: the running total after an item,
+   * or the printed total
+   */
+  showTapeTotal() {
+    const entry = this.ledger.getLastEntry();
+    
+    if (!entry) {
+      this.clearDisplay();
+      return;
+    }
+    
+    this.showValue(entry.type === 'item' ? this.ledger.getState().running : entry.value);
+    this.updateExpression(Ledger.describe(entry));
+    this.state.tapeTotalShown = true;
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Update a tape total on the display after the tape changed; a typed entry is kept
+   */
+  refreshTapeTotal() {
+    if (this.keypadMode === 'tape' && this.state.tapeTotalShown) {
+      this.showTapeTotal();
+    }
+  }
+  
+  /**
+   * Handle input on the statistics keypad: Σ+ and Σ− add and remove the
+   * displayed value (or x,y pair), and results enter the display like any
+   * other value, so x̄ × 2 = works
+   * @param {Object} input - Input object (e.g. { action: 'data-add' } or { statistic: 'mean' })
+   * @returns {boolean} True if the input was handled; everything else falls
+   *   through to the normal handlers
+   */
+  pressStatistics(input) {
+    if (input.statistic) {
+      this.pushStatistic(input.statistic);
+    } else if (input.action === 'data-add') {
+      this.addDataPoint();
+    } else if (input.action === 'data-remove') {
+      this.removeDataPoint();
+    } else if (input.action === 'data-pair') {
+      this.holdDataX();
+    } else if (input.action === 'data-clear') {
+      this.dataset.clear();
+      this.state.dataX = null;
+    } else {
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Work out a pending calculation, then read the displayed value as a data
+   * value; the x held by x,y makes it a pair
+   * @returns {Object|null} { x, y } (y is null for a single value), or null while an error is shown
+   */
+  takeDataPoint() {
+    if (!this.settleEntry()) {
+      return null;
+    }
+    
+    const value = this.getCurrentValue();
+    const point = this.state.dataX === null ? { x: value, y: null } : { x: this.state.dataX, y: value };
+    this.state.dataX = null;
+    return point;
+  }
+  
+  /**
+   * Work out a pending calculation before a keypad key such as Σ+ or a
+   * financial register takes the displayed value
+   * @returns {boolean} False (after shaking) while an error is shown
+   */
+  settleEntry() {
+    if (this.state.currentOperator !== null || this.state.tokens.length > 0) {
+      this.equals();
+    }
+    if (this.display.isError) {
+      this.feedback('shake');
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Describe a data point for the expression line
+   * @param {Object} point - { x, y }
+   * @returns {string} e.g. "4" or "(1, 2.5)"
+   */
+  describeDataPoint({ x, y }) {
+    return y === null ? Utils.formatNumber(x) : `(${Utils.formatNumber(x)}, ${Utils.formatNumber(y)})`;
+  }
+  
+  /**
+   * Add the displayed value, or the held x with the displayed y (Σ+)
+   */
+  addDataPoint() {
+    const point = this.takeDataPoint();
+    if (!point) return;
+    
+    this.dataset.addRow(point.x, point.y);
+    this.updateExpression(`Σ+ ${this.describeDataPoint(point)} · n = ${this.dataset.getStatistics().count}`);
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Take one occurrence of the displayed value, or the held x with the
+   * displayed y, out of the data (Σ−)
+   */
+  removeDataPoint() {
+    const point = this.takeDataPoint();
+    if (!point) return;
+    
+    if (!this.dataset.removeValue(point.x, point.y)) {
+      this.feedback('shake');
+      return;
+    }
+    this.updateExpression(`Σ− ${this.describeDataPoint(point)} · n = ${this.dataset.getStatistics().count}`);
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Hold the displayed value as the x of a pair (x,y); the next Σ+ or Σ−
+   * pairs it with the value displayed then
+   */
+  holdDataX() {
+    const point = this.takeDataPoint();
+    if (!point) return;
+    
+    this.state.dataX = point.y === null ? point.x : point.y;
+    this.updateExpression(`(${Utils.formatNumber(this.state.dataX)}, y)`);
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Enter a statistic, or ŷ or x̂ of the displayed value, as the current
+   * operand and record it in history
+   * @param {string} name - Key of Dataset.STATISTICS or Dataset.PREDICTIONS
+   */
+  pushStatistic(name) {
+    const prediction = Dataset.PREDICTIONS[name];
+    const info = Dataset.STATISTICS[name];
+    let value = null;
+    let operation = '';
+    
+    if (prediction && !this.display.isError) {
+      const input = this.getCurrentValue();
+      value = name === 'predictY' ? this.dataset.predictY(input) : this.dataset.predictX(input);
+      operation = `${prediction.symbol}(${Utils.formatNumber(input)})`;
+    } else if (info) {
+      const { statistics, regression } = this.dataset.getSummary();
+      const source = info.group === 'regression' ? regression : statistics;
+      value = source ? source[name] : null;
+      operation = `${info.symbol} (n = ${source ? source.count : 0})`;
+    }
+    
+    if (typeof value !== 'number' || !isFinite(value)) {
+      this.feedback('shake');
+      return;
+    }
+    
+    this.recordHistory(operation, value);
+    this.loadValue(value);
+    if (this.state.currentOperator === null && this.state.tokens.length === 0) {
+      this.updateExpression(operation);
+    }
+  }
+  
+  /**
+   * Add a data point from the data panel
+   * @param {Object} values - { x, y, frequency } as typed (locale separators allowed; y and frequency may be empty)
+   * @returns {Object} { saved, message } - Whether the point was added, and a status message
+   */
+  addDataRow(values) {
+    return this.recordUndo(() => {
+      try {
+        const point = CalculatorEngine.parseDataValues(values);
+        this.dataset.addRow(point.x, point.y, point.frequency);
+        const times = point.frequency > 1 ? ` × ${point.frequency}` : '';
+        return { saved: true, message: `Added ${this.describeDataPoint(point)}${times}` };
+      } catch (error) {
+        return { saved: false, message: error.message };
+      }
+    });
+  }
+  
+  /**
+   * Change one value of a data point from the data panel
+   * @param {string} id - Dataset row id
+   * @param {string} field - "x", "y" or "frequency"
+   * @param {string} text - New value as typed; an empty y turns a pair into a single value
+   * @returns {Object} { saved, message } - Whether the point changed, and a status message
+   */
+  editDataRow(id, field, text) {
+    return this.recordUndo(() => {
+      try {
+        this.dataset.updateRow(id, CalculatorEngine.parseDataValues({ [field]: text }));
+      } catch (error) {
+        return { saved: false, message: error.message };
+      }
+      return { saved: true, message: 'Data point changed' };
+    });
+  }
+  
+  /**
+   * Delete a data point from the data panel
+   * @param {string} id - Dataset row id
+   */
+  removeDataRow(id) {
+    this.recordUndo(() => {
+      this.dataset.remove(id);
+    });
+  }
+  
+  /**
+   * Data points and everything worked out from them, for the data panel
+   * @returns {Object} { rows, statistics, regression, pendingX } - pendingX is the x held by x,y, or null
+   */
+  getStatisticsState() {
+    return {
+      rows: this.dataset.rows,
+      ...this.dataset.getSummary(),
+      pendingX: this.state.dataX
+    };
+  }
+  
+  /**
+   * Handle input on the financial keypad: N, I/Y, PV, PMT and FV store the
+   * displayed value, or after CPT solve for that register; NPV, IRR and EFF
+   * enter their result. Results are recorded in history and enter the
+   * display like any other value.
+   * @param {Object} input - Input object (e.g. { tvm: 'pmt' } or { action: 'npv' })
+   * @returns {boolean} True if the input was handled; everything else falls
+   *   through to the normal handlers
+   */
+  pressFinance(input) {
+    // CPT only applies to the key pressed straight after it
+    const compute = this.state.computePending;
+    this.state.computePending = false;
+    
+    if (input.tvm && compute) {
+      this.solveRegister(input.tvm);
+    } else if (input.tvm) {
+      this.storeRegister(input.tvm);
+    } else if (input.register) {
+      this.recallRegister(input.register);
+    } else if (input.action === 'compute') {
+      this.state.computePending = !compute;
+    } else if (input.action === 'payment-timing') {
+      this.finance.setSettings({ due: this.finance.settings.due === 'begin' ? 'end' : 'begin' });
+    } else if (input.action === 'tvm-clear') {
+      this.finance.clearValues();
+    } else if (input.action === 'cash-flow-add') {
+      this.addCashFlow();
+    } else if (input.action === 'cash-flow-clear') {
+      this.finance.clearCashFlows();
+    } else if (input.action === 'npv') {
+      const { rate } = this.finance.values;
+      const count = this.finance.cashFlows.length;
+      this.pushFinanceResult('NPV', `NPV at ${Utils.formatNumber(rate)}% (${count} cash ${count === 1 ? 'flow' : 'flows'})`,
+        () => this.finance.getNetPresentValue());
+    } else if (input.action === 'irr') {
+      const count = this.finance.cashFlows.length;
+      this.pushFinanceResult('IRR', `IRR (${count} cash ${count === 1 ? 'flow' : 'flows'})`,
+        () => this.finance.getInternalRateOfReturn());
+    } else if (input.action === 'effective-rate') {
+      const { rate } = this.finance.values;
+      this.pushFinanceResult('EFF', `EFF of ${Utils.formatNumber(rate)}% × ${this.finance.settings.compoundingPerYear}/yr`,
+        () => this.finance.getEffectiveRate());
+    } else {
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Describe a register value for the expression line and history
+   * @param {string} name - Key of Finance.REGISTERS
+   * @param {number} value - Register value
+   * @returns {string} e.g. "PV 200,000" or "I/Y 6%"
+   */
+  describeRegister(name, value) {
+    const percent = name === 'rate' ? '%' : '';
+    return `${Finance.REGISTERS[name].label} ${Utils.formatNumber(value)}${percent}`;
+  }
+  
+  /**
+   * Store the displayed value in a register
+   * @param {string} name - Key of Finance.REGISTERS
+   */
+  storeRegister(name) {
+    if (!Finance.REGISTERS[name] || !this.settleEntry()) return;
+    
+    const value = this.getCurrentValue();
+    this.finance.setValue(name, value);
+    this.updateExpression(`${Finance.REGISTERS[name].label} = ${Utils.formatNumber(value)}${name === 'rate' ? '%' : ''}`);
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Solve a register from the other four (CPT) and enter the result
+   * @param {string} name - Key of Finance.REGISTERS
+   */
+  solveRegister(name) {
+    if (!Finance.REGISTERS[name]) return;
+    
+    const given = Object.keys(Finance.REGISTERS)
+      .filter(other => other !== name)
+      .map(other => this.describeRegister(other, this.finance.values[other]))
+      .join(', ');
+    const label = `CPT ${Finance.REGISTERS[name].label}`;
+    this.pushFinanceResult(label, `${label} (${given})`, () => this.finance.solve(name));
+  }
+  
+  /**
+   * Enter the value of a register (RCL)
+   * @param {string} name - Key of Finance.REGISTERS
+   */
+  recallRegister(name) {
+    if (!Finance.REGISTERS[name]) return;
+    
+    this.loadValue(this.finance.values[name]);
+    if (this.state.currentOperator === null && this.state.tokens.length === 0) {
+      this.updateExpression(`RCL ${Finance.REGISTERS[name].label}`);
+    }
+  }
+  
+  /**
+   * Add the displayed value as the next cash flow (CF+)
+   */
+  addCashFlow() {
+    if (!this.settleEntry()) return;
+    
+    const value = this.getCurrentValue();
+    this.finance.addCashFlow(value);
+    this.updateExpression(`CF${this.finance.cashFlows.length - 1} = ${Utils.formatNumber(value)}`);
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Work out a financial result, record it in history and enter it as the
+   * current operand; a failure shows the reason in place of the result and
+   * is recorded in history
+   * @param {string} label - Short name of the result (e.g. "CPT PMT" or "NPV")
+   * @param {string} operation - Description for history and the expression line
+   * @param {Function} compute - Returns the result, or throws if there is none
+   */
+  pushFinanceResult(label, operation, compute) {
+    let value;
+    try {
+      value = compute();
+    } catch (thrown) {
+      const error = CalculationError.from(thrown);
+      this.recordHistory(operation, error);
+      this.showError(error);
+      this.resetState();
+      this.updateExpression(label);
+      this.state.justCalculated = true;
+      return;
+    }
+    
+    this.recordHistory(operation, value);
+    this.loadValue(value);
+    if (this.state.currentOperator === null && this.state.tokens.length === 0) {
+      this.updateExpression(operation);
+    }
+  }
+  
+  /**
+   * Change the payment or compounding frequency or the payment timing from the finance panel
+   * @param {Object} settings - Any of { periodsPerYear, compoundingPerYear, due }
+   */
+  setFinanceSettings(settings) {
+    this.recordUndo(() => {
+      this.finance.setSettings(settings);
+    });
+  }
+  
+  /**
+   * Delete a cash flow from the finance panel
+   * @param {string} id - Cash flow id
+   */
+  removeCashFlow(id) {
+    this.recordUndo(() => {
+      this.finance.removeCashFlow(id);
+    });
+  }
+  
+  /**
+   * Registers, cash flows and the amortization schedule, for the finance panel
+   * @returns {Object} { values, settings, cashFlows, computePending, schedule,
+   *   scheduleProblem } - schedule is { rows, totals } or null, with the
+   *   reason in scheduleProblem
+   */
+  getFinanceState() {
+    let schedule = null;
+    let scheduleProblem = null;
+    
+    try {
+      schedule = this.finance.getSchedule();
+    } catch (error) {
+      scheduleProblem = error.message;
+    }
+    
+    return {
+      ...this.finance.getData(),
+      computePending: this.state.computePending,
+      schedule,
+      scheduleProblem
+    };
+  }
+  
+  /**
+   * Handle input on the date keypad: Between enters the difference of the
+   * picked days in the duration unit, Start + and Start − add the displayed
+   * duration to the start day and show the day it lands on, Today picks the
+   * start day, and the → keys convert the displayed duration to another unit.
+   * A day on the display is not a number, so only keys that begin a new
+   * entry work while one is shown.
+   * @param {Object} input - Input object (e.g. { action: 'date-add' } or { durationTo: 'h' })
+   * @returns {boolean} True if the input was handled; everything else falls
+   *   through to the normal handlers
+   */
+  pressDate(input) {
+    const beginsEntry = input.number !== undefined || input.constant || input.variable ||
+      ['clear', 'decimal', 'memory-recall'].includes(input.action);
+    
+    if (input.action === 'date-difference') {
+      this.pushDateDifference();
+    } else if (input.action === 'date-add' || input.action === 'date-subtract') {
+      this.shiftDate(input.action === 'date-add' ? 1 : -1);
+    } else if (input.action === 'date-today') {
+      this.pickDate('start', Calendar.today());
+    } else if (input.durationTo) {
+      this.convertDuration(input.durationTo);
+    } else if (this.state.dateShown && input.action === 'delete') {
+      this.clearDisplay();
+    } else if (this.state.dateShown && !beginsEntry) {
+      this.feedback('shake');
+    } else {
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Show a day on the display in place of a number
+   * @param {string} date - Day as YYYY-MM-DD
+   */
+  showDate(date) {
+    this.updateDisplay(Calendar.format(date));
+    this.state.dateShown = date;
+    this.state.waitingForOperand = false;
+    this.state.justCalculated = true;
+  }
+  
+  /**
+   * Pick the start or end day (date pickers and Today) and show it
+   * @param {string} field - "start" or "end"
+   * @param {string} date - Day as YYYY-MM-DD
+   */
+  pickDate(field, date) {
+    this.recordUndo(() => {
+      if (!Calendar.isValid(date)) {
+        this.feedback('shake');
+        return;
+      }
+      
+      this.setDates({ [field]: date });
+      this.resetState();
+      this.showDate(date);
+      this.updateExpression(field === 'start' ? 'Start date' : 'End date');
+    });
+  }
+  
+  /**
+   * Choose the start and end days or the duration unit; invalid days fall back to today
+   * @param {Object} settings - Any of { start, end, unit }
+   */
+  setDates(settings) {
+    this.dates = Calendar.normalizeSettings({ ...this.dates, ...settings });
+    this.notifySetting('dates', this.dates);
+  }
+  
+  /**
+   * Enter the difference between the start and end days in the duration
+   * unit and record it in history
+   */
+  pushDateDifference() {
+    const { start, end, unit } = this.dates;
+    const { value, detail } = this.calendar.difference(start, end, unit);
+    const operation = `${start} → ${end} in ${Calendar.UNITS[unit].label}${detail ? ` (${detail})` : ''}`;
+    
+    this.recordHistory(operation, value);
+    this.loadValue(value);
+    if (this.state.currentOperator === null && this.state.tokens.length === 0) {
+      this.updateExpression(operation);
+    }
+  }
+  
+  /**
+   * Add the displayed duration to the start day, or take it away, then show
+   * the resulting day, make it the end day and record it in history; a
+   * duration that is not whole days shows the reason in place of the result
+   * @param {number} direction - 1 to add, -1 to subtract
+   */
+  shiftDate(direction) {
+    if (this.state.dateShown) {
+      this.feedback('shake');
+      return;
+    }
+    if (!this.settleEntry()) return;
+    
+    const { start, unit } = this.dates;
+    const amount = this.getCurrentValue();
+    const operation = `${start} ${direction < 0 ? '−' : '+'} ${Calendar.describeDuration(amount, unit)}`;
+    
+    let date;
+    try {
+      date = this.calendar.shift(start, direction * amount, unit);
+    } catch (thrown) {
+      const error = CalculationError.from(thrown);
+      this.recordHistory(operation, error);
+      this.showError(error);
+      this.resetState();
+      this.updateExpression(operation);
+      this.state.justCalculated = true;
+      return;
+    }
+    
+    this.recordHistory(operation, Calendar.format(date));
+    this.setDates({ end: date });
+    this.resetState();
+    this.showDate(date);
+    this.updateExpression(`${operation} =`);
+  }
+  
+  /**
+   * Convert the displayed duration to another unit, which becomes the
+   * duration unit, and record it in history; months, years and business
+   * days have no fixed length, so they do not convert
+   * @param {string} to - Key of Calendar.UNITS
+   */
+  convertDuration(to) {
+    const from = this.dates.unit;
+    if (this.state.dateShown || !Calendar.CONVERTIBLE.includes(from) || !Calendar.CONVERTIBLE.includes(to)) {
+      this.feedback('shake');
+      return;
+    }
+    if (!this.settleEntry()) return;
+    
+    const value = this.getCurrentValue();
+    const result = Units.convert(value, 'time', from, to);
+    const operation = `${Calendar.describeDuration(value, from)} → ${Calendar.UNITS[to].label}`;
+    
+    this.recordHistory(operation, result);
+    this.setDates({ unit: to });
+    this.loadValue(result);
+    this.updateExpression(operation);
+  }
+  
+  /**
+   * Add a holiday from the date panel
+   * @param {string} date - Day as YYYY-MM-DD
+   * @param {string} name - Optional name
+   * @returns {Object} { saved, message } - Whether the holiday was added, and a status message
+   */
+  addHoliday(date, name) {
+    return this.recordUndo(() => {
+      try {
+        const holiday = this.calendar.addHoliday(date, name);
+        return { saved: true, message: `Added holiday ${Calendar.format(holiday.date)}` };
+      } catch (error) {
+        return { saved: false, message: error.message };
+      }
+    });
+  }
+  
+  /**
+   * Delete a holiday from the date panel
+   * @param {string} date - Day as YYYY-MM-DD
+   */
+  removeHoliday(date) {
+    this.recordUndo(() => {
+      this.calendar.removeHoliday(date);
+    });
+  }
+  
+  /**
+   * Picked days, duration unit, holidays and the live difference, for the date panel
+   * @returns {Object} { start, end, unit, holidays, difference, shown } -
+   *   difference is { value, detail } from Calendar#difference and shown is
+   *   the day on the display, or null
+   */
+  getDateState() {
+    const { start, end, unit } = this.dates;
+    
+    return {
+      start,
+      end,
+      unit,
+      holidays: this.calendar.holidays,
+      difference: this.calendar.difference(start, end, unit),
+      shown: this.state.dateShown
+    };
+  }
+  
+  /**
+   * Check if the calculator evaluates whole expressions
+   * @returns {boolean} True in expression mode, false in simple mode
+   */
+  isExpressionMode() {
+    return this.inputMode === 'expression';
+  }
+  
+  /**
+   * Check the last expression token
+   * @param {string} value - Token value to compare (e.g. ")")
+   * @returns {boolean} True if the last token has that value
+   */
+  lastTokenIs(value) {
+    const tokens = this.state.tokens;
+    return tokens.length > 0 && tokens[tokens.length - 1].value === value;
+  }
+  
+  /**
+   * Check if the pending expression ends in a complete operand that a
+   * following value would multiply: a closed group or a percentage
+   * @returns {boolean} True if the last token is ")" or "%"
+   */
+  endsWithOperand() {
+    return this.lastTokenIs(')') || this.lastTokenIs('%');
+  }
+  
+  /**
+   * Append a token to the pending expression
+   * @param {Object} token - Expression token
+   */
+  pushToken(token) {
+    this.state.tokens.push(token);
+    this.updateExpressionLine();
+  }
+  
+  /**
+   * Move the number being typed into the pending expression
+   */
+  commitEntry() {
+    this.pushToken({ type: 'number', value: this.getCurrentExact() });
+  }
+  
+  /**
+   * Show the pending expression in the expression display
+   */
+  updateExpressionLine() {
+    this.updateExpression(Expression.format(this.state.tokens));
+  }
+  
+  /**
+   * Input an operator in expression mode
+   * @param {string} operator - Mathematical operator
+   */
+  inputExpressionOperator(operator) {
+    const tokens = this.state.tokens;
+    const last = tokens[tokens.length - 1];
+    
+    const isFreshEntry = tokens.length === 0 && this.isShowingZero() && !this.state.justCalculated;
+    
+    if (isFreshEntry && operator === '-') {
+      // Leading "-" starts a negative number rather than 0 - ...
+    } else if (!this.state.waitingForOperand) {
+      this.commitEntry();
+    } else if (last && last.type === 'operator') {
+      // Operator after operator: a pending unary minus is discarded, then
+      // "-" after ×, ÷, xʸ or ʸ√ becomes unary and anything else replaces the operator
+      if (Expression.isUnaryAt(tokens, tokens.length - 1)) {
+        if (operator === '-') return;
+        tokens.pop();
+      }
+      
+      const previous = tokens[tokens.length - 1];
+      const startsNegativeOperand = operator === '-' && previous &&
+        previous.type === 'operator' && ['×', '÷', '^', 'ʸ√'].includes(previous.value);
+      
+      if (previous && previous.type === 'operator' && !startsNegativeOperand) {
+        tokens.pop();
+      }
+    } else if (this.lastTokenIs('(') && operator !== '-') {
+      // Only a negative sign can open a group
+      return;
+    }
+    
+    this.pushToken({ type: 'operator', value: operator });
+    this.state.waitingForOperand = true;
+    this.state.justCalculated = false;
+  }
+  
+  /**
+   * Open a parenthesised group
+   */
+  openParen() {
+    if (!this.isExpressionMode()) return;
+    
+    if (this.state.justCalculated) {
+      this.clear();
+    }
+    
+    const isFreshEntry = this.state.tokens.length === 0 && this.isShowingZero();
+    if (!this.state.waitingForOperand && !isFreshEntry) {
+      // A number before "(" multiplies the group: 2(3 + 4) = 2 × (3 + 4)
+      this.commitEntry();
+      this.pushToken({ type: 'operator', value: '×' });
+    } else if (this.endsWithOperand()) {
+      this.pushToken({ type: 'operator', value: '×' });
+    }
+    
+    this.pushToken({ type: 'paren', value: '(' });
+    this.state.openParens++;
+    this.state.waitingForOperand = true;
+    this.state.justCalculated = false;
+  }
+  
+  /**
+   * Close the innermost open parenthesised group
+   */
+  closeParen() {
+    if (!this.isExpressionMode()) return;
+    
+    const tokens = this.state.tokens;
+    const last = tokens[tokens.length - 1];
+    const groupIsIncomplete = this.state.waitingForOperand && last &&
+      (last.type === 'operator' || last.value === '(');
+    
+    if (this.state.openParens === 0 || groupIsIncomplete) {
+      this.feedback('shake');
+      return;
+    }
+    
+    if (!this.state.waitingForOperand) {
+      this.commitEntry();
+    }
+    
+    this.pushToken({ type: 'paren', value: ')' });
+    this.state.openParens--;
+    this.state.waitingForOperand = true;
+  }
+  
+  /**
+   * Remove the last token of the pending expression (Backspace while
+   * waiting for an operand); a number before it becomes editable again
+   */
+  deleteLastToken() {
+    const tokens = this.state.tokens;
+    const removed = tokens.pop();
+    if (!removed) return;
+    
+    if (removed.value === '(') {
+      this.state.openParens--;
+    } else if (removed.value === ')') {
+      this.state.openParens++;
+    }
+    
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === 'number') {
+      tokens.pop();
+      this.updateDisplay(Utils.localizeNumber(last.value));
+      this.state.waitingForOperand = false;
+    } else {
+      this.state.waitingForOperand = tokens.length > 0;
+    }
+    
+    this.updateExpressionLine();
+  }
+  
+  /**
+   * Evaluate the pending expression (equals in expression mode)
+   */
+  evaluateExpression() {
+    const tokens = this.state.tokens;
+    if (tokens.length === 0) {
+      if (this.state.lastOperation) {
+        this.repeatLastOperation();
+      }
+      return;
+    }
+    
+    const last = tokens[tokens.length - 1];
+    if (!this.state.waitingForOperand || (last.type === 'operator')) {
+      // A trailing operator takes the displayed value: 2 + = is 2 + 2
+      this.commitEntry();
+    }
+    
+    while (this.lastTokenIs('(')) {
+      tokens.pop();
+      this.state.openParens--;
+    }
+    
+    // Close any groups left open
+    for (; this.state.openParens > 0; this.state.openParens--) {
+      tokens.push({ type: 'paren', value: ')' });
+    }
+    
+    const result = Expression.evaluate(tokens);
+    const operation = Expression.format(tokens);
+    this.recordHistory(operation, result, Expression.stringify(tokens));
+    
+    this.showResult(result, operation);
+    this.resetState();
+    
+    if (!(result instanceof CalculationError)) {
+      // Store the operation evaluated last for repeated equals:
+      // 2 + 3 × 4 = = gives 14, 26
+      this.state.lastOperation = Expression.finalOperation(tokens);
+      this.state.justCalculated = true;
+    }
+  }
+  
+  /**
+   * Add an operation to history; history keeps numbers, so an exact
+   * Decimal result is recorded as the nearest one
+   * @param {string} operation - Formatted operation
+   * @param {any} result - Result of operation
+   * @param {string|null} expression - Unformatted expression that can be re-entered
+   */
+  recordHistory(operation, result, expression = null) {
+    const entry = this.memory.addToHistory(operation, Operations.toNumber(result), expression);
+    
+    if (this.handlers.onHistory) {
+      this.handlers.onHistory(entry);
+    }
+  }
+  
+  /**
+   * Load a value into the display as a completed entry
+   * @param {number|Decimal} value - Value to load
+   */
+  loadValue(value) {
+    this.recordUndo(() => {
+      if (!Operations.isReal(value)) return;
+      
+      // Only the decimal keypads keep a Decimal's digits
+      const number = Operations.toNumber(value);
+      
+      if (this.keypadMode === 'programmer') {
+        this.loadInteger(ProgrammerOperations.fromNumber(number, this.programmer));
+        return;
+      }
+      
+      if (this.keypadMode === 'fraction') {
+        if (isFinite(number)) {
+          this.loadRational(Rational.approximate(number, this.fraction.maxDenominator));
+        }
+        return;
+      }
+      
+      if (this.keypadMode === 'complex') {
+        if (isFinite(number)) {
+          this.loadComplex(new Complex(number));
+        }
+        return;
+      }
+      
+      this.multiplyAfterGroup();
+      this.showValue(value);
+      
+      // The loaded value can be used as an operand, but typing a digit
+      // starts a new number
+      this.state.waitingForOperand = false;
+      this.state.justCalculated = true;
+    });
+  }
+  
+  /**
+   * Load a binary expression (e.g. "12.5 × 4") as a pending calculation
+   * @param {string} expression - Unformatted expression from history
+   */
+  loadExpression(expression) {
+    this.recordUndo(() => {
+      // The programmer and complex keypads and the tape have no decimal expressions to edit
+      if (['programmer', 'complex', 'tape'].includes(this.keypadMode)) return;
+      
+      if (this.keypadMode === 'fraction') {
+        this.loadRationalExpression(expression);
+        return;
+      }
+      
+      if (this.isExpressionMode()) {
+        this.loadExpressionTokens(expression);
+        return;
+      }
+      
+      const match = /^(\S+) ([+\-×÷]) (\S+)$/.exec(expression || '');
+      if (!match) return;
+      
+      const isPercent = match[3].endsWith('%');
+      const previousValue = Number(match[1]);
+      const operand = Number(isPercent ? match[3].slice(0, -1) : match[3]);
+      if (isNaN(previousValue) || isNaN(operand)) return;
+      
+      this.clear();
+      this.state.previousValue = previousValue;
+      this.state.currentOperator = match[2];
+      this.updateExpression(`${Utils.formatNumber(previousValue)} ${match[2]}`);
+      this.updateDisplay(Utils.localizeNumber(operand));
+      
+      if (isPercent) {
+        this.percentage();
+      }
+    });
+  }
+  
+  /**
+   * Load an expression into the pending expression for editing;
+   * its last number becomes the current entry
+   * @param {string} expression - Unformatted expression from history
+   */
+  loadExpressionTokens(expression) {
+    let tokens;
+    try {
+      tokens = Expression.tokenize(expression || '');
+      Expression.parse(tokens);
+    } catch (error) {
+      Utils.log('warn', 'Could not load expression:', error.message);
+      return;
+    }
+    
+    this.setExpressionTokens(tokens);
+  }
+  
+  /**
+   * Make tokens the pending expression; its last number becomes the current entry
+   * @param {Array<Object>} tokens - Expression tokens
+   * @param {number} openParens - Groups the tokens leave open
+   */
+  setExpressionTokens(tokens, openParens = 0) {
+    this.clear();
+    
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === 'number') {
+      tokens.pop();
+      this.updateDisplay(Utils.localizeNumber(last.value));
+    } else {
+      this.state.waitingForOperand = true;
+    }
+    
+    this.state.tokens = tokens;
+    this.state.openParens = openParens;
+    this.updateExpressionLine();
+  }
+  
+  /**
+   * Enter pasted text: a number loads as the current value. In expression
+   * mode an expression loads as parsed (continuing one waiting for an
+   * operand); in simple mode it replays through the normal input path as if
+   * typed. Nothing changes if the text is invalid.
+   * @param {string} text - Pasted text
+   * @returns {Object} { pasted, message } - Whether the text was entered, and a status message
+   */
+  pasteText(text) {
+    return this.recordUndo(() => {
+      const cleaned = Utils.cleanNumberText(text);
+      
+      if (!cleaned) {
+        return { pasted: false, message: 'Nothing to paste' };
+      }
+      
+      if (this.keypadMode === 'programmer') {
+        return this.pasteInteger(text);
+      }
+      
+      if (this.keypadMode === 'fraction') {
+        return this.pasteRational(text);
+      }
+      
+      if (this.keypadMode === 'complex') {
+        return this.pasteComplex(text);
+      }
+      
+      if (Utils.isValidNumber(cleaned) && isFinite(Utils.toNumber(cleaned))) {
+        this.loadValue(Utils.toNumber(cleaned));
+        return { pasted: true, message: 'Pasted' };
+      }
+      
+      if (this.keypadMode === 'tape') {
+        return { pasted: false, message: 'Only numbers can be pasted onto the tape' };
+      }
+      
+      let tokens;
+      let evaluate;
+      
+      try {
+        const expression = Utils.delocalizeNumber(cleaned);
+        evaluate = expression.endsWith('=');
+        tokens = Expression.tokenize(evaluate ? expression.slice(0, -1) : expression, this.getNamedValues());
+        Expression.parse(tokens);
+      } catch (error) {
+        return {
+          pasted: false,
+          message: `Can't paste "${Utils.truncate(String(text).trim(), 20)}": not a number or expression`
+        };
+      }
+      
+      const problem = this.findPasteProblem(tokens);
+      if (problem) {
+        return { pasted: false, message: problem };
+      }
+      
+      if (this.isExpressionMode()) {
+        this.loadPastedTokens(tokens);
+      } else {
+        this.replayTokens(tokens);
+      }
+      if (evaluate) {
+        this.equals();
+      }
+      return { pasted: true, message: 'Pasted' };
+    });
+  }
+  
+  /**
+   * Check that pasted tokens can be replayed key by key
+   * @param {Array<Object>} tokens - Parsed expression tokens
+   * @returns {string|null} Problem description, or null if replayable
+   */
+  findPasteProblem(tokens) {
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+      
+      // Named values (π, Ans, variables) are entered whole, not typed digit by digit
+      if (token.type === 'number' && !token.name) {
+        const digits = String(token.value);
+        if (digits.includes('e') || digits.length > 15) {
+          return `Can't paste: ${Utils.truncate(digits, 20)} has too many digits`;
+        }
+      } else if (!this.isExpressionMode()) {
+        const isInnerUnary = token.type === 'operator' && index > 0 && Expression.isUnaryAt(tokens, index);
+        if (token.type === 'paren' || isInnerUnary) {
+          return 'Switch to expression mode to paste this expression';
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Load pasted expression tokens as the pending expression; like a pasted
+   * number they take the place of the current entry, after any operator
+   * waiting for it ("2 ×" then "-3")
+   * @param {Array<Object>} tokens - Parsed expression tokens
+   */
+  loadPastedTokens(tokens) {
+    const { state } = this;
+    
+    if (state.tokens.length > 0) {
+      this.setExpressionTokens([...state.tokens, ...tokens], state.openParens);
+    } else {
+      this.setExpressionTokens(tokens.slice());
+    }
+  }
+  
+  /**
+   * Enter expression tokens through the normal input handlers
+   * @param {Array<Object>} tokens - Expression tokens
+   */
+  replayTokens(tokens) {
+    tokens.forEach(token => {
+      if (token.type === 'number' && token.name) {
+        this.loadValue(token.value);
+      } else if (token.type === 'number') {
+        for (const char of String(token.value)) {
+          if (char === '.') {
+            this.inputDecimal();
+          } else {
+            this.inputNumber(char);
+          }
+        }
+      } else if (token.type === 'paren') {
+        this.performAction(token.value === '(' ? 'open-paren' : 'close-paren');
+      } else if (token.type === 'percent') {
+        this.percentage();
+      } else {
+        this.inputOperator(token.value);
+      }
+    });
+  }
+  
+  /**
+   * Select the memory slot that memory keys act on
+   * @param {number} slot - Slot number (0 = M, 1-9 = M1-M9)
+   */
+  selectMemorySlot(slot) {
+    this.memory.selectSlot(slot);
+  }
+  
+  /**
+   * Reset calculator state
+   */
+  resetState() {
+    this.state.previousValue = null;
+    this.state.currentOperator = null;
+    this.state.waitingForOperand = false;
+    this.state.lastOperation = null;
+    this.state.percentEntry = null;
+    this.state.tokens = [];
+    this.state.openParens = 0;
+  }
+  
+  /**
+   * Update the entry value
+   * @param {string} value - Value text to display
+   * @param {number|Decimal|null} exactValue - Full-precision value behind a formatted value
+   */
+  updateDisplay(value, exactValue = null) {
+    if (!value && value !== '0') {
+      value = '0';
+    }
+    
+    this.display.value = value.toString();
+    this.display.exactValue = (typeof exactValue === 'number' && isFinite(exactValue)) || Operations.isDecimal(exactValue)
+      ? exactValue
+      : null;
+    this.state.percentEntry = null;
+    this.state.tapeTotalShown = false;
+    this.state.dateShown = null;
+    this.display.isError = false;
+    this.display.error = null;
+  }
+  
+  /**
+   * Show an error in place of the entry; the next key starts a new number
+   * @param {CalculationError} error - What went wrong
+   */
+  showError(error) {
+    this.updateDisplay(error.message);
+    this.display.isError = true;
+    this.display.error = error;
+    this.feedback('shake');
+  }
+  
+  /**
+   * Show a number, formatted, while keeping its full precision for further calculation
+   * @param {number|Decimal} value - Value to show
+   */
+  showValue(value) {
+    this.updateDisplay(Utils.formatNumber(value), value);
+  }
+  
+  /**
+   * Update the expression line
+   * @param {string} expr - Expression to display
+   */
+  updateExpression(expr) {
+    this.display.expression = expr || '';
+  }
+  
+  /**
+   * Show a calculation result, or the error it failed with
+   * @param {number|Decimal|Complex|Rational|CalculationError} result - Calculation result
+   * @param {string} operation - Operation that produced the result
+   */
+  showResult(result, operation = '') {
+    if (Operations.isValidResult(result)) {
+      if (typeof result === 'number' || Operations.isDecimal(result)) {
+        this.showValue(result);
+      } else {
+        this.updateDisplay(result.toString());
+      }
+    } else {
+      this.showError(CalculationError.from(result));
+    }
+    
+    if (operation) {
+      this.updateExpression(operation + ' =');
+    }
+  }
+  
+  /**
+   * Append to the entry being typed
+   * @param {string} digit - Digit to append, or "." for the decimal separator
+   */
+  appendDigit(digit) {
+    let value = this.display.isError ? '0' : this.display.value;
+    
+    // The decimal key types the locale's separator
+    if (digit === '.') {
+      digit = Utils.getSeparators().decimal;
+    }
+    
+    // Handle initial zero or replace if current value is zero
+    if (value === '0' && digit !== Utils.getSeparators().decimal) {
+      value = digit;
+    } else {
+      // Prevent multiple decimal points
+      if (digit === Utils.getSeparators().decimal && value.includes(digit)) {
+        return;
+      }
+      
+      // Limit input length
+      if (value.length >= 15) {
+        this.feedback('flash');
+        return;
+      }
+      
+      value += digit;
+    }
+    
+    this.updateDisplay(value);
+  }
+  
+  /**
+   * Change the sign of the displayed value, keeping a typed entry editable
+   */
+  toggleSign() {
+    if (this.display.isError) return;
+    
+    const value = this.display.value;
+    if (this.display.exactValue !== null) {
+      this.showValue(Operations.negate(this.display.exactValue));
+    } else if (value.startsWith('-')) {
+      this.updateDisplay(value.slice(1));
+    } else if (Utils.toNumber(value) !== 0) {
+      this.updateDisplay(`-${value}`);
+    }
+  }
+  
+  /**
+   * Get the displayed value as a number
+   * @returns {number} Current value (0 while showing an error or a day; the real part of a complex number)
+   */
+  getCurrentValue() {
+    if (this.keypadMode === 'programmer') {
+      return this.integer.error ? 0 : ProgrammerOperations.toNumber(this.integer.value);
+    }
+    if (this.keypadMode === 'fraction') {
+      return this.rational.error ? 0 : this.rational.value.toNumber();
+    }
+    if (this.keypadMode === 'complex') {
+      return this.complex.error ? 0 : this.complex.value.re;
+    }
+    if (this.display.isError || this.state.dateShown) {
+      return 0;
+    }
+    if (this.display.exactValue !== null) {
+      return Operations.toNumber(this.display.exactValue);
+    }
+    return Utils.toNumber(this.display.value);
+  }
+  
+  /**
+   * Get the displayed value with every digit: on the standard keypads a
+   * typed entry or a result is a Decimal, so sums of large amounts keep
+   * their cents; anything else is the same as getCurrentValue
+   * @returns {number|Decimal} Current value
+   */
+  getCurrentExact() {
+    const isStandard = !['programmer', 'fraction', 'complex'].includes(this.keypadMode);
+    if (!isStandard || this.display.isError || this.state.dateShown) {
+      return this.getCurrentValue();
+    }
+    if (this.display.exactValue !== null) {
+      return this.display.exactValue;
+    }
+    
+    try {
+      return Decimal.from(Utils.delocalizeNumber(this.display.value));
+    } catch (error) {
+      return this.getCurrentValue();
+    }
+  }
+  
+  /**
+   * Reset the entry and expression line
+   */
+  clearDisplay() {
+    this.updateDisplay('0');
+    this.updateExpression('');
+  }
+  
+  /**
+   * Delete the last character of the entry; a result is edited as the plain
+   * digits typing would give ("1,234" becomes "123", never "1,23")
+   */
+  deleteLast() {
+    let value = this.display.value;
+    
+    // An error, or a result in exponent form, has no digit to take back
+    if (this.display.isError || (this.display.exactValue !== null && value.includes('e'))) {
+      this.clearDisplay();
+      return;
+    }
+    
+    if (this.display.exactValue !== null) {
+      value = Utils.removeThousandsSeparator(value);
+    }
+    
+    // A sign with no digits left is no number
+    const remaining = value.slice(0, -1);
+    this.updateDisplay(remaining === '' || remaining === '-' ? '0' : remaining);
+  }
+  
+  /**
+   * Check if the entry is zero
+   * @returns {boolean} True if showing zero
+   */
+  isShowingZero() {
+    return this.display.value === '0';
+  }
+  
+  /**
+   * Check if the entry has a decimal separator
+   * @returns {boolean} True if has decimal
+   */
+  hasDecimal() {
+    return this.display.value.includes(Utils.getSeparators().decimal);
+  }
+  
+  /**
+   * Re-format numbers on screen after the number locale changed
+   * @param {Object} previous - Separators of the previous locale ({ group, decimal })
+   */
+  refreshLocale(previous) {
+    if (this.state.dateShown) {
+      // The weekday is written in the number format's language
+      this.showDate(this.state.dateShown);
+    } else if (!this.display.isError) {
+      if (this.display.exactValue !== null) {
+        this.showValue(this.display.exactValue);
+      } else {
+        // A typed entry has no grouping; keep a trailing separator while typing
+        this.updateDisplay(Utils.localizeNumber(this.display.value.replace(previous.decimal, '.')));
+      }
+    }
+    
+    if (this.state.tokens.length > 0) {
+      this.updateExpressionLine();
+    } else if (this.state.currentOperator && this.state.waitingForOperand) {
+      this.updateExpression(`${Utils.formatNumber(this.state.previousValue)} ${this.state.currentOperator}`);
+    }
+    
+    // Saved entries hold text in the old format
+    this.clearUndo();
+  }
+  
+  /**
+   * Get the entry as it should be shown, switching long numbers to exponent
+   * form and fractions too long for the screen to decimals
+   * @param {string|null} format - Fraction or complex format to show (default: the current one)
+   * @returns {string} Display text
+   */
+  getDisplayText(format = null) {
+    const error = this.getError();
+    if (error) {
+      return error.message;
+    }
+    
+    if (this.keypadMode === 'programmer') {
+      return this.formatInteger(this.integer.value);
+    }
+    
+    if (this.keypadMode === 'fraction') {
+      const rational = this.rational;
+      if (rational.entry) {
+        return this.formatRationalEntry(rational.entry);
+      }
+      
+      const text = this.formatRational(rational.value, format || this.fraction.format);
+      return text.length > CalculatorEngine.FRACTION_LENGTH ? this.formatRational(rational.value, 'decimal') : text;
+    }
+    
+    if (this.keypadMode === 'complex') {
+      const complex = this.complex;
+      if (complex.entry) {
+        return this.formatComplexEntry(complex.entry);
+      }
+      return this.formatComplex(complex.value, format || this.complexFormat);
+    }
+    
+    const value = this.display.value;
+    
+    // An exact result shows every digit; a long float switches to exponent
+    // form (grouping separators do not count toward the length)
+    const digits = value.replace(/\D/g, '').length;
+    if (digits > 15 && !value.includes('e') && !Operations.isDecimal(this.display.exactValue)) {
+      return Utils.localizeNumber(Utils.toNumber(value).toExponential(6));
+    }
+    return value;
+  }
+  
+  /**
+   * Get the operator of the pending operation, for highlighting
+   * @returns {string|null} Operator symbol, or null
+   */
+  getActiveOperator() {
+    const type = this.getNumberType();
+    if (type) {
+      const { pending } = type.calculation;
+      return pending.length > 0 ? pending[pending.length - 1].operator : null;
+    }
+    if (!this.isExpressionMode()) {
+      return this.state.currentOperator;
+    }
+    
+    const last = this.state.tokens[this.state.tokens.length - 1];
+    return last && last.type === 'operator' ? last.value : null;
+  }
+  
+  /**
+   * Get the expression line of the current keypad
+   * @param {string|null} format - Fraction or complex format to show (default: the current one)
+   * @returns {string} Expression text
+   */
+  getExpressionLine(format = null) {
+    if (this.keypadMode === 'programmer') {
+      return this.getIntegerExpression();
+    }
+    if (this.keypadMode === 'fraction') {
+      return this.getRationalExpression(format || this.fraction.format);
+    }
+    if (this.keypadMode === 'complex') {
+      return this.getComplexExpression(format || this.complexFormat);
+    }
+    return this.display.expression;
+  }
+  
+  /**
+   * Get the error the current keypad is showing instead of a value
+   * @returns {CalculationError|null} Error, or null while a value is shown
+   */
+  getError() {
+    if (this.keypadMode === 'programmer') {
+      return this.integer.error;
+    }
+    if (this.keypadMode === 'fraction') {
+      return this.rational.error;
+    }
+    if (this.keypadMode === 'complex') {
+      return this.complex.error;
+    }
+    return this.display.error;
+  }
+  
+  /**
+   * Check if the current keypad is showing an error instead of a value
+   * @returns {boolean} True while an error is shown
+   */
+  isShowingError() {
+    return this.getError() !== null;
+  }
+  
+  /**
+   * Snapshot of everything a view needs to render the calculator
+   * @returns {Object} { text, expression, isError, error, activeOperator, inputMode, keypadMode, angleMode, conversion, currency, programmer, fraction, complex, tape, statistics, finance, dates, canUndo, canRedo }
+   */
+  getDisplayState() {
+    return {
+      text: this.getDisplayText(),
+      expression: this.getExpressionLine(),
+      isError: this.isShowingError(),
+      error: this.isShowingError() ? this.getError().toJSON() : null,
+      activeOperator: this.getActiveOperator(),
+      inputMode: this.inputMode,
+      keypadMode: this.keypadMode,
+      angleMode: this.angleMode,
+      conversion: this.getConversion(),
+      currency: this.getCurrencyConversion(),
+      programmer: this.getProgrammerState(),
+      fraction: this.getFractionState(),
+      complex: this.getComplexState(),
+      tape: this.ledger.getState(),
+      statistics: this.getStatisticsState(),
+      finance: this.getFinanceState(),
+      dates: this.getDateState(),
+      canUndo: this.undoStack.past.length > 0,
+      canRedo: this.undoStack.future.length > 0
+    };
+  }
+  
+  /**
+   * Report rejected input to the view
+   * @param {string} type - Feedback type (flash, shake)
+   */
+  feedback(type) {
+    if (this.handlers.onFeedback) {
+      this.handlers.onFeedback(type);
+    }
+  }
+  
+  /**
+   * Report a mode change to the view
+   * @param {string} name - Setting name (inputMode, keypadMode, angleMode, conversion, currencyPair, programmer, fraction, complexFormat, dates)
+   * @param {string|Object} value - New value
+   */
+  notifySetting(name, value) {
+    if (this.handlers.onSettingChange) {
+      this.handlers.onSettingChange(name, value);
+    }
+  }
+  
+  /**
+   * Fill in and check fraction keypad settings
+   * @param {Object} settings - { format, maxDenominator }, possibly partial or from storage
+   * @returns {Object} { format, maxDenominator } with unknown values replaced by defaults
+   */
+  static normalizeFraction(settings) {
+    const { format, maxDenominator } = settings || {};
+    
+    return {
+      format: CalculatorEngine.FRACTION_FORMATS.includes(format) ? format : 'mixed',
+      maxDenominator: CalculatorEngine.MAX_DENOMINATORS.includes(maxDenominator) ? maxDenominator : 1000
+    };
+  }
+  
+  /**
+   * Read data panel fields as numbers
+   * @param {Object} values - Any of { x, y, frequency } as typed (locale separators allowed)
+   * @returns {Object} The same fields as numbers; an empty y is null and an empty frequency 1
+   * @throws {Error} If a value is not a number (Dataset checks the rest)
+   */
+  static parseDataValues(values) {
+    const parsed = {};
+    
+    Object.entries(values).forEach(([field, text]) => {
+      const cleaned = Utils.cleanNumberText(text || '');
+      if (cleaned === '' && field !== 'x') {
+        parsed[field] = field === 'y' ? null : 1;
+      } else if (Utils.isValidNumber(cleaned)) {
+        parsed[field] = Utils.toNumber(cleaned);
+      } else {
+        throw new Error(`${field === 'frequency' ? 'Frequency' : field} must be a number`);
+      }
+    });
+    
+    return parsed;
+  }
+  
+  /**
+   * Expression tokens for pending operations of the programmer, fraction or
+   * complex keypad and the operand after them
+   * @param {Array<Object>} terms - Pending { value, operator } pairs
+   * @param {*} right - Last operand
+   * @returns {Array<Object>} Tokens for Expression.evaluate
+   */
+  static termTokens(terms, right) {
+    return [
+      ...terms.flatMap(({ value, operator }) => [{ type: 'number', value }, { type: 'operator', value: operator }]),
+      { type: 'number', value: right }
+    ];
+  }
+  
+  /**
+   * Write pending operations and the operand after them
+   * @param {Array<Object>} terms - Pending { value, operator } pairs
+   * @param {*} right - Last operand, or null while waiting for it
+   * @param {Function} format - Writes an operand
+   * @returns {string} Text (e.g. "(5/3) + (3/4)")
+   */
+  static joinTerms(terms, right, format) {
+    const parts = terms.flatMap(({ value, operator }) => [format(value), operator]);
+    if (right !== null) {
+      parts.push(format(right));
+    }
+    return parts.join(' ');
+  }
+  
+  /**
+   * Deep copy of plain state: arrays, plain objects and primitives (BigInts
+   * included); frozen values such as fractions are immutable and shared
+   * @param {any} value - Value to copy
+   * @returns {any} Copy sharing nothing mutable with the original
+   */
+  static copy(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => CalculatorEngine.copy(item));
+    }
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, CalculatorEngine.copy(item)]));
+    }
+    return value;
+  }
+}
+
+// Keypad layouts; the scientific layout also enables CalculatorEngine.SCIENTIFIC_KEYS,
+// the converter and currency layouts CalculatorEngine.CONVERTER_KEYS, the
+// programmer layout CalculatorEngine.PROGRAMMER_KEYS, the fraction layout
+// CalculatorEngine.FRACTION_KEYS, the complex layout CalculatorEngine.COMPLEX_KEYS,
+// the tape CalculatorEngine.TAPE_KEYS, statistics CalculatorEngine.STATISTICS_KEYS
+// and finance CalculatorEngine.FINANCE_KEYS
+CalculatorEngine.KEYPAD_MODES = ['standard', 'scientific', 'converter', 'currency', 'programmer', 'fraction', 'complex', 'tape', 'statistics', 'finance', 'date'];
+
+// Angle units for trigonometric functions
+CalculatorEngine.ANGLE_MODES = ['deg', 'rad', 'grad'];
+
+// Symbol after a polar angle in each angle unit (radians go without one)
+CalculatorEngine.ANGLE_SYMBOLS = {
+  deg: '°',
+  rad: '',
+  grad: 'ᵍ'
+};
+
+// Angle units a pasted polar angle can name
+CalculatorEngine.ANGLE_UNITS = {
+  '°': 'deg',
+  'rad': 'rad',
+  'grad': 'grad',
+  'ᵍ': 'grad'
+};
+
+// How the fraction keypad shows values: 1 2/3, 5/3 or 1.6666666667
+CalculatorEngine.FRACTION_FORMATS = ['mixed', 'improper', 'decimal'];
+
+// Largest denominators a decimal can be turned into (16 for sixteenths of an inch)
+CalculatorEngine.MAX_DENOMINATORS = [2, 4, 8, 16, 32, 64, 100, 1000, 10000];
+
+// Fractions with more characters than this are shown as decimals
+CalculatorEngine.FRACTION_LENGTH = 20;
+
+// Fraction keypad operators and the Rational methods that work them out
+CalculatorEngine.RATIONAL_OPERATIONS = {
+  '+': 'plus',
+  '-': 'minus',
+  '×': 'times',
+  '÷': 'dividedBy'
+};
+
+// How the complex keypad shows values: 3 + 4i or 5∠53.1301023542°
+CalculatorEngine.COMPLEX_FORMATS = ['rectangular', 'polar'];
+
+// Complex keypad operators, worked out by Operations.calculate
+CalculatorEngine.COMPLEX_OPERATORS = ['+', '-', '×', '÷', '^', 'ʸ√'];
+
+// Complex keypad functions and how history writes them (x is the argument)
+CalculatorEngine.COMPLEX_FUNCTIONS = {
+  sqrt: '√x',
+  square: 'x²',
+  reciprocal: '1/x',
+  conjugate: 'conj(x)',
+  abs: '|x|',
+  arg: 'arg(x)',
+  exp: 'e^x',
+  ln: 'ln(x)'
+};
+
+// Display format each keypad is compared in for undo, so format switches are not steps
+CalculatorEngine.UNDO_FORMATS = {
+  fraction: 'improper',
+  complex: 'rectangular'
+};
+
+// Most changes that can be undone; older ones are forgotten
+CalculatorEngine.UNDO_DEPTH = 100;
+
+// Keyboard keys available in every keypad mode (digits are handled separately)
+CalculatorEngine.KEYS = {
+  '+': { operator: '+' },
+  '-': { operator: '-' },
+  '*': { operator: '×' },
+  '/': { operator: '÷' },
+  '.': { action: 'decimal' },
+  '=': { action: 'calculate' },
+  'Enter': { action: 'calculate' },
+  'Escape': { action: 'clear' },
+  'Backspace': { action: 'delete' },
+  '%': { action: 'percentage' },
+  'a': { variable: 'Ans' },
+  '(': { action: 'open-paren' },
+  ')': { action: 'close-paren' }
+};
+
+// Keyboard keys of the scientific keypad
+CalculatorEngine.SCIENTIFIC_KEYS = {
+  '^': { operator: '^' },
+  '@': { function: 'sqrt' },
+  'q': { function: 'square' },
+  'r': { function: 'reciprocal' },
+  's': { function: 'sin' },
+  'o': { function: 'cos' },
+  't': { function: 'tan' },
+  'S': { function: 'asin' },
+  'O': { function: 'acos' },
+  'T': { function: 'atan' },
+  'n': { function: 'ln' },
+  'l': { function: 'log10' },
+  'x': { function: 'exp' },
+  '!': { function: 'factorial' },
+  'p': { constant: 'pi' },
+  'e': { constant: 'e' },
+  'd': { action: 'angle-mode' },
+  'F9': { function: 'negate' }
+};
+
+// Keyboard keys of the unit and currency converters
+CalculatorEngine.CONVERTER_KEYS = {
+  'u': { action: 'convert' },
+  'w': { action: 'swap-units' }
+};
+
+// Keyboard keys of the programmer keypad (a-f type hex digits)
+CalculatorEngine.PROGRAMMER_KEYS = {
+  '&': { operator: 'AND' },
+  '|': { operator: 'OR' },
+  '^': { operator: 'XOR' },
+  '~': { function: 'not' },
+  '<': { operator: '<<' },
+  '>': { operator: '>>' },
+  '%': { operator: 'mod' },
+  'F5': { base: 'hex' },
+  'F6': { base: 'dec' },
+  'F7': { base: 'oct' },
+  'F8': { base: 'bin' },
+  'F9': { function: 'negate' }
+};
+
+// Keyboard keys of the fraction keypad
+CalculatorEngine.FRACTION_KEYS = {
+  '\\': { action: 'fraction-bar' },
+  'f': { action: 'fraction-format' },
+  'r': { function: 'reciprocal' },
+  '~': { function: 'approximate' },
+  'F9': { function: 'negate' }
+};
+
+// Keyboard keys of the complex keypad
+CalculatorEngine.COMPLEX_KEYS = {
+  'i': { action: 'imaginary-unit' },
+  'j': { action: 'imaginary-unit' },
+  '<': { action: 'polar-angle' },
+  '^': { operator: '^' },
+  '@': { function: 'sqrt' },
+  'q': { function: 'square' },
+  'r': { function: 'reciprocal' },
+  'c': { function: 'conjugate' },
+  'm': { function: 'abs' },
+  'g': { function: 'arg' },
+  'x': { function: 'exp' },
+  'n': { function: 'ln' },
+  'f': { action: 'display-format' },
+  'd': { action: 'angle-mode' },
+  'F9': { function: 'negate' }
+};
+
+// Keyboard keys of the adding-machine tape
+CalculatorEngine.TAPE_KEYS = {
+  '*': { action: 'total' },
+  'g': { action: 'grand-total' },
+  'G': { action: 'grand-total' },
+  'F9': { function: 'negate' }
+};
+
+// Keyboard keys of the statistics keypad
+CalculatorEngine.STATISTICS_KEYS = {
+  's': { action: 'data-add' },
+  'S': { action: 'data-remove' },
+  ';': { action: 'data-pair' },
+  'm': { statistic: 'mean' },
+  'y': { statistic: 'predictY' },
+  'F9': { function: 'negate' }
+};
+
+// Keyboard keys of the financial keypad
+CalculatorEngine.FINANCE_KEYS = {
+  'n': { tvm: 'n' },
+  'i': { tvm: 'rate' },
+  'v': { tvm: 'pv' },
+  'p': { tvm: 'pmt' },
+  'f': { tvm: 'fv' },
+  'c': { action: 'compute' },
+  'F9': { function: 'negate' }
+};
+
+// Keyboard keys of the date keypad
+CalculatorEngine.DATE_KEYS = {
+  't': { action: 'date-today' },
+  'b': { action: 'date-difference' },
+  '>': { action: 'date-add' },
+  '<': { action: 'date-subtract' },
+  'F9': { function: 'negate' }
+};
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CalculatorEngine;
+} else if (typeof window !== 'undefined') {
+  window.CalculatorEngine = CalculatorEngine;
+}
@@ -0,0 +1,382 @@
+/**
+ * TallyUp Calculator - Expression Evaluation Module
+ * Tokenizes, parses and evaluates full expressions with operator precedence
+ */
+
+'use strict';
+
+/**
+ * Expression tokenizer, parser and evaluator
+ *
+ * Tokens are plain objects:
+ *   { type: 'number', value: 12.5 }  (a Decimal for an entry typed on the keypad)
+ *   { type: 'number', value: 0.2, name: 'rate' }  (a name given to tokenize)
+ *   { type: 'operator', value: '×' }
+ *   { type: 'paren', value: '(' }
+ *   { type: 'percent', value: '%' }
+ *
+ * The parser builds an AST of number, unary, percent and binary nodes using
+ * precedence climbing; binary nodes are evaluated through Operations.calculate
+ * so expression mode shares precision and error handling with simple mode.
+ * The fraction, complex and programmer keypads pass their own calculate
+ * function, so the same precedence applies to their numbers.
+ * A percentage on the right of + or - is a percent of the left side, so
+ * 200 + 10% is 220 as on a desk calculator.
+ */
+class Expression {
+  /**
+   * Split an expression string into tokens
+   * @param {string} input - Expression text (e.g. "2 + 3 × (4 - 1)" or "Ans × rate")
+   * @param {Object|null} names - Values of the names the text may use (constants,
+   *   Ans, variables); each name becomes a number token. Without it, names are rejected.
+   * @returns {Array<Object>} Tokens
+   * @throws {Error} If the input contains an unknown character or name
+   */
+  static tokenize(input, names = null) {
+    const tokens = [];
+    const text = String(input);
+    const numberPattern = /^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i;
+    const namePattern = /^(?:[A-Za-z_][A-Za-z0-9_]*|π)/;
+    let position = 0;
+    
+    while (position < text.length) {
+      const char = text[position];
+      
+      if (/\s/.test(char)) {
+        position++;
+        continue;
+      }
+      
+      const numberMatch = numberPattern.exec(text.slice(position));
+      if (numberMatch) {
+        tokens.push({ type: 'number', value: parseFloat(numberMatch[0]) });
+        position += numberMatch[0].length;
+        continue;
+      }
+      
+      const nameMatch = names ? namePattern.exec(text.slice(position)) : null;
+      if (nameMatch) {
+        const value = names[nameMatch[0]];
+        if (typeof value !== 'number') {
+          throw new Error(`Unknown name "${nameMatch[0]}"`);
+        }
+        tokens.push({ type: 'number', value, name: nameMatch[0] });
+        position += nameMatch[0].length;
+        continue;
+      }
+      
+      if (char === '(' || char === ')') {
+        tokens.push({ type: 'paren', value: char });
+        position++;
+        continue;
+      }
+      
+      if (char === '%') {
+        tokens.push({ type: 'percent', value: '%' });
+        position++;
+        continue;
+      }
+      
+      // Longest alias first so multi-character operators (ʸ√) win
+      const alias = Object.keys(Expression.OPERATOR_ALIASES)
+        .sort((a, b) => b.length - a.length)
+        .find(candidate => text.startsWith(candidate, position));
+      
+      if (!alias) {
+        throw new Error(`Unexpected character "${char}" at position ${position}`);
+      }
+      
+      tokens.push({ type: 'operator', value: Expression.OPERATOR_ALIASES[alias] });
+      position += alias.length;
+    }
+    
+    return tokens;
+  }
+  
+  /**
+   * Check whether the operator token at an index is in unary position
+   * @param {Array<Object>} tokens - Token list
+   * @param {number} index - Index of an operator token
+   * @returns {boolean} True if the operator applies to the operand after it
+   */
+  static isUnaryAt(tokens, index) {
+    const previous = tokens[index - 1];
+    return !previous || previous.type === 'operator' || (previous.type === 'paren' && previous.value === '(');
+  }
+  
+  /**
+   * Parse tokens into an abstract syntax tree
+   * @param {Array<Object>} tokens - Token list
+   * @returns {Object} Root AST node
+   * @throws {Error} If the tokens do not form a valid expression
+   */
+  static parse(tokens) {
+    let position = 0;
+    
+    const peek = () => tokens[position];
+    
+    const parsePrimary = () => {
+      const token = tokens[position++];
+      
+      if (!token) {
+        throw new Error('Unexpected end of expression');
+      }
+      
+      if (token.type === 'number') {
+        return { type: 'number', value: token.value };
+      }
+      
+      if (token.type === 'paren' && token.value === '(') {
+        const inner = parseBinary(0);
+        const closing = tokens[position++];
+        if (!closing || closing.type !== 'paren' || closing.value !== ')') {
+          throw new Error('Missing closing parenthesis');
+        }
+        return inner;
+      }
+      
+      throw new Error(`Unexpected token "${token.value}"`);
+    };
+    
+    // A trailing % makes its operand a percentage: 10%, (5 + 5)%
+    const parsePostfix = () => {
+      let node = parsePrimary();
+      
+      while (peek() && peek().type === 'percent') {
+        position++;
+        node = { type: 'percent', operand: node };
+      }
+      
+      return node;
+    };
+    
+    const parseUnary = () => {
+      const token = peek();
+      
+      if (token && token.type === 'operator' && Expression.UNARY_OPERATORS.includes(token.value)) {
+        position++;
+        const operand = parseBinary(Expression.UNARY_PRECEDENCE);
+        return { type: 'unary', operator: token.value, operand };
+      }
+      
+      return parsePostfix();
+    };
+    
+    const parseBinary = (minPrecedence) => {
+      let left = parseUnary();
+      
+      while (peek() && peek().type === 'operator') {
+        const operator = peek().value;
+        const info = Expression.BINARY_OPERATORS[operator];
+        
+        if (!info || info.precedence < minPrecedence) {
+          break;
+        }
+        
+        position++;
+        const nextPrecedence = info.associativity === 'left' ? info.precedence + 1 : info.precedence;
+        const right = parseBinary(nextPrecedence);
+        left = { type: 'binary', operator, left, right };
+      }
+      
+      return left;
+    };
+    
+    if (tokens.length === 0) {
+      throw new Error('Empty expression');
+    }
+    
+    const ast = parseBinary(0);
+    
+    if (position < tokens.length) {
+      throw new Error(`Unexpected token "${tokens[position].value}"`);
+    }
+    
+    return ast;
+  }
+  
+  /**
+   * Evaluate an AST node
+   * @param {Object} node - AST node
+   * @param {Function|null} calculate - Works out a binary operation (left, right, operator)
+   *   of another number type, returning the result or a CalculationError; null uses Operations.calculate
+   * @returns {number|Decimal|CalculationError} Result or error
+   */
+  static evaluateNode(node, calculate = null) {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      
+      case 'unary': {
+        const operand = this.evaluateNode(node.operand, calculate);
+        if (operand instanceof CalculationError) return operand;
+        return node.operator === '-' ? Operations.negate(operand) : operand;
+      }
+      
+      case 'percent': {
+        const operand = this.evaluateNode(node.operand, calculate);
+        if (operand instanceof CalculationError) return operand;
+        return Operations.percentage(operand);
+      }
+      
+      case 'binary': {
+        const left = this.evaluateNode(node.left, calculate);
+        if (left instanceof CalculationError) return left;
+        
+        const right = this.evaluateRight(node, left, calculate);
+        if (right instanceof CalculationError) return right;
+        
+        return calculate ? calculate(left, right, node.operator) : Operations.calculate(left, right, node.operator);
+      }
+      
+      default:
+        return new CalculationError('invalid-input', `Unknown node "${node.type}"`);
+    }
+  }
+  
+  /**
+   * Evaluate the right side of a binary node; a percentage there depends
+   * on the operator and the left side (see Operations.percentageOperand)
+   * @param {Object} node - Binary AST node
+   * @param {number|Decimal} left - Value of the left side
+   * @param {Function|null} calculate - Binary operation of another number type (see evaluateNode)
+   * @returns {number|Decimal|CalculationError} Operand or error
+   */
+  static evaluateRight(node, left, calculate = null) {
+    if (node.right.type !== 'percent') {
+      return this.evaluateNode(node.right, calculate);
+    }
+    
+    const percent = this.evaluateNode(node.right.operand);
+    if (percent instanceof CalculationError) return percent;
+    return Operations.percentageOperand(left, percent, node.operator);
+  }
+  
+  /**
+   * Evaluate an expression
+   * @param {string|Array<Object>} expression - Expression text or token list
+   * @param {Function|null} calculate - Binary operation of another number type (see evaluateNode)
+   * @returns {number|Decimal|CalculationError} Result, or an error saying why the expression
+   *   could not be read (invalid input) or worked out
+   */
+  static evaluate(expression, calculate = null) {
+    try {
+      const tokens = typeof expression === 'string' ? this.tokenize(expression) : expression;
+      return this.evaluateNode(this.parse(tokens), calculate);
+    } catch (error) {
+      // Incomplete or mistyped input, which the caller shows; not a fault
+      return new CalculationError('invalid-input', error.message);
+    }
+  }
+  
+  /**
+   * Find the operation evaluated last, for repeating it
+   * @param {Array<Object>} tokens - Token list
+   * @param {Function|null} calculate - Binary operation of another number type (see evaluateNode)
+   * @returns {Object|null} { operator, operand } of the top-level binary operation,
+   *   or null if the expression has none or its right side is not a number
+   *   (200 + 10% repeats + 20)
+   */
+  static finalOperation(tokens, calculate = null) {
+    try {
+      const ast = this.parse(tokens);
+      if (ast.type !== 'binary') return null;
+      
+      const left = this.evaluateNode(ast.left, calculate);
+      if (left instanceof CalculationError) return null;
+      
+      const operand = this.evaluateRight(ast, left, calculate);
+      return operand instanceof CalculationError ? null : { operator: ast.operator, operand };
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Format tokens for the expression display
+   * @param {Array<Object>} tokens - Token list
+   * @returns {string} Human-readable expression (e.g. "1,000 × (2 + -3)")
+   */
+  static format(tokens) {
+    return this.join(tokens, token => Utils.formatNumber(token.value));
+  }
+  
+  /**
+   * Convert tokens back to unformatted text that tokenize() can read
+   * @param {Array<Object>} tokens - Token list
+   * @returns {string} Expression text (e.g. "1000 × (2 + -3)")
+   */
+  static stringify(tokens) {
+    return this.join(tokens, token => String(token.value));
+  }
+  
+  /**
+   * Join tokens with spacing: unary operators, parentheses and % hug their operand
+   * @param {Array<Object>} tokens - Token list
+   * @param {Function} formatNumber - Number token formatter
+   * @returns {string} Joined expression
+   */
+  static join(tokens, formatNumber) {
+    let output = '';
+    
+    tokens.forEach((token, index) => {
+      const previous = tokens[index - 1];
+      const text = token.type === 'number' ? formatNumber(token) : token.value;
+      const hugsPrevious = previous && (
+        (previous.type === 'paren' && previous.value === '(') ||
+        (token.type === 'paren' && token.value === ')') ||
+        token.type === 'percent' ||
+        (previous.type === 'operator' && this.isUnaryAt(tokens, index - 1))
+      );
+      
+      output += (output && !hugsPrevious ? ' ' : '') + text;
+    });
+    
+    return output;
+  }
+}
+
+// Binary operators: higher precedence binds tighter. The bitwise operators
+// of the programmer keypad rank as in C: OR, XOR and AND below the shifts
+// and rotates, which are below + and − (1 + 2 << 3 is 3 << 3)
+Expression.BINARY_OPERATORS = {
+  'OR': { precedence: 1, associativity: 'left' },
+  'XOR': { precedence: 2, associativity: 'left' },
+  'AND': { precedence: 3, associativity: 'left' },
+  '<<': { precedence: 4, associativity: 'left' },
+  '>>': { precedence: 4, associativity: 'left' },
+  'ROL': { precedence: 4, associativity: 'left' },
+  'ROR': { precedence: 4, associativity: 'left' },
+  '+': { precedence: 5, associativity: 'left' },
+  '-': { precedence: 5, associativity: 'left' },
+  '×': { precedence: 6, associativity: 'left' },
+  '÷': { precedence: 6, associativity: 'left' },
+  'mod': { precedence: 6, associativity: 'left' },
+  '^': { precedence: 8, associativity: 'right' },
+  'ʸ√': { precedence: 8, associativity: 'right' }
+};
+
+// Unary minus binds tighter than × and ÷ (so -2 × 3 is (-2) × 3)
+// but looser than powers (so -2 ^ 2 is -(2 ^ 2))
+Expression.UNARY_OPERATORS = ['-', '+'];
+Expression.UNARY_PRECEDENCE = 7;
+
+// Accepted operator characters and their canonical symbols
+Expression.OPERATOR_ALIASES = {
+  '+': '+',
+  '-': '-',
+  '−': '-',
+  '*': '×',
+  '×': '×',
+  '/': '÷',
+  '÷': '÷',
+  '^': '^',
+  'ʸ√': 'ʸ√'
+};
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Expression;
+} else if (typeof window !== 'undefined') {
+  window.Expression = Expression;
+}
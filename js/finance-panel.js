@@ -0,0 +1,288 @@
+/**
+ * TallyUp Calculator - Finance Panel Module
+ * Renders the financial registers, cash flows and amortization schedule kept by Finance
+ */
+
+'use strict';
+
+/**
+ * Panel shown in finance mode: payment and compounding frequencies, the
+ * five time-value-of-money registers, the cash flows behind NPV and IRR
+ * and the amortization schedule of the loan the registers describe, which
+ * can be exported. Pressing a register enters its value into the display.
+ */
+class FinancePanel {
+  /**
+   * @param {Object} handlers - Callbacks for setting changes and panel actions
+   * @param {Function} handlers.onUse - Called with an engine input ({ register }) to enter a register value
+   * @param {Function} handlers.onChange - Called with { periodsPerYear, compoundingPerYear } when a frequency changes
+   * @param {Function} handlers.onRemove - Called with the id of a cash flow to delete
+   * @param {Function} handlers.onExport - Called with "csv" or "json" to export the schedule
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    
+    this.panelElement = document.querySelector('.finance-panel');
+    this.periodsSelect = document.querySelector('.finance-periods');
+    this.compoundingSelect = document.querySelector('.finance-compounding');
+    this.registersElement = document.querySelector('.finance-registers');
+    this.computeButton = document.querySelector('.finance-keys [data-action="compute"]');
+    this.timingButton = document.querySelector('.finance-keys [data-action="payment-timing"]');
+    this.cashFlowsElement = document.querySelector('.cash-flow-list');
+    this.summaryElement = document.querySelector('.amortization-summary');
+    this.scheduleElement = document.querySelector('.amortization-rows');
+    this.exportButtons = Array.from(document.querySelectorAll('.amortization-export'));
+    
+    if (!this.panelElement || !this.periodsSelect || !this.compoundingSelect || !this.registersElement) {
+      throw new Error('Required finance elements not found');
+    }
+    
+    // Values and schedule the lists were last built from
+    this.registersKey = '';
+    this.cashFlowsKey = '';
+    this.scheduleKey = '';
+    
+    this.init();
+  }
+  
+  /**
+   * Initialize finance panel
+   */
+  init() {
+    [this.periodsSelect, this.compoundingSelect].forEach(select => {
+      Object.entries(FinancePanel.FREQUENCY_LABELS).forEach(([name, label]) => {
+        const option = document.createElement('option');
+        option.value = String(Finance.FREQUENCIES[name]);
+        option.textContent = label;
+        select.appendChild(option);
+      });
+    });
+    
+    this.setupEventListeners();
+    Utils.log('info', 'Finance panel initialized');
+  }
+  
+  /**
+   * Setup event listeners for the selects, lists and export buttons
+   */
+  setupEventListeners() {
+    const notify = () => {
+      if (this.handlers.onChange) {
+        this.handlers.onChange({
+          periodsPerYear: parseInt(this.periodsSelect.value, 10),
+          compoundingPerYear: parseInt(this.compoundingSelect.value, 10)
+        });
+      }
+    };
+    this.periodsSelect.addEventListener('change', notify);
+    this.compoundingSelect.addEventListener('change', notify);
+    
+    this.registersElement.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-register]');
+      if (button && this.handlers.onUse) {
+        this.handlers.onUse({ register: button.dataset.register });
+      }
+    });
+    
+    if (this.cashFlowsElement) {
+      this.cashFlowsElement.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-finance-action="remove"]');
+        const item = button ? button.closest('[data-cash-flow-id]') : null;
+        if (item && this.handlers.onRemove) {
+          this.handlers.onRemove(item.dataset.cashFlowId);
+        }
+      });
+    }
+    
+    this.exportButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        if (this.handlers.onExport) {
+          this.handlers.onExport(button.dataset.format);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Show the settings, registers, cash flows and schedule; lists are only
+   * rebuilt when their values or the number format change
+   * @param {Object} state - From CalculatorEngine#getFinanceState
+   */
+  render(state) {
+    if (!state) return;
+    
+    const { values, settings, cashFlows, schedule, scheduleProblem } = state;
+    this.periodsSelect.value = String(settings.periodsPerYear);
+    this.compoundingSelect.value = String(settings.compoundingPerYear);
+    
+    if (this.computeButton) {
+      this.computeButton.setAttribute('aria-pressed', String(state.computePending));
+    }
+    if (this.timingButton) {
+      const begin = settings.due === 'begin';
+      this.timingButton.textContent = begin ? 'BGN' : 'END';
+      this.timingButton.setAttribute('aria-label',
+        `Payments at the ${begin ? 'start' : 'end'} of each period, press to change`);
+    }
+    
+    const registersKey = `${Utils.locale}|${JSON.stringify(values)}`;
+    if (registersKey !== this.registersKey) {
+      this.registersKey = registersKey;
+      this.renderRegisters(values);
+    }
+    
+    const cashFlowsKey = `${Utils.locale}|${JSON.stringify(cashFlows)}`;
+    if (this.cashFlowsElement && cashFlowsKey !== this.cashFlowsKey) {
+      this.cashFlowsKey = cashFlowsKey;
+      this.renderCashFlows(cashFlows);
+    }
+    
+    const scheduleKey = `${Utils.locale}|${JSON.stringify([schedule, scheduleProblem])}`;
+    if (scheduleKey !== this.scheduleKey) {
+      this.scheduleKey = scheduleKey;
+      this.renderSchedule(schedule, scheduleProblem);
+    }
+  }
+  
+  /**
+   * List the five registers
+   * @param {Object} values - { n, rate, pv, pmt, fv } from Finance
+   */
+  renderRegisters(values) {
+    this.registersElement.textContent = '';
+    
+    Object.entries(Finance.REGISTERS).forEach(([name, info]) => {
+      const formatted = `${FinancePanel.formatRegister(name, values[name])}${name === 'rate' ? '%' : ''}`;
+      
+      const item = document.createElement('li');
+      item.className = 'finance-register';
+      
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.register = name;
+      button.setAttribute('aria-label', `Enter ${info.name}, ${formatted}`);
+      
+      const label = document.createElement('span');
+      label.className = 'finance-label';
+      label.textContent = info.label;
+      
+      const value = document.createElement('span');
+      value.className = 'finance-value';
+      value.textContent = formatted;
+      
+      button.append(label, value);
+      item.appendChild(button);
+      this.registersElement.appendChild(item);
+    });
+  }
+  
+  /**
+   * List the cash flows, numbered from CF0
+   * @param {Array<Object>} cashFlows - { id, amount } from Finance
+   */
+  renderCashFlows(cashFlows) {
+    this.cashFlowsElement.textContent = '';
+    
+    if (cashFlows.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'cash-flow-empty';
+      empty.textContent = 'Type an amount and press CF+; the first is at time 0';
+      this.cashFlowsElement.appendChild(empty);
+      return;
+    }
+    
+    cashFlows.forEach((flow, index) => {
+      const formatted = Utils.formatNumber(Number(flow.amount), 2, 2);
+      
+      const item = document.createElement('li');
+      item.className = 'cash-flow';
+      item.dataset.cashFlowId = flow.id;
+      
+      const label = document.createElement('span');
+      label.className = 'finance-label';
+      label.textContent = `CF${index}`;
+      
+      const amount = document.createElement('span');
+      amount.className = 'finance-value';
+      amount.textContent = formatted;
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'cash-flow-delete';
+      deleteButton.dataset.financeAction = 'remove';
+      deleteButton.textContent = '×';
+      deleteButton.setAttribute('aria-label', `Delete cash flow ${index}, ${formatted}`);
+      
+      item.append(label, amount, deleteButton);
+      this.cashFlowsElement.appendChild(item);
+    });
+  }
+  
+  /**
+   * Show the amortization schedule, or why there is none
+   * @param {Object|null} schedule - { rows, totals } from Finance#getSchedule
+   * @param {string|null} problem - Reason there is no schedule
+   */
+  renderSchedule(schedule, problem) {
+    this.exportButtons.forEach(button => {
+      button.disabled = !schedule;
+    });
+    
+    if (this.summaryElement) {
+      this.summaryElement.textContent = schedule
+        ? `${schedule.rows.length} ${schedule.rows.length === 1 ? 'payment' : 'payments'} · ` +
+          `${Utils.formatNumber(schedule.totals.payment, 2, 2)} paid · ` +
+          `${Utils.formatNumber(schedule.totals.interest, 2, 2)} interest`
+        : problem;
+    }
+    
+    if (!this.scheduleElement) return;
+    this.scheduleElement.textContent = '';
+    if (!schedule) return;
+    
+    schedule.rows.forEach(row => {
+      const item = document.createElement('tr');
+      
+      const period = document.createElement('th');
+      period.scope = 'row';
+      period.textContent = String(row.period);
+      item.appendChild(period);
+      
+      ['payment', 'interest', 'principal', 'balance'].forEach(column => {
+        const cell = document.createElement('td');
+        cell.textContent = Utils.formatNumber(row[column], 2, 2);
+        item.appendChild(cell);
+      });
+      
+      this.scheduleElement.appendChild(item);
+    });
+  }
+  
+  /**
+   * Format a register value: money in cents, N and I/Y as far as needed
+   * @param {string} name - Key of Finance.REGISTERS
+   * @param {number} value - Register value
+   * @returns {string} Formatted value
+   */
+  static formatRegister(name, value) {
+    return Finance.REGISTERS[name].money ? Utils.formatNumber(value, 2, 2) : Utils.formatNumber(value);
+  }
+}
+
+// Names shown in the payment and compounding frequency selects, keyed like Finance.FREQUENCIES
+FinancePanel.FREQUENCY_LABELS = {
+  annually: 'Annually',
+  semiannually: 'Semiannually',
+  quarterly: 'Quarterly',
+  monthly: 'Monthly',
+  biweekly: 'Biweekly',
+  weekly: 'Weekly',
+  daily: 'Daily'
+};
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FinancePanel;
+} else if (typeof window !== 'undefined') {
+  window.FinancePanel = FinancePanel;
+}
@@ -0,0 +1,611 @@
+/**
+ * TallyUp Calculator - Finance Module
+ * Time value of money, NPV and IRR of cash flows and loan amortization schedules
+ */
+
+'use strict';
+
+/**
+ * Financial registers behind finance mode, kept in localStorage
+ *
+ * The five time-value-of-money registers follow the usual cash-flow sign
+ * convention: money received is positive and money paid out negative, so
+ * a loan of 200,000 repaid monthly is PV = 200000 with a negative PMT.
+ * They satisfy
+ *   PV·(1+i)^N + PMT·(1+i·k)·((1+i)^N − 1)/i + FV = 0
+ * where i is the rate per payment period (worked out from I/Y, the
+ * nominal annual rate in percent, and the payment and compounding
+ * frequencies) and k is 1 when payments are due at the start of each
+ * period. Any one register can be solved from the other four. Money
+ * results are rounded to cents with the configured rounding.
+ */
+class Finance {
+  constructor() {
+    // Register values { n, rate, pv, pmt, fv }; rate is I/Y, the nominal annual rate in percent
+    this.values = Finance.normalizeValues({});
+    
+    // { periodsPerYear, compoundingPerYear, due } - due is "end" or "begin"
+    this.settings = Finance.normalizeSettings({});
+    
+    // Cash flows for NPV and IRR in time order, the first at time 0: { id, amount }
+    this.cashFlows = [];
+    
+    // Last amortization schedule and the registers it was built from
+    this.scheduleCache = { key: null, schedule: null };
+    
+    this.loadFinance();
+  }
+  
+  /**
+   * Store a value in a register
+   * @param {string} name - Key of Finance.REGISTERS
+   * @param {number} value - Value to store
+   */
+  setValue(name, value) {
+    if (!Finance.REGISTERS[name]) {
+      throw new Error(`Unknown register "${name}"`);
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+      throw new Error(`${Finance.REGISTERS[name].label} must be a number`);
+    }
+    
+    this.values[name] = value;
+    this.saveFinance();
+  }
+  
+  /**
+   * Change the payment and compounding frequencies or payment timing
+   * @param {Object} settings - Any of { periodsPerYear, compoundingPerYear, due }
+   */
+  setSettings(settings) {
+    this.settings = Finance.normalizeSettings({ ...this.settings, ...settings });
+    this.saveFinance();
+  }
+  
+  /**
+   * Set every register back to zero; the frequencies and cash flows stay
+   */
+  clearValues() {
+    this.values = Finance.normalizeValues({});
+    this.saveFinance();
+  }
+  
+  /**
+   * Add a cash flow after the last one
+   * @param {number|string} amount - Amount, negative for money paid out
+   * @returns {Object} The new cash flow
+   */
+  addCashFlow(amount) {
+    if (amount === '' || amount === null || !isFinite(Number(amount))) {
+      throw new Error('Cash flow must be a number');
+    }
+    
+    const flow = { id: Utils.generateId('cf'), amount: Decimal.from(amount).toString() };
+    this.cashFlows.push(flow);
+    this.saveFinance();
+    return flow;
+  }
+  
+  /**
+   * Delete a cash flow; the ones after it move one period earlier
+   * @param {string} id - Cash flow id
+   * @returns {boolean} True if a cash flow was removed
+   */
+  removeCashFlow(id) {
+    const count = this.cashFlows.length;
+    this.cashFlows = this.cashFlows.filter(flow => flow.id !== id);
+    
+    if (this.cashFlows.length === count) {
+      return false;
+    }
+    
+    this.saveFinance();
+    return true;
+  }
+  
+  /**
+   * Remove every cash flow
+   */
+  clearCashFlows() {
+    this.cashFlows = [];
+    this.saveFinance();
+  }
+  
+  /**
+   * Copy of everything that is stored, for undo snapshots
+   * @returns {Object} { values, settings, cashFlows }
+   */
+  getData() {
+    return { values: this.values, settings: this.settings, cashFlows: this.cashFlows };
+  }
+  
+  /**
+   * Put back data copied earlier (undo and redo)
+   * @param {Object} data - { values, settings, cashFlows } from getData
+   */
+  restoreData(data) {
+    this.values = data.values;
+    this.settings = data.settings;
+    this.cashFlows = data.cashFlows;
+    this.saveFinance();
+  }
+  
+  /**
+   * Interest rate per payment period as a fraction (i)
+   * @returns {number} Rate per period, e.g. 0.005 for 6% a year paid monthly
+   */
+  getPeriodicRate() {
+    return Finance.toPeriodicRate(this.values.rate, this.settings);
+  }
+  
+  /**
+   * Effective annual rate of I/Y with its compounding frequency (EFF)
+   * @returns {number} Effective rate in percent
+   */
+  getEffectiveRate() {
+    const { compoundingPerYear } = this.settings;
+    const nominal = this.values.rate / 100 / compoundingPerYear;
+    
+    if (nominal <= -1) {
+      throw new RangeError('I/Y must be above −100% per compounding period');
+    }
+    return Operations.fixPrecision(100 * Math.expm1(compoundingPerYear * Math.log1p(nominal)), Finance.RATE_PLACES);
+  }
+  
+  /**
+   * Solve one register from the other four and store the result
+   * @param {string} name - Key of Finance.REGISTERS
+   * @returns {number} The solved value; PV, PMT and FV are rounded to cents
+   * @throws {RangeError} If no value of the register satisfies the others
+   */
+  solve(name) {
+    if (!Finance.REGISTERS[name]) {
+      throw new Error(`Unknown register "${name}"`);
+    }
+    
+    const { n, pv, pmt, fv } = this.values;
+    const due = this.settings.due === 'begin' ? 1 : 0;
+    let result;
+    
+    if (name === 'rate') {
+      result = this.solveRate();
+    } else {
+      const i = this.getPeriodicRate();
+      if (name !== 'n' && n === 0) {
+        throw new RangeError('N must not be zero');
+      }
+      
+      // growth is (1+i)^N − 1 and annuity the value of PMT per unit of it,
+      // both worked out so they stay accurate as i approaches zero
+      const growth = Math.expm1(n * Math.log1p(i));
+      const annuity = i === 0 ? n : (1 + i * due) * growth / i;
+      
+      switch (name) {
+        case 'fv':
+          result = -(pv * (1 + growth) + pmt * annuity);
+          break;
+        case 'pv':
+          result = -(fv + pmt * annuity) / (1 + growth);
+          break;
+        case 'pmt':
+          result = -(pv * (1 + growth) + fv) / annuity;
+          break;
+        default:
+          result = this.solvePeriods(i, due);
+      }
+    }
+    
+    if (!isFinite(result)) {
+      throw new RangeError(`No ${Finance.REGISTERS[name].label} solves these values`);
+    }
+    
+    result = Finance.REGISTERS[name].money
+      ? Finance.roundMoney(result)
+      : Operations.fixPrecision(result, Finance.RATE_PLACES);
+    this.setValue(name, result);
+    return result;
+  }
+  
+  /**
+   * Number of payments (N) that satisfies the other registers
+   * @param {number} i - Rate per period
+   * @param {number} due - 1 when payments are at the start of each period, 0 at the end
+   * @returns {number} Number of periods, possibly fractional
+   */
+  solvePeriods(i, due) {
+    const { pv, pmt, fv } = this.values;
+    
+    if (i === 0) {
+      if (pmt === 0) {
+        throw new RangeError('PMT must not be zero when I/Y is zero');
+      }
+      return -(pv + fv) / pmt;
+    }
+    
+    // With A = PMT·(1+i·k)/i the equation becomes (PV + A)·(1+i)^N = A − FV
+    const payment = pmt * (1 + i * due) / i;
+    const growth = (payment - fv) / (pv + payment);
+    if (!(growth > 0)) {
+      throw new RangeError('No N solves these values');
+    }
+    return Math.log(growth) / Math.log1p(i);
+  }
+  
+  /**
+   * Nominal annual rate (I/Y) that satisfies the other registers
+   * @returns {number} Rate in percent
+   */
+  solveRate() {
+    const { n, pv, pmt, fv } = this.values;
+    const due = this.settings.due === 'begin' ? 1 : 0;
+    
+    if (n <= 0) {
+      throw new RangeError('N must be above zero to solve I/Y');
+    }
+    
+    const balance = (i) => {
+      if (i === 0) {
+        return pv + pmt * n + fv;
+      }
+      const growth = Math.expm1(n * Math.log1p(i));
+      return pv * (1 + growth) + pmt * (1 + i * due) * growth / i + fv;
+    };
+    
+    const i = Finance.findRoot(balance);
+    if (i === null) {
+      throw new RangeError('No I/Y solves these values');
+    }
+    return Finance.toNominalRate(i, this.settings);
+  }
+  
+  /**
+   * Net present value of the cash flows, the first at time 0, discounted
+   * at I/Y per cash-flow period
+   * @returns {number} NPV rounded to cents
+   */
+  getNetPresentValue() {
+    if (this.cashFlows.length === 0) {
+      throw new RangeError('Add cash flows first');
+    }
+    if (this.values.rate <= -100) {
+      throw new RangeError('I/Y must be above −100%');
+    }
+    return Finance.roundMoney(Finance.presentValue(this.getAmounts(), this.values.rate / 100));
+  }
+  
+  /**
+   * Internal rate of return: the rate per cash-flow period at which the
+   * NPV of the cash flows is zero
+   * @returns {number} IRR in percent
+   */
+  getInternalRateOfReturn() {
+    const amounts = this.getAmounts();
+    
+    if (!amounts.some(amount => amount > 0) || !amounts.some(amount => amount < 0)) {
+      throw new RangeError('IRR needs both positive and negative cash flows');
+    }
+    
+    const rate = Finance.findRoot(i => Finance.presentValue(amounts, i));
+    if (rate === null) {
+      throw new RangeError('No IRR found for these cash flows');
+    }
+    return Operations.fixPrecision(rate * 100, Finance.RATE_PLACES);
+  }
+  
+  /**
+   * Cash flow amounts as numbers
+   * @returns {Array<number>} Amounts in time order
+   */
+  getAmounts() {
+    return this.cashFlows.map(flow => Number(flow.amount));
+  }
+  
+  /**
+   * Loan amortization schedule for the registers: each payment split into
+   * interest and principal, with the balance left after it. Amounts are in
+   * cents and positive; with FV = 0 the last payment is adjusted so the
+   * balance ends at exactly zero. Built once per set of registers.
+   * @returns {Object} { rows, totals } - rows are { period, payment, interest,
+   *   principal, balance }; totals are { payment, interest, principal }
+   * @throws {RangeError} If the registers do not describe a loan
+   */
+  getSchedule() {
+    const key = JSON.stringify([this.values, this.settings, Decimal.config.rounding]);
+    if (this.scheduleCache.key !== key) {
+      let schedule;
+      try {
+        schedule = this.buildSchedule();
+      } catch (error) {
+        schedule = error;
+      }
+      this.scheduleCache = { key, schedule };
+    }
+    
+    if (this.scheduleCache.schedule instanceof Error) {
+      throw this.scheduleCache.schedule;
+    }
+    return this.scheduleCache.schedule;
+  }
+  
+  /**
+   * Work out the amortization schedule (see getSchedule)
+   * @returns {Object} { rows, totals }
+   */
+  buildSchedule() {
+    const { n, pv, pmt, fv } = this.values;
+    
+    if (pv === 0 || pmt === 0 || Math.sign(pv) === Math.sign(pmt)) {
+      throw new RangeError('A schedule needs PV and PMT with opposite signs');
+    }
+    if (n < 1) {
+      throw new RangeError('A schedule needs N of at least 1');
+    }
+    
+    const periods = Math.ceil(n - Finance.PERIOD_TOLERANCE);
+    if (periods > Finance.MAX_SCHEDULE_ROWS) {
+      throw new RangeError(`A schedule is limited to ${Finance.MAX_SCHEDULE_ROWS} payments`);
+    }
+    
+    // Work from the borrower's side whichever sign PV was keyed with
+    const rate = Decimal.from(this.getPeriodicRate());
+    const payment = Decimal.from(Math.abs(pmt)).round(2);
+    const begin = this.settings.due === 'begin';
+    let balance = Decimal.from(Math.abs(pv)).round(2);
+    
+    const rows = [];
+    const totals = { payment: Decimal.from(0), interest: Decimal.from(0), principal: Decimal.from(0) };
+    
+    for (let period = 1; period <= periods && !balance.isZero(); period++) {
+      // Payments in advance pay nothing but principal on the first day
+      const interest = begin && period === 1 ? Decimal.from(0) : balance.times(rate).round(2);
+      let paid = payment;
+      let principal = paid.minus(interest);
+      
+      // The last payment clears the loan, as does any payment larger than what is left
+      if ((period === periods && fv === 0) || principal.compare(balance) > 0) {
+        principal = balance;
+        paid = balance.plus(interest);
+      }
+      balance = balance.minus(principal);
+      
+      totals.payment = totals.payment.plus(paid);
+      totals.interest = totals.interest.plus(interest);
+      totals.principal = totals.principal.plus(principal);
+      rows.push({
+        period,
+        payment: paid.toNumber(),
+        interest: interest.toNumber(),
+        principal: principal.toNumber(),
+        balance: balance.toNumber()
+      });
+    }
+    
+    return {
+      rows,
+      totals: {
+        payment: totals.payment.toNumber(),
+        interest: totals.interest.toNumber(),
+        principal: totals.principal.toNumber()
+      }
+    };
+  }
+  
+  /**
+   * Export the amortization schedule
+   * @param {string} format - "json" (default) or "csv"
+   * @returns {string} File contents
+   */
+  exportSchedule(format = 'json') {
+    const { rows, totals } = this.getSchedule();
+    
+    if (format === 'csv') {
+      return Utils.toCSV([
+        Finance.EXPORT_COLUMNS,
+        ...rows.map(row => Finance.EXPORT_COLUMNS.map(column =>
+          column === 'period' ? row.period : Utils.plainNumber(row[column])))
+      ]);
+    }
+    
+    return JSON.stringify({
+      app: 'TallyUp',
+      type: 'amortization',
+      exportedAt: new Date().toISOString(),
+      values: this.values,
+      settings: this.settings,
+      rows,
+      totals
+    }, null, 2);
+  }
+  
+  /**
+   * Convert a nominal annual rate to the rate per payment period
+   * @param {number} rate - Nominal annual rate in percent (I/Y)
+   * @param {Object} settings - { periodsPerYear, compoundingPerYear }
+   * @returns {number} Rate per period as a fraction
+   */
+  static toPeriodicRate(rate, { periodsPerYear, compoundingPerYear }) {
+    const nominal = rate / 100 / compoundingPerYear;
+    if (nominal <= -1) {
+      return NaN;
+    }
+    
+    if (periodsPerYear === compoundingPerYear) {
+      return nominal;
+    }
+    return Math.expm1(compoundingPerYear / periodsPerYear * Math.log1p(nominal));
+  }
+  
+  /**
+   * Convert a rate per payment period back to a nominal annual rate
+   * @param {number} i - Rate per period as a fraction
+   * @param {Object} settings - { periodsPerYear, compoundingPerYear }
+   * @returns {number} Nominal annual rate in percent
+   */
+  static toNominalRate(i, { periodsPerYear, compoundingPerYear }) {
+    const nominal = periodsPerYear === compoundingPerYear
+      ? i
+      : Math.expm1(periodsPerYear / compoundingPerYear * Math.log1p(i));
+    return Operations.fixPrecision(nominal * compoundingPerYear * 100, Finance.RATE_PLACES);
+  }
+  
+  /**
+   * Present value of amounts at the end of periods 0, 1, 2, …
+   * @param {Array<number>} amounts - Amounts in time order
+   * @param {number} i - Rate per period as a fraction
+   * @returns {number} Sum of the discounted amounts
+   */
+  static presentValue(amounts, i) {
+    return amounts.reduce((total, amount, period) => total + amount / Math.pow(1 + i, period), 0);
+  }
+  
+  /**
+   * Find the rate per period at which a function of the rate is zero,
+   * preferring the root nearest zero when there are several: the rates in
+   * Finance.RATE_BRACKETS are searched outwards from zero for a sign change,
+   * which bisection then narrows down
+   * @param {Function} fn - Function of the rate per period
+   * @returns {number|null} Rate per period, or null if none was found
+   */
+  static findRoot(fn) {
+    const points = Finance.RATE_BRACKETS.map(rate => ({ rate, value: fn(rate) }));
+    const brackets = [];
+    
+    for (let index = 1; index < points.length; index++) {
+      const low = points[index - 1];
+      const high = points[index];
+      if (low.value === 0) {
+        return low.rate;
+      }
+      if (isFinite(low.value) && isFinite(high.value) && Math.sign(low.value) !== Math.sign(high.value)) {
+        brackets.push([low, high]);
+      }
+    }
+    
+    if (brackets.length === 0) {
+      return null;
+    }
+    
+    const distance = ([low, high]) => Math.min(Math.abs(low.rate), Math.abs(high.rate));
+    let [low, high] = brackets.sort((a, b) => distance(a) - distance(b))[0];
+    
+    for (let step = 0; step < 200 && high.rate - low.rate > 1e-15; step++) {
+      const rate = (low.rate + high.rate) / 2;
+      const value = fn(rate);
+      if (value === 0) {
+        return rate;
+      }
+      if (Math.sign(value) === Math.sign(low.value)) {
+        low = { rate, value };
+      } else {
+        high = { rate, value };
+      }
+    }
+    return (low.rate + high.rate) / 2;
+  }
+  
+  /**
+   * Round an amount of money to cents with the configured rounding
+   * @param {number} value - Amount
+   * @returns {number} Amount in whole cents
+   */
+  static roundMoney(value) {
+    return Decimal.from(value).round(2).toNumber();
+  }
+  
+  /**
+   * Fill in and check register values
+   * @param {Object} values - Any of { n, rate, pv, pmt, fv }, possibly from storage
+   * @returns {Object} { n, rate, pv, pmt, fv } with missing or invalid values zero
+   */
+  static normalizeValues(values) {
+    return Object.fromEntries(Object.keys(Finance.REGISTERS).map(name => {
+      const value = values ? values[name] : 0;
+      return [name, typeof value === 'number' && isFinite(value) ? value : 0];
+    }));
+  }
+  
+  /**
+   * Fill in and check payment settings
+   * @param {Object} settings - { periodsPerYear, compoundingPerYear, due }, possibly partial or from storage
+   * @returns {Object} { periodsPerYear, compoundingPerYear, due } with unknown values replaced by defaults
+   */
+  static normalizeSettings(settings) {
+    const { periodsPerYear, compoundingPerYear, due } = settings || {};
+    const frequencies = Object.values(Finance.FREQUENCIES);
+    
+    return {
+      periodsPerYear: frequencies.includes(periodsPerYear) ? periodsPerYear : 12,
+      compoundingPerYear: frequencies.includes(compoundingPerYear) ? compoundingPerYear : 12,
+      due: due === 'begin' ? 'begin' : 'end'
+    };
+  }
+  
+  /**
+   * Load the saved registers, settings and cash flows from storage
+   */
+  loadFinance() {
+    const saved = Utils.loadFromStorage('finance', null);
+    if (!saved || typeof saved !== 'object') return;
+    
+    this.values = Finance.normalizeValues(saved.values);
+    this.settings = Finance.normalizeSettings(saved.settings);
+    this.cashFlows = Array.isArray(saved.cashFlows)
+      ? saved.cashFlows
+        .filter(flow => flow && isFinite(Number(flow.amount)) && flow.amount !== '')
+        .map(flow => ({ id: flow.id || Utils.generateId('cf'), amount: Decimal.from(flow.amount).toString() }))
+      : [];
+  }
+  
+  /**
+   * Save the registers, settings and cash flows to storage
+   */
+  saveFinance() {
+    Utils.saveToStorage('finance', this.getData());
+  }
+}
+
+// The time-value-of-money registers: key label and spoken name; money
+// registers are rounded to cents when solved
+Finance.REGISTERS = {
+  n: { label: 'N', name: 'Number of payments', money: false },
+  rate: { label: 'I/Y', name: 'Annual interest rate', money: false },
+  pv: { label: 'PV', name: 'Present value', money: true },
+  pmt: { label: 'PMT', name: 'Payment', money: true },
+  fv: { label: 'FV', name: 'Future value', money: true }
+};
+
+// Payment and compounding frequencies (times per year)
+Finance.FREQUENCIES = {
+  annually: 1,
+  semiannually: 2,
+  quarterly: 4,
+  monthly: 12,
+  biweekly: 26,
+  weekly: 52,
+  daily: 365
+};
+
+// Decimal places kept for N, I/Y, IRR and EFF
+Finance.RATE_PLACES = 10;
+
+// N a little above a whole number (from rounding) does not add a payment
+Finance.PERIOD_TOLERANCE = 1e-6;
+
+// Longest amortization schedule built (50 years of weekly payments)
+Finance.MAX_SCHEDULE_ROWS = 2600;
+
+// Rates per period searched for a sign change when solving I/Y and IRR
+Finance.RATE_BRACKETS = [
+  -0.99, -0.9, -0.5, -0.2, -0.1, -0.05, -0.01, -0.001, 0,
+  0.0001, 0.001, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 100
+];
+
+// Columns of the CSV export, in order
+Finance.EXPORT_COLUMNS = ['period', 'payment', 'interest', 'principal', 'balance'];
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Finance;
+} else if (typeof window !== 'undefined') {
+  window.Finance = Finance;
+}
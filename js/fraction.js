@@ -0,0 +1,104 @@
+/**
+ * TallyUp Calculator - Fraction Panel Module
+ * Renders the value as a mixed number, improper fraction and decimal, and the denominator limit
+ */
+
+'use strict';
+
+/**
+ * Fraction panel: the current value as a mixed number, an improper
+ * fraction and a decimal side by side (pressing one shows the display in
+ * that format), plus the largest denominator decimals are turned into
+ */
+class FractionPanel {
+  /**
+   * @param {Object} handlers - Callbacks for panel changes
+   * @param {Function} handlers.onChange - Called with changed settings ({ format } or { maxDenominator })
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    
+    this.panelElement = document.querySelector('.fraction-panel');
+    this.maxDenominatorSelect = document.querySelector('.fraction-max-denominator');
+    
+    if (!this.panelElement || !this.maxDenominatorSelect) {
+      throw new Error('Required fraction elements not found');
+    }
+    
+    this.formatButtons = Array.from(this.panelElement.querySelectorAll('[data-fraction-format]'));
+    
+    this.setupEventListeners();
+    Utils.log('info', 'Fraction panel initialized');
+  }
+  
+  /**
+   * Setup event listeners for the format rows and picker
+   */
+  setupEventListeners() {
+    this.panelElement.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-fraction-format]');
+      if (button) {
+        this.notify({ format: button.dataset.fractionFormat });
+      }
+    });
+    
+    this.maxDenominatorSelect.addEventListener('change', () => {
+      this.notify({ maxDenominator: parseInt(this.maxDenominatorSelect.value, 10) });
+    });
+  }
+  
+  /**
+   * Report changed settings
+   * @param {Object} settings - Changed settings
+   */
+  notify(settings) {
+    if (this.handlers.onChange) {
+      this.handlers.onChange(settings);
+    }
+  }
+  
+  /**
+   * Show the selected format and denominator limit
+   * @param {Object} settings - { format, maxDenominator }
+   */
+  setSelection(settings) {
+    this.maxDenominatorSelect.value = String(settings.maxDenominator);
+    
+    this.formatButtons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.fractionFormat === settings.format));
+    });
+  }
+  
+  /**
+   * Show the current value in every format
+   * @param {Object} state - From CalculatorEngine#getFractionState
+   */
+  render(state) {
+    this.setSelection(state);
+    
+    this.formatButtons.forEach(button => {
+      const format = button.dataset.fractionFormat;
+      const valueElement = button.querySelector('.fraction-format-value');
+      const label = FractionPanel.LABELS[format];
+      
+      if (valueElement && valueElement.textContent !== state.values[format]) {
+        valueElement.textContent = state.values[format];
+        button.setAttribute('aria-label', `${label} ${state.values[format]}, press to show ${label.toLowerCase()}s`);
+      }
+    });
+  }
+}
+
+// Spoken names of CalculatorEngine.FRACTION_FORMATS
+FractionPanel.LABELS = {
+  mixed: 'Mixed number',
+  improper: 'Improper fraction',
+  decimal: 'Decimal'
+};
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FractionPanel;
+} else if (typeof window !== 'undefined') {
+  window.FractionPanel = FractionPanel;
+}
@@ -0,0 +1,288 @@
+/**
+ * TallyUp Calculator - History Panel Module
+ * Renders the calculation history kept by MemoryOperations
+ */
+
+'use strict';
+
+/**
+ * Collapsible history panel with search, per-entry delete, clear-all,
+ * CSV/JSON export, JSON import and a printable report
+ */
+class HistoryPanel {
+  /**
+   * @param {MemoryOperations} memory - Memory instance that owns the history
+   * @param {Object} handlers - Callbacks for entry selection
+   * @param {Function} handlers.onLoadResult - Called with an entry to load its result
+   * @param {Function} handlers.onLoadExpression - Called with an entry to load its expression
+   * @param {Function} handlers.onMessage - Called with (message, isError) after an import or export
+   * @param {Function} handlers.onReport - Called to open the printable report
+   */
+  constructor(memory, handlers = {}) {
+    this.memory = memory;
+    this.handlers = handlers;
+    
+    this.panelElement = document.querySelector('.history-panel');
+    this.toggleButton = document.querySelector('.history-toggle');
+    this.contentElement = document.getElementById('history-content');
+    this.searchInput = document.querySelector('.history-search');
+    this.listElement = document.querySelector('.history-list');
+    this.clearButton = document.querySelector('.history-clear');
+    this.exportButtons = Array.from(document.querySelectorAll('.history-export'));
+    this.importInput = document.querySelector('.history-import');
+    this.reportButton = document.querySelector('.history-report');
+    
+    if (!this.panelElement || !this.toggleButton || !this.contentElement || !this.listElement) {
+      throw new Error('Required history elements not found');
+    }
+    
+    this.query = '';
+    
+    this.init();
+  }
+  
+  /**
+   * Initialize history panel
+   */
+  init() {
+    this.setupEventListeners();
+    this.setExpanded(Utils.loadFromStorage('historyExpanded', false) === true);
+    this.render();
+    Utils.log('info', 'History panel initialized');
+  }
+  
+  /**
+   * Setup event listeners for the panel controls
+   */
+  setupEventListeners() {
+    this.toggleButton.addEventListener('click', () => {
+      this.setExpanded(!this.isExpanded());
+    });
+    
+    if (this.searchInput) {
+      this.searchInput.addEventListener('input', Utils.debounce(() => {
+        this.query = this.searchInput.value;
+        this.render();
+      }, 150));
+    }
+    
+    if (this.clearButton) {
+      this.clearButton.addEventListener('click', () => {
+        this.memory.clearHistory();
+        this.render();
+      });
+    }
+    
+    this.exportButtons.forEach(button => {
+      button.addEventListener('click', () => this.exportHistory(button.dataset.format));
+    });
+    
+    if (this.importInput) {
+      this.importInput.addEventListener('change', () => {
+        const file = this.importInput.files && this.importInput.files[0];
+        if (!file) return;
+        
+        file.text().then((text) => this.importHistory(text));
+        this.importInput.value = '';
+      });
+    }
+    
+    if (this.reportButton) {
+      this.reportButton.addEventListener('click', () => {
+        if (this.handlers.onReport) {
+          this.handlers.onReport();
+        }
+      });
+    }
+    
+    // Use event delegation for entry buttons
+    this.listElement.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-history-action]');
+      if (!button) return;
+      
+      const item = button.closest('[data-history-id]');
+      const entry = item ? this.memory.getHistoryEntry(item.dataset.historyId) : null;
+      if (!entry) return;
+      
+      this.handleEntryAction(button.dataset.historyAction, entry);
+    });
+  }
+  
+  /**
+   * Handle a click on one of an entry's buttons
+   * @param {string} action - Entry action (result, expression, delete)
+   * @param {Object} entry - History entry
+   */
+  handleEntryAction(action, entry) {
+    switch (action) {
+      case 'result':
+        if (this.handlers.onLoadResult) {
+          this.handlers.onLoadResult(entry);
+        }
+        break;
+      case 'expression':
+        if (this.handlers.onLoadExpression) {
+          this.handlers.onLoadExpression(entry);
+        }
+        break;
+      case 'delete':
+        this.memory.removeFromHistory(entry.id);
+        this.render();
+        break;
+    }
+  }
+  
+  /**
+   * Download the history as a file
+   * @param {string} format - "csv" or "json"
+   */
+  exportHistory(format) {
+    const isCSV = format === 'csv';
+    const filename = `tallyup-history-${Utils.toDateKey(new Date())}.${isCSV ? 'csv' : 'json'}`;
+    
+    Utils.downloadText(this.memory.exportHistory(format), filename, isCSV ? 'text/csv' : 'application/json');
+    this.notify(`Exported ${this.memory.history.length} calculations`);
+  }
+  
+  /**
+   * Merge a JSON history file into the history
+   * @param {string} text - File contents
+   */
+  importHistory(text) {
+    try {
+      const { imported, skipped } = this.memory.importHistory(text);
+      this.render();
+      this.notify(`Imported ${imported} calculations${skipped > 0 ? `, ${skipped} already in history` : ''}`);
+    } catch (error) {
+      this.notify(error.message, true);
+    }
+  }
+  
+  /**
+   * Report a status message
+   * @param {string} message - Message text
+   * @param {boolean} isError - Whether it reports a failure
+   */
+  notify(message, isError = false) {
+    if (this.handlers.onMessage) {
+      this.handlers.onMessage(message, isError);
+    }
+  }
+  
+  /**
+   * Check if the panel is expanded
+   * @returns {boolean} True if expanded
+   */
+  isExpanded() {
+    return this.toggleButton.getAttribute('aria-expanded') === 'true';
+  }
+  
+  /**
+   * Expand or collapse the panel
+   * @param {boolean} expanded - Whether the panel should be expanded
+   */
+  setExpanded(expanded) {
+    this.toggleButton.setAttribute('aria-expanded', String(expanded));
+    this.contentElement.hidden = !expanded;
+    Utils.saveToStorage('historyExpanded', expanded);
+  }
+  
+  /**
+   * Re-render the history list from MemoryOperations
+   */
+  render() {
+    const entries = this.memory.searchHistory(this.query);
+    this.listElement.textContent = '';
+    
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = this.query ? 'No matching calculations' : 'No calculations yet';
+      this.listElement.appendChild(empty);
+    } else {
+      entries.forEach(entry => {
+        this.listElement.appendChild(this.createEntryElement(entry));
+      });
+    }
+    
+    const isEmpty = this.memory.history.length === 0;
+    [this.clearButton, ...this.exportButtons].forEach(button => {
+      if (button) {
+        button.disabled = isEmpty;
+      }
+    });
+  }
+  
+  /**
+   * Build the list item for a history entry
+   * @param {Object} entry - History entry
+   * @returns {HTMLElement} List item element
+   */
+  createEntryElement(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-entry';
+    item.classList.toggle('error', entry.result instanceof CalculationError);
+    item.dataset.historyId = entry.id;
+    
+    const formattedResult = typeof entry.result === 'number'
+      ? Utils.formatNumber(entry.result)
+      : String(entry.result);
+    
+    const expressionButton = document.createElement('button');
+    expressionButton.type = 'button';
+    expressionButton.className = 'history-operation';
+    expressionButton.dataset.historyAction = 'expression';
+    expressionButton.textContent = entry.operation;
+    expressionButton.disabled = !entry.expression;
+    expressionButton.setAttribute('aria-label', `Load expression ${entry.operation}`);
+    
+    const resultButton = document.createElement('button');
+    resultButton.type = 'button';
+    resultButton.className = 'history-result';
+    resultButton.dataset.historyAction = 'result';
+    resultButton.textContent = `= ${formattedResult}`;
+    resultButton.disabled = typeof entry.result !== 'number';
+    resultButton.setAttribute('aria-label', `Load result ${formattedResult}`);
+    
+    const time = document.createElement('time');
+    time.className = 'history-time';
+    time.dateTime = entry.timestamp;
+    time.textContent = this.formatTimestamp(entry.timestamp);
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'history-delete';
+    deleteButton.dataset.historyAction = 'delete';
+    deleteButton.textContent = '×';
+    deleteButton.setAttribute('aria-label', `Delete ${entry.operation} from history`);
+    
+    item.append(expressionButton, resultButton, time, deleteButton);
+    return item;
+  }
+  
+  /**
+   * Format an entry timestamp: time only for today, date and time otherwise
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} Formatted timestamp
+   */
+  formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) {
+      return '';
+    }
+    
+    const locale = Utils.locale || [];
+    const time = date.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) {
+      return time;
+    }
+    return `${date.toLocaleDateString(locale)} ${time}`;
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryPanel;
+} else if (typeof window !== 'undefined') {
+  window.HistoryPanel = HistoryPanel;
+}
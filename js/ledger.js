@@ -0,0 +1,342 @@
+/**
+ * TallyUp Calculator - Ledger Module
+ * Adding-machine tape: signed entries, subtotals, totals and grand totals
+ */
+
+'use strict';
+
+/**
+ * Ledger behind the adding-machine tape, kept in localStorage
+ *
+ * Only what was keyed in is stored: items with their sign and amount, and
+ * the positions where subtotal (◇), total (*) and grand total (G*) were
+ * pressed. Every printed value is worked out again from the rows, so
+ * editing or deleting an item updates the totals after it:
+ *   100 +, 30 −, ◇ 70, 5 +, * 75, 25 +, * 25, G* 100
+ * A total closes its group and adds to the grand total; a grand total
+ * clears the grand total.
+ */
+class Ledger {
+  constructor() {
+    // Rows in tape order: { id, timestamp, type: 'item', sign, amount } or { id, timestamp, type } for markers
+    this.rows = [];
+    
+    this.loadLedger();
+  }
+  
+  /**
+   * Check if the tape has no rows
+   * @returns {boolean} True if empty
+   */
+  isEmpty() {
+    return this.rows.length === 0;
+  }
+  
+  /**
+   * Add an item; a negative amount flips the sign (-5 + is 5 −)
+   * @param {number|string} amount - Amount keyed in
+   * @param {string} sign - "+" or "-"
+   * @returns {Object} The printed entry (see getState)
+   * @throws {Error} If the amount is not a number, or a total would be too large
+   */
+  addItem(amount, sign = '+') {
+    const rows = this.rows.slice();
+    this.rows.push({
+      id: Utils.generateId('tape'),
+      timestamp: new Date().toISOString(),
+      type: 'item',
+      ...Ledger.normalizeItem(amount, sign)
+    });
+    this.checkTotals(rows);
+    this.saveLedger();
+    return this.getLastEntry();
+  }
+  
+  /**
+   * Print a subtotal, total or grand total
+   * @param {string} type - One of Ledger.MARKERS
+   * @returns {Object} The printed entry (see getState)
+   */
+  addMarker(type) {
+    if (!Ledger.MARKERS.includes(type)) {
+      throw new Error(`Unknown tape total "${type}"`);
+    }
+    
+    this.rows.push({ id: Utils.generateId('tape'), timestamp: new Date().toISOString(), type });
+    this.saveLedger();
+    return this.getLastEntry();
+  }
+  
+  /**
+   * Change the amount and sign of an item already on the tape
+   * @param {string} id - Row id
+   * @param {number|string} amount - New amount; a negative amount flips the sign
+   * @param {string} sign - "+" or "-"
+   * @throws {Error} If the row is not an item, the amount is not a number, or a total would be too large
+   */
+  updateItem(id, amount, sign) {
+    const row = this.rows.find(candidate => candidate.id === id);
+    if (!row || row.type !== 'item') {
+      throw new Error('Only items on the tape can be edited');
+    }
+    
+    const rows = this.rows.slice();
+    const index = this.rows.indexOf(row);
+    this.rows[index] = { ...row, ...Ledger.normalizeItem(amount, sign) };
+    this.checkTotals(rows);
+    this.saveLedger();
+  }
+  
+  /**
+   * Put the rows back if a change made a total too large for a number
+   * @param {Array<Object>} rows - Rows before the change
+   * @throws {RangeError} If a total is too large
+   */
+  checkTotals(rows) {
+    const { entries, running, grandTotal } = this.getState();
+    if ([running, grandTotal, ...entries.map(entry => entry.value)].every(value => isFinite(value))) return;
+    
+    this.rows = rows;
+    throw new RangeError('Total too large');
+  }
+  
+  /**
+   * Delete a row; totals after it are worked out again
+   * @param {string} id - Row id
+   * @returns {boolean} True if a row was removed
+   */
+  remove(id) {
+    const count = this.rows.length;
+    this.rows = this.rows.filter(row => row.id !== id);
+    
+    if (this.rows.length === count) {
+      return false;
+    }
+    
+    this.saveLedger();
+    return true;
+  }
+  
+  /**
+   * Tear off the whole tape
+   */
+  clear() {
+    this.rows = [];
+    this.saveLedger();
+  }
+  
+  /**
+   * Put back rows copied earlier (undo and redo)
+   * @param {Array<Object>} rows - Rows in tape order
+   */
+  restoreRows(rows) {
+    this.rows = rows;
+    this.saveLedger();
+  }
+  
+  /**
+   * Work out every printed value from the rows
+   * @returns {Object} { entries, running, count, grandTotal, totals } -
+   *   entries are the rows with `value` (signed amount, or the total printed)
+   *   and `count` (item number, or the items/totals a total covers); running
+   *   and count describe the open group, grandTotal and totals the totals
+   *   not yet cleared by G*
+   */
+  getState() {
+    let running = Decimal.from(0);
+    let count = 0;
+    let grandTotal = Decimal.from(0);
+    let totals = 0;
+    
+    const entries = this.rows.map(row => {
+      switch (row.type) {
+        case 'item': {
+          const amount = Decimal.from(row.amount);
+          const value = row.sign === '-' ? amount.negate() : amount;
+          running = running.plus(value);
+          count++;
+          return { ...row, amount: amount.toNumber(), value: value.toNumber(), count };
+        }
+        case 'subtotal':
+          return { ...row, value: running.toNumber(), count };
+        case 'total': {
+          const entry = { ...row, value: running.toNumber(), count };
+          grandTotal = grandTotal.plus(running);
+          totals++;
+          running = Decimal.from(0);
+          count = 0;
+          return entry;
+        }
+        default: {
+          const entry = { ...row, value: grandTotal.toNumber(), count: totals };
+          grandTotal = Decimal.from(0);
+          totals = 0;
+          return entry;
+        }
+      }
+    });
+    
+    return {
+      entries,
+      running: running.toNumber(),
+      count,
+      grandTotal: grandTotal.toNumber(),
+      totals
+    };
+  }
+  
+  /**
+   * Export the tape with unformatted amounts and printed values
+   * @param {string} format - "csv" (timestamp, type, sign, amount, value, count) or "json"
+   * @returns {string} File contents
+   */
+  exportTape(format = 'json') {
+    const { entries, running, count, grandTotal } = this.getState();
+    
+    if (format === 'csv') {
+      return Utils.toCSV([
+        Ledger.EXPORT_COLUMNS,
+        ...entries.map(entry => [
+          entry.timestamp,
+          entry.type,
+          entry.type === 'item' ? entry.sign : '',
+          entry.type === 'item' ? Utils.plainNumber(entry.amount) : '',
+          Utils.plainNumber(entry.value),
+          entry.count
+        ])
+      ]);
+    }
+    
+    return JSON.stringify({
+      app: 'TallyUp',
+      type: 'tape',
+      exportedAt: new Date().toISOString(),
+      entries,
+      running,
+      count,
+      grandTotal
+    }, null, 2);
+  }
+  
+  /**
+   * Collect the tape rows printed between two dates for a report
+   * @param {string|null} from - First day (YYYY-MM-DD), or null for the start
+   * @param {string|null} to - Last day (YYYY-MM-DD), or null for the end
+   * @returns {Object} { entries, count, total, first, last } - values are as
+   *   printed on the whole tape; count and total cover the items in range;
+   *   first and last are the timestamps of the earliest and latest row
+   */
+  getReport(from = null, to = null) {
+    const entries = this.getState().entries
+      .filter(entry => Utils.isInDateRange(entry.timestamp, from, to));
+    const items = entries.filter(entry => entry.type === 'item');
+    
+    const total = items.reduce((sum, entry) => sum.plus(Decimal.from(entry.value)), Decimal.from(0));
+    
+    return {
+      entries,
+      count: items.length,
+      total: total.toNumber(),
+      first: entries.length > 0 ? entries[0].timestamp : null,
+      last: entries.length > 0 ? entries[entries.length - 1].timestamp : null
+    };
+  }
+  
+  /**
+   * Get the last printed entry
+   * @returns {Object|null} Entry (see getState), or null if the tape is empty
+   */
+  getLastEntry() {
+    const { entries } = this.getState();
+    return entries.length > 0 ? entries[entries.length - 1] : null;
+  }
+  
+  /**
+   * Describe a printed entry for the expression line, history and reports
+   * @param {Object} entry - Entry from getState
+   * @returns {string} e.g. "30 −", "total * (3 items)"
+   */
+  static describe(entry) {
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+    
+    switch (entry.type) {
+      case 'item':
+        return `${Utils.formatNumber(entry.amount)} ${Ledger.SYMBOLS[entry.sign]}`;
+      case 'subtotal':
+        return `subtotal ${Ledger.SYMBOLS.subtotal} (${plural(entry.count, 'item')})`;
+      case 'total':
+        return `total ${Ledger.SYMBOLS.total} (${plural(entry.count, 'item')})`;
+      default:
+        return `grand total ${Ledger.SYMBOLS['grand-total']} (${plural(entry.count, 'total')})`;
+    }
+  }
+  
+  /**
+   * Validate an item's amount and sign
+   * @param {number|string} amount - Amount; a negative amount flips the sign
+   * @param {string} sign - "+" or "-"
+   * @returns {Object} { sign, amount } with a non-negative decimal string amount
+   * @throws {Error} If the amount is not a finite number
+   */
+  static normalizeItem(amount, sign) {
+    if (amount === '' || amount === null || !isFinite(Number(amount))) {
+      throw new Error('Amount must be a number');
+    }
+    
+    const value = Decimal.from(amount);
+    const flipped = value.isNegative();
+    const positive = sign !== '-';
+    
+    return {
+      sign: positive !== flipped ? '+' : '-',
+      amount: value.abs().toString()
+    };
+  }
+  
+  /**
+   * Load the saved tape from storage
+   */
+  loadLedger() {
+    const saved = Utils.loadFromStorage('tape', []);
+    if (!Array.isArray(saved)) return;
+    
+    this.rows = saved.filter(row => row && (
+      (row.type === 'item' && isFinite(Number(row.amount))) ||
+      Ledger.MARKERS.includes(row.type)
+    )).map(row => ({
+      id: row.id || Utils.generateId('tape'),
+      timestamp: isNaN(Date.parse(row.timestamp)) ? new Date().toISOString() : row.timestamp,
+      type: row.type,
+      ...(row.type === 'item' ? Ledger.normalizeItem(row.amount, row.sign) : {})
+    }));
+  }
+  
+  /**
+   * Save the tape to storage
+   */
+  saveLedger() {
+    Utils.saveToStorage('tape', this.rows);
+  }
+}
+
+// Totals that can be printed on the tape: subtotal (◇), total (*) and grand total (G*)
+Ledger.MARKERS = ['subtotal', 'total', 'grand-total'];
+
+// Header row of the tape CSV export
+Ledger.EXPORT_COLUMNS = ['timestamp', 'type', 'sign', 'amount', 'value', 'count'];
+
+// Symbols printed beside each kind of row
+Ledger.SYMBOLS = {
+  '+': '+',
+  '-': '−',
+  subtotal: '◇',
+  total: '*',
+  'grand-total': 'G*'
+};
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Ledger;
+} else if (typeof window !== 'undefined') {
+  window.Ledger = Ledger;
+}
@@ -5,25 +5,117 @@
 
 'use strict';
 
+/**
+ * Failed calculation, returned (not thrown) in place of a result. The code
+ * says what went wrong and the message says it in words, so embedders can
+ * branch on the code while the display shows the message:
+ *
+ *   const result = Operations.calculate(1, 0, '÷');
+ *   if (result instanceof CalculationError) console.log(result.code); // "division-by-zero"
+ */
+class CalculationError extends Error {
+  /**
+   * @param {string} code - One of CalculationError.CODES (e.g. "domain")
+   * @param {string} message - What went wrong (defaults to the code's message)
+   */
+  constructor(code, message = '') {
+    const known = Object.prototype.hasOwnProperty.call(CalculationError.CODES, code);
+    super(message || CalculationError.CODES[known ? code : 'invalid-input']);
+    this.name = 'CalculationError';
+    this.code = known ? code : 'invalid-input';
+    Object.freeze(this);
+  }
+  
+  /**
+   * Message shown in place of the result
+   * @returns {string} Message
+   */
+  toString() {
+    return this.message;
+  }
+  
+  /**
+   * Plain form for JSON, e.g. a history export
+   * @returns {Object} { error, message }
+   */
+  toJSON() {
+    return { error: this.code, message: this.message };
+  }
+  
+  /**
+   * Check for a calculation error
+   * @param {any} value - Value to check
+   * @returns {boolean} True if the value is a CalculationError
+   */
+  static is(value) {
+    return value instanceof CalculationError;
+  }
+  
+  /**
+   * Turn anything that failed into a CalculationError: an error object in
+   * its JSON form, an exception thrown by Decimal, Rational or Complex
+   * (a RangeError is a domain error), or a non-finite number (overflow)
+   * @param {any} value - Failed result, exception or JSON object
+   * @returns {CalculationError} Calculation error
+   */
+  static from(value) {
+    if (value instanceof CalculationError) {
+      return value;
+    }
+    if (value instanceof Error) {
+      if (/division by zero/i.test(value.message)) {
+        return new CalculationError('division-by-zero');
+      }
+      return new CalculationError(value instanceof RangeError ? 'domain' : 'invalid-input', value.message);
+    }
+    if (value && typeof value === 'object' && typeof value.error === 'string') {
+      return new CalculationError(value.error, typeof value.message === 'string' ? value.message : '');
+    }
+    if (typeof value === 'number' && !isNaN(value) && !isFinite(value)) {
+      return new CalculationError('overflow');
+    }
+    return new CalculationError('invalid-input');
+  }
+}
+
+// Error codes and their default messages
+CalculationError.CODES = Object.freeze({
+  'division-by-zero': 'Cannot divide by zero',
+  'undefined': 'Result is undefined',
+  'domain': 'Invalid input for function',
+  'overflow': 'Result too large',
+  'invalid-input': 'Invalid input'
+});
+
 /**
  * Mathematical operations class with error handling and precision management
+ * Arithmetic runs on the Decimal engine, so 0.1 + 0.2 is exactly 0.3; a
+ * Decimal operand keeps every digit of +, −, × and ÷ (the result is a Decimal
+ * too), and a Complex operand switches to complex arithmetic, where √-4 is 2i
  */
 class Operations {
   /**
    * Perform basic arithmetic operations
-   * @param {number} a - First operand
+   * @param {number|Decimal|Complex} a - First operand
    * @param {string} operator - Mathematical operator
-   * @param {number} b - Second operand
-   * @returns {number|string} Result or error message
+   * @param {number|Decimal|Complex} b - Second operand
+   * @returns {number|Decimal|Complex|CalculationError} Result (a Decimal for +, −, × and ÷
+   *   with a Decimal operand) or error
    */
   static calculate(a, b, operator) {
+    if (this.isComplex(a) || this.isComplex(b)) {
+      return this.calculateComplex(a, b, operator);
+    }
+    
     // Input validation
-    if (typeof a !== 'number' || typeof b !== 'number') {
-      return 'Error';
+    if (!this.isReal(a) || !this.isReal(b)) {
+      return new CalculationError('invalid-input');
     }
     
-    if (isNaN(a) || isNaN(b)) {
-      return 'Error';
+    // Powers and roots are worked out in floating point
+    if (operator === '^' || operator === 'ʸ√') {
+      a = this.toNumber(a);
+      b = this.toNumber(b);
     }
     
     try {
@@ -44,141 +136,588 @@ class Operations {
         case '/':
           result = this.divide(a, b);
           break;
+        case '^':
+          result = this.power(a, b);
+          break;
+        case 'ʸ√':
+          result = this.nthRoot(a, b);
+          break;
         default:
-          return 'Error';
-      }
-      
-      // Handle special cases
-      if (isNaN(result)) {
-        return 'Error';
-      }
-      
-      if (!isFinite(result)) {
-        return result > 0 ? 'Infinity' : '-Infinity';
+          return new CalculationError('invalid-input', `Unknown operator "${operator}"`);
       }
       
-      // Fix floating point precision issues
-      return this.fixPrecision(result);
-      
+      return this.checkResult(result);
+    
     } catch (error) {
       Utils.log('error', 'Calculation error:', error);
-      return 'Error';
+      return CalculationError.from(error);
+    }
+  }
+  
+  /**
+   * Pass an error or an exact Decimal through, turn NaN into a domain error
+   * and an infinite value into an overflow, and fix the precision of anything else
+   * @param {number|Decimal|CalculationError} result - Raw result
+   * @returns {number|Decimal|CalculationError} Result or error
+   */
+  static checkResult(result) {
+    if (result instanceof CalculationError || this.isDecimal(result)) {
+      return result;
     }
+    if (typeof result !== 'number' || isNaN(result)) {
+      return new CalculationError('domain');
+    }
+    if (!isFinite(result)) {
+      return new CalculationError('overflow');
+    }
+    return this.fixPrecision(result);
+  }
+  
+  /**
+   * Perform an operation in complex arithmetic
+   * @param {number|Complex} a - First operand
+   * @param {number|Complex} b - Second operand
+   * @param {string} operator - Operator (+, -, ×, ÷, ^, ʸ√)
+   * @returns {Complex|CalculationError} Result or error
+   */
+  static calculateComplex(a, b, operator) {
+    const method = Operations.COMPLEX_OPERATIONS[operator];
+    if (!method) {
+      return new CalculationError('invalid-input', `Unknown operator "${operator}"`);
+    }
+    
+    try {
+      return this.fixComplex(Complex.from(a)[method](b));
+    } catch (error) {
+      return CalculationError.from(error);
+    }
+  }
+  
+  /**
+   * Check for a Complex value
+   * @param {any} value - Value to check
+   * @returns {boolean} True if the value is a Complex
+   */
+  static isComplex(value) {
+    return typeof Complex !== 'undefined' && value instanceof Complex;
+  }
+  
+  /**
+   * Check for a Decimal value
+   * @param {any} value - Value to check
+   * @returns {boolean} True if the value is a Decimal
+   */
+  static isDecimal(value) {
+    return typeof Decimal !== 'undefined' && value instanceof Decimal;
+  }
+  
+  /**
+   * Check for a real operand: a number that is not NaN, or a Decimal
+   * @param {any} value - Value to check
+   * @returns {boolean} True if the value can be calculated with
+   */
+  static isReal(value) {
+    return (typeof value === 'number' && !isNaN(value)) || this.isDecimal(value);
+  }
+  
+  /**
+   * Get a real operand as a JavaScript number
+   * @param {number|Decimal} value - Operand
+   * @returns {number} Nearest number
+   */
+  static toNumber(value) {
+    return this.isDecimal(value) ? value.toNumber() : value;
+  }
+  
+  /**
+   * Run an operation on the Decimal engine
+   * Infinite operands cannot be represented exactly, so they fall back to floats
+   * @param {number|Decimal} a - First operand
+   * @param {number|Decimal} b - Second operand
+   * @param {Function} exact - Operation on Decimal values
+   * @param {Function} fallback - Operation on numbers for infinite operands
+   * @returns {number|Decimal|CalculationError} Result: a Decimal if either operand is one,
+   *   so no digit is lost; an overflow if it is beyond the largest number
+   */
+  static decimalOperation(a, b, exact, fallback) {
+    let result;
+    if (this.isDecimal(a) || this.isDecimal(b)) {
+      result = exact(Decimal.from(a), Decimal.from(b));
+    } else if (!isFinite(a) || !isFinite(b)) {
+      result = fallback(a, b);
+    } else {
+      result = exact(Decimal.from(a), Decimal.from(b)).toNumber();
+    }
+    
+    const number = this.toNumber(result);
+    if (isNaN(number)) {
+      return new CalculationError('domain');
+    }
+    return isFinite(number) ? result : new CalculationError('overflow');
   }
   
   /**
    * Addition operation
-   * @param {number} a - First number
-   * @param {number} b - Second number
-   * @returns {number} Sum
+   * @param {number|Decimal} a - First number
+   * @param {number|Decimal} b - Second number
+   * @returns {number|Decimal|CalculationError} Sum, or an overflow
    */
   static add(a, b) {
-    return a + b;
+    return this.decimalOperation(a, b, (x, y) => x.plus(y), (x, y) => x + y);
   }
   
   /**
    * Subtraction operation
-   * @param {number} a - First number
-   * @param {number} b - Second number
-   * @returns {number} Difference
+   * @param {number|Decimal} a - First number
+   * @param {number|Decimal} b - Second number
+   * @returns {number|Decimal|CalculationError} Difference, or an overflow
    */
   static subtract(a, b) {
-    return a - b;
+    return this.decimalOperation(a, b, (x, y) => x.minus(y), (x, y) => x - y);
   }
   
   /**
    * Multiplication operation
-   * @param {number} a - First number
-   * @param {number} b - Second number
-   * @returns {number} Product
+   * @param {number|Decimal} a - First number
+   * @param {number|Decimal} b - Second number
+   * @returns {number|Decimal|CalculationError} Product, or an overflow
    */
   static multiply(a, b) {
-    return a * b;
+    return this.decimalOperation(a, b, (x, y) => x.times(y), (x, y) => x * y);
   }
   
   /**
    * Division operation with zero-division handling
-   * @param {number} a - Dividend
-   * @param {number} b - Divisor
-   * @returns {number|string} Quotient or error
+   * @param {number|Decimal} a - Dividend
+   * @param {number|Decimal} b - Divisor
+   * @returns {number|Decimal|CalculationError} Quotient, or a division by zero or overflow
    */
   static divide(a, b) {
-    if (b === 0) {
-      if (a === 0) {
-        return 'Error'; // 0/0 is undefined
-      }
-      return a > 0 ? Infinity : -Infinity;
+    if (this.toNumber(b) === 0) {
+      return new CalculationError(this.toNumber(a) === 0 ? 'undefined' : 'division-by-zero');
     }
-    return a / b;
+    return this.decimalOperation(a, b, (x, y) => x.dividedBy(y), (x, y) => x / y);
   }
   
   /**
    * Percentage calculation
-   * @param {number} value - Value to convert to percentage
-   * @returns {number} Percentage value
+   * @param {number|Decimal} value - Value to convert to percentage
+   * @returns {number|Decimal} Percentage value
    */
   static percentage(value) {
-    return value / 100;
+    return this.divide(value, 100);
+  }
+  
+  /**
+   * Operand a percentage stands for after an operator, as on a desk
+   * calculator: after + and - it is that percent of the base (200 + 10% adds
+   * 20); after × and ÷ it is the plain fraction (200 × 10% = 20, 200 ÷ 10% = 2000)
+   * @param {number|Decimal} base - Value the operator applies to
+   * @param {number|Decimal} percent - Percentage entered (10 for 10%)
+   * @param {string} operator - Operator before the percentage
+   * @returns {number|Decimal|CalculationError} Operand or error
+   */
+  static percentageOperand(base, percent, operator) {
+    const fraction = this.percentage(percent);
+    if (fraction instanceof CalculationError) return fraction;
+    
+    return operator === '+' || operator === '-' ? this.multiply(base, fraction) : fraction;
   }
   
   /**
    * Square root operation
-   * @param {number} value - Value to find square root of
-   * @returns {number|string} Square root or error
+   * @param {number|Complex} value - Value to find square root of
+   * @returns {number|Complex|CalculationError} Square root, or a domain error for a negative number (pass a Complex for its imaginary root)
    */
   static sqrt(value) {
+    if (this.isComplex(value)) {
+      return this.fixComplex(value.sqrt());
+    }
     if (value < 0) {
-      return 'Error'; // Complex numbers not supported
+      return new CalculationError('domain', 'Square root of a negative number');
     }
     return Math.sqrt(value);
   }
   
   /**
    * Power operation
-   * @param {number} base - Base number
-   * @param {number} exponent - Exponent
-   * @returns {number|string} Result or error
+   * @param {number|Complex} base - Base number
+   * @param {number|Complex} exponent - Exponent
+   * @returns {number|Complex|CalculationError} Result, or an overflow or domain error
    */
   static power(base, exponent) {
-    try {
-      const result = Math.pow(base, exponent);
-      if (isNaN(result) || !isFinite(result)) {
-        return 'Error';
-      }
-      return result;
-    } catch (error) {
-      return 'Error';
+    if (this.isComplex(base) || this.isComplex(exponent)) {
+      return this.calculateComplex(base, exponent, '^');
+    }
+    
+    if (base === 0 && exponent < 0) {
+      return new CalculationError('division-by-zero');
+    }
+    
+    const result = Math.pow(base, exponent);
+    if (isNaN(result)) {
+      return new CalculationError('domain', 'No real power of a negative number');
+    }
+    if (!isFinite(result)) {
+      return new CalculationError('overflow');
     }
+    return result;
   }
   
   /**
    * Reciprocal operation (1/x)
-   * @param {number} value - Value to find reciprocal of
-   * @returns {number|string} Reciprocal or error
+   * @param {number|Complex} value - Value to find reciprocal of
+   * @returns {number|Complex|CalculationError} Reciprocal or error
    */
   static reciprocal(value) {
+    if (this.isComplex(value)) {
+      return this.calculateComplex(1, value, '÷');
+    }
     if (value === 0) {
-      return 'Error';
+      return new CalculationError('division-by-zero');
     }
     return 1 / value;
   }
   
   /**
-   * Absolute value operation
-   * @param {number} value - Value to find absolute value of
+   * Absolute value operation; the magnitude of a complex number
+   * @param {number|Complex} value - Value to find absolute value of
    * @returns {number} Absolute value
    */
   static abs(value) {
-    return Math.abs(value);
+    return this.isComplex(value) ? value.abs() : Math.abs(value);
   }
   
   /**
    * Sign change operation (negate)
-   * @param {number} value - Value to negate
-   * @returns {number} Negated value
+   * @param {number|Decimal|Complex} value - Value to negate
+   * @returns {number|Decimal|Complex} Negated value
    */
   static negate(value) {
-    return -value;
+    return this.isComplex(value) || this.isDecimal(value) ? value.negate() : -value;
+  }
+  
+  /**
+   * Complex conjugate (a + bi becomes a - bi); a real number is its own conjugate
+   * @param {number|Complex} value - Value to conjugate
+   * @returns {number|Complex} Conjugate
+   */
+  static conjugate(value) {
+    return this.isComplex(value) ? value.conjugate() : value;
+  }
+  
+  /**
+   * Argument: angle of a complex number from the positive real axis
+   * (0 for a positive real number, a half turn for a negative one)
+   * @param {number|Complex} value - Value to find the argument of
+   * @param {string} angleMode - Angle unit of the result (deg, rad, grad)
+   * @returns {number} Angle in (-half turn, half turn]
+   */
+  static arg(value, angleMode = 'deg') {
+    const radians = this.isComplex(value) ? value.arg() : Math.atan2(0, value);
+    return this.fromRadians(radians, angleMode);
+  }
+  
+  /**
+   * Square operation (x²)
+   * @param {number|Complex} value - Value to square
+   * @returns {number|Complex|CalculationError} Square or error
+   */
+  static square(value) {
+    return this.power(value, 2);
+  }
+  
+  /**
+   * Nth root operation; a Complex radicand or degree gives the principal root
+   * @param {number|Complex} value - Radicand
+   * @param {number|Complex} n - Root degree
+   * @returns {number|Complex|CalculationError} Nth root or error
+   */
+  static nthRoot(value, n) {
+    if (this.isComplex(value) || this.isComplex(n)) {
+      return this.calculateComplex(value, n, 'ʸ√');
+    }
+    
+    if (n === 0) {
+      return new CalculationError('domain', 'Zeroth root');
+    }
+    
+    if (value < 0) {
+      // Only odd integer roots of negatives are real
+      if (!Number.isInteger(n) || n % 2 === 0) {
+        return new CalculationError('domain', 'No real even root of a negative number');
+      }
+      return -Math.pow(-value, 1 / n);
+    }
+    
+    return this.power(value, 1 / n);
+  }
+  
+  /**
+   * Convert an angle to radians
+   * @param {number} angle - Angle in the given unit
+   * @param {string} angleMode - Angle unit (deg, rad, grad)
+   * @returns {number} Angle in radians
+   */
+  static toRadians(angle, angleMode = 'deg') {
+    switch (angleMode) {
+      case 'rad':
+        return angle;
+      case 'grad':
+        return angle * Math.PI / 200;
+      case 'deg':
+      default:
+        return angle * Math.PI / 180;
+    }
+  }
+  
+  /**
+   * Convert an angle from radians
+   * @param {number} radians - Angle in radians
+   * @param {string} angleMode - Angle unit (deg, rad, grad)
+   * @returns {number} Angle in the given unit
+   */
+  static fromRadians(radians, angleMode = 'deg') {
+    switch (angleMode) {
+      case 'rad':
+        return radians;
+      case 'grad':
+        return radians * 200 / Math.PI;
+      case 'deg':
+      default:
+        return radians * 180 / Math.PI;
+    }
+  }
+  
+  /**
+   * Reduce a degree or grad angle to within one full turn, and find the
+   * quarter turn it lands on exactly: π is not exact in radians, so sin 180°
+   * would otherwise come out as 1.2e-16 rather than 0
+   * @param {number} angle - Angle
+   * @param {string} angleMode - Angle unit (deg, rad, grad)
+   * @returns {Object} { angle, quarter } - Reduced angle, and 0-3 for a multiple of a right angle (null otherwise)
+   */
+  static reduceAngle(angle, angleMode = 'deg') {
+    const rightAngle = { deg: 90, grad: 100 }[angleMode];
+    if (!rightAngle || !isFinite(angle)) {
+      return { angle, quarter: null };
+    }
+    
+    const reduced = angle % (4 * rightAngle);
+    const quarter = reduced / rightAngle;
+    return { angle: reduced, quarter: Number.isInteger(quarter) ? (quarter + 4) % 4 : null };
+  }
+  
+  /**
+   * Sine operation
+   * @param {number} angle - Angle
+   * @param {string} angleMode - Angle unit (deg, rad, grad)
+   * @returns {number} Sine, exactly 0 or ±1 at multiples of a right angle
+   */
+  static sin(angle, angleMode = 'deg') {
+    const { angle: reduced, quarter } = this.reduceAngle(angle, angleMode);
+    if (quarter !== null) {
+      return [0, 1, 0, -1][quarter];
+    }
+    return Math.sin(this.toRadians(reduced, angleMode));
+  }
+  
+  /**
+   * Cosine operation
+   * @param {number} angle - Angle
+   * @param {string} angleMode - Angle unit (deg, rad, grad)
+   * @returns {number} Cosine, exactly 0 or ±1 at multiples of a right angle
+   */
+  static cos(angle, angleMode = 'deg') {
+    const { angle: reduced, quarter } = this.reduceAngle(angle, angleMode);
+    if (quarter !== null) {
+      return [1, 0, -1, 0][quarter];
+    }
+    return Math.cos(this.toRadians(reduced, angleMode));
+  }
+  
+  /**
+   * Tangent operation
+   * @param {number} angle - Angle
+   * @param {string} angleMode - Angle unit (deg, rad, grad)
+   * @returns {number|CalculationError} Tangent (exactly 0 at multiples of a straight angle), or a domain error at odd multiples of a right angle
+   */
+  static tan(angle, angleMode = 'deg') {
+    const { angle: reduced, quarter } = this.reduceAngle(angle, angleMode);
+    if (quarter === 1 || quarter === 3) {
+      return new CalculationError('domain', 'Tangent of a right angle');
+    }
+    if (quarter !== null) {
+      return 0;
+    }
+    return Math.tan(this.toRadians(reduced, angleMode));
+  }
+  
+  /**
+   * Inverse sine operation
+   * @param {number} value - Sine value (-1 to 1)
+   * @param {string} angleMode - Angle unit of the result
+   * @returns {number|CalculationError} Angle, or a domain error outside -1 to 1
+   */
+  static asin(value, angleMode = 'deg') {
+    if (value < -1 || value > 1) {
+      return new CalculationError('domain', 'Inverse sine needs a value from −1 to 1');
+    }
+    return this.fromRadians(Math.asin(value), angleMode);
+  }
+  
+  /**
+   * Inverse cosine operation
+   * @param {number} value - Cosine value (-1 to 1)
+   * @param {string} angleMode - Angle unit of the result
+   * @returns {number|CalculationError} Angle, or a domain error outside -1 to 1
+   */
+  static acos(value, angleMode = 'deg') {
+    if (value < -1 || value > 1) {
+      return new CalculationError('domain', 'Inverse cosine needs a value from −1 to 1');
+    }
+    return this.fromRadians(Math.acos(value), angleMode);
+  }
+  
+  /**
+   * Inverse tangent operation
+   * @param {number} value - Tangent value
+   * @param {string} angleMode - Angle unit of the result
+   * @returns {number} Angle
+   */
+  static atan(value, angleMode = 'deg') {
+    return this.fromRadians(Math.atan(value), angleMode);
+  }
+  
+  /**
+   * Natural logarithm operation; the principal logarithm of a complex number
+   * @param {number|Complex} value - Positive or complex value
+   * @returns {number|Complex|CalculationError} ln(value), or a domain error for zero (or a negative number)
+   */
+  static ln(value) {
+    if (this.isComplex(value)) {
+      return value.isZero() ? new CalculationError('domain', 'Logarithm of zero') : this.fixComplex(value.ln());
+    }
+    if (value <= 0) {
+      return new CalculationError('domain', value === 0 ? 'Logarithm of zero' : 'Logarithm of a negative number');
+    }
+    return Math.log(value);
+  }
+  
+  /**
+   * Base-10 logarithm operation
+   * @param {number} value - Positive value
+   * @returns {number|CalculationError} log10(value), or a domain error for zero or a negative number
+   */
+  static log10(value) {
+    if (value <= 0) {
+      return new CalculationError('domain', value === 0 ? 'Logarithm of zero' : 'Logarithm of a negative number');
+    }
+    return Math.log10(value);
+  }
+  
+  /**
+   * Exponential operation (eˣ)
+   * @param {number|Complex} value - Exponent
+   * @returns {number|Complex|CalculationError} e raised to value or error
+   */
+  static exp(value) {
+    if (this.isComplex(value)) {
+      return this.fixComplex(value.exp());
+    }
+    return this.power(Math.E, value);
+  }
+  
+  /**
+   * Factorial operation
+   * @param {number} value - Non-negative integer (up to 170, beyond which the result overflows)
+   * @returns {number|CalculationError} value!, a domain error for a fraction or negative number, or an overflow
+   */
+  static factorial(value) {
+    if (!Number.isInteger(value) || value < 0) {
+      return new CalculationError('domain', 'Factorial needs a whole number of at least 0');
+    }
+    if (value > 170) {
+      return new CalculationError('overflow');
+    }
+    
+    let result = 1;
+    for (let i = 2; i <= value; i++) {
+      result *= i;
+    }
+    return result;
+  }
+  
+  /**
+   * Apply a single-argument function by name
+   * @param {string} name - Function name (sqrt, square, reciprocal, abs, negate, conjugate, arg,
+   *   sin, cos, tan, asin, acos, atan, ln, log10, exp, factorial)
+   * @param {number|Complex} value - Argument
+   * @param {string} angleMode - Angle unit for trigonometric functions and arg (deg, rad, grad)
+   * @returns {number|Complex|CalculationError} Result or error
+   */
+  static applyFunction(name, value, angleMode = 'deg') {
+    if (this.isComplex(value)) {
+      return this.applyComplexFunction(name, value, angleMode);
+    }
+    
+    if (typeof value !== 'number' || isNaN(value)) {
+      return new CalculationError('invalid-input');
+    }
+    
+    const angular = ['sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'arg'];
+    const unary = ['sqrt', 'square', 'reciprocal', 'abs', 'negate', 'conjugate', 'ln', 'log10', 'exp', 'factorial'];
+    let result;
+    
+    if (angular.includes(name)) {
+      result = this[name](value, angleMode);
+    } else if (unary.includes(name)) {
+      result = this[name](value);
+    } else {
+      return new CalculationError('invalid-input', `Unknown function "${name}"`);
+    }
+    
+    return this.checkResult(result);
+  }
+  
+  /**
+   * Apply a single-argument function to a complex number; functions without
+   * a complex form only take real values
+   * @param {string} name - Function name (see applyFunction)
+   * @param {Complex} value - Argument
+   * @param {string} angleMode - Angle unit for arg and real trigonometric functions (deg, rad, grad)
+   * @returns {number|Complex|CalculationError} Result (a number for abs and arg) or error
+   */
+  static applyComplexFunction(name, value, angleMode = 'deg') {
+    if (!Operations.COMPLEX_FUNCTIONS.includes(name)) {
+      return value.isReal()
+        ? this.applyFunction(name, value.re, angleMode)
+        : new CalculationError('domain', `${name} needs a real number`);
+    }
+    
+    const result = name === 'arg' ? this.arg(value, angleMode) : this[name](value);
+    if (this.isComplex(result)) {
+      return this.fixComplex(result);
+    }
+    return this.checkResult(result);
+  }
+  
+  /**
+   * Fix floating point precision issues in both parts of a complex number,
+   * dropping a part that is only rounding noise beside the other
+   * (e^(iπ) is -1, not -1 + 1.2e-16i)
+   * @param {Complex} value - Value to fix
+   * @returns {Complex|CalculationError} Fixed value, or an overflow if a part is not finite
+   */
+  static fixComplex(value) {
+    if (!value.isFinite()) {
+      return new CalculationError('overflow');
+    }
+    
+    const noise = value.abs() * Operations.COMPLEX_NOISE;
+    const re = Math.abs(value.re) < noise ? 0 : value.re;
+    const im = Math.abs(value.im) < noise ? 0 : value.im;
+    return new Complex(this.fixPrecision(re), this.fixPrecision(im));
   }
   
   /**
@@ -188,26 +727,32 @@ class Operations {
    * @returns {number} Fixed value
    */
   static fixPrecision(value, precision = 15) {
+    if (!isFinite(value)) {
+      return value;
+    }
+    
     // Handle very small numbers that should be zero
     if (Math.abs(value) < Number.EPSILON) {
       return 0;
     }
     
-    // Round to specified precision to avoid floating point errors
-    const factor = Math.pow(10, precision);
-    return Math.round(value * factor) / factor;
+    // Round in decimal so large values cannot overflow a scaling factor
+    return Decimal.from(value).round(precision).toNumber();
   }
   
   /**
-   * Check if result is valid for display
+   * Check if a result is a value that can be shown and calculated with
    * @param {any} result - Result to validate
-   * @returns {boolean} True if valid
+   * @returns {boolean} True for a finite number, Decimal or complex number
    */
   static isValidResult(result) {
-    if (typeof result === 'string') {
-      return ['Error', 'Infinity', '-Infinity'].includes(result);
+    if (this.isComplex(result)) {
+      return result.isFinite();
     }
-    return typeof result === 'number' && !isNaN(result);
+    if (this.isDecimal(result)) {
+      return true;
+    }
+    return typeof result === 'number' && isFinite(result);
   }
   
   /**
@@ -231,6 +776,25 @@ class Operations {
           return `-${formattedA}`;
         case 'percentage':
           return `${formattedA}%`;
+        case 'square':
+          return `${formattedA}²`;
+        case 'abs':
+          return `|${formattedA}|`;
+        case 'factorial':
+          return `${formattedA}!`;
+        case 'exp':
+          return `e^${formattedA}`;
+        case 'sin':
+        case 'cos':
+        case 'tan':
+        case 'ln':
+          return `${operator}(${formattedA})`;
+        case 'asin':
+        case 'acos':
+        case 'atan':
+          return `${operator.slice(1)}⁻¹(${formattedA})`;
+        case 'log10':
+          return `log(${formattedA})`;
         default:
           return formattedA;
       }
@@ -242,90 +806,626 @@ class Operations {
   }
 }
 
+/**
+ * Integer operations for the programmer keypad
+ * Values are BigInts held at a fixed word size, so 64-bit results are exact;
+ * every result wraps to the word like a machine register does
+ */
+class ProgrammerOperations {
+  /**
+   * Fill in missing or unknown programmer settings with defaults
+   * @param {Object} settings - { base, wordSize, signed }
+   * @returns {Object} Valid settings
+   */
+  static normalizeSettings(settings = {}) {
+    const wordSize = Number(settings.wordSize);
+    
+    return {
+      base: Object.prototype.hasOwnProperty.call(this.BASES, settings.base) ? settings.base : 'dec',
+      wordSize: this.WORD_SIZES.includes(wordSize) ? wordSize : 64,
+      signed: settings.signed !== false
+    };
+  }
+  
+  /**
+   * Fit a value to the word: keep the low bits and read them as signed
+   * (two's complement) or unsigned
+   * @param {bigint} value - Value to fit
+   * @param {Object} word - { wordSize, signed }
+   * @returns {bigint} Wrapped value
+   */
+  static wrap(value, word) {
+    return word.signed ? BigInt.asIntN(word.wordSize, value) : BigInt.asUintN(word.wordSize, value);
+  }
+  
+  /**
+   * Convert a calculator number to the word, dropping any fraction
+   * @param {number} value - Value to convert
+   * @param {Object} word - { wordSize, signed }
+   * @returns {bigint} Wrapped integer (0 for NaN or Infinity)
+   */
+  static fromNumber(value, word) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+      return 0n;
+    }
+    return this.wrap(BigInt(Math.trunc(value)), word);
+  }
+  
+  /**
+   * Convert an integer back to a calculator number
+   * @param {bigint} value - Integer value
+   * @returns {number} Nearest number (exact up to 2^53)
+   */
+  static toNumber(value) {
+    return Number(value);
+  }
+  
+  /**
+   * Perform a binary integer operation
+   * @param {bigint} a - First operand
+   * @param {bigint} b - Second operand
+   * @param {string} operator - One of ProgrammerOperations.OPERATORS
+   * @param {Object} word - { wordSize, signed }
+   * @returns {bigint|CalculationError} Wrapped result or error
+   */
+  static calculate(a, b, operator, word) {
+    if (typeof a !== 'bigint' || typeof b !== 'bigint') {
+      return new CalculationError('invalid-input');
+    }
+    
+    const bits = BigInt(word.wordSize);
+    let result;
+    
+    switch (operator) {
+      case '+':
+        result = a + b;
+        break;
+      case '-':
+        result = a - b;
+        break;
+      case '×':
+        result = a * b;
+        break;
+      case '÷':
+        // Integer division truncates toward zero, as in C
+        if (b === 0n) return new CalculationError(a === 0n ? 'undefined' : 'division-by-zero');
+        result = a / b;
+        break;
+      case 'mod':
+        // The remainder takes the sign of the dividend
+        if (b === 0n) return new CalculationError(a === 0n ? 'undefined' : 'division-by-zero');
+        result = a % b;
+        break;
+      case 'AND':
+        result = a & b;
+        break;
+      case 'OR':
+        result = a | b;
+        break;
+      case 'XOR':
+        result = a ^ b;
+        break;
+      case '<<':
+        if (b < 0n) return new CalculationError('domain', 'Shift count must not be negative');
+        result = b >= bits ? 0n : a << b;
+        break;
+      case '>>':
+        // Arithmetic for signed words (the sign bit is copied), logical for unsigned
+        if (b < 0n) return new CalculationError('domain', 'Shift count must not be negative');
+        result = a >> (b >= bits ? bits : b);
+        break;
+      case 'ROL':
+      case 'ROR':
+        if (b < 0n) return new CalculationError('domain', 'Rotate count must not be negative');
+        result = this.rotate(a, operator === 'ROL' ? b : -b, word);
+        break;
+      default:
+        return new CalculationError('invalid-input', `Unknown operator "${operator}"`);
+    }
+    
+    return this.wrap(result, word);
+  }
+  
+  /**
+   * Rotate the bits of the word; bits shifted out one end come back in the other
+   * @param {bigint} value - Value to rotate
+   * @param {bigint} count - Places to rotate left (negative rotates right)
+   * @param {Object} word - { wordSize, signed }
+   * @returns {bigint} Wrapped result
+   */
+  static rotate(value, count, word) {
+    const bits = BigInt(word.wordSize);
+    const places = ((count % bits) + bits) % bits;
+    const pattern = BigInt.asUintN(word.wordSize, value);
+    
+    return this.wrap((pattern << places) | (pattern >> (bits - places)), word);
+  }
+  
+  /**
+   * Invert every bit of the word
+   * @param {bigint} value - Value to invert
+   * @param {Object} word - { wordSize, signed }
+   * @returns {bigint} Wrapped result
+   */
+  static not(value, word) {
+    return this.wrap(~value, word);
+  }
+  
+  /**
+   * Two's complement negation
+   * @param {bigint} value - Value to negate
+   * @param {Object} word - { wordSize, signed }
+   * @returns {bigint} Wrapped result
+   */
+  static negate(value, word) {
+    return this.wrap(-value, word);
+  }
+  
+  /**
+   * Get the value of a digit key
+   * @param {string} digit - "0"-"9" or "A"-"F"
+   * @returns {number} Digit value, or NaN for anything else
+   */
+  static digitValue(digit) {
+    return /^[0-9A-F]$/i.test(digit) ? parseInt(digit, 16) : NaN;
+  }
+  
+  /**
+   * Read digits typed in a base; hex, octal and binary digits give the
+   * bit pattern of the word, decimal digits its value
+   * @param {string} digits - Digits without sign or prefix (e.g. "FF")
+   * @param {string} base - One of the keys of ProgrammerOperations.BASES
+   * @param {Object} word - { wordSize, signed }
+   * @param {boolean} negative - Whether a decimal value is negative
+   * @returns {bigint|null} Wrapped value, or null if it does not fit the word
+   */
+  static parseDigits(digits, base, word, negative = false) {
+    const { radix, prefix } = this.BASES[base];
+    const pattern = new RegExp(`^[${'0123456789ABCDEF'.slice(0, radix)}]+$`, 'i');
+    if (!pattern.test(digits)) return null;
+    
+    const magnitude = BigInt(prefix + digits);
+    const size = 1n << BigInt(word.wordSize);
+    
+    if (base !== 'dec') {
+      return negative || magnitude >= size ? null : this.wrap(magnitude, word);
+    }
+    
+    const value = negative ? -magnitude : magnitude;
+    const min = word.signed ? -(size / 2n) : 0n;
+    const max = word.signed ? size / 2n - 1n : size - 1n;
+    
+    return value < min || value > max ? null : value;
+  }
+  
+  /**
+   * Parse an integer as typed or pasted: "255", "-1", "0xFF", "0b1010",
+   * "0o17" or "FF" in hex; spaces and underscores between digits are ignored
+   * @param {string} text - Text to parse
+   * @param {string} base - Base of unprefixed digits
+   * @param {Object} word - { wordSize, signed }
+   * @returns {bigint} Wrapped value
+   * @throws {Error} If the text is not an integer or does not fit the word
+   */
+  static parse(text, base, word) {
+    let digits = String(text).trim().replace(/[\s_]/g, '');
+    const negative = digits.startsWith('-');
+    if (negative) {
+      digits = digits.slice(1);
+    }
+    
+    const prefixed = Object.keys(this.BASES).find(key => {
+      const prefix = this.BASES[key].prefix;
+      return prefix && digits.toLowerCase().startsWith(prefix);
+    });
+    if (prefixed) {
+      base = prefixed;
+      digits = digits.slice(2);
+    }
+    
+    const { radix, label } = this.BASES[base];
+    const pattern = new RegExp(`^[${'0123456789ABCDEF'.slice(0, radix)}]+$`, 'i');
+    if (!pattern.test(digits) || (negative && base !== 'dec')) {
+      throw new Error(`Not a ${label} integer`);
+    }
+    
+    const value = this.parseDigits(digits, base, word, negative);
+    if (value === null) {
+      throw new Error(`Does not fit in ${word.wordSize} bits ${word.signed ? 'signed' : 'unsigned'}`);
+    }
+    return value;
+  }
+  
+  /**
+   * Format a value in a base; hex, octal and binary show the word's bit
+   * pattern, decimal its signed or unsigned value
+   * @param {bigint} value - Wrapped value
+   * @param {string} base - One of the keys of ProgrammerOperations.BASES
+   * @param {Object} word - { wordSize, signed }
+   * @param {boolean} grouped - Group digits (locale grouping for decimal,
+   *   4 hex or binary digits, 3 octal digits)
+   * @returns {string} Formatted value (e.g. "FF", "1111 1111", "-1")
+   */
+  static format(value, base, word, grouped = true) {
+    if (base === 'dec') {
+      return grouped ? Utils.addThousandsSeparator(value.toString()) : value.toString();
+    }
+    
+    const { radix, group } = this.BASES[base];
+    const digits = BigInt.asUintN(word.wordSize, value).toString(radix).toUpperCase();
+    if (!grouped) return digits;
+    
+    const pattern = new RegExp(`\\B(?=(.{${group}})+$)`, 'g');
+    return digits.replace(pattern, ' ');
+  }
+  
+  /**
+   * Format a value as a literal that names its base (0xFF, 0o17, 0b1010, 255)
+   * @param {bigint} value - Wrapped value
+   * @param {string} base - One of the keys of ProgrammerOperations.BASES
+   * @param {Object} word - { wordSize, signed }
+   * @returns {string} Literal
+   */
+  static toLiteral(value, base, word) {
+    return this.BASES[base].prefix + this.format(value, base, word, false);
+  }
+}
+
 /**
  * Memory operations for calculator
+ * Slot 0 is the main memory (M); slots 1-9 are the named registers M1-M9.
+ * The last result (Ans) and named user variables are kept alongside them.
  */
 class MemoryOperations {
   constructor() {
     this.memory = 0;
+    this.slots = new Array(MemoryOperations.SLOT_COUNT).fill(0);
+    this.activeSlot = 0;
+    // Last result (Ans) and user variables by name
+    this.answer = 0;
+    this.variables = {};
     this.history = [];
+    
+    this.loadMemory();
+    this.loadHistory();
   }
   
   /**
-   * Store value in memory
-   * @param {number} value - Value to store
+   * Get the value held in a memory slot
+   * @param {number} slot - Slot number (0 = M, 1-9 = M1-M9)
+   * @returns {number|Decimal} Slot value; a Decimal keeps every digit it was given
    */
-  store(value) {
-    if (typeof value === 'number' && !isNaN(value)) {
+  getRegister(slot = this.activeSlot) {
+    return slot === 0 ? this.memory : this.slots[slot - 1];
+  }
+  
+  /**
+   * Set the value held in a memory slot and persist it
+   * @param {number} slot - Slot number (0 = M, 1-9 = M1-M9)
+   * @param {number|Decimal} value - New slot value
+   */
+  setRegister(slot, value) {
+    if (slot === 0) {
       this.memory = value;
-      Utils.log('info', `Memory stored: ${value}`);
+    } else {
+      this.slots[slot - 1] = value;
+    }
+    this.saveMemory();
+  }
+  
+  /**
+   * Get every memory register, for undo
+   * @returns {Array<number|Decimal>} Values of M and M1-M9
+   */
+  getRegisters() {
+    return [this.memory, ...this.slots];
+  }
+  
+  /**
+   * Put back registers taken by getRegisters
+   * @param {Array<number|Decimal>} registers - Values of M and M1-M9
+   */
+  restoreRegisters(registers) {
+    [this.memory, ...this.slots] = registers;
+    this.saveMemory();
+  }
+  
+  /**
+   * Select the slot that memory keys act on
+   * @param {number} slot - Slot number (0 = M, 1-9 = M1-M9)
+   */
+  selectSlot(slot) {
+    if (Number.isInteger(slot) && slot >= 0 && slot <= MemoryOperations.SLOT_COUNT) {
+      this.activeSlot = slot;
+      this.saveMemory();
+    }
+  }
+  
+  /**
+   * Check for a value memory can hold
+   * @param {any} value - Value to check
+   * @returns {boolean} True for a finite number or Decimal
+   */
+  static isStorable(value) {
+    return (typeof value === 'number' || Operations.isDecimal(value)) && isFinite(Operations.toNumber(value));
+  }
+  
+  /**
+   * Read a saved register: a number, or the digits of a Decimal
+   * @param {any} saved - Saved value
+   * @returns {number|Decimal} Register value (0 if the saved value is not a number)
+   */
+  static readRegister(saved) {
+    if (typeof saved === 'number') {
+      return isFinite(saved) ? saved : 0;
+    }
+    try {
+      const value = Decimal.from(String(saved));
+      return MemoryOperations.isStorable(value) ? value : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+  
+  /**
+   * Get display label for a memory slot
+   * @param {number} slot - Slot number
+   * @returns {string} Slot label (M, M1-M9)
+   */
+  static slotLabel(slot) {
+    return slot === 0 ? 'M' : `M${slot}`;
+  }
+  
+  /**
+   * Store value in memory
+   * @param {number|Decimal} value - Value to store; anything but a finite number is ignored
+   * @param {number} slot - Slot number (defaults to active slot)
+   */
+  store(value, slot = this.activeSlot) {
+    if (MemoryOperations.isStorable(value)) {
+      this.setRegister(slot, value);
+      Utils.log('info', `Memory stored in ${MemoryOperations.slotLabel(slot)}: ${value}`);
     }
   }
   
   /**
    * Recall value from memory
-   * @returns {number} Memory value
+   * @param {number} slot - Slot number (defaults to active slot)
+   * @returns {number|Decimal} Memory value
    */
-  recall() {
-    return this.memory;
+  recall(slot = this.activeSlot) {
+    return this.getRegister(slot);
   }
   
   /**
    * Clear memory
+   * @param {number} slot - Slot number (defaults to active slot)
    */
-  clear() {
-    this.memory = 0;
-    Utils.log('info', 'Memory cleared');
+  clear(slot = this.activeSlot) {
+    this.setRegister(slot, 0);
+    Utils.log('info', `Memory ${MemoryOperations.slotLabel(slot)} cleared`);
   }
   
   /**
    * Add to memory
-   * @param {number} value - Value to add
+   * @param {number|Decimal} value - Value to add
+   * @param {number} slot - Slot number (defaults to active slot)
+   * @returns {CalculationError|null} Overflow if the total does not fit (memory is
+   *   left as it was), otherwise null
    */
-  add(value) {
-    if (typeof value === 'number' && !isNaN(value)) {
-      this.memory += value;
-      Utils.log('info', `Memory added: ${value}, new total: ${this.memory}`);
-    }
+  add(value, slot = this.activeSlot) {
+    return this.updateRegister(slot, value, (total, amount) => Operations.add(total, amount), 'added');
   }
   
   /**
    * Subtract from memory
-   * @param {number} value - Value to subtract
+   * @param {number|Decimal} value - Value to subtract
+   * @param {number} slot - Slot number (defaults to active slot)
+   * @returns {CalculationError|null} Overflow if the total does not fit (memory is
+   *   left as it was), otherwise null
+   */
+  subtract(value, slot = this.activeSlot) {
+    return this.updateRegister(slot, value, (total, amount) => Operations.subtract(total, amount), 'subtracted');
+  }
+  
+  /**
+   * Work a value into a memory register
+   * @param {number} slot - Slot number
+   * @param {number|Decimal} value - Value to add or subtract; anything but a finite number is ignored
+   * @param {Function} operation - Works out the new total (total, value)
+   * @param {string} verb - For the log ("added")
+   * @returns {CalculationError|null} Error if the new total is not a number, otherwise null
    */
-  subtract(value) {
-    if (typeof value === 'number' && !isNaN(value)) {
-      this.memory -= value;
-      Utils.log('info', `Memory subtracted: ${value}, new total: ${this.memory}`);
+  updateRegister(slot, value, operation, verb) {
+    if (!MemoryOperations.isStorable(value)) return null;
+    
+    const total = operation(this.getRegister(slot), value);
+    if (total instanceof CalculationError) {
+      Utils.log('warn', `Memory not ${verb}: ${value} (${total.message})`);
+      return total;
     }
+    
+    this.setRegister(slot, total);
+    Utils.log('info', `Memory ${verb}: ${value}, new total: ${total}`);
+    return null;
   }
   
   /**
    * Check if memory has a value
+   * @param {number|null} slot - Slot number, or null to check every slot
    * @returns {boolean} True if memory is not zero
    */
-  hasValue() {
-    return this.memory !== 0;
+  hasValue(slot = null) {
+    if (slot === null) {
+      return this.getUsedSlots().length > 0;
+    }
+    return Operations.toNumber(this.getRegister(slot)) !== 0;
+  }
+  
+  /**
+   * Get the slots that currently hold a value
+   * @returns {Array<number>} Slot numbers in ascending order
+   */
+  getUsedSlots() {
+    const used = [];
+    for (let slot = 0; slot <= MemoryOperations.SLOT_COUNT; slot++) {
+      if (this.hasValue(slot)) {
+        used.push(slot);
+      }
+    }
+    return used;
+  }
+  
+  /**
+   * Remember the result of the last calculation (the Ans key)
+   * @param {number} value - Result
+   */
+  setAnswer(value) {
+    if (typeof value === 'number' && isFinite(value)) {
+      this.answer = value;
+      this.saveMemory();
+    }
+  }
+  
+  /**
+   * Get the value of a user variable or Ans
+   * @param {string} name - Variable name, or MemoryOperations.ANSWER
+   * @returns {number|undefined} Value, or undefined if there is no such variable
+   */
+  getVariable(name) {
+    if (name === MemoryOperations.ANSWER) {
+      return this.answer;
+    }
+    return Object.prototype.hasOwnProperty.call(this.variables, name) ? this.variables[name] : undefined;
+  }
+  
+  /**
+   * Create or change a user variable
+   * @param {string} name - Variable name (see MemoryOperations.checkVariableName)
+   * @param {number} value - Value
+   * @throws {Error} If the name cannot be used or the value is not a finite number
+   */
+  setVariable(name, value) {
+    const problem = MemoryOperations.checkVariableName(name);
+    if (problem) {
+      throw new Error(problem);
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+      throw new Error(`${name} needs a finite number`);
+    }
+    
+    this.variables[name] = value;
+    this.saveMemory();
+    Utils.log('info', `Variable ${name} = ${value}`);
+  }
+  
+  /**
+   * Delete a user variable
+   * @param {string} name - Variable name
+   * @returns {boolean} True if a variable was removed
+   */
+  deleteVariable(name) {
+    if (!Object.prototype.hasOwnProperty.call(this.variables, name)) {
+      return false;
+    }
+    
+    delete this.variables[name];
+    this.saveMemory();
+    return true;
+  }
+  
+  /**
+   * Get the user variables in name order
+   * @returns {Array<Object>} { name, value } pairs
+   */
+  getVariables() {
+    return Object.keys(this.variables)
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({ name, value: this.variables[name] }));
+  }
+  
+  /**
+   * Check a user variable name; constants and Ans are taken
+   * @param {string} name - Proposed name
+   * @returns {string|null} Problem description, or null if the name can be used
+   */
+  static checkVariableName(name) {
+    if (!MemoryOperations.VARIABLE_NAME.test(name || '')) {
+      return 'Variable names start with a letter and use only letters, digits and _ (up to 16)';
+    }
+    if (name === MemoryOperations.ANSWER || Object.prototype.hasOwnProperty.call(Operations.CONSTANTS, name)) {
+      return `${name} is a built-in name`;
+    }
+    return null;
+  }
+  
+  /**
+   * Restore memory slots, Ans and user variables from localStorage
+   */
+  loadMemory() {
+    const saved = Utils.loadFromStorage('memory');
+    if (!saved) return;
+    
+    this.memory = MemoryOperations.readRegister(saved.memory);
+    if (Array.isArray(saved.slots)) {
+      this.slots = this.slots.map((value, index) => MemoryOperations.readRegister(saved.slots[index]));
+    }
+    if (Number.isInteger(saved.activeSlot)) {
+      this.activeSlot = Math.min(Math.max(saved.activeSlot, 0), MemoryOperations.SLOT_COUNT);
+    }
+    if (typeof saved.answer === 'number' && isFinite(saved.answer)) {
+      this.answer = saved.answer;
+    }
+    if (saved.variables && typeof saved.variables === 'object') {
+      Object.entries(saved.variables).forEach(([name, value]) => {
+        if (!MemoryOperations.checkVariableName(name) && typeof value === 'number' && isFinite(value)) {
+          this.variables[name] = value;
+        }
+      });
+    }
+  }
+  
+  /**
+   * Persist memory slots, Ans and user variables to localStorage
+   */
+  saveMemory() {
+    // Decimals are saved as their digits
+    const write = (value) => Operations.isDecimal(value) ? value.toString() : value;
+    
+    Utils.saveToStorage('memory', {
+      memory: write(this.memory),
+      slots: this.slots.map(write),
+      activeSlot: this.activeSlot,
+      answer: this.answer,
+      variables: this.variables
+    });
   }
   
   /**
    * Add calculation to history
    * @param {string} operation - Operation performed
-   * @param {any} result - Result of operation
+   * @param {number|string|CalculationError} result - Result of operation, or the error it failed with
+   * @param {string|null} expression - Unformatted expression that can be re-entered (e.g. "12.5 × 4")
+   * @returns {Object} The new history entry
    */
-  addToHistory(operation, result) {
+  addToHistory(operation, result, expression = null) {
     const entry = {
+      id: Utils.generateId('history'),
       timestamp: new Date().toISOString(),
       operation: operation,
-      result: result
+      result: result,
+      expression: expression
     };
     
     this.history.unshift(entry);
     
-    // Keep only last 100 entries
-    if (this.history.length > 100) {
-      this.history = this.history.slice(0, 100);
+    // Keep only the most recent entries
+    if (this.history.length > MemoryOperations.HISTORY_LIMIT) {
+      this.history = this.history.slice(0, MemoryOperations.HISTORY_LIMIT);
     }
+    
+    this.saveHistory();
+    return entry;
   }
   
   /**
@@ -337,19 +1437,304 @@ class MemoryOperations {
     return this.history.slice(0, limit);
   }
   
+  /**
+   * Find a history entry by id
+   * @param {string} id - Entry id
+   * @returns {Object|null} History entry
+   */
+  getHistoryEntry(id) {
+    return this.history.find(entry => entry.id === id) || null;
+  }
+  
+  /**
+   * Search history entries by operation or result
+   * @param {string} query - Text to search for (case-insensitive)
+   * @param {number} limit - Maximum entries to return
+   * @returns {Array} Matching history entries
+   */
+  searchHistory(query, limit = MemoryOperations.HISTORY_LIMIT) {
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) {
+      return this.getHistory(limit);
+    }
+    
+    return this.history.filter(entry => {
+      const formattedResult = typeof entry.result === 'number'
+        ? Utils.formatNumber(entry.result)
+        : String(entry.result);
+      const haystack = `${entry.operation} = ${formattedResult} ${entry.result}`.toLowerCase();
+      return haystack.includes(needle);
+    }).slice(0, limit);
+  }
+  
+  /**
+   * Delete a single history entry
+   * @param {string} id - Entry id
+   * @returns {boolean} True if an entry was removed
+   */
+  removeFromHistory(id) {
+    const count = this.history.length;
+    this.history = this.history.filter(entry => entry.id !== id);
+    
+    if (this.history.length === count) {
+      return false;
+    }
+    
+    this.saveHistory();
+    return true;
+  }
+  
+  /**
+   * Export the history, oldest first, with unformatted results
+   * @param {string} format - "csv" (timestamp, operation, result, expression) or "json"
+   * @returns {string} File contents
+   */
+  exportHistory(format = 'json') {
+    const entries = this.history.slice().reverse();
+    
+    if (format === 'csv') {
+      return Utils.toCSV([
+        MemoryOperations.EXPORT_COLUMNS,
+        ...entries.map(entry => [
+          entry.timestamp,
+          entry.operation,
+          Utils.plainNumber(entry.result),
+          entry.expression
+        ])
+      ]);
+    }
+    
+    return JSON.stringify({
+      app: 'TallyUp',
+      type: 'history',
+      exportedAt: new Date().toISOString(),
+      entries: entries.map(({ id, timestamp, operation, result, expression }) => ({
+        id, timestamp, operation, result, expression
+      }))
+    }, null, 2);
+  }
+  
+  /**
+   * Merge a JSON history export into the history; entries already present
+   * (same id, or same time and operation) are skipped
+   * @param {string} text - JSON text: an export or a bare array of entries
+   * @returns {Object} { imported, skipped } - Entry counts
+   */
+  importHistory(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('History file is not valid JSON');
+    }
+    
+    const entries = Array.isArray(data) ? data : (data && data.entries);
+    if (!Array.isArray(entries)) {
+      throw new Error('History file needs an "entries" list');
+    }
+    
+    const seen = new Set(this.history.flatMap(entry => [entry.id, `${entry.timestamp}|${entry.operation}`]));
+    let imported = 0;
+    
+    entries.forEach((entry, index) => {
+      const valid = entry && typeof entry.operation === 'string' &&
+        !isNaN(Date.parse(entry.timestamp)) &&
+        (typeof entry.result === 'number' || typeof entry.result === 'string' || MemoryOperations.isErrorResult(entry.result));
+      if (!valid) {
+        throw new Error(`History entry ${index + 1} needs a timestamp, operation and result`);
+      }
+      
+      const timestamp = new Date(entry.timestamp).toISOString();
+      const key = `${timestamp}|${entry.operation}`;
+      if (seen.has(entry.id) || seen.has(key)) return;
+      seen.add(key).add(entry.id);
+      
+      this.history.push({
+        id: typeof entry.id === 'string' && entry.id ? entry.id : Utils.generateId('history'),
+        timestamp,
+        operation: entry.operation,
+        result: MemoryOperations.reviveResult(entry.result),
+        expression: typeof entry.expression === 'string' ? entry.expression : null
+      });
+      imported++;
+    });
+    
+    // Newest first, as recorded; the oldest fall off past the limit
+    this.history.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+    this.history = this.history.slice(0, MemoryOperations.HISTORY_LIMIT);
+    this.saveHistory();
+    
+    return { imported, skipped: entries.length - imported };
+  }
+  
+  /**
+   * Collect the history between two dates for a report
+   * @param {string|null} from - First day (YYYY-MM-DD), or null for the start
+   * @param {string|null} to - Last day (YYYY-MM-DD), or null for the end
+   * @returns {Object} { entries, count, total, first, last } - entries oldest
+   *   first; total sums the numeric results, skipping errors; first and last
+   *   are the timestamps of the earliest and latest entry (null if none)
+   */
+  getHistoryReport(from = null, to = null) {
+    const entries = this.history
+      .filter(entry => Utils.isInDateRange(entry.timestamp, from, to))
+      .reverse();
+    
+    const total = entries
+      .filter(entry => typeof entry.result === 'number' && isFinite(entry.result))
+      .reduce((sum, entry) => sum.plus(Decimal.from(entry.result)), Decimal.from(0));
+    
+    return {
+      entries,
+      count: entries.length,
+      total: total.toNumber(),
+      first: entries.length > 0 ? entries[0].timestamp : null,
+      last: entries.length > 0 ? entries[entries.length - 1].timestamp : null
+    };
+  }
+  
   /**
    * Clear calculation history
    */
   clearHistory() {
     this.history = [];
+    this.saveHistory();
     Utils.log('info', 'History cleared');
   }
+  
+  /**
+   * Restore calculation history from localStorage
+   */
+  loadHistory() {
+    const saved = Utils.loadFromStorage('history', []);
+    if (!Array.isArray(saved)) return;
+    
+    this.history = saved
+      .filter(entry => entry && typeof entry.operation === 'string' && entry.timestamp)
+      .map(entry => ({
+        id: entry.id || Utils.generateId('history'),
+        timestamp: entry.timestamp,
+        operation: entry.operation,
+        result: MemoryOperations.reviveResult(entry.result),
+        expression: entry.expression || null
+      }))
+      .slice(0, MemoryOperations.HISTORY_LIMIT);
+  }
+  
+  /**
+   * Check for a failed result in its JSON form ({ error, message })
+   * @param {any} result - Stored result
+   * @returns {boolean} True for a saved CalculationError
+   */
+  static isErrorResult(result) {
+    return Boolean(result) && typeof result === 'object' && typeof result.error === 'string';
+  }
+  
+  /**
+   * Turn a stored history result back into what was recorded: a saved
+   * error becomes a CalculationError again; numbers and text are kept
+   * @param {any} result - Result from storage or an export
+   * @returns {number|string|CalculationError} Result
+   */
+  static reviveResult(result) {
+    return MemoryOperations.isErrorResult(result) ? CalculationError.from(result) : result;
+  }
+  
+  /**
+   * Persist calculation history to localStorage
+   */
+  saveHistory() {
+    Utils.saveToStorage('history', this.history);
+  }
 }
 
+// Named constants: π and e on the scientific keypad, and the physical
+// constants (exact SI values where defined, CODATA 2018 otherwise) in the
+// variables panel; every name can be typed in a pasted expression
+Operations.CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  c: 299792458,
+  g: 9.80665,
+  G: 6.67430e-11,
+  h: 6.62607015e-34,
+  qe: 1.602176634e-19,
+  me: 9.1093837015e-31,
+  mp: 1.67262192369e-27,
+  NA: 6.02214076e23,
+  k: 1.380649e-23,
+  R: 8.314462618
+};
+
+// Complex method for each operator of Operations.calculate
+Operations.COMPLEX_OPERATIONS = {
+  '+': 'plus',
+  '-': 'minus',
+  '×': 'times',
+  '*': 'times',
+  '÷': 'dividedBy',
+  '/': 'dividedBy',
+  '^': 'power',
+  'ʸ√': 'root'
+};
+
+// Functions of Operations.applyFunction that take a complex argument
+Operations.COMPLEX_FUNCTIONS = ['sqrt', 'square', 'reciprocal', 'abs', 'negate', 'conjugate', 'arg', 'ln', 'exp'];
+
+// A complex part smaller than this fraction of the magnitude is rounding noise
+Operations.COMPLEX_NOISE = 1e-14;
+
+// How the variables panel shows each constant: symbol, description and SI unit
+Operations.CONSTANT_INFO = {
+  pi: { symbol: 'π', label: 'Pi', unit: '' },
+  e: { symbol: 'e', label: "Euler's number", unit: '' },
+  c: { symbol: 'c', label: 'Speed of light', unit: 'm/s' },
+  g: { symbol: 'g', label: 'Standard gravity', unit: 'm/s²' },
+  G: { symbol: 'G', label: 'Gravitational constant', unit: 'm³/(kg·s²)' },
+  h: { symbol: 'h', label: 'Planck constant', unit: 'J·s' },
+  qe: { symbol: 'qₑ', label: 'Elementary charge', unit: 'C' },
+  me: { symbol: 'mₑ', label: 'Electron mass', unit: 'kg' },
+  mp: { symbol: 'mₚ', label: 'Proton mass', unit: 'kg' },
+  NA: { symbol: 'Nₐ', label: 'Avogadro constant', unit: '1/mol' },
+  k: { symbol: 'k', label: 'Boltzmann constant', unit: 'J/K' },
+  R: { symbol: 'R', label: 'Gas constant', unit: 'J/(mol·K)' }
+};
+
+// Number bases of the programmer keypad: radix, literal prefix, digits per group
+ProgrammerOperations.BASES = {
+  hex: { radix: 16, prefix: '0x', group: 4, label: 'hexadecimal' },
+  dec: { radix: 10, prefix: '', group: 3, label: 'decimal' },
+  oct: { radix: 8, prefix: '0o', group: 3, label: 'octal' },
+  bin: { radix: 2, prefix: '0b', group: 4, label: 'binary' }
+};
+
+// Word sizes in bits
+ProgrammerOperations.WORD_SIZES = [8, 16, 32, 64];
+
+// Binary operators of the programmer keypad
+ProgrammerOperations.OPERATORS = ['+', '-', '×', '÷', 'mod', 'AND', 'OR', 'XOR', '<<', '>>', 'ROL', 'ROR'];
+
+// Number of named memory registers (M1-M9)
+MemoryOperations.SLOT_COUNT = 9;
+
+// Name of the variable that holds the last result
+MemoryOperations.ANSWER = 'Ans';
+
+// User variable names: a letter or underscore, then letters, digits or underscores
+MemoryOperations.VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,15}$/;
+
+// Maximum number of history entries kept
+MemoryOperations.HISTORY_LIMIT = 100;
+
+// Header row of the history CSV export
+MemoryOperations.EXPORT_COLUMNS = ['timestamp', 'operation', 'result', 'expression'];
+
 // Export for module systems or attach to window for global access
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { Operations, MemoryOperations };
+  module.exports = { CalculationError, Operations, ProgrammerOperations, MemoryOperations };
 } else if (typeof window !== 'undefined') {
+  window.CalculationError = CalculationError;
   window.Operations = Operations;
+  window.ProgrammerOperations = ProgrammerOperations;
   window.MemoryOperations = MemoryOperations;
 }
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * TallyUp Calculator - Programmer Panel Module
+ * Renders the value in every base and the word size and signedness pickers
+ */
+
+'use strict';
+
+/**
+ * Programmer panel: the current value in hex, decimal, octal and binary
+ * side by side (pressing one types in that base), plus word size and
+ * signed/unsigned pickers
+ */
+class ProgrammerPanel {
+  /**
+   * @param {Object} handlers - Callbacks for panel changes
+   * @param {Function} handlers.onChange - Called with changed settings ({ base }, { wordSize } or { signed })
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    
+    this.panelElement = document.querySelector('.programmer-panel');
+    this.wordSizeSelect = document.querySelector('.programmer-word-size');
+    this.signedSelect = document.querySelector('.programmer-signed');
+    
+    if (!this.panelElement || !this.wordSizeSelect || !this.signedSelect) {
+      throw new Error('Required programmer elements not found');
+    }
+    
+    this.baseButtons = Array.from(this.panelElement.querySelectorAll('[data-base]'));
+    
+    this.setupEventListeners();
+    Utils.log('info', 'Programmer panel initialized');
+  }
+  
+  /**
+   * Setup event listeners for the base rows and pickers
+   */
+  setupEventListeners() {
+    this.panelElement.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-base]');
+      if (button) {
+        this.notify({ base: button.dataset.base });
+      }
+    });
+    
+    this.wordSizeSelect.addEventListener('change', () => {
+      this.notify({ wordSize: parseInt(this.wordSizeSelect.value, 10) });
+    });
+    
+    this.signedSelect.addEventListener('change', () => {
+      this.notify({ signed: this.signedSelect.value === 'signed' });
+    });
+  }
+  
+  /**
+   * Report changed settings
+   * @param {Object} settings - Changed settings
+   */
+  notify(settings) {
+    if (this.handlers.onChange) {
+      this.handlers.onChange(settings);
+    }
+  }
+  
+  /**
+   * Show the selected base, word size and signedness
+   * @param {Object} settings - { base, wordSize, signed }
+   */
+  setSelection(settings) {
+    this.wordSizeSelect.value = String(settings.wordSize);
+    this.signedSelect.value = settings.signed ? 'signed' : 'unsigned';
+    
+    this.baseButtons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.base === settings.base));
+    });
+  }
+  
+  /**
+   * Show the current value in every base
+   * @param {Object} state - From CalculatorEngine#getProgrammerState
+   */
+  render(state) {
+    this.setSelection(state);
+    
+    this.baseButtons.forEach(button => {
+      const base = button.dataset.base;
+      const valueElement = button.querySelector('.programmer-base-value');
+      const label = ProgrammerOperations.BASES[base].label;
+      
+      if (valueElement && valueElement.textContent !== state.values[base]) {
+        valueElement.textContent = state.values[base];
+        button.setAttribute('aria-label', `${label} ${state.values[base]}, press to type in ${label}`);
+      }
+    });
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProgrammerPanel;
+} else if (typeof window !== 'undefined') {
+  window.ProgrammerPanel = ProgrammerPanel;
+}
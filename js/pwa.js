@@ -0,0 +1,131 @@
+/**
+ * TallyUp Calculator - PWA Module
+ * Registers the service worker and offers new versions to the user
+ */
+
+'use strict';
+
+/**
+ * Service worker registration with a "new version available" prompt.
+ * A new worker waits until the user chooses Reload, so a calculation in
+ * progress is never interrupted by an update
+ */
+class UpdateManager {
+  /**
+   * @param {string} scriptUrl - Service worker script, relative to the page
+   */
+  constructor(scriptUrl = 'sw.js') {
+    this.scriptUrl = scriptUrl;
+    this.registration = null;
+    this.reloading = false;
+    
+    this.bannerElement = document.querySelector('.update-banner');
+    this.reloadButton = document.querySelector('.update-reload');
+    this.dismissButton = document.querySelector('.update-dismiss');
+    
+    this.init();
+  }
+  
+  /**
+   * Whether this browser and page can run a service worker
+   * @returns {boolean} True on http(s) pages with service worker support
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' &&
+      'serviceWorker' in navigator &&
+      /^https?:$/.test(window.location.protocol);
+  }
+  
+  /**
+   * Initialize update manager
+   */
+  init() {
+    this.setupEventListeners();
+    
+    if (!UpdateManager.isSupported()) {
+      Utils.log('info', 'Service worker not available, offline mode disabled');
+      return;
+    }
+    
+    navigator.serviceWorker.register(this.scriptUrl)
+      .then((registration) => this.watch(registration))
+      .catch((error) => Utils.log('error', 'Service worker registration failed:', error));
+    
+    // The waiting worker took over - load the new version
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.reloading) return;
+      this.reloading = true;
+      window.location.reload();
+    });
+  }
+  
+  /**
+   * Setup event listeners for the update prompt
+   */
+  setupEventListeners() {
+    if (this.reloadButton) {
+      this.reloadButton.addEventListener('click', () => this.applyUpdate());
+    }
+    
+    if (this.dismissButton) {
+      this.dismissButton.addEventListener('click', () => this.showPrompt(false));
+    }
+  }
+  
+  /**
+   * Track a registration and prompt once a new worker has installed
+   * @param {ServiceWorkerRegistration} registration - Active registration
+   */
+  watch(registration) {
+    this.registration = registration;
+    Utils.log('info', 'Service worker registered');
+    
+    // A worker that installed on an earlier visit is already waiting
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.showPrompt(true);
+    }
+    
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.showPrompt(true);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Show or hide the update prompt
+   * @param {boolean} visible - Whether the prompt should be shown
+   */
+  showPrompt(visible) {
+    if (this.bannerElement) {
+      this.bannerElement.hidden = !visible;
+    }
+  }
+  
+  /**
+   * Activate the waiting worker; the page reloads when it takes control
+   */
+  applyUpdate() {
+    this.showPrompt(false);
+    
+    const waiting = this.registration && this.registration.waiting;
+    if (waiting) {
+      waiting.postMessage({ type: 'SKIP_WAITING' });
+    } else {
+      window.location.reload();
+    }
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UpdateManager;
+} else if (typeof window !== 'undefined') {
+  window.UpdateManager = UpdateManager;
+}
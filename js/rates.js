@@ -0,0 +1,425 @@
+/**
+ * TallyUp Calculator - Currency Rates Module
+ * Offline exchange rate table with imports, per-pair overrides and cross rates
+ */
+
+'use strict';
+
+/**
+ * Exchange rate table kept in localStorage
+ *
+ * Rates are quoted as units of each currency per one unit of the base
+ * currency, so any pair converts through the base:
+ *   GBP → USD = rates.USD ÷ rates.GBP
+ * An override for a pair (or its inverse) replaces the cross rate.
+ */
+class CurrencyRates {
+  constructor() {
+    this.base = CurrencyRates.DEFAULT_TABLE.base;
+    this.asOf = CurrencyRates.DEFAULT_TABLE.asOf;
+    this.rates = { ...CurrencyRates.DEFAULT_TABLE.rates };
+    // Manual rates keyed by pair ("GBP/EUR": "1.18")
+    this.overrides = {};
+    
+    this.loadRates();
+  }
+  
+  /**
+   * Get the currencies in the table, base first
+   * @returns {Array<string>} ISO 4217 codes
+   */
+  getCurrencies() {
+    const others = Object.keys(this.rates).filter(code => code !== this.base).sort();
+    return [this.base, ...others];
+  }
+  
+  /**
+   * Check if a currency is in the table
+   * @param {string} code - ISO 4217 code
+   * @returns {boolean} True if rates exist for the currency
+   */
+  hasCurrency(code) {
+    return code === this.base || Object.prototype.hasOwnProperty.call(this.rates, code);
+  }
+  
+  /**
+   * Complete a from/to pair with currencies from the table; a pair of
+   * the same currency twice gets a different "to" currency
+   * @param {Object} pair - { from, to }, either may be missing
+   * @returns {Object} Valid { from, to }
+   */
+  normalizePair(pair = {}) {
+    const candidates = [...CurrencyRates.DEFAULT_PAIR, ...this.getCurrencies()]
+      .filter(code => this.hasCurrency(code));
+    
+    const from = this.hasCurrency(pair.from) ? pair.from : candidates[0];
+    const to = this.hasCurrency(pair.to) && pair.to !== from ? pair.to : (candidates.find(code => code !== from) || from);
+    
+    return { from, to };
+  }
+  
+  /**
+   * Get the rate for a pair: an override if set, else the cross rate via the base
+   * @param {string} from - Currency to convert from
+   * @param {string} to - Currency to convert to
+   * @returns {Object|null} { rate, source } - rate is a Decimal; source is "override", "base" or "cross"
+   */
+  getRate(from, to) {
+    if (!this.hasCurrency(from) || !this.hasCurrency(to)) {
+      return null;
+    }
+    
+    if (from === to) {
+      return { rate: Decimal.from(1), source: 'base' };
+    }
+    
+    const override = this.overrides[`${from}/${to}`];
+    if (override) {
+      return { rate: Decimal.from(override), source: 'override' };
+    }
+    
+    const inverse = this.overrides[`${to}/${from}`];
+    if (inverse) {
+      return { rate: Decimal.from(1).dividedBy(Decimal.from(inverse)), source: 'override' };
+    }
+    
+    const rate = Decimal.from(this.rateFor(to)).dividedBy(Decimal.from(this.rateFor(from)));
+    return { rate, source: from === this.base || to === this.base ? 'base' : 'cross' };
+  }
+  
+  /**
+   * Get the table rate of a currency against the base
+   * @param {string} code - ISO 4217 code
+   * @returns {string} Units per one unit of the base currency
+   */
+  rateFor(code) {
+    return code === this.base ? '1' : this.rates[code];
+  }
+  
+  /**
+   * Convert an amount, rounded to the target currency's minor unit
+   * @param {number} amount - Amount in the "from" currency
+   * @param {string} from - Currency to convert from
+   * @param {string} to - Currency to convert to
+   * @returns {number|CalculationError} Converted amount, or an error if there is no rate
+   *   or the amount is too large (overflow)
+   */
+  convert(amount, from, to) {
+    const quote = this.getRate(from, to);
+    if (!quote) {
+      return new CalculationError('invalid-input', `No exchange rate from ${from} to ${to}`);
+    }
+    if (typeof amount !== 'number' || !isFinite(amount)) {
+      return new CalculationError('invalid-input');
+    }
+    
+    // Multiply the unrounded rate, then round once to cents (or yen, or fils)
+    const converted = Decimal.from(amount).times(quote.rate).round(CurrencyRates.getDecimals(to)).toNumber();
+    return isFinite(converted) ? converted : new CalculationError('overflow');
+  }
+  
+  /**
+   * Set a manual rate for a pair; it also applies to the inverse pair
+   * @param {string} from - Currency to convert from
+   * @param {string} to - Currency to convert to
+   * @param {number|string} rate - Units of "to" per one "from"
+   */
+  setOverride(from, to, rate) {
+    if (!this.hasCurrency(from) || !this.hasCurrency(to) || from === to) {
+      throw new Error('Pick two different currencies');
+    }
+    if (!(Number(rate) > 0) || !isFinite(Number(rate))) {
+      throw new Error('Rate must be a number above 0');
+    }
+    
+    delete this.overrides[`${to}/${from}`];
+    this.overrides[`${from}/${to}`] = Decimal.from(rate).toString();
+    this.saveRates();
+  }
+  
+  /**
+   * Remove the manual rate of a pair and its inverse
+   * @param {string} from - Currency to convert from
+   * @param {string} to - Currency to convert to
+   */
+  removeOverride(from, to) {
+    delete this.overrides[`${from}/${to}`];
+    delete this.overrides[`${to}/${from}`];
+    this.saveRates();
+  }
+  
+  /**
+   * Replace the rate table from a JSON or CSV file; overrides are kept
+   * @param {string} text - File contents
+   * @returns {Object} { base, asOf, count } of the imported table (asOf is null if the file has no date)
+   */
+  importRates(text) {
+    const source = String(text || '').trim();
+    const table = source.startsWith('{')
+      ? CurrencyRates.parseJSON(source)
+      : CurrencyRates.parseCSV(source);
+    
+    this.base = table.base;
+    this.asOf = table.asOf;
+    this.rates = table.rates;
+    this.saveRates();
+    
+    return { base: this.base, asOf: this.asOf, count: Object.keys(this.rates).length };
+  }
+  
+  /**
+   * Parse a JSON rate table:
+   *   { "base": "EUR", "date": "2025-01-02", "rates": { "USD": 1.0321, ... } }
+   * @param {string} text - JSON text
+   * @returns {Object} Validated { base, asOf, rates }
+   */
+  static parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Rate file is not valid JSON');
+    }
+    
+    if (!data || typeof data.rates !== 'object' || data.rates === null) {
+      throw new Error('Rate file needs a "rates" object');
+    }
+    
+    return this.validateTable(data.base, data.asOf || data.date, Object.entries(data.rates));
+  }
+  
+  /**
+   * Parse a CSV rate table with a header row; the base column names the
+   * currency the rates are quoted against (the same on every row):
+   *   base,currency,rate,date
+   *   EUR,USD,1.0321,2025-01-02
+   *   EUR,GBP,0.82918,2025-01-02
+   * @param {string} text - CSV text
+   * @returns {Object} Validated { base, asOf, rates }
+   */
+  static parseCSV(text) {
+    const rows = text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line !== '')
+      .map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+    
+    const header = (rows.shift() || []).map(cell => cell.toLowerCase());
+    const baseColumn = header.indexOf('base');
+    const currencyColumn = header.indexOf('currency');
+    const rateColumn = header.indexOf('rate');
+    const dateColumn = header.indexOf('date');
+    
+    if (baseColumn === -1 || currencyColumn === -1 || rateColumn === -1) {
+      throw new Error('CSV needs "base", "currency" and "rate" columns');
+    }
+    
+    const bases = new Set(rows.map(row => String(row[baseColumn] || '').toUpperCase()));
+    if (bases.size > 1) {
+      throw new Error('CSV rows must all have the same base currency');
+    }
+    
+    const datedRow = dateColumn === -1 ? null : rows.find(row => row[dateColumn]);
+    const entries = rows.map(row => [row[currencyColumn], row[rateColumn]]);
+    
+    return this.validateTable(rows.length ? rows[0][baseColumn] : null, datedRow ? datedRow[dateColumn] : null, entries);
+  }
+  
+  /**
+   * Check an imported table
+   * @param {string} base - Base currency code
+   * @param {string|null} asOf - Date of the rates (YYYY-MM-DD), or null if the file has none
+   * @param {Array<Array>} entries - [code, rate] pairs; the base may be listed at rate 1
+   * @returns {Object} { base, asOf, rates } with rates as decimal strings and asOf null for an undated table
+   */
+  static validateTable(base, asOf, entries) {
+    const code = String(base || '').toUpperCase();
+    if (!CurrencyRates.CODE_PATTERN.test(code)) {
+      throw new Error('Rate file needs a 3-letter base currency');
+    }
+    
+    // An undated table stays undated rather than looking current
+    const date = asOf ? String(asOf).slice(0, 10) : null;
+    if (date !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+      throw new Error(`Invalid rate date "${asOf}"`);
+    }
+    
+    const rates = {};
+    entries.forEach(([currency, rate]) => {
+      const key = String(currency || '').toUpperCase();
+      const value = typeof rate === 'number' ? rate : Number(rate);
+      
+      if (!CurrencyRates.CODE_PATTERN.test(key) || !isFinite(value) || value <= 0) {
+        throw new Error(`Invalid rate for "${currency}"`);
+      }
+      if (key !== code) {
+        rates[key] = Decimal.from(String(rate)).toString();
+      } else if (value !== 1) {
+        throw new Error(`Base currency ${code} must have rate 1`);
+      }
+    });
+    
+    if (Object.keys(rates).length === 0) {
+      throw new Error('Rate file has no rates');
+    }
+    
+    return { base: code, asOf: date, rates };
+  }
+  
+  /**
+   * Get the number of minor-unit decimals of a currency
+   * @param {string} code - ISO 4217 code
+   * @returns {number} Decimal places (2 for USD, 0 for JPY, 3 for KWD)
+   */
+  static getDecimals(code) {
+    const known = CurrencyRates.CURRENCIES[code];
+    if (known) {
+      return known.decimals;
+    }
+    
+    try {
+      return new Intl.NumberFormat('en', { style: 'currency', currency: code })
+        .resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+      return 2;
+    }
+  }
+  
+  /**
+   * Format an amount with its currency symbol and minor-unit decimals
+   * @param {number|string} amount - Amount or error message
+   * @param {string} code - ISO 4217 code
+   * @returns {string} Formatted amount (e.g. "£1,234.50", "-¥1,235", "99.00 kr")
+   */
+  static format(amount, code) {
+    if (typeof amount !== 'number') {
+      return String(amount);
+    }
+    
+    const known = CurrencyRates.CURRENCIES[code] || {};
+    const symbol = known.symbol || code;
+    const decimals = this.getDecimals(code);
+    const number = Utils.formatNumber(Math.abs(amount), decimals, decimals);
+    const sign = amount < 0 ? '-' : '';
+    
+    if (known.symbolAfter) {
+      return `${sign}${number} ${symbol}`;
+    }
+    // Letter symbols (CHF, R$) get a space so they don't run into the digits
+    return /[A-Za-z]$/.test(symbol) ? `${sign}${symbol} ${number}` : `${sign}${symbol}${number}`;
+  }
+  
+  /**
+   * Get a currency's display name
+   * @param {string} code - ISO 4217 code
+   * @returns {string} Name (e.g. "Pound sterling"), or the code if unknown
+   */
+  static getName(code) {
+    const known = CurrencyRates.CURRENCIES[code];
+    return known ? known.name : code;
+  }
+  
+  /**
+   * Load the saved rate table from storage
+   */
+  loadRates() {
+    const saved = Utils.loadFromStorage('currencyRates');
+    if (!saved) return;
+    
+    try {
+      const table = CurrencyRates.validateTable(saved.base, saved.asOf, Object.entries(saved.rates || {}));
+      this.base = table.base;
+      this.asOf = table.asOf;
+      this.rates = table.rates;
+    } catch (error) {
+      Utils.log('warn', 'Ignoring saved currency rates:', error.message);
+    }
+    
+    if (saved.overrides && typeof saved.overrides === 'object') {
+      Object.entries(saved.overrides).forEach(([pair, rate]) => {
+        if (/^[A-Z]{3}\/[A-Z]{3}$/.test(pair) && Number(rate) > 0) {
+          this.overrides[pair] = String(rate);
+        }
+      });
+    }
+  }
+  
+  /**
+   * Save the rate table and overrides to storage
+   */
+  saveRates() {
+    Utils.saveToStorage('currencyRates', {
+      base: this.base,
+      asOf: this.asOf,
+      rates: this.rates,
+      overrides: this.overrides
+    });
+  }
+}
+
+// ISO 4217 currency code
+CurrencyRates.CODE_PATTERN = /^[A-Z]{3}$/;
+
+// Pair shown until the user picks one
+CurrencyRates.DEFAULT_PAIR = ['GBP', 'EUR'];
+
+// Built-in sample table (euro reference rates); import current rates to replace it
+CurrencyRates.DEFAULT_TABLE = {
+  base: 'EUR',
+  asOf: '2025-01-02',
+  rates: {
+    USD: '1.0321',
+    GBP: '0.82918',
+    JPY: '162.65',
+    CHF: '0.9376',
+    CAD: '1.4872',
+    AUD: '1.6637',
+    NZD: '1.8398',
+    CNY: '7.5562',
+    HKD: '8.0171',
+    SGD: '1.4083',
+    INR: '88.4765',
+    KRW: '1519.6',
+    SEK: '11.4855',
+    NOK: '11.7775',
+    DKK: '7.4574',
+    PLN: '4.2678',
+    CZK: '25.179',
+    MXN: '21.4205',
+    BRL: '6.3896',
+    ZAR: '19.4075'
+  }
+};
+
+// Symbols and minor units; symbolAfter puts the symbol after the amount
+CurrencyRates.CURRENCIES = {
+  EUR: { name: 'Euro', symbol: '€', decimals: 2 },
+  USD: { name: 'US dollar', symbol: '$', decimals: 2 },
+  GBP: { name: 'Pound sterling', symbol: '£', decimals: 2 },
+  JPY: { name: 'Japanese yen', symbol: '¥', decimals: 0 },
+  CHF: { name: 'Swiss franc', symbol: 'CHF', decimals: 2 },
+  CAD: { name: 'Canadian dollar', symbol: 'CA$', decimals: 2 },
+  AUD: { name: 'Australian dollar', symbol: 'A$', decimals: 2 },
+  NZD: { name: 'New Zealand dollar', symbol: 'NZ$', decimals: 2 },
+  CNY: { name: 'Chinese yuan', symbol: 'CN¥', decimals: 2 },
+  HKD: { name: 'Hong Kong dollar', symbol: 'HK$', decimals: 2 },
+  SGD: { name: 'Singapore dollar', symbol: 'S$', decimals: 2 },
+  INR: { name: 'Indian rupee', symbol: '₹', decimals: 2 },
+  KRW: { name: 'South Korean won', symbol: '₩', decimals: 0 },
+  SEK: { name: 'Swedish krona', symbol: 'kr', decimals: 2, symbolAfter: true },
+  NOK: { name: 'Norwegian krone', symbol: 'kr', decimals: 2, symbolAfter: true },
+  DKK: { name: 'Danish krone', symbol: 'kr.', decimals: 2, symbolAfter: true },
+  PLN: { name: 'Polish złoty', symbol: 'zł', decimals: 2, symbolAfter: true },
+  CZK: { name: 'Czech koruna', symbol: 'Kč', decimals: 2, symbolAfter: true },
+  MXN: { name: 'Mexican peso', symbol: 'MX$', decimals: 2 },
+  BRL: { name: 'Brazilian real', symbol: 'R$', decimals: 2 },
+  ZAR: { name: 'South African rand', symbol: 'R', decimals: 2 },
+  KWD: { name: 'Kuwaiti dinar', symbol: 'KD', decimals: 3 },
+  BHD: { name: 'Bahraini dinar', symbol: 'BD', decimals: 3 }
+};
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CurrencyRates;
+} else if (typeof window !== 'undefined') {
+  window.CurrencyRates = CurrencyRates;
+}
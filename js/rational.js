@@ -0,0 +1,281 @@
+/**
+ * TallyUp Calculator - Rational Arithmetic Module
+ * Exact fractions so 1/3 × 3 is exactly 1
+ */
+
+'use strict';
+
+/**
+ * Immutable rational number
+ *
+ * A value is stored as a BigInt numerator and a positive BigInt
+ * denominator, always reduced to lowest terms, so equal values share one
+ * representation (2/4 is 1/2). Addition, subtraction, multiplication and
+ * division are exact.
+ */
+class Rational {
+  /**
+   * @param {bigint} numerator - Numerator
+   * @param {bigint} denominator - Denominator, not zero
+   * @throws {RangeError} If the denominator is zero
+   */
+  constructor(numerator, denominator = 1n) {
+    if (denominator === 0n) {
+      throw new RangeError('Division by zero');
+    }
+    
+    // Normalize: positive denominator, lowest terms
+    if (denominator < 0n) {
+      numerator = -numerator;
+      denominator = -denominator;
+    }
+    const divisor = Rational.gcd(numerator, denominator);
+    
+    this.numerator = numerator / divisor;
+    this.denominator = denominator / divisor;
+    Object.freeze(this);
+  }
+  
+  /**
+   * Greatest common divisor
+   * @param {bigint} a - First value
+   * @param {bigint} b - Second value
+   * @returns {bigint} GCD (1 if both are zero)
+   */
+  static gcd(a, b) {
+    a = a < 0n ? -a : a;
+    b = b < 0n ? -b : b;
+    while (b !== 0n) {
+      [a, b] = [b, a % b];
+    }
+    return a || 1n;
+  }
+  
+  /**
+   * Create a Rational from a number, numeric string, Decimal or BigInt
+   * Numbers and decimal strings convert exactly (0.125 is 1/8, 0.1 is 1/10)
+   * @param {number|string|bigint|Decimal|Rational} value - Value to convert
+   * @returns {Rational} Rational value
+   * @throws {RangeError} If the value is not a finite number
+   */
+  static from(value) {
+    if (value instanceof Rational) {
+      return value;
+    }
+    if (typeof value === 'bigint') {
+      return new Rational(value);
+    }
+    
+    const decimal = Decimal.from(value);
+    return new Rational(decimal.coefficient, 10n ** BigInt(decimal.scale));
+  }
+  
+  /**
+   * Parse fraction text: "5/3", "1 2/3", "-1 2/3", or a decimal ("0.75")
+   * @param {string} text - Plain text (no grouping, "." as decimal point)
+   * @returns {Rational} Parsed value
+   * @throws {RangeError} If the text is not a fraction or number, or has a zero denominator
+   */
+  static parse(text) {
+    const match = /^([+-]?)\s*(?:(\d+)\s+)?(\d+)\s*\/\s*(\d+)$/.exec(String(text).trim());
+    if (!match) {
+      return Rational.from(String(text).trim());
+    }
+    
+    const [, sign, whole = '0', numerator, denominator] = match;
+    const value = new Rational(BigInt(whole)).plus(new Rational(BigInt(numerator), BigInt(denominator)));
+    return sign === '-' ? value.negate() : value;
+  }
+  
+  /**
+   * Closest fraction whose denominator is at most maxDenominator, found
+   * from the continued fraction of the exact value (π with 1000 is 355/113)
+   * @param {number|string|Decimal|Rational} value - Value to approximate
+   * @param {number} maxDenominator - Largest denominator allowed (1 or more)
+   * @returns {Rational} The value itself if its denominator is small enough, else the best approximation
+   */
+  static approximate(value, maxDenominator) {
+    const exact = Rational.from(value);
+    const limit = BigInt(Math.max(1, Math.floor(maxDenominator)));
+    if (exact.denominator <= limit) {
+      return exact;
+    }
+    
+    // Convergents p/q of the continued fraction of |value|, until the next
+    // denominator would pass the limit
+    const target = exact.abs();
+    let [p0, q0, p1, q1] = [0n, 1n, 1n, 0n];
+    let [numerator, denominator] = [target.numerator, target.denominator];
+    
+    while (denominator !== 0n) {
+      const term = numerator / denominator;
+      const q2 = q0 + term * q1;
+      if (q2 > limit) break;
+      
+      [p0, q0, p1, q1] = [p1, q1, p0 + term * p1, q2];
+      [numerator, denominator] = [denominator, numerator - term * denominator];
+    }
+    
+    // The best approximation is the last convergent or the largest
+    // semiconvergent that still fits; ties go to the convergent
+    const steps = (limit - q0) / q1;
+    const convergent = new Rational(p1, q1);
+    const semiconvergent = new Rational(p0 + steps * p1, q0 + steps * q1);
+    const best = semiconvergent.minus(target).abs().compare(convergent.minus(target).abs()) < 0
+      ? semiconvergent
+      : convergent;
+    
+    return exact.isNegative() ? best.negate() : best;
+  }
+  
+  /**
+   * Addition
+   * @param {number|string|Rational} other - Value to add
+   * @returns {Rational} Sum
+   */
+  plus(other) {
+    const value = Rational.from(other);
+    return new Rational(
+      this.numerator * value.denominator + value.numerator * this.denominator,
+      this.denominator * value.denominator
+    );
+  }
+  
+  /**
+   * Subtraction
+   * @param {number|string|Rational} other - Value to subtract
+   * @returns {Rational} Difference
+   */
+  minus(other) {
+    return this.plus(Rational.from(other).negate());
+  }
+  
+  /**
+   * Multiplication
+   * @param {number|string|Rational} other - Value to multiply by
+   * @returns {Rational} Product
+   */
+  times(other) {
+    const value = Rational.from(other);
+    return new Rational(this.numerator * value.numerator, this.denominator * value.denominator);
+  }
+  
+  /**
+   * Division
+   * @param {number|string|Rational} other - Divisor
+   * @returns {Rational} Quotient
+   * @throws {RangeError} On division by zero
+   */
+  dividedBy(other) {
+    return this.times(Rational.from(other).reciprocal());
+  }
+  
+  /**
+   * Reciprocal (1/x)
+   * @returns {Rational} Reciprocal
+   * @throws {RangeError} If the value is zero
+   */
+  reciprocal() {
+    return new Rational(this.denominator, this.numerator);
+  }
+  
+  /**
+   * Negation
+   * @returns {Rational} Negated value
+   */
+  negate() {
+    return new Rational(-this.numerator, this.denominator);
+  }
+  
+  /**
+   * Absolute value
+   * @returns {Rational} Absolute value
+   */
+  abs() {
+    return this.numerator < 0n ? this.negate() : this;
+  }
+  
+  /**
+   * Compare with another value
+   * @param {number|string|Rational} other - Value to compare with
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    const value = Rational.from(other);
+    const a = this.numerator * value.denominator;
+    const b = value.numerator * this.denominator;
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  }
+  
+  /**
+   * Check for zero
+   * @returns {boolean} True if zero
+   */
+  isZero() {
+    return this.numerator === 0n;
+  }
+  
+  /**
+   * Check for a negative value
+   * @returns {boolean} True if less than zero
+   */
+  isNegative() {
+    return this.numerator < 0n;
+  }
+  
+  /**
+   * Check for a whole number
+   * @returns {boolean} True if the denominator is 1
+   */
+  isInteger() {
+    return this.denominator === 1n;
+  }
+  
+  /**
+   * Split into a whole part and a proper fraction (7/3 is 2 1/3)
+   * @returns {Object} { negative, whole, numerator, denominator } - Parts of the absolute value as BigInts
+   */
+  toMixed() {
+    const negative = this.isNegative();
+    const numerator = negative ? -this.numerator : this.numerator;
+    
+    return {
+      negative,
+      whole: numerator / this.denominator,
+      numerator: numerator % this.denominator,
+      denominator: this.denominator
+    };
+  }
+  
+  /**
+   * Decimal value, rounded to the configured decimal precision
+   * @returns {Decimal} Decimal value
+   */
+  toDecimal() {
+    return new Decimal(this.numerator).dividedBy(new Decimal(this.denominator));
+  }
+  
+  /**
+   * Nearest JavaScript number
+   * @returns {number} Number value
+   */
+  toNumber() {
+    return this.toDecimal().toNumber();
+  }
+  
+  /**
+   * Plain improper fraction, or a whole number
+   * @returns {string} e.g. "-7/3" or "4"
+   */
+  toString() {
+    return this.isInteger() ? this.numerator.toString() : `${this.numerator}/${this.denominator}`;
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Rational;
+} else if (typeof window !== 'undefined') {
+  window.Rational = Rational;
+}
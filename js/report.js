@@ -0,0 +1,278 @@
+/**
+ * TallyUp Calculator - Report Module
+ * Print-ready report of the history or the tape for a date range
+ */
+
+'use strict';
+
+/**
+ * Report view over the calculation history or the adding-machine tape:
+ * a date range picker, a table of the entries in the range and their total,
+ * laid out for printing (the print styles hide the rest of the page while
+ * the report is open). Numbers and dates use the selected locale.
+ */
+class ReportView {
+  /**
+   * @param {MemoryOperations} memory - Memory instance that owns the history
+   * @param {Ledger} ledger - Adding-machine tape
+   */
+  constructor(memory, ledger) {
+    this.memory = memory;
+    this.ledger = ledger;
+    
+    this.viewElement = document.querySelector('.report-view');
+    this.sourceSelect = document.querySelector('.report-source');
+    this.fromInput = document.querySelector('.report-from');
+    this.toInput = document.querySelector('.report-to');
+    this.printButton = document.querySelector('.report-print');
+    this.closeButton = document.querySelector('.report-close');
+    this.titleElement = document.querySelector('.report-title');
+    this.rangeElement = document.querySelector('.report-range');
+    this.tableElement = document.querySelector('.report-table');
+    
+    if (!this.viewElement || !this.sourceSelect || !this.tableElement) {
+      throw new Error('Required report elements not found');
+    }
+    
+    // Element to return focus to when the report closes
+    this.opener = null;
+    
+    this.setupEventListeners();
+    Utils.log('info', 'Report view initialized');
+  }
+  
+  /**
+   * Setup event listeners for the report controls
+   */
+  setupEventListeners() {
+    [this.sourceSelect, this.fromInput, this.toInput].forEach(control => {
+      if (control) {
+        control.addEventListener('change', () => this.render());
+      }
+    });
+    
+    if (this.printButton) {
+      this.printButton.addEventListener('click', () => window.print());
+    }
+    
+    if (this.closeButton) {
+      this.closeButton.addEventListener('click', () => this.close());
+    }
+    
+    this.viewElement.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.close();
+      }
+    });
+  }
+  
+  /**
+   * Check if the report is showing
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return !this.viewElement.hidden;
+  }
+  
+  /**
+   * Show the report
+   * @param {string} source - "history" or "tape"
+   */
+  open(source = 'history') {
+    this.sourceSelect.value = source;
+    this.opener = document.activeElement;
+    
+    this.viewElement.hidden = false;
+    document.body.classList.add('report-open');
+    this.render();
+    
+    if (this.printButton) {
+      this.printButton.focus();
+    }
+  }
+  
+  /**
+   * Hide the report and return focus to the button that opened it
+   */
+  close() {
+    this.viewElement.hidden = true;
+    document.body.classList.remove('report-open');
+    
+    if (this.opener && this.opener.focus) {
+      this.opener.focus();
+    }
+    this.opener = null;
+  }
+  
+  /**
+   * Rebuild the report for the chosen source and dates
+   */
+  render() {
+    const source = this.sourceSelect.value === 'tape' ? 'tape' : 'history';
+    const from = this.fromInput && this.fromInput.value ? this.fromInput.value : null;
+    const to = this.toInput && this.toInput.value ? this.toInput.value : null;
+    
+    // An end date before the start date would select nothing
+    if (from && to && to < from) {
+      this.toInput.value = from;
+      this.render();
+      return;
+    }
+    
+    const report = source === 'tape'
+      ? this.ledger.getReport(from, to)
+      : this.memory.getHistoryReport(from, to);
+    
+    if (this.titleElement) {
+      this.titleElement.textContent = source === 'tape' ? 'TallyUp tape' : 'TallyUp calculations';
+    }
+    
+    if (this.rangeElement) {
+      this.rangeElement.textContent = this.describeRange(report, from, to);
+    }
+    
+    this.renderTable(source, report);
+  }
+  
+  /**
+   * Describe the dates a report covers; open ends use the first or last entry
+   * @param {Object} report - From MemoryOperations#getHistoryReport or Ledger#getReport
+   * @param {string|null} from - First day picked (YYYY-MM-DD)
+   * @param {string|null} to - Last day picked (YYYY-MM-DD)
+   * @returns {string} e.g. "3 Oct 2026 – 19 Oct 2026"
+   */
+  describeRange(report, from, to) {
+    const start = from || Utils.toDateKey(report.first);
+    const end = to || Utils.toDateKey(report.last);
+    
+    if (!start && !end) {
+      return 'No entries';
+    }
+    if (start === end) {
+      return this.formatDay(start);
+    }
+    return `${start ? this.formatDay(start) : '…'} – ${end ? this.formatDay(end) : '…'}`;
+  }
+  
+  /**
+   * Fill the table: one row per entry and a total row
+   * @param {string} source - "history" or "tape"
+   * @param {Object} report - From MemoryOperations#getHistoryReport or Ledger#getReport
+   */
+  renderTable(source, report) {
+    const isTape = source === 'tape';
+    this.tableElement.textContent = '';
+    
+    const head = this.tableElement.createTHead();
+    this.appendRow(head, ['Date', isTape ? 'Entry' : 'Calculation', isTape ? 'Amount' : 'Result'], 'th');
+    
+    const body = this.tableElement.createTBody();
+    if (report.entries.length === 0) {
+      const row = body.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 3;
+      cell.className = 'report-empty';
+      cell.textContent = 'Nothing recorded in this period';
+    }
+    
+    report.entries.forEach(entry => {
+      const cells = isTape
+        ? [this.formatTime(entry.timestamp), this.describeTapeEntry(entry), this.formatAmount(entry.type === 'item' ? entry.amount : entry.value)]
+        : [this.formatTime(entry.timestamp), entry.operation, this.formatAmount(entry.result)];
+      const row = this.appendRow(body, cells);
+      
+      if (isTape && entry.type !== 'item') {
+        row.className = 'report-subtotal';
+      }
+    });
+    
+    const noun = isTape ? 'item' : 'calculation';
+    const foot = this.tableElement.createTFoot();
+    this.appendRow(foot, [
+      `${report.count} ${noun}${report.count === 1 ? '' : 's'}`,
+      isTape ? 'Sum of items' : 'Total of results',
+      this.formatAmount(report.total)
+    ]);
+  }
+  
+  /**
+   * Add a row of text cells
+   * @param {HTMLTableSectionElement} section - thead, tbody or tfoot
+   * @param {Array<string>} texts - Cell texts
+   * @param {string} tag - "td" or "th"
+   * @returns {HTMLTableRowElement} New row
+   */
+  appendRow(section, texts, tag = 'td') {
+    const row = section.insertRow();
+    texts.forEach(text => {
+      const cell = document.createElement(tag);
+      if (tag === 'th') {
+        cell.scope = 'col';
+      }
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    return row;
+  }
+  
+  /**
+   * Describe a tape row: the sign of an item (its amount has its own
+   * column), or the total printed and how many items it covers
+   * @param {Object} entry - Entry from Ledger#getState
+   * @returns {string} e.g. "+", "total * (3 items)"
+   */
+  describeTapeEntry(entry) {
+    return entry.type === 'item' ? Ledger.SYMBOLS[entry.sign] : Ledger.describe(entry);
+  }
+  
+  /**
+   * Format a result or amount in the selected locale
+   * @param {any} value - Number, or an error message
+   * @returns {string} Formatted value
+   */
+  formatAmount(value) {
+    return typeof value === 'number' ? Utils.formatNumber(value) : String(value);
+  }
+  
+  /**
+   * Format a local calendar day
+   * @param {string} day - YYYY-MM-DD
+   * @returns {string} Day in the selected locale (e.g. "19 Oct 2026")
+   */
+  formatDay(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date).toLocaleDateString(Utils.locale || [], {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+  
+  /**
+   * Format an entry's date and time in the selected locale
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} Date and time, or "" if unknown
+   */
+  formatTime(timestamp) {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) {
+      return '';
+    }
+    
+    return date.toLocaleString(Utils.locale || [], {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportView;
+} else if (typeof window !== 'undefined') {
+  window.ReportView = ReportView;
+}
@@ -0,0 +1,270 @@
+/**
+ * TallyUp Calculator - Statistics Panel Module
+ * Renders the statistics data kept by Dataset and the results worked out from it
+ */
+
+'use strict';
+
+/**
+ * Data panel beside the keypad in statistics mode: an editable table of
+ * x, y and frequency values, a form to add a point, and the summary
+ * statistics and regression line. Pressing a result enters it into the
+ * display so it can be used in further calculations.
+ */
+class StatisticsPanel {
+  /**
+   * @param {Object} handlers - Callbacks for data changes and results
+   * @param {Function} handlers.onUse - Called with an engine input ({ statistic }) to enter a result
+   * @param {Function} handlers.onAdd - Called with { x, y, frequency } as typed; returns true if the point was added
+   * @param {Function} handlers.onEdit - Called with (id, field, text) when a value in the table is changed
+   * @param {Function} handlers.onRemove - Called with the id of a data point to delete
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    
+    this.panelElement = document.querySelector('.statistics-panel');
+    this.tableElement = document.querySelector('.data-table');
+    this.rowsElement = document.querySelector('.data-rows');
+    this.formElement = document.querySelector('.data-form');
+    this.resultsElement = document.querySelector('.statistics-results');
+    this.statusElement = document.querySelector('.statistics-status');
+    
+    if (!this.panelElement || !this.tableElement || !this.rowsElement || !this.resultsElement) {
+      throw new Error('Required statistics elements not found');
+    }
+    
+    // Rows and results the panel was last built from
+    this.renderedKey = '';
+    this.resultsKey = '';
+    this.rowCount = 0;
+    
+    this.setupEventListeners();
+    Utils.log('info', 'Statistics panel initialized');
+  }
+  
+  /**
+   * Setup event listeners for the table, the add form and the results
+   */
+  setupEventListeners() {
+    if (this.formElement) {
+      this.formElement.addEventListener('submit', (event) => {
+        event.preventDefault();
+        
+        const fields = Array.from(this.formElement.querySelectorAll('[data-field]'));
+        const values = Object.fromEntries(fields.map(input => [input.dataset.field, input.value]));
+        
+        if (this.handlers.onAdd && this.handlers.onAdd(values)) {
+          fields.forEach(input => {
+            input.value = '';
+          });
+          fields[0].focus();
+        }
+      });
+    }
+    
+    this.rowsElement.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-statistics-action="remove"]');
+      const row = button ? button.closest('[data-row-id]') : null;
+      if (row && this.handlers.onRemove) {
+        this.handlers.onRemove(row.dataset.rowId);
+      }
+    });
+    
+    // A changed value is applied when the field loses focus or on Enter;
+    // the table is rebuilt afterwards, putting back a value that was refused
+    this.rowsElement.addEventListener('change', (event) => {
+      const row = event.target.closest('[data-row-id]');
+      if (!event.target.matches('.data-value') || !row || !this.handlers.onEdit) return;
+      
+      this.renderedKey = '';
+      this.handlers.onEdit(row.dataset.rowId, event.target.dataset.field, event.target.value);
+    });
+    
+    this.rowsElement.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && event.target.matches('.data-value')) {
+        event.preventDefault();
+        event.target.value = event.target.defaultValue;
+      }
+    });
+    
+    this.resultsElement.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-statistic]');
+      if (button && this.handlers.onUse) {
+        this.handlers.onUse({ statistic: button.dataset.statistic });
+      }
+    });
+  }
+  
+  /**
+   * Show the data and results; the table is only rebuilt when the data or
+   * the number format changes
+   * @param {Object} state - From CalculatorEngine#getStatisticsState
+   */
+  render(state) {
+    if (!state) return;
+    
+    const key = `${Utils.locale}|${JSON.stringify(state.rows)}`;
+    if (key !== this.renderedKey) {
+      this.renderedKey = key;
+      this.renderRows(state.rows);
+    }
+    
+    const resultsKey = `${Utils.locale}|${JSON.stringify([state.statistics, state.regression])}`;
+    if (resultsKey !== this.resultsKey) {
+      this.resultsKey = resultsKey;
+      this.renderResults(state.statistics, state.regression, state.rows.some(row => row.y !== null));
+    }
+    
+    if (this.statusElement) {
+      this.statusElement.textContent = this.describeStatus(state);
+    }
+  }
+  
+  /**
+   * Summarize the data for the status line
+   * @param {Object} state - From CalculatorEngine#getStatisticsState
+   * @returns {string} Status text
+   */
+  describeStatus(state) {
+    if (state.pendingX !== null) {
+      return `x = ${Utils.formatNumber(state.pendingX)}: enter y and press Σ+`;
+    }
+    
+    const { count } = state.statistics;
+    const values = `${count} ${count === 1 ? 'value' : 'values'}`;
+    return state.regression ? `${values} · ${state.regression.count} pairs` : values;
+  }
+  
+  /**
+   * Rebuild the table, scrolling to the newest row when one was added
+   * @param {Array<Object>} rows - Rows from Dataset
+   */
+  renderRows(rows) {
+    this.rowsElement.textContent = '';
+    
+    if (rows.length === 0) {
+      const empty = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.className = 'data-empty';
+      cell.colSpan = 4;
+      cell.textContent = 'Type a value and press Σ+, or add it below';
+      empty.appendChild(cell);
+      this.rowsElement.appendChild(empty);
+    } else {
+      rows.forEach(row => {
+        this.rowsElement.appendChild(this.createRowElement(row));
+      });
+    }
+    
+    if (rows.length > this.rowCount) {
+      this.tableElement.scrollTop = this.tableElement.scrollHeight;
+    }
+    this.rowCount = rows.length;
+  }
+  
+  /**
+   * Build the table row for a data point
+   * @param {Object} row - { id, x, y, frequency } from Dataset
+   * @returns {HTMLElement} Table row element
+   */
+  createRowElement(row) {
+    const item = document.createElement('tr');
+    item.className = 'data-row';
+    item.dataset.rowId = row.id;
+    
+    const x = Utils.localizeNumber(row.x);
+    const y = row.y === null ? '' : Utils.localizeNumber(row.y);
+    
+    [
+      ['x', x, `x value ${x}`],
+      ['y', y, y ? `y value ${y}` : `y value of ${x}, empty`],
+      ['frequency', String(row.frequency), `Frequency of ${x}`]
+    ].forEach(([field, value, label]) => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'data-value';
+      input.inputMode = field === 'frequency' ? 'numeric' : 'decimal';
+      input.autocomplete = 'off';
+      input.dataset.field = field;
+      input.defaultValue = value;
+      input.setAttribute('aria-label', label);
+      cell.appendChild(input);
+      item.appendChild(cell);
+    });
+    
+    const cell = document.createElement('td');
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'data-delete';
+    deleteButton.dataset.statisticsAction = 'remove';
+    deleteButton.textContent = '×';
+    deleteButton.setAttribute('aria-label', `Delete data point ${y ? `(${x}, ${y})` : x}`);
+    cell.appendChild(deleteButton);
+    item.appendChild(cell);
+    
+    return item;
+  }
+  
+  /**
+   * List the summary statistics, and the regression line once there are pairs
+   * @param {Object} statistics - From Dataset#getStatistics
+   * @param {Object|null} regression - From Dataset#getRegression
+   * @param {boolean} hasPairs - Whether any data point has a y value
+   */
+  renderResults(statistics, regression, hasPairs) {
+    this.resultsElement.textContent = '';
+    
+    Object.entries(Dataset.STATISTICS).forEach(([name, info]) => {
+      if (info.group === 'regression' && !hasPairs) return;
+      
+      const source = info.group === 'regression' ? regression || {} : statistics;
+      const value = typeof source[name] === 'number' ? source[name] : null;
+      const text = name === 'mode' && statistics.modes.length > 1
+        ? statistics.modes.map(mode => Utils.formatNumber(mode)).join('; ')
+        : null;
+      
+      this.resultsElement.appendChild(this.createResultElement(name, info, value, text));
+    });
+  }
+  
+  /**
+   * Build the list item for a result
+   * @param {string} name - Key of Dataset.STATISTICS
+   * @param {Object} info - { symbol, label, group } from Dataset.STATISTICS
+   * @param {number|null} value - Result, or null if the data cannot give one
+   * @param {string|null} text - Text to show instead of the value (several modes)
+   * @returns {HTMLElement} List item element
+   */
+  createResultElement(name, info, value, text = null) {
+    const formatted = value === null ? '—' : Utils.formatNumber(value);
+    
+    const item = document.createElement('li');
+    item.className = `statistics-result statistics-${info.group}`;
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.statistic = name;
+    button.disabled = value === null;
+    button.setAttribute('aria-label', value === null ? `${info.label}, not available` : `Enter ${info.label}, ${formatted}`);
+    
+    const symbol = document.createElement('span');
+    symbol.className = 'statistics-symbol';
+    symbol.textContent = info.symbol;
+    
+    const result = document.createElement('span');
+    result.className = 'statistics-value';
+    result.textContent = text || formatted;
+    
+    button.append(symbol, result);
+    item.appendChild(button);
+    return item;
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StatisticsPanel;
+} else if (typeof window !== 'undefined') {
+  window.StatisticsPanel = StatisticsPanel;
+}
@@ -0,0 +1,244 @@
+/**
+ * TallyUp Calculator - Tape Panel Module
+ * Renders the adding-machine tape kept by Ledger
+ */
+
+'use strict';
+
+/**
+ * Paper-roll view of the adding-machine tape: one row per item or total
+ * with its sign, the item count beside totals, and the open group's item
+ * counter and grand total below. Pressing an item's amount edits it in place.
+ */
+class TapePanel {
+  /**
+   * @param {Object} handlers - Callbacks for tape changes
+   * @param {Function} handlers.onEdit - Called with (id, text) when an item's amount is changed
+   * @param {Function} handlers.onRemove - Called with the id of a row to delete
+   * @param {Function} handlers.onExport - Called with "csv" or "json" to download the tape
+   * @param {Function} handlers.onReport - Called to open the printable report
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    
+    this.panelElement = document.querySelector('.tape-panel');
+    this.rollElement = document.querySelector('.tape-roll');
+    this.statusElement = document.querySelector('.tape-status');
+    this.exportButtons = Array.from(document.querySelectorAll('.tape-export'));
+    this.reportButton = document.querySelector('.tape-report');
+    
+    if (!this.panelElement || !this.rollElement) {
+      throw new Error('Required tape elements not found');
+    }
+    
+    // Entries the roll was last built from, and the row being edited
+    this.renderedKey = '';
+    this.rowCount = 0;
+    this.editingId = null;
+    this.lastState = null;
+    
+    this.setupEventListeners();
+    Utils.log('info', 'Tape panel initialized');
+  }
+  
+  /**
+   * Setup event listeners for row buttons and the edit field
+   */
+  setupEventListeners() {
+    // Use event delegation for row buttons
+    this.rollElement.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-tape-action]');
+      const row = button ? button.closest('[data-tape-id]') : null;
+      if (!row) return;
+      
+      if (button.dataset.tapeAction === 'edit') {
+        this.startEditing(row.dataset.tapeId);
+      } else if (button.dataset.tapeAction === 'remove' && this.handlers.onRemove) {
+        this.handlers.onRemove(row.dataset.tapeId);
+      }
+    });
+    
+    this.exportButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        if (this.handlers.onExport) {
+          this.handlers.onExport(button.dataset.format);
+        }
+      });
+    });
+    
+    if (this.reportButton) {
+      this.reportButton.addEventListener('click', () => {
+        if (this.handlers.onReport) {
+          this.handlers.onReport();
+        }
+      });
+    }
+    
+    // The edit applies on Enter or when the field loses focus; Escape cancels
+    this.rollElement.addEventListener('change', (event) => {
+      if (event.target.matches('.tape-edit')) {
+        this.finishEditing(event.target.value);
+      }
+    });
+    
+    this.rollElement.addEventListener('keydown', (event) => {
+      if (!event.target.matches('.tape-edit')) return;
+      
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.finishEditing(null);
+      }
+    });
+    
+    this.rollElement.addEventListener('focusout', (event) => {
+      if (event.target.matches('.tape-edit') && this.editingId) {
+        this.finishEditing(null);
+      }
+    });
+  }
+  
+  /**
+   * Replace an item's amount with a field holding its signed value
+   * @param {string} id - Ledger row id
+   */
+  startEditing(id) {
+    const row = this.rollElement.querySelector(`[data-tape-id="${id}"]`);
+    const amountButton = row ? row.querySelector('.tape-amount') : null;
+    if (!amountButton) return;
+    
+    this.editingId = id;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'tape-amount tape-edit';
+    input.inputMode = 'decimal';
+    input.autocomplete = 'off';
+    input.value = Utils.localizeNumber(amountButton.dataset.value);
+    input.setAttribute('aria-label', 'Amount, negative to subtract');
+    
+    amountButton.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+  
+  /**
+   * Leave the edit field, reporting the new amount
+   * @param {string|null} text - Typed amount, or null to cancel
+   */
+  finishEditing(text) {
+    const id = this.editingId;
+    if (!id) return;
+    
+    this.editingId = null;
+    this.renderedKey = '';
+    
+    if (text !== null && this.handlers.onEdit) {
+      this.handlers.onEdit(id, text);
+    } else {
+      this.render(this.lastState);
+    }
+  }
+  
+  /**
+   * Show the tape; the roll is only rebuilt when its entries change
+   * @param {Object} state - From Ledger#getState
+   */
+  render(state) {
+    if (!state) return;
+    this.lastState = state;
+    
+    const key = `${Utils.locale}|${JSON.stringify(state.entries)}`;
+    if (key !== this.renderedKey) {
+      this.renderedKey = key;
+      this.editingId = null;
+      this.renderRoll(state.entries);
+    }
+    
+    this.exportButtons.forEach(button => {
+      button.disabled = state.entries.length === 0;
+    });
+    
+    if (this.statusElement) {
+      const items = `${state.count} ${state.count === 1 ? 'item' : 'items'}`;
+      this.statusElement.textContent = `${items} · Grand total ${Utils.formatNumber(state.grandTotal)}`;
+    }
+  }
+  
+  /**
+   * Rebuild the roll, scrolling to the newest row when one was added
+   * @param {Array<Object>} entries - Entries from Ledger#getState
+   */
+  renderRoll(entries) {
+    this.rollElement.textContent = '';
+    
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'tape-empty';
+      empty.textContent = 'Type an amount and press + or −';
+      this.rollElement.appendChild(empty);
+    } else {
+      entries.forEach(entry => {
+        this.rollElement.appendChild(this.createRowElement(entry));
+      });
+    }
+    
+    if (entries.length > this.rowCount) {
+      this.rollElement.scrollTop = this.rollElement.scrollHeight;
+    }
+    this.rowCount = entries.length;
+  }
+  
+  /**
+   * Build the list item for a tape entry
+   * @param {Object} entry - Entry from Ledger#getState
+   * @returns {HTMLElement} List item element
+   */
+  createRowElement(entry) {
+    const isItem = entry.type === 'item';
+    const symbol = Ledger.SYMBOLS[isItem ? entry.sign : entry.type];
+    const formatted = Utils.formatNumber(isItem ? entry.amount : entry.value);
+    
+    const item = document.createElement('li');
+    item.className = `tape-row tape-row-${isItem ? (entry.sign === '-' ? 'minus' : 'plus') : entry.type}`;
+    item.dataset.tapeId = entry.id;
+    
+    // Totals print how many items (or totals, for G*) they cover
+    const count = document.createElement('span');
+    count.className = 'tape-count';
+    count.textContent = isItem ? '' : String(entry.count).padStart(3, '0');
+    
+    let amount;
+    if (isItem) {
+      amount = document.createElement('button');
+      amount.type = 'button';
+      amount.dataset.tapeAction = 'edit';
+      amount.dataset.value = Decimal.from(entry.value).toString();
+      amount.setAttribute('aria-label', `Edit ${formatted} ${symbol}`);
+    } else {
+      amount = document.createElement('span');
+    }
+    amount.className = 'tape-amount';
+    amount.textContent = formatted;
+    
+    const sign = document.createElement('span');
+    sign.className = 'tape-symbol';
+    sign.textContent = symbol;
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'tape-delete';
+    deleteButton.dataset.tapeAction = 'remove';
+    deleteButton.textContent = '×';
+    deleteButton.setAttribute('aria-label', `Delete ${formatted} ${symbol} from the tape`);
+    
+    item.append(count, amount, sign, deleteButton);
+    return item;
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TapePanel;
+} else if (typeof window !== 'undefined') {
+  window.TapePanel = TapePanel;
+}
@@ -0,0 +1,215 @@
+/**
+ * TallyUp Calculator - Theme Editor Module
+ * Theme picker and custom theme editor with contrast warnings
+ */
+
+'use strict';
+
+/**
+ * Theme picker plus a collapsible editor for the custom theme's colors,
+ * with JSON import/export and WCAG AA contrast warnings
+ */
+class ThemeEditor {
+  /**
+   * @param {ThemeManager} themes - Theme manager that applies and stores themes
+   * @param {Object} handlers - Callbacks for status messages
+   * @param {Function} handlers.onMessage - Called with (message, isError) after an import or export
+   */
+  constructor(themes, handlers = {}) {
+    this.themes = themes;
+    this.handlers = handlers;
+    
+    this.themeSelect = document.querySelector('.theme-select');
+    this.toggleButton = document.querySelector('.theme-editor-toggle');
+    this.panelElement = document.getElementById('theme-editor');
+    this.nameInput = document.querySelector('.theme-name');
+    this.colorsElement = document.querySelector('.theme-colors');
+    this.warningsElement = document.querySelector('.theme-warnings');
+    this.exportButton = document.querySelector('.theme-export');
+    this.importInput = document.querySelector('.theme-import');
+    
+    if (!this.themeSelect || !this.panelElement || !this.colorsElement) {
+      throw new Error('Required theme elements not found');
+    }
+    
+    this.init();
+  }
+  
+  /**
+   * Initialize theme editor
+   */
+  init() {
+    this.buildColorInputs();
+    this.setupEventListeners();
+    this.render();
+    Utils.log('info', 'Theme editor initialized');
+  }
+  
+  /**
+   * Create a color input for every editable color, grouped in fieldsets
+   */
+  buildColorInputs() {
+    const groups = {};
+    
+    Object.entries(ThemeManager.EDITABLE).forEach(([variable, { label, group }]) => {
+      if (!groups[group]) {
+        groups[group] = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = group;
+        groups[group].appendChild(legend);
+        this.colorsElement.appendChild(groups[group]);
+      }
+      
+      const field = document.createElement('label');
+      field.className = 'theme-color';
+      
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.dataset.variable = variable;
+      
+      field.append(input, document.createTextNode(label));
+      groups[group].appendChild(field);
+    });
+  }
+  
+  /**
+   * Setup event listeners for the picker and editor controls
+   */
+  setupEventListeners() {
+    this.themeSelect.addEventListener('change', () => {
+      this.themes.setTheme(this.themeSelect.value);
+      this.render();
+    });
+    
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener('click', () => {
+        this.setExpanded(this.panelElement.hidden);
+      });
+    }
+    
+    // Editing any color switches to the custom theme
+    this.colorsElement.addEventListener('input', (event) => {
+      const variable = event.target.dataset.variable;
+      if (!variable) return;
+      
+      this.themes.setCustomColor(variable, event.target.value);
+      this.render();
+    });
+    
+    if (this.nameInput) {
+      this.nameInput.addEventListener('change', () => {
+        this.themes.setCustomName(this.nameInput.value);
+        this.render();
+      });
+    }
+    
+    if (this.exportButton) {
+      this.exportButton.addEventListener('click', () => {
+        Utils.downloadText(this.themes.exportTheme(), 'tallyup-theme.json', 'application/json');
+        this.notify('Theme exported');
+      });
+    }
+    
+    if (this.importInput) {
+      this.importInput.addEventListener('change', () => {
+        const file = this.importInput.files && this.importInput.files[0];
+        if (!file) return;
+        
+        file.text().then((text) => this.importTheme(text));
+        this.importInput.value = '';
+      });
+    }
+  }
+  
+  /**
+   * Import a theme file and select it
+   * @param {string} text - JSON text
+   */
+  importTheme(text) {
+    try {
+      const theme = this.themes.importTheme(text);
+      this.render();
+      this.notify(`Imported theme "${theme.name}"`);
+    } catch (error) {
+      this.notify(error.message, true);
+    }
+  }
+  
+  /**
+   * Report a status message
+   * @param {string} message - Message text
+   * @param {boolean} isError - Whether it reports a failure
+   */
+  notify(message, isError = false) {
+    if (this.handlers.onMessage) {
+      this.handlers.onMessage(message, isError);
+    }
+  }
+  
+  /**
+   * Show or hide the editor
+   * @param {boolean} expanded - Whether the editor should be shown
+   */
+  setExpanded(expanded) {
+    this.panelElement.hidden = !expanded;
+    if (this.toggleButton) {
+      this.toggleButton.setAttribute('aria-expanded', String(expanded));
+    }
+  }
+  
+  /**
+   * Sync the picker, color inputs and contrast warnings with the current theme
+   */
+  render() {
+    this.themeSelect.textContent = '';
+    this.themes.getThemes().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      this.themeSelect.appendChild(option);
+    });
+    this.themeSelect.value = this.themes.themeId;
+    
+    const colors = this.themes.getEditableColors();
+    this.colorsElement.querySelectorAll('input[data-variable]').forEach(input => {
+      input.value = colors[input.dataset.variable];
+    });
+    
+    if (this.nameInput) {
+      this.nameInput.value = this.themes.custom ? this.themes.custom.name : 'Custom';
+    }
+    
+    this.renderWarnings();
+  }
+  
+  /**
+   * List the color pairs that fail WCAG AA contrast
+   */
+  renderWarnings() {
+    if (!this.warningsElement) return;
+    
+    const failures = this.themes.checkContrast();
+    this.warningsElement.textContent = '';
+    this.warningsElement.classList.toggle('has-warnings', failures.length > 0);
+    
+    if (failures.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'All colors meet WCAG AA contrast';
+      this.warningsElement.appendChild(item);
+      return;
+    }
+    
+    failures.forEach(({ label, ratio, minimum }) => {
+      const item = document.createElement('li');
+      item.textContent = `${label}: contrast ${ratio.toFixed(2)}:1 is below the AA minimum of ${minimum}:1`;
+      this.warningsElement.appendChild(item);
+    });
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeEditor;
+} else if (typeof window !== 'undefined') {
+  window.ThemeEditor = ThemeEditor;
+}
@@ -0,0 +1,443 @@
+/**
+ * TallyUp Calculator - Theme Module
+ * Built-in and custom color themes applied through the CSS custom properties
+ */
+
+'use strict';
+
+/**
+ * Theme manager: applies a theme by setting the design system's custom
+ * properties on the root element, where they win over the stylesheet's
+ * own values and its prefers-color-scheme switch. The "system" theme sets
+ * nothing and leaves the stylesheet in charge.
+ */
+class ThemeManager {
+  constructor() {
+    this.root = document.documentElement;
+    
+    // The user's own theme: { name, colors: { '--primary-color': '#2563eb', ... } }
+    this.custom = this.loadCustomTheme();
+    this.themeId = 'system';
+    
+    this.setTheme(Utils.loadFromStorage('theme', 'system'));
+  }
+  
+  /**
+   * Select and apply a theme
+   * @param {string} id - "system", a key of ThemeManager.THEMES, or "custom"
+   */
+  setTheme(id) {
+    if (id !== 'system' && id !== 'custom' && !ThemeManager.THEMES[id]) {
+      id = 'system';
+    }
+    if (id === 'custom' && !this.custom) {
+      id = 'system';
+    }
+    
+    this.themeId = id;
+    this.apply();
+    Utils.saveToStorage('theme', id);
+  }
+  
+  /**
+   * Get the selectable themes
+   * @returns {Array<Object>} { id, label } for each theme, custom last if defined
+   */
+  getThemes() {
+    const themes = [
+      { id: 'system', label: 'System default' },
+      ...Object.entries(ThemeManager.THEMES).map(([id, theme]) => ({ id, label: theme.label }))
+    ];
+    
+    if (this.custom) {
+      themes.push({ id: 'custom', label: this.custom.name });
+    }
+    return themes;
+  }
+  
+  /**
+   * Get the colors of a theme
+   * @param {string} id - Theme id (default: the current theme)
+   * @returns {Object} Colors keyed by custom property; "system" gives the
+   *   built-in theme matching the preferred color scheme
+   */
+  getColors(id = this.themeId) {
+    if (id === 'custom' && this.custom) {
+      return { ...ThemeManager.THEMES.light.colors, ...this.custom.colors };
+    }
+    if (id === 'system') {
+      return { ...ThemeManager.THEMES[this.prefersDark() ? 'dark' : 'light'].colors };
+    }
+    return { ...ThemeManager.THEMES[id].colors };
+  }
+  
+  /**
+   * Check if the browser asks for a dark color scheme
+   * @returns {boolean} True for prefers-color-scheme: dark
+   */
+  prefersDark() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-color-scheme: dark)').matches;
+  }
+  
+  /**
+   * Set the current theme's custom properties on the root element
+   */
+  apply() {
+    ThemeManager.VARIABLES.forEach(variable => this.root.style.removeProperty(variable));
+    this.root.style.removeProperty('color-scheme');
+    this.root.dataset.theme = this.themeId;
+    
+    if (this.themeId === 'system') return;
+    
+    const colors = this.getColors();
+    Object.entries(colors).forEach(([variable, value]) => {
+      this.root.style.setProperty(variable, value);
+    });
+    
+    // Native controls (selects, scrollbars) follow the theme's brightness
+    const dark = ThemeManager.luminance(colors['--surface']) < 0.2;
+    this.root.style.setProperty('color-scheme', dark ? 'dark' : 'light');
+  }
+  
+  /**
+   * Change one color of the custom theme, starting it from the current
+   * theme's colors if this is the first edit
+   * @param {string} variable - Custom property (e.g. "--number-bg")
+   * @param {string} value - Hex color
+   */
+  setCustomColor(variable, value) {
+    if (!ThemeManager.EDITABLE[variable] || !ThemeManager.HEX_PATTERN.test(value)) return;
+    
+    if (this.themeId !== 'custom') {
+      this.custom = { name: this.custom ? this.custom.name : 'Custom', colors: this.getEditableColors() };
+    }
+    
+    this.custom.colors[variable] = ThemeManager.expandHex(value);
+    this.saveCustomTheme();
+    this.setTheme('custom');
+  }
+  
+  /**
+   * Rename the custom theme
+   * @param {string} name - Theme name
+   */
+  setCustomName(name) {
+    if (!this.custom) return;
+    
+    this.custom.name = String(name || '').trim().slice(0, 40) || 'Custom';
+    this.saveCustomTheme();
+  }
+  
+  /**
+   * Get the editable colors of the current theme
+   * @returns {Object} Hex colors keyed by custom property
+   */
+  getEditableColors() {
+    const colors = this.getColors();
+    const editable = {};
+    
+    Object.keys(ThemeManager.EDITABLE).forEach(variable => {
+      editable[variable] = colors[variable];
+    });
+    return editable;
+  }
+  
+  /**
+   * Check the current theme's colors against WCAG AA
+   * @returns {Array<Object>} Failing pairs: { label, foreground, background, ratio, minimum }
+   */
+  checkContrast() {
+    return ThemeManager.checkContrast(this.getColors());
+  }
+  
+  /**
+   * Export the current theme as JSON
+   * @returns {string} JSON text: { name, colors }
+   */
+  exportTheme() {
+    const theme = this.themeId === 'custom'
+      ? this.custom.name
+      : this.getThemes().find(entry => entry.id === this.themeId).label;
+    
+    return JSON.stringify({ name: theme, colors: this.getEditableColors() }, null, 2);
+  }
+  
+  /**
+   * Import a theme from JSON as the custom theme and select it
+   * @param {string} text - JSON text: { name, colors }
+   * @returns {Object} Imported theme
+   */
+  importTheme(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Theme file is not valid JSON');
+    }
+    
+    if (!data || typeof data.colors !== 'object' || data.colors === null) {
+      throw new Error('Theme file needs a "colors" object');
+    }
+    
+    const colors = {};
+    Object.entries(data.colors).forEach(([key, value]) => {
+      const variable = key.startsWith('--') ? key : `--${key}`;
+      if (!ThemeManager.EDITABLE[variable]) {
+        throw new Error(`Unknown theme color "${key}"`);
+      }
+      if (typeof value !== 'string' || !ThemeManager.HEX_PATTERN.test(value)) {
+        throw new Error(`"${key}" must be a hex color like #2563eb`);
+      }
+      colors[variable] = ThemeManager.expandHex(value);
+    });
+    
+    this.custom = {
+      name: String(data.name || '').trim().slice(0, 40) || 'Custom',
+      colors: { ...ThemeManager.THEMES.light.colors, ...colors }
+    };
+    this.saveCustomTheme();
+    this.setTheme('custom');
+    
+    return this.custom;
+  }
+  
+  /**
+   * Load the custom theme from storage
+   * @returns {Object|null} Custom theme
+   */
+  loadCustomTheme() {
+    const saved = Utils.loadFromStorage('customTheme');
+    if (!saved || typeof saved.colors !== 'object' || saved.colors === null) {
+      return null;
+    }
+    
+    const colors = {};
+    Object.entries(saved.colors).forEach(([variable, value]) => {
+      if (ThemeManager.EDITABLE[variable] && ThemeManager.HEX_PATTERN.test(value)) {
+        colors[variable] = value;
+      }
+    });
+    return { name: String(saved.name || 'Custom'), colors };
+  }
+  
+  /**
+   * Save the custom theme to storage
+   */
+  saveCustomTheme() {
+    Utils.saveToStorage('customTheme', this.custom);
+  }
+  
+  /**
+   * Check theme colors against WCAG AA
+   * @param {Object} colors - Hex colors keyed by custom property
+   * @returns {Array<Object>} Failing pairs: { label, foreground, background, ratio, minimum }
+   */
+  static checkContrast(colors) {
+    return ThemeManager.CONTRAST_CHECKS
+      .map(([foreground, background, label, minimum]) => ({
+        label,
+        foreground,
+        background,
+        minimum,
+        ratio: this.contrastRatio(colors[foreground], colors[background])
+      }))
+      .filter(check => check.ratio < check.minimum);
+  }
+  
+  /**
+   * Write a hex color in the six-digit lowercase form color inputs use
+   * @param {string} hex - Hex color (#rgb or #rrggbb)
+   * @returns {string} Hex color (e.g. "#ffcc00")
+   */
+  static expandHex(hex) {
+    const digits = hex.replace('#', '').toLowerCase();
+    return `#${digits.length === 3 ? digits.split('').map(digit => digit + digit).join('') : digits}`;
+  }
+  
+  /**
+   * WCAG contrast ratio of two colors
+   * @param {string} foreground - Hex color
+   * @param {string} background - Hex color
+   * @returns {number} Ratio from 1 to 21
+   */
+  static contrastRatio(foreground, background) {
+    const [lighter, darker] = [this.luminance(foreground), this.luminance(background)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+  
+  /**
+   * WCAG relative luminance of a color
+   * @param {string} hex - Hex color (#rgb or #rrggbb)
+   * @returns {number} Luminance from 0 (black) to 1 (white)
+   */
+  static luminance(hex) {
+    const digits = this.expandHex(String(hex || '#000')).slice(1);
+    const [r, g, b] = [0, 2, 4].map(index => {
+      const channel = parseInt(digits.slice(index, index + 2), 16) / 255;
+      return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+}
+
+// Hex colors accepted from the editor and imports
+ThemeManager.HEX_PATTERN = /^#(?:[0-9a-fA-F]{3}){1,2}$/;
+
+// Colors the editor offers, grouped as shown
+ThemeManager.EDITABLE = {
+  '--primary-color': { label: 'Accent', group: 'Accent' },
+  '--primary-hover': { label: 'Accent hover', group: 'Accent' },
+  '--number-bg': { label: 'Number keys', group: 'Buttons' },
+  '--number-hover': { label: 'Number key hover', group: 'Buttons' },
+  '--number-text': { label: 'Number key text', group: 'Buttons' },
+  '--operator-bg': { label: 'Operator keys', group: 'Buttons' },
+  '--operator-text': { label: 'Operator key text', group: 'Buttons' },
+  '--function-bg': { label: 'Function keys', group: 'Buttons' },
+  '--secondary-color': { label: 'Function key hover', group: 'Buttons' },
+  '--function-text': { label: 'Function key text', group: 'Buttons' },
+  '--equals-bg': { label: 'Equals key', group: 'Buttons' },
+  '--equals-text': { label: 'Equals key text', group: 'Buttons' },
+  '--display-bg': { label: 'Display', group: 'Display' },
+  '--display-text': { label: 'Display text', group: 'Display' },
+  '--background': { label: 'Page', group: 'Surfaces' },
+  '--surface': { label: 'Calculator', group: 'Surfaces' },
+  '--surface-hover': { label: 'Panels', group: 'Surfaces' },
+  '--border': { label: 'Borders', group: 'Surfaces' },
+  '--text-primary': { label: 'Text', group: 'Surfaces' },
+  '--text-secondary': { label: 'Secondary text', group: 'Surfaces' }
+};
+
+// Every custom property a theme may set
+ThemeManager.VARIABLES = [...Object.keys(ThemeManager.EDITABLE), '--shadow'];
+
+// WCAG AA pairs: [foreground, background, label, minimum ratio]. Keys use
+// 24px text and the result 48px, so they count as large text (3:1)
+ThemeManager.CONTRAST_CHECKS = [
+  ['--number-text', '--number-bg', 'Number keys', 3],
+  ['--operator-text', '--operator-bg', 'Operator keys', 3],
+  ['--function-text', '--function-bg', 'Function keys', 3],
+  ['--equals-text', '--equals-bg', 'Equals key', 3],
+  ['--display-text', '--display-bg', 'Display', 3],
+  ['--text-secondary', '--display-bg', 'Expression line', 4.5],
+  ['--primary-color', '--display-bg', 'Display indicators', 4.5],
+  ['--text-primary', '--surface', 'Text', 4.5],
+  ['--text-secondary', '--surface', 'Secondary text', 4.5]
+];
+
+// Built-in themes; light matches the stylesheet's defaults and dark its
+// prefers-color-scheme: dark values (css/responsive.css)
+ThemeManager.THEMES = {
+  light: {
+    label: 'Light',
+    colors: {
+      '--primary-color': '#2563eb',
+      '--primary-hover': '#1d4ed8',
+      '--secondary-color': '#64748b',
+      '--background': '#ffffff',
+      '--surface': '#f8fafc',
+      '--surface-hover': '#f1f5f9',
+      '--text-primary': '#0f172a',
+      '--text-secondary': '#475569',
+      '--border': '#e2e8f0',
+      '--shadow': 'rgba(0, 0, 0, 0.1)',
+      '--number-bg': '#ffffff',
+      '--number-hover': '#f8fafc',
+      '--number-text': '#0f172a',
+      '--operator-bg': '#2563eb',
+      '--operator-text': '#ffffff',
+      '--function-bg': '#64748b',
+      '--function-text': '#ffffff',
+      '--equals-bg': '#059669',
+      '--equals-text': '#ffffff',
+      '--display-bg': '#f8fafc',
+      '--display-text': '#0f172a'
+    }
+  },
+  dark: {
+    label: 'Dark',
+    colors: {
+      '--primary-color': '#60a5fa',
+      '--primary-hover': '#1d4ed8',
+      '--secondary-color': '#64748b',
+      '--background': '#0f172a',
+      '--surface': '#1e293b',
+      '--surface-hover': '#334155',
+      '--text-primary': '#f8fafc',
+      '--text-secondary': '#cbd5e1',
+      '--border': '#475569',
+      '--shadow': 'rgba(0, 0, 0, 0.3)',
+      '--number-bg': '#334155',
+      '--number-hover': '#475569',
+      '--number-text': '#f8fafc',
+      '--operator-bg': '#2563eb',
+      '--operator-text': '#ffffff',
+      '--function-bg': '#475569',
+      '--function-text': '#ffffff',
+      '--equals-bg': '#059669',
+      '--equals-text': '#ffffff',
+      '--display-bg': '#0f172a',
+      '--display-text': '#f8fafc'
+    }
+  },
+  'high-contrast': {
+    label: 'High contrast',
+    colors: {
+      '--primary-color': '#ffff00',
+      '--primary-hover': '#ffd700',
+      '--secondary-color': '#e0e0e0',
+      '--background': '#000000',
+      '--surface': '#000000',
+      '--surface-hover': '#1a1a1a',
+      '--text-primary': '#ffffff',
+      '--text-secondary': '#ffffff',
+      '--border': '#ffffff',
+      '--shadow': 'rgba(0, 0, 0, 0)',
+      '--number-bg': '#000000',
+      '--number-hover': '#1a1a1a',
+      '--number-text': '#ffffff',
+      '--operator-bg': '#ffff00',
+      '--operator-text': '#000000',
+      '--function-bg': '#ffffff',
+      '--function-text': '#000000',
+      '--equals-bg': '#00ff00',
+      '--equals-text': '#000000',
+      '--display-bg': '#000000',
+      '--display-text': '#ffffff'
+    }
+  },
+  solarized: {
+    label: 'Solarized',
+    colors: {
+      '--primary-color': '#1a6ea8',
+      '--primary-hover': '#15598a',
+      '--secondary-color': '#657b83',
+      '--background': '#eee8d5',
+      '--surface': '#fdf6e3',
+      '--surface-hover': '#eee8d5',
+      '--text-primary': '#073642',
+      '--text-secondary': '#586e75',
+      '--border': '#d9d2bf',
+      '--shadow': 'rgba(0, 43, 54, 0.15)',
+      '--number-bg': '#fdf6e3',
+      '--number-hover': '#eee8d5',
+      '--number-text': '#073642',
+      '--operator-bg': '#268bd2',
+      '--operator-text': '#fdf6e3',
+      '--function-bg': '#586e75',
+      '--function-text': '#fdf6e3',
+      '--equals-bg': '#859900',
+      '--equals-text': '#002b36',
+      '--display-bg': '#fdf6e3',
+      '--display-text': '#073642'
+    }
+  }
+};
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeManager;
+} else if (typeof window !== 'undefined') {
+  window.ThemeManager = ThemeManager;
+}
@@ -0,0 +1,264 @@
+/**
+ * TallyUp Calculator - Unit Conversion Module
+ * Unit definitions and exact decimal conversion between units of a category
+ */
+
+'use strict';
+
+/**
+ * Unit conversion between units of the same category
+ *
+ * Every unit is defined relative to its category's base unit (factor 1):
+ *   base = (value + offset) × factor ÷ divisor
+ * offset and divisor are optional; offset handles temperature scales and
+ * divisor keeps ratios such as km/h exact. Factors are decimal strings so
+ * conversions run on the Decimal engine with the configured rounding.
+ */
+class Units {
+  /**
+   * Convert a value between two units of a category
+   * @param {number} value - Value in the "from" unit
+   * @param {string} category - Category key (e.g. "length")
+   * @param {string} from - Unit key to convert from (e.g. "km")
+   * @param {string} to - Unit key to convert to (e.g. "mi")
+   * @returns {number|CalculationError} Converted value, or an error for an unknown
+   *   unit, a value below the category's minimum or a result too large (overflow)
+   */
+  static convert(value, category, from, to) {
+    const definition = this.CATEGORIES[category];
+    const fromUnit = definition && definition.units[from];
+    const toUnit = definition && definition.units[to];
+    
+    if (!fromUnit || !toUnit) {
+      return new CalculationError('invalid-input', 'Unknown unit');
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+      return new CalculationError('invalid-input');
+    }
+    
+    if (from === to) {
+      return value;
+    }
+    
+    // Multiply everything out first and divide once, so only one step rounds
+    const base = Decimal.from(value).plus(fromUnit.offset || 0).times(fromUnit.factor);
+    const baseDivisor = Decimal.from(fromUnit.divisor || 1);
+    
+    if (definition.minimum !== undefined && base.compare(baseDivisor.times(definition.minimum)) < 0) {
+      // Below the category's physical minimum (absolute zero)
+      return new CalculationError('domain', 'Below absolute zero');
+    }
+    
+    const numerator = base.times(toUnit.divisor || 1);
+    const denominator = baseDivisor.times(toUnit.factor);
+    
+    // Keep the configured number of significant places for tiny results (eV → kWh)
+    const estimate = Math.abs(numerator.toNumber() / denominator.toNumber());
+    const extraPlaces = estimate > 0 && estimate < 1 ? Math.ceil(-Math.log10(estimate)) : 0;
+    const converted = numerator.dividedBy(denominator, Decimal.config.precision + extraPlaces);
+    
+    const result = converted.minus(toUnit.offset || 0).toNumber();
+    return isFinite(result) ? result : new CalculationError('overflow');
+  }
+  
+  /**
+   * Complete a category/from/to selection with valid defaults
+   * @param {Object} selection - { category, from, to }, any part may be missing
+   * @returns {Object} Valid { category, from, to }
+   */
+  static normalizeSelection(selection = {}) {
+    const category = this.CATEGORIES[selection.category] ? selection.category : Object.keys(this.CATEGORIES)[0];
+    const definition = this.CATEGORIES[category];
+    const [defaultFrom, defaultTo] = definition.defaults || Object.keys(definition.units);
+    
+    return {
+      category,
+      from: definition.units[selection.from] ? selection.from : defaultFrom,
+      to: definition.units[selection.to] ? selection.to : defaultTo
+    };
+  }
+  
+  /**
+   * Get a unit definition
+   * @param {string} category - Category key
+   * @param {string} unit - Unit key
+   * @returns {Object|null} Unit definition
+   */
+  static getUnit(category, unit) {
+    const definition = this.CATEGORIES[category];
+    return (definition && definition.units[unit]) || null;
+  }
+  
+  /**
+   * Format a value with its unit symbol
+   * @param {number|string} value - Value or error message
+   * @param {string} category - Category key
+   * @param {string} unit - Unit key
+   * @returns {string} Formatted value (e.g. "3.106856 mi"); error messages have no symbol
+   */
+  static format(value, category, unit) {
+    if (typeof value !== 'number') {
+      return String(value);
+    }
+    
+    const definition = this.getUnit(category, unit);
+    const text = Utils.formatNumber(value);
+    return definition ? `${text} ${definition.symbol}` : text;
+  }
+  
+  /**
+   * Add a unit to a category, creating the category if needed
+   * @param {string} category - Category key
+   * @param {string} key - Unit key
+   * @param {Object} unit - { label, symbol, factor, offset?, divisor? }
+   */
+  static addUnit(category, key, unit) {
+    if (!unit || !unit.symbol || unit.factor === undefined) {
+      throw new Error(`Unit "${key}" needs a symbol and a factor`);
+    }
+    
+    if (!this.CATEGORIES[category]) {
+      this.CATEGORIES[category] = { label: category, units: {} };
+    }
+    this.CATEGORIES[category].units[key] = unit;
+  }
+}
+
+// Unit table: factors convert to the category's base unit (the one with factor 1)
+Units.CATEGORIES = {
+  length: {
+    label: 'Length',
+    defaults: ['km', 'mi'],
+    units: {
+      mm: { label: 'Millimetre', symbol: 'mm', factor: '0.001' },
+      cm: { label: 'Centimetre', symbol: 'cm', factor: '0.01' },
+      m: { label: 'Metre', symbol: 'm', factor: '1' },
+      km: { label: 'Kilometre', symbol: 'km', factor: '1000' },
+      in: { label: 'Inch', symbol: 'in', factor: '0.0254' },
+      ft: { label: 'Foot', symbol: 'ft', factor: '0.3048' },
+      yd: { label: 'Yard', symbol: 'yd', factor: '0.9144' },
+      mi: { label: 'Mile', symbol: 'mi', factor: '1609.344' },
+      nmi: { label: 'Nautical mile', symbol: 'nmi', factor: '1852' }
+    }
+  },
+  mass: {
+    label: 'Mass',
+    defaults: ['kg', 'lb'],
+    units: {
+      mg: { label: 'Milligram', symbol: 'mg', factor: '0.000001' },
+      g: { label: 'Gram', symbol: 'g', factor: '0.001' },
+      kg: { label: 'Kilogram', symbol: 'kg', factor: '1' },
+      t: { label: 'Tonne', symbol: 't', factor: '1000' },
+      oz: { label: 'Ounce', symbol: 'oz', factor: '0.028349523125' },
+      lb: { label: 'Pound', symbol: 'lb', factor: '0.45359237' },
+      st: { label: 'Stone', symbol: 'st', factor: '6.35029318' },
+      ton: { label: 'Short ton (US)', symbol: 'ton', factor: '907.18474' }
+    }
+  },
+  volume: {
+    label: 'Volume',
+    defaults: ['l', 'usgal'],
+    units: {
+      ml: { label: 'Millilitre', symbol: 'mL', factor: '0.001' },
+      l: { label: 'Litre', symbol: 'L', factor: '1' },
+      m3: { label: 'Cubic metre', symbol: 'm³', factor: '1000' },
+      tsp: { label: 'Teaspoon (US)', symbol: 'tsp', factor: '0.00492892159375' },
+      tbsp: { label: 'Tablespoon (US)', symbol: 'tbsp', factor: '0.01478676478125' },
+      floz: { label: 'Fluid ounce (US)', symbol: 'fl oz', factor: '0.0295735295625' },
+      cup: { label: 'Cup (US)', symbol: 'cup', factor: '0.2365882365' },
+      uspt: { label: 'Pint (US)', symbol: 'pt', factor: '0.473176473' },
+      usqt: { label: 'Quart (US)', symbol: 'qt', factor: '0.946352946' },
+      usgal: { label: 'Gallon (US)', symbol: 'gal', factor: '3.785411784' },
+      impt: { label: 'Pint (imperial)', symbol: 'imp pt', factor: '0.56826125' },
+      impgal: { label: 'Gallon (imperial)', symbol: 'imp gal', factor: '4.54609' }
+    }
+  },
+  area: {
+    label: 'Area',
+    defaults: ['m2', 'ft2'],
+    units: {
+      cm2: { label: 'Square centimetre', symbol: 'cm²', factor: '0.0001' },
+      m2: { label: 'Square metre', symbol: 'm²', factor: '1' },
+      ha: { label: 'Hectare', symbol: 'ha', factor: '10000' },
+      km2: { label: 'Square kilometre', symbol: 'km²', factor: '1000000' },
+      in2: { label: 'Square inch', symbol: 'in²', factor: '0.00064516' },
+      ft2: { label: 'Square foot', symbol: 'ft²', factor: '0.09290304' },
+      yd2: { label: 'Square yard', symbol: 'yd²', factor: '0.83612736' },
+      acre: { label: 'Acre', symbol: 'ac', factor: '4046.8564224' },
+      mi2: { label: 'Square mile', symbol: 'mi²', factor: '2589988.110336' }
+    }
+  },
+  temperature: {
+    label: 'Temperature',
+    defaults: ['c', 'f'],
+    // Nothing is colder than absolute zero (0 K)
+    minimum: '0',
+    units: {
+      c: { label: 'Celsius', symbol: '°C', factor: '1', offset: '273.15' },
+      f: { label: 'Fahrenheit', symbol: '°F', factor: '5', divisor: '9', offset: '459.67' },
+      k: { label: 'Kelvin', symbol: 'K', factor: '1' },
+      r: { label: 'Rankine', symbol: '°R', factor: '5', divisor: '9' }
+    }
+  },
+  speed: {
+    label: 'Speed',
+    defaults: ['kmh', 'mph'],
+    units: {
+      ms: { label: 'Metres per second', symbol: 'm/s', factor: '1' },
+      kmh: { label: 'Kilometres per hour', symbol: 'km/h', factor: '1000', divisor: '3600' },
+      mph: { label: 'Miles per hour', symbol: 'mph', factor: '1609.344', divisor: '3600' },
+      fts: { label: 'Feet per second', symbol: 'ft/s', factor: '0.3048' },
+      kn: { label: 'Knot', symbol: 'kn', factor: '1852', divisor: '3600' }
+    }
+  },
+  time: {
+    label: 'Time',
+    defaults: ['h', 'min'],
+    units: {
+      ms: { label: 'Millisecond', symbol: 'ms', factor: '0.001' },
+      s: { label: 'Second', symbol: 's', factor: '1' },
+      min: { label: 'Minute', symbol: 'min', factor: '60' },
+      h: { label: 'Hour', symbol: 'h', factor: '3600' },
+      d: { label: 'Day', symbol: 'd', factor: '86400' },
+      wk: { label: 'Week', symbol: 'wk', factor: '604800' },
+      yr: { label: 'Year (365.25 d)', symbol: 'yr', factor: '31557600' }
+    }
+  },
+  data: {
+    label: 'Data size',
+    defaults: ['gb', 'gib'],
+    units: {
+      bit: { label: 'Bit', symbol: 'bit', factor: '1', divisor: '8' },
+      b: { label: 'Byte', symbol: 'B', factor: '1' },
+      kb: { label: 'Kilobyte', symbol: 'kB', factor: '1000' },
+      mb: { label: 'Megabyte', symbol: 'MB', factor: '1000000' },
+      gb: { label: 'Gigabyte', symbol: 'GB', factor: '1000000000' },
+      tb: { label: 'Terabyte', symbol: 'TB', factor: '1000000000000' },
+      kib: { label: 'Kibibyte', symbol: 'KiB', factor: '1024' },
+      mib: { label: 'Mebibyte', symbol: 'MiB', factor: '1048576' },
+      gib: { label: 'Gibibyte', symbol: 'GiB', factor: '1073741824' },
+      tib: { label: 'Tebibyte', symbol: 'TiB', factor: '1099511627776' }
+    }
+  },
+  energy: {
+    label: 'Energy',
+    defaults: ['kcal', 'kj'],
+    units: {
+      j: { label: 'Joule', symbol: 'J', factor: '1' },
+      kj: { label: 'Kilojoule', symbol: 'kJ', factor: '1000' },
+      cal: { label: 'Calorie', symbol: 'cal', factor: '4.184' },
+      kcal: { label: 'Kilocalorie', symbol: 'kcal', factor: '4184' },
+      wh: { label: 'Watt-hour', symbol: 'Wh', factor: '3600' },
+      kwh: { label: 'Kilowatt-hour', symbol: 'kWh', factor: '3600000' },
+      btu: { label: 'British thermal unit', symbol: 'BTU', factor: '1055.05585262' },
+      ev: { label: 'Electronvolt', symbol: 'eV', factor: '1.602176634e-19' }
+    }
+  }
+};
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Units;
+} else if (typeof window !== 'undefined') {
+  window.Units = Units;
+}
@@ -9,81 +9,334 @@
  * Utility functions for the TallyUp calculator
  */
 const Utils = {
+  // Locale used for number formatting and parsing (null follows the browser)
+  locale: null,
+  
+  // Log info and warnings too (errors are always logged): set Utils.debug
+  // to true, or "tallyup.debug" to true in localStorage; null reads storage
+  debug: null,
+  
+  /**
+   * Set the locale that drives grouping and decimal separators
+   * @param {string|null} locale - BCP 47 tag (e.g. "de-DE", "en-IN"), or null for the browser locale
+   * @returns {string} Locale actually in use
+   */
+  setLocale(locale = null) {
+    let format;
+    try {
+      format = new Intl.NumberFormat(locale || undefined, { numberingSystem: 'latn' });
+    } catch (error) {
+      this.log('warn', `Unsupported locale "${locale}", using the browser locale`, error);
+      locale = null;
+      format = new Intl.NumberFormat(undefined, { numberingSystem: 'latn' });
+    }
+    
+    const parts = format.formatToParts(1234567.5);
+    const part = (type, fallback) => (parts.find(item => item.type === type) || { value: fallback }).value;
+    
+    this.locale = locale || null;
+    this.integerFormat = new Intl.NumberFormat(format.resolvedOptions().locale, {
+      numberingSystem: 'latn',
+      maximumFractionDigits: 0
+    });
+    this.separators = { group: part('group', ''), decimal: part('decimal', '.') };
+    
+    // Digits in the last group and in the groups before it (3 and 2 for en-IN)
+    const groups = this.integerFormat.formatToParts(1234567890).filter(item => item.type === 'integer');
+    const primary = groups[groups.length - 1].value.length;
+    this.groupSizes = {
+      primary,
+      secondary: groups.length > 2 ? groups[groups.length - 2].value.length : primary
+    };
+    return format.resolvedOptions().locale;
+  },
+  
+  /**
+   * Get the grouping and decimal separators of the current locale
+   * @returns {Object} { group, decimal } (e.g. { group: '.', decimal: ',' } for de-DE)
+   */
+  getSeparators() {
+    if (!this.separators) {
+      this.setLocale(this.locale);
+    }
+    return this.separators;
+  },
+  
   /**
    * Format a number for display with proper decimal places
-   * @param {number} num - The number to format
+   * @param {number|Decimal} num - The number to format (Decimal values keep every digit)
    * @param {number} maxDecimals - Maximum decimal places (default: 10)
+   * @param {number} minDecimals - Minimum decimal places, padded with zeros (e.g. 2 for cents)
    * @returns {string} Formatted number string
+   * @throws {RangeError} If the value is not a finite number; a result that does not
+   *   fit is a CalculationError (overflow) long before it is shown
    */
-  formatNumber(num, maxDecimals = 10) {
-    if (typeof num !== 'number' || isNaN(num)) {
-      return 'Error';
+  formatNumber(num, maxDecimals = 10, minDecimals = 0) {
+    const exact = typeof Decimal !== 'undefined' && num instanceof Decimal ? num : null;
+    if (exact) {
+      num = exact.toNumber();
     }
     
-    if (!isFinite(num)) {
-      return num > 0 ? 'Infinity' : '-Infinity';
+    if (typeof num !== 'number' || !isFinite(num)) {
+      throw new RangeError(`Cannot format ${String(num)} as a number`);
     }
     
-    // Handle very large numbers with scientific notation
-    if (Math.abs(num) >= 1e15) {
-      return num.toExponential(6);
+    // Handle very large numbers with scientific notation; a Decimal is exact,
+    // so it keeps every digit (and its cents) up to 10^21
+    if (Math.abs(num) >= (exact ? 1e21 : 1e15)) {
+      return this.localizeNumber(num.toExponential(6));
     }
     
     // Handle very small numbers
     if (Math.abs(num) < 1e-10 && num !== 0) {
-      return num.toExponential(6);
+      return this.localizeNumber(num.toExponential(6));
     }
     
-    // Format with appropriate decimal places
-    const formatted = parseFloat(num.toFixed(maxDecimals)).toString();
-    
-    // Add thousands separators for large numbers
-    if (Math.abs(num) >= 1000) {
-      return this.addThousandsSeparator(formatted);
-    }
+    // Round in decimal so the shortest representation of the value is used,
+    // never its binary expansion (0.1 + 0.2 style artefacts)
+    const rounded = (exact || Decimal.from(num)).round(maxDecimals);
+    const formatted = rounded.scale < minDecimals ? rounded.toFixed(minDecimals) : rounded.toString();
     
-    return formatted;
+    return this.addThousandsSeparator(formatted);
   },
   
   /**
-   * Add thousands separators to a number string
-   * @param {string} numStr - Number as string
-   * @returns {string} Number with thousands separators
+   * Add the locale's digit grouping and decimal separator to a plain number string
+   * Grouping comes from Intl.NumberFormat, so en-IN gives lakh grouping (12,34,567)
+   * @param {string} numStr - Plain number as string (e.g. "1234567.5")
+   * @returns {string} Localized number (e.g. "1,234,567.5" or "1.234.567,5")
    */
   addThousandsSeparator(numStr) {
-    const parts = numStr.split('.');
-    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-    return parts.join('.');
+    const match = /^([-+]?)(\d+)(?:\.(\d*))?$/.exec(numStr);
+    if (!match) {
+      return this.localizeNumber(numStr);
+    }
+    
+    const [, sign, integer, fraction] = match;
+    this.getSeparators();
+    const grouped = this.integerFormat.format(BigInt(integer));
+    
+    return `${sign === '-' ? '-' : ''}${grouped}${fraction !== undefined ? this.separators.decimal + fraction : ''}`;
   },
   
   /**
-   * Remove thousands separators from a number string
-   * @param {string} numStr - Number string with separators
-   * @returns {string} Clean number string
+   * Remove the locale's grouping separators from a number string. A
+   * separator only counts as grouping where the groups have the locale's
+   * sizes (1,234,567; 12,34,567 or 1,234,567 in en-IN), so "1.5" in de-DE
+   * or "1,2,3" in en-US is refused rather than read as 15 or 123
+   * @param {string} numStr - Number or expression text with separators
+   * @returns {string} Text without grouping
+   * @throws {RangeError} If a number is grouped in a way the locale never writes
    */
   removeThousandsSeparator(numStr) {
-    return numStr.replace(/,/g, '');
+    const { group, decimal } = this.getSeparators();
+    if (!group) return numStr;
+    
+    // Space-like separators (fr-FR, sv-SE) also match a plain space
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const separator = /\s/.test(group) ? '[\\s\\u202f]' : escape(group);
+    const number = new RegExp(`(${escape(decimal)}?)(\\d+(?:${separator}\\d+)*)`, 'g');
+    const { primary, secondary } = this.groupSizes;
+    
+    return numStr.replace(number, (match, point, digits) => {
+      const groups = digits.split(new RegExp(separator));
+      if (groups.length === 1) return match;
+      
+      const last = groups.length - 1;
+      const fits = size => groups.every((part, index) => {
+        if (index === last) return part.length === primary;
+        return index === 0 ? part.length <= size && part[0] !== '0' : part.length === size;
+      });
+      if (point || !(fits(secondary) || fits(primary))) {
+        throw new RangeError(`"${match}" is not grouped like a number`);
+      }
+      return groups.join('');
+    });
+  },
+  
+  /**
+   * Use the locale's decimal separator in a plain number string
+   * @param {string} numStr - Plain number string (e.g. "12.5", "1.5e+20")
+   * @returns {string} Number with the locale decimal separator, without grouping
+   */
+  localizeNumber(numStr) {
+    return String(numStr).replace('.', this.getSeparators().decimal);
   },
   
   /**
-   * Validate if a string represents a valid number
+   * Convert localized number text back to plain JavaScript notation
+   * @param {string} numStr - Localized number or expression text (e.g. "1.234,5")
+   * @returns {string} Plain text (e.g. "1234.5")
+   * @throws {RangeError} If a number's grouping does not match the locale
+   */
+  delocalizeNumber(numStr) {
+    const { decimal } = this.getSeparators();
+    const plain = this.removeThousandsSeparator(String(numStr)).replace(/\u2212/g, '-');
+    return decimal === '.' ? plain : plain.split(decimal).join('.');
+  },
+  
+  /**
+   * Validate if a string represents a valid number in the current locale
    * @param {string} str - String to validate
    * @returns {boolean} True if valid number
    */
   isValidNumber(str) {
     if (typeof str !== 'string') return false;
-    const cleaned = this.removeThousandsSeparator(str);
+    let cleaned;
+    try {
+      cleaned = this.delocalizeNumber(str);
+    } catch (error) {
+      return false;
+    }
     return !isNaN(cleaned) && !isNaN(parseFloat(cleaned));
   },
   
   /**
-   * Convert string to number safely
+   * Convert a string in the current locale to a number safely
    * @param {string} str - String to convert
    * @returns {number} Parsed number or NaN
    */
   toNumber(str) {
-    const cleaned = this.removeThousandsSeparator(str);
-    return parseFloat(cleaned);
+    try {
+      return parseFloat(this.delocalizeNumber(str));
+    } catch (error) {
+      return NaN;
+    }
+  },
+  
+  /**
+   * Clean number text from a paste: drop whitespace, currency symbols
+   * and a leading or trailing ISO currency code (USD, EUR, ...)
+   * @param {string} text - Raw text
+   * @returns {string} Cleaned text
+   */
+  cleanNumberText(text) {
+    return String(text)
+      .replace(/\s+/g, '')
+      .replace(/\p{Sc}/gu, '')
+      .replace(/^[A-Z]{3}(?=[-+(.\d])/, '')
+      .replace(/([\d.)])[A-Z]{3}$/, '$1');
+  },
+  
+  /**
+   * Shorten text for messages
+   * @param {string} text - Text to shorten
+   * @param {number} length - Maximum length including the ellipsis
+   * @returns {string} Text, cut with … if longer than length
+   */
+  truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  },
+  
+  /**
+   * Copy text to the system clipboard
+   * @param {string} text - Text to copy
+   * @returns {Promise<boolean>} Resolves true if copied
+   */
+  copyText(text) {
+    if (typeof navigator !== 'undefined' && navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text).then(() => true, (error) => {
+        this.log('warn', 'Clipboard write failed', error);
+        return false;
+      });
+    }
+    
+    // Fallback for browsers without the async Clipboard API
+    try {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.setAttribute('readonly', '');
+      textarea.className = 'sr-only';
+      document.body.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      document.body.removeChild(textarea);
+      return Promise.resolve(copied);
+    } catch (error) {
+      this.log('warn', 'Clipboard write failed', error);
+      return Promise.resolve(false);
+    }
+  },
+  
+  /**
+   * Save text as a file through the browser's download prompt
+   * @param {string} text - File contents
+   * @param {string} filename - Suggested file name
+   * @param {string} type - MIME type
+   */
+  downloadText(text, filename, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Give the browser a moment to start the download before freeing it
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+  
+  /**
+   * Build CSV text, quoting cells that hold separators, quotes or line breaks.
+   * Text a spreadsheet would run as a formula (=, +, -, @, tab or carriage
+   * return first) gets a leading apostrophe. Numbers (-5) and signed
+   * arithmetic such as the expression "-5 + 3" are left as they are: a
+   * spreadsheet may work the arithmetic out, but it cannot call a function,
+   * refer to a cell or run a command, which need letters or other symbols
+   * @param {Array<Array>} rows - Rows of cells; null and undefined become empty cells
+   * @returns {string} CSV text with a trailing line break
+   */
+  toCSV(rows) {
+    const quote = (cell) => {
+      let text = cell === null || cell === undefined ? '' : String(cell);
+      const isNumber = /^[-+]?\d+(\.\d+)?(e[-+]?\d+)?$/i.test(text);
+      const isArithmetic = /^[-+][\d\s.,()+\-−×÷*/^%√ʸπ]*$/.test(text);
+      if (/^[=+\-@\t\r]/.test(text) && !isNumber && !isArithmetic) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+  },
+  
+  /**
+   * Write a number for files other programs read: no grouping, "." as the
+   * decimal point and no exponent (1234567.5, 0.0000001)
+   * @param {any} value - Number, or an error message that is kept as text
+   * @returns {number|string} Plain decimal text; non-numbers unchanged
+   */
+  plainNumber(value) {
+    return typeof value === 'number' && isFinite(value) ? Decimal.from(value).toString() : value;
+  },
+  
+  /**
+   * Get the local calendar date of a timestamp, for date range filters
+   * @param {string|Date} value - ISO timestamp or date
+   * @returns {string|null} YYYY-MM-DD, or null if the value is not a valid date
+   */
+  toDateKey(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+    
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+  
+  /**
+   * Check if a timestamp falls on or between two local dates
+   * @param {string} timestamp - ISO timestamp
+   * @param {string|null} from - First day (YYYY-MM-DD), or null for no lower bound
+   * @param {string|null} to - Last day (YYYY-MM-DD), or null for no upper bound
+   * @returns {boolean} True if inside the range
+   */
+  isInDateRange(timestamp, from = null, to = null) {
+    const day = this.toDateKey(timestamp);
+    return day !== null && (!from || day >= from) && (!to || day <= to);
   },
   
   /**
@@ -102,7 +355,8 @@ const Utils = {
    * @returns {number} Limited number
    */
   limitDecimals(num, places = 10) {
-    return Math.round(num * Math.pow(10, places)) / Math.pow(10, places);
+    if (!isFinite(num)) return num;
+    return Decimal.from(num).round(places).toNumber();
   },
   
   /**
@@ -111,7 +365,7 @@ const Utils = {
    * @returns {boolean} True if valid operator
    */
   isOperator(op) {
-    return ['+', '-', '×', '÷', '*', '/'].includes(op);
+    return ['+', '-', '×', '÷', '*', '/', '^', 'ʸ√'].includes(op);
   },
   
   /**
@@ -126,7 +380,9 @@ const Utils = {
       '×': '×',
       '÷': '÷',
       '+': '+',
-      '-': '-'
+      '-': '-',
+      '^': '^',
+      'ʸ√': 'ʸ√'
     };
     return operatorMap[op] || op;
   },
@@ -215,13 +471,65 @@ const Utils = {
   },
   
   /**
-   * Log messages with timestamp (development helper)
+   * Load a JSON value from localStorage
+   * @param {string} key - Storage key (prefixed with "tallyup.")
+   * @param {any} fallback - Value returned when nothing is stored or storage is unavailable
+   * @returns {any} Stored value or fallback
+   */
+  loadFromStorage(key, fallback = null) {
+    try {
+      if (typeof localStorage === 'undefined') return fallback;
+      
+      const raw = localStorage.getItem(`tallyup.${key}`);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+      this.log('warn', `Could not load "${key}" from storage`, error);
+      return fallback;
+    }
+  },
+  
+  /**
+   * Save a value to localStorage as JSON
+   * @param {string} key - Storage key (prefixed with "tallyup.")
+   * @param {any} value - Serializable value to store
+   * @returns {boolean} True if saved
+   */
+  saveToStorage(key, value) {
+    try {
+      if (typeof localStorage === 'undefined') return false;
+      
+      localStorage.setItem(`tallyup.${key}`, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled (e.g. private browsing)
+      this.log('warn', `Could not save "${key}" to storage`, error);
+      return false;
+    }
+  },
+  
+  /**
+   * Check whether info and warnings are logged
+   * @returns {boolean} True in debug mode
+   */
+  isDebug() {
+    if (this.debug === null) {
+      // Off while reading, so a storage failure logged on the way cannot recurse
+      this.debug = false;
+      this.debug = this.loadFromStorage('debug', false) === true;
+    }
+    return this.debug;
+  },
+  
+  /**
+   * Log messages with timestamp (development helper); info and warnings
+   * only in debug mode
    * @param {string} level - Log level (info, warn, error)
    * @param {string} message - Message to log
    * @param {any} data - Optional data to log
    */
   log(level, message, data = null) {
     if (typeof console === 'undefined') return;
+    if (level.toLowerCase() !== 'error' && !this.isDebug()) return;
     
     const timestamp = new Date().toISOString();
     const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
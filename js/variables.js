@@ -0,0 +1,233 @@
+/**
+ * TallyUp Calculator - Variables Panel Module
+ * Renders Ans, the user variables kept by MemoryOperations and the named constants
+ */
+
+'use strict';
+
+/**
+ * Collapsible panel listing Ans, the user variables and the built-in
+ * constants. Pressing a name enters its value; a variable's value can be
+ * edited in place or deleted, and new variables are stored from a field
+ * that takes "rate" (the displayed value) or "rate = 0.2".
+ */
+class VariablesPanel {
+  /**
+   * @param {MemoryOperations} memory - Memory instance that owns Ans and the variables
+   * @param {Object} handlers - Callbacks for using and storing values
+   * @param {Function} handlers.onUse - Called with an engine input ({ variable } or { constant }) to enter a value
+   * @param {Function} handlers.onStore - Called with "name" or "name = value"; returns true if it was stored
+   */
+  constructor(memory, handlers = {}) {
+    this.memory = memory;
+    this.handlers = handlers;
+    
+    this.panelElement = document.querySelector('.variables-panel');
+    this.toggleButton = document.querySelector('.variables-toggle');
+    this.contentElement = document.getElementById('variables-content');
+    this.formElement = document.querySelector('.variable-form');
+    this.nameInput = document.querySelector('.variable-input');
+    this.listElement = document.querySelector('.variable-list');
+    this.constantsElement = document.querySelector('.constant-list');
+    
+    if (!this.panelElement || !this.toggleButton || !this.contentElement || !this.listElement) {
+      throw new Error('Required variables elements not found');
+    }
+    
+    // Values the list was last built from
+    this.renderedKey = '';
+    
+    this.init();
+  }
+  
+  /**
+   * Initialize variables panel
+   */
+  init() {
+    this.setupEventListeners();
+    this.setExpanded(Utils.loadFromStorage('variablesExpanded', false) === true);
+    this.render();
+    Utils.log('info', 'Variables panel initialized');
+  }
+  
+  /**
+   * Setup event listeners for the panel controls
+   */
+  setupEventListeners() {
+    this.toggleButton.addEventListener('click', () => {
+      this.setExpanded(!this.isExpanded());
+    });
+    
+    if (this.formElement) {
+      this.formElement.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (this.handlers.onStore && this.handlers.onStore(this.nameInput.value)) {
+          this.nameInput.value = '';
+        }
+      });
+    }
+    
+    // Use event delegation for the name and delete buttons of both lists
+    [this.listElement, this.constantsElement].forEach(list => {
+      if (!list) return;
+      
+      list.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-variable-action]');
+        if (!button) return;
+        
+        if (button.dataset.variableAction === 'use' && this.handlers.onUse) {
+          const { variable, constant } = button.dataset;
+          this.handlers.onUse(constant ? { constant } : { variable });
+        } else if (button.dataset.variableAction === 'delete') {
+          this.memory.deleteVariable(button.dataset.variable);
+          this.render();
+        }
+      });
+    });
+    
+    // A changed value is stored as "name = value"; Escape puts the old one back
+    this.listElement.addEventListener('change', (event) => {
+      if (!event.target.matches('.variable-value') || !this.handlers.onStore) return;
+      
+      const { variable } = event.target.dataset;
+      if (!this.handlers.onStore(`${variable} = ${event.target.value}`)) {
+        event.target.value = Utils.formatNumber(this.memory.getVariable(variable));
+      }
+    });
+    
+    this.listElement.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && event.target.matches('.variable-value')) {
+        event.preventDefault();
+        event.target.value = Utils.formatNumber(this.memory.getVariable(event.target.dataset.variable));
+      }
+    });
+  }
+  
+  /**
+   * Check if the panel is expanded
+   * @returns {boolean} True if expanded
+   */
+  isExpanded() {
+    return this.toggleButton.getAttribute('aria-expanded') === 'true';
+  }
+  
+  /**
+   * Show or hide the panel content and remember the choice
+   * @param {boolean} expanded - Whether the content should be shown
+   */
+  setExpanded(expanded) {
+    this.toggleButton.setAttribute('aria-expanded', String(expanded));
+    this.contentElement.hidden = !expanded;
+    Utils.saveToStorage('variablesExpanded', expanded);
+  }
+  
+  /**
+   * Show Ans, the variables and the constants; the lists are only rebuilt
+   * when a value or the number format changes
+   */
+  render() {
+    const key = `${Utils.locale}|${this.memory.answer}|${JSON.stringify(this.memory.variables)}`;
+    if (key === this.renderedKey) return;
+    this.renderedKey = key;
+    
+    this.listElement.textContent = '';
+    this.listElement.appendChild(this.createRowElement(MemoryOperations.ANSWER, this.memory.answer, 'Last result'));
+    this.memory.getVariables().forEach(({ name, value }) => {
+      this.listElement.appendChild(this.createRowElement(name, value));
+    });
+    
+    if (this.constantsElement) {
+      this.constantsElement.textContent = '';
+      Object.entries(Operations.CONSTANT_INFO).forEach(([name, info]) => {
+        this.constantsElement.appendChild(this.createConstantElement(name, info));
+      });
+    }
+  }
+  
+  /**
+   * Build the list item for Ans or a user variable
+   * @param {string} name - Variable name
+   * @param {number} value - Current value
+   * @param {string|null} note - Read-only description instead of an editable value (Ans)
+   * @returns {HTMLElement} List item element
+   */
+  createRowElement(name, value, note = null) {
+    const formatted = Utils.formatNumber(value);
+    
+    const item = document.createElement('li');
+    item.className = 'variable-row';
+    
+    const useButton = document.createElement('button');
+    useButton.type = 'button';
+    useButton.className = 'variable-name';
+    useButton.dataset.variableAction = 'use';
+    useButton.dataset.variable = name;
+    useButton.textContent = name;
+    useButton.setAttribute('aria-label', `Enter ${name}, ${formatted}`);
+    item.appendChild(useButton);
+    
+    if (note) {
+      const noteElement = document.createElement('span');
+      noteElement.className = 'variable-note';
+      noteElement.textContent = `${note}: ${formatted}`;
+      item.appendChild(noteElement);
+      return item;
+    }
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'variable-value';
+    input.inputMode = 'decimal';
+    input.autocomplete = 'off';
+    input.dataset.variable = name;
+    input.value = formatted;
+    input.setAttribute('aria-label', `Value of ${name}`);
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'variable-delete';
+    deleteButton.dataset.variableAction = 'delete';
+    deleteButton.dataset.variable = name;
+    deleteButton.textContent = '×';
+    deleteButton.setAttribute('aria-label', `Delete variable ${name}`);
+    
+    item.append(input, deleteButton);
+    return item;
+  }
+  
+  /**
+   * Build the list item for a built-in constant
+   * @param {string} name - Key of Operations.CONSTANTS
+   * @param {Object} info - { symbol, label, unit } from Operations.CONSTANT_INFO
+   * @returns {HTMLElement} List item element
+   */
+  createConstantElement(name, info) {
+    const formatted = Utils.formatNumber(Operations.CONSTANTS[name]);
+    
+    const item = document.createElement('li');
+    item.className = 'variable-row';
+    
+    const useButton = document.createElement('button');
+    useButton.type = 'button';
+    useButton.className = 'variable-name';
+    useButton.dataset.variableAction = 'use';
+    useButton.dataset.constant = name;
+    useButton.textContent = info.symbol;
+    useButton.setAttribute('aria-label', `Enter ${info.label}, ${formatted}`);
+    
+    const note = document.createElement('span');
+    note.className = 'variable-note';
+    note.textContent = `${info.label}: ${formatted}${info.unit ? ` ${info.unit}` : ''}`;
+    note.title = `Type "${name}" in a pasted expression`;
+    
+    item.append(useButton, note);
+    return item;
+  }
+}
+
+// Export for module systems or attach to window for global access
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VariablesPanel;
+} else if (typeof window !== 'undefined') {
+  window.VariablesPanel = VariablesPanel;
+}
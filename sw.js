@@ -0,0 +1,102 @@
+/**
+ * TallyUp Calculator - Service Worker
+ * Precaches the app shell so the calculator works offline after first load
+ */
+
+'use strict';
+
+// Bump with every change to a cached file, so each release gets its own
+// cache: the new worker installs beside the old one, takes over once the
+// page accepts the "new version available" prompt and deletes the old cache
+const CACHE_VERSION = 'v30';
+const CACHE_PREFIX = 'tallyup-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// App shell - keep in step with the files index.html loads
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'css/responsive.css',
+  'js/utils.js',
+  'js/decimal.js',
+  'js/rational.js',
+  'js/complex.js',
+  'js/themes.js',
+  'js/operations.js',
+  'js/expression.js',
+  'js/units.js',
+  'js/rates.js',
+  'js/ledger.js',
+  'js/dataset.js',
+  'js/finance.js',
+  'js/calendar.js',
+  'js/engine.js',
+  'js/display.js',
+  'js/history.js',
+  'js/variables.js',
+  'js/converter.js',
+  'js/currency.js',
+  'js/programmer.js',
+  'js/fraction.js',
+  'js/tape.js',
+  'js/statistics.js',
+  'js/finance-panel.js',
+  'js/date-panel.js',
+  'js/report.js',
+  'js/theme-editor.js',
+  'js/pwa.js',
+  'js/calculator.js',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'icons/apple-touch-icon.png'
+];
+
+self.addEventListener('install', (event) => {
+  // Fetch past the HTTP cache, so a new release never caches the old files
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by the page when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Cache first for the app shell, falling back to the network; offline
+// navigations get the cached page
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+  
+  event.respondWith(
+    caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then((cached) => {
+      if (cached) return cached;
+      
+      return fetch(request).catch((error) => {
+        if (request.mode === 'navigate') {
+          return caches.match('index.html');
+        }
+        throw error;
+      });
+    })
+  );
+});
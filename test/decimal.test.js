@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CalculatorEngine = require('../js/engine.js');
+
+Utils.setLocale('en-US');
+
+/**
+ * Press keys on a fresh engine and read the display
+ * @param {string} keys - Keys to press
+ * @param {Object} options - Engine options
+ * @returns {CalculatorEngine} Engine after the keys
+ */
+function run(keys, options = {}) {
+  const engine = new CalculatorEngine({ memory: new MemoryOperations(), ...options });
+  engine.pressKeys(keys);
+  return engine;
+}
+
+for (const inputMode of ['expression', 'simple']) {
+  test(`${inputMode} mode keeps more than 15 significant digits`, () => {
+    assert.strictEqual(run('999999999999999+0.01=', { inputMode }).getDisplayText(), '999,999,999,999,999.01');
+    assert.strictEqual(run('1234567890.12+0.01=', { inputMode }).getDisplayText(), '1,234,567,890.13');
+    assert.strictEqual(run('123456789012.34+0.01=', { inputMode }).getDisplayText(), '123,456,789,012.35');
+    assert.strictEqual(run('12345678.9*12345678.9=', { inputMode }).getDisplayText(), '152,415,787,501,905.21');
+  });
+  
+  test(`${inputMode} mode chains exact results`, () => {
+    assert.strictEqual(run('0.1+0.2=', { inputMode }).getDisplayText(), '0.3');
+    assert.strictEqual(run('999999999999999+0.01-0.01=', { inputMode }).getDisplayText(), '999,999,999,999,999');
+    assert.strictEqual(run('999999999999999+0.01==', { inputMode }).getDisplayText(), '999,999,999,999,999.02');
+    assert.strictEqual(run('999999999999999+0.01=+0.01=', { inputMode }).getDisplayText(), '999,999,999,999,999.02');
+  });
+}
+
+test('exact results switch to exponent form past 10^21', () => {
+  assert.strictEqual(run('1000000000*1000000000=').getDisplayText(), '1,000,000,000,000,000,000');
+  assert.strictEqual(run('99999999*99999999*99999999=').getDisplayText(), '1.000000e+24');
+});
+
+test('a float result longer than 15 digits uses exponent form', () => {
+  const engine = run('');
+  engine.showValue(1234567890123456.7);
+  assert.strictEqual(engine.getDisplayText(), '1.234568e+15');
+});
+
+test('the exact value is available for copying', () => {
+  const engine = run('999999999999999+0.01=');
+  assert.strictEqual(engine.getCurrentExact().toString(), '999999999999999.01');
+  assert.strictEqual(typeof engine.getCurrentValue(), 'number');
+});
+
+test('memory keeps the exact value', () => {
+  const engine = run('999999999999999+0.01=');
+  engine.press({ action: 'memory-store' });
+  engine.press({ action: 'clear' });
+  engine.press({ action: 'memory-recall' });
+  assert.strictEqual(engine.getDisplayText(), '999,999,999,999,999.01');
+  
+  const total = run('0.1');
+  total.press({ action: 'memory-add' });
+  total.pressKeys('0.2');
+  total.press({ action: 'memory-add' });
+  total.press({ action: 'memory-recall' });
+  assert.strictEqual(total.getDisplayText(), '0.3');
+  assert.strictEqual(total.memory.recall().toString(), '0.3');
+});
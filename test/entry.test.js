@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CalculatorEngine = require('../js/engine.js');
+
+Utils.setLocale('en-US');
+
+/**
+ * Press keys on a fresh engine
+ * @param {Array<string>} keys - Key names as in KeyboardEvent.key
+ * @param {Object} options - Engine options
+ * @returns {CalculatorEngine} Engine after the keys
+ */
+function run(keys, options = {}) {
+  const engine = new CalculatorEngine({ memory: new MemoryOperations(), ledger: new Ledger(), ...options });
+  engine.pressKeys(keys);
+  return engine;
+}
+
+for (const inputMode of ['expression', 'simple']) {
+  test(`${inputMode} mode: backspace on a negative result leaves no lone sign`, () => {
+    const engine = run(['5', '-', '8', '=', 'Backspace'], { inputMode });
+    assert.strictEqual(engine.getDisplayText(), '0');
+    
+    engine.pressKeys(['+', '1', '=']);
+    assert.strictEqual(engine.getDisplayText(), '1');
+    assert.strictEqual(engine.display.expression, '0 + 1 =');
+    assert.strictEqual(engine.getError(), null);
+  });
+  
+  test(`${inputMode} mode: backspace edits a result's digits, not its grouping`, () => {
+    const engine = run(['1', '2', '3', '3', '+', '1', '=', 'Backspace'], { inputMode });
+    assert.strictEqual(engine.getDisplayText(), '123');
+    
+    engine.pressKeys(['+', '1', '=']);
+    assert.strictEqual(engine.getDisplayText(), '124');
+  });
+}
+
+test('backspace clears a result in exponent form', () => {
+  const engine = run(['9', '9', '9', '9', '9', '9', '9', '9', '*', '9', '9', '9', '9', '9', '9', '9', '9', '*', '9', '9', '9', '9', '9', '9', '9', '9', '=', 'Backspace']);
+  assert.strictEqual(engine.getDisplayText(), '0');
+});
+
+test('tape mode: backspace to a lone sign prints nothing', () => {
+  const engine = run(['3', '-', 'Backspace', '*'], { keypadMode: 'tape' });
+  assert.strictEqual(engine.getError(), null);
+  assert.deepStrictEqual(engine.ledger.rows.map(row => [row.type, row.sign, row.amount]), [['item', '-', '3'], ['total', undefined, undefined]]);
+  assert.strictEqual(engine.getDisplayText(), '-3');
+});
+
+test('tape mode: an amount that is not a number is refused', () => {
+  const feedback = [];
+  const engine = run([], { keypadMode: 'tape', handlers: { onFeedback: type => feedback.push(type) } });
+  engine.updateDisplay('-');
+  engine.press({ operator: '+' });
+  assert.deepStrictEqual(feedback, ['shake']);
+  assert.strictEqual(engine.ledger.rows.length, 0);
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CalculatorEngine = require('../js/engine.js');
+
+Utils.setLocale('en-US');
+
+test('sums, differences and products too large for a number are overflows', () => {
+  for (const result of [Operations.add(1e308, 1e308), Operations.subtract(-1e308, 1e308), Operations.multiply(1e200, 1e200)]) {
+    assert.ok(result instanceof CalculationError);
+    assert.strictEqual(result.code, 'overflow');
+  }
+});
+
+test('memory is left as it was when a total would overflow', () => {
+  const memory = new MemoryOperations();
+  assert.strictEqual(memory.add(1e308), null);
+  assert.strictEqual(memory.add(1e308).code, 'overflow');
+  assert.strictEqual(memory.subtract(-1e308).code, 'overflow');
+  assert.strictEqual(memory.recall(), 1e308);
+  
+  memory.store(Infinity);
+  assert.strictEqual(memory.recall(), 1e308);
+});
+
+test('only finite numbers are formatted', () => {
+  for (const value of [Infinity, -Infinity, NaN]) {
+    assert.throws(() => Utils.formatNumber(value), RangeError);
+  }
+});
+
+for (const inputMode of ['expression', 'simple']) {
+  test(`an overflow in ${inputMode} mode names the error and never reaches the expression line`, () => {
+    const engine = new CalculatorEngine({ memory: new MemoryOperations(), inputMode });
+    engine.loadValue(1e308);
+    engine.pressKeys('*10=');
+    assert.strictEqual(engine.getDisplayText(), 'Result too large');
+    
+    engine.pressKeys('+1=');
+    assert.doesNotMatch(engine.getExpressionLine(), /Error|Infinity|too large/);
+  });
+}
+
+test('the tape refuses an item whose total would overflow', () => {
+  const ledger = new Ledger();
+  ledger.clear();
+  ledger.addItem(1e308);
+  assert.throws(() => ledger.addItem(1e308), /Total too large/);
+  assert.strictEqual(ledger.getState().running, 1e308);
+});
+
+test('a conversion too large for a number is an overflow', () => {
+  assert.strictEqual(Units.convert(1e308, 'length', 'km', 'mm').code, 'overflow');
+  
+  for (const [keypadMode, select] of [
+    ['converter', engine => engine.setConversion({ category: 'length', from: 'km', to: 'mm' })],
+    ['currency', engine => engine.setCurrencyPair({ from: 'GBP', to: 'JPY' })]
+  ]) {
+    const engine = new CalculatorEngine({ memory: new MemoryOperations() });
+    engine.setKeypadMode(keypadMode);
+    select(engine);
+    engine.loadValue(1e308);
+    engine.press({ action: 'convert' });
+    assert.strictEqual(engine.getDisplayText(), 'Result too large', keypadMode);
+    assert.strictEqual(engine.getDisplayState().error.error, 'overflow', keypadMode);
+  }
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('../js/engine.js');
+
+test('CSV cells a spreadsheet would run as a formula are escaped', () => {
+  const csv = Utils.toCSV([['=SUM(A1:A9)', '-SUM(A1:A9)', "+2+cmd|' /C calc'!A0", '@cmd', '\tx', 'plain']]);
+  assert.strictEqual(csv, "'=SUM(A1:A9),'-SUM(A1:A9),'+2+cmd|' /C calc'!A0,'@cmd,'\tx,plain\r\n");
+});
+
+test('CSV expressions with a leading sign are written unchanged', () => {
+  assert.strictEqual(Utils.toCSV([['-5 + 3', '+1+1', '-(2 × 3)%', '-π ÷ 2']]), '-5 + 3,+1+1,-(2 × 3)%,-π ÷ 2\r\n');
+});
+
+test('CSV numbers keep their sign', () => {
+  assert.strictEqual(Utils.toCSV([[-5, '-5', '-0.25', '+3', '1e-7', 1234.5]]), '-5,-5,-0.25,+3,1e-7,1234.5\r\n');
+});
+
+test('history export keeps expressions as they were entered', () => {
+  const memory = new MemoryOperations();
+  memory.history = [];
+  memory.addToHistory('−5 + 3', -2, '-5 + 3');
+  const [, row] = memory.exportHistory('csv').trim().split('\r\n');
+  assert.match(row, /,−5 \+ 3,-2,-5 \+ 3$/);
+});
+
+test('the history report totals the results and skips errors', () => {
+  const memory = new MemoryOperations();
+  memory.history = [];
+  memory.addToHistory('2 + 3', 5, '2 + 3');
+  memory.addToHistory('1 ÷ 0', new CalculationError('division-by-zero'));
+  memory.addToHistory('0.1 + 0.2', 0.3, '0.1 + 0.2');
+  const report = memory.getHistoryReport();
+  assert.strictEqual(report.count, 3);
+  assert.strictEqual(report.total, 5.3);
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CalculatorEngine = require('../js/engine.js');
+
+Utils.setLocale('en-US');
+
+/**
+ * Press keys on a fresh engine showing a keypad and read the display
+ * @param {string} keypadMode - Keypad to show
+ * @param {string} inputMode - "expression" or "simple"
+ * @param {string} keys - Keys to press
+ * @returns {CalculatorEngine} Engine after the keys
+ */
+function run(keypadMode, inputMode, keys) {
+  const engine = new CalculatorEngine({ memory: new MemoryOperations(), inputMode });
+  engine.setKeypadMode(keypadMode);
+  if (keypadMode === 'programmer') {
+    engine.setProgrammer({ base: 'dec' });
+  }
+  engine.pressKeys(keys);
+  return engine;
+}
+
+for (const keypadMode of ['programmer', 'fraction', 'complex']) {
+  test(`the ${keypadMode} keypad follows precedence in expression mode`, () => {
+    const engine = run(keypadMode, 'expression', '2+3*4=');
+    assert.strictEqual(engine.getDisplayText(), '14');
+    assert.strictEqual(engine.getExpressionLine(), '2 + 3 × 4 =');
+    assert.deepStrictEqual(engine.memory.history.map(entry => entry.result), [14]);
+    
+    // Equals again repeats the operation applied last
+    engine.pressKeys('=');
+    assert.strictEqual(engine.getDisplayText(), '26');
+  });
+  
+  test(`the ${keypadMode} keypad runs left to right in simple mode`, () => {
+    const engine = run(keypadMode, 'simple', '2+3*4=');
+    assert.strictEqual(engine.getDisplayText(), '20');
+    assert.strictEqual(engine.getExpressionLine(), '5 × 4 =');
+  });
+  
+  test(`a second operator replaces the first on the ${keypadMode} keypad`, () => {
+    for (const inputMode of ['expression', 'simple']) {
+      assert.strictEqual(run(keypadMode, inputMode, '6+*2=').getDisplayText(), '12');
+    }
+  });
+  
+  test(`an error in a chain on the ${keypadMode} keypad shows the whole calculation`, () => {
+    const engine = run(keypadMode, 'expression', '5+1/0=');
+    assert.strictEqual(engine.getDisplayText(), 'Cannot divide by zero');
+    assert.strictEqual(engine.getExpressionLine(), '5 + 1 ÷ 0 =');
+  });
+}
+
+test('bitwise operators rank below + and − in expression mode', () => {
+  const engine = run('programmer', 'expression', '');
+  engine.press({ number: '1' });
+  engine.press({ operator: '+' });
+  engine.press({ number: '2' });
+  engine.press({ operator: '<<' });
+  engine.press({ number: '3' });
+  engine.press({ action: 'calculate' });
+  assert.strictEqual(engine.getDisplayText(), '24');
+});
+
+test('% on the complex keypad says why it cannot be used', () => {
+  const engine = run('complex', 'expression', '2+5%');
+  assert.strictEqual(engine.getDisplayText(), 'No percentage of a complex number');
+  assert.strictEqual(engine.getDisplayState().error.error, 'invalid-input');
+});
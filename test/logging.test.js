@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('../js/engine.js');
+
+test('info and warnings are only logged in debug mode', (t) => {
+  const info = t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  const error = t.mock.method(console, 'error', () => {});
+  
+  Utils.debug = false;
+  Utils.log('info', 'Started');
+  Utils.log('warn', 'Odd');
+  Utils.log('error', 'Broken');
+  assert.strictEqual(info.mock.callCount(), 0);
+  assert.strictEqual(warn.mock.callCount(), 0);
+  assert.strictEqual(error.mock.callCount(), 1);
+  
+  Utils.debug = true;
+  Utils.log('info', 'Started');
+  Utils.log('warn', 'Odd');
+  assert.strictEqual(info.mock.callCount(), 1);
+  assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test('incomplete input is not logged', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  Utils.debug = true;
+  
+  const result = Expression.evaluate('2 +');
+  assert.ok(result instanceof CalculationError);
+  assert.strictEqual(result.code, 'invalid-input');
+  assert.strictEqual(warn.mock.callCount(), 0);
+});
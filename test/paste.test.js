@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CalculatorEngine = require('../js/engine.js');
+
+/**
+ * Paste text into a fresh engine in a locale
+ * @param {string} locale - BCP 47 tag
+ * @param {string} text - Pasted text
+ * @returns {Object} { pasted, message, text } - Paste result and the display text
+ */
+function paste(locale, text) {
+  Utils.setLocale(locale);
+  const engine = new CalculatorEngine({ memory: new MemoryOperations() });
+  const result = engine.pasteText(text);
+  return { ...result, text: engine.getDisplayText() };
+}
+
+test('well-grouped numbers paste', () => {
+  assert.strictEqual(paste('en-US', '$1,234,567.89').text, '1,234,567.89');
+  assert.strictEqual(paste('en-US', '-1,234').text, '-1,234');
+  assert.strictEqual(paste('en-US', '1,234+5,678=').text, '6,912');
+  assert.strictEqual(paste('de-DE', '1.234,5').text, '1.234,5');
+  assert.strictEqual(paste('en-IN', '12,34,567').text, '12,34,567');
+  assert.strictEqual(paste('en-IN', '1,234,567').text, '12,34,567');
+  assert.strictEqual(paste('fr-FR', '1 234,5').text, '1 234,5');
+});
+
+test('pasted expressions keep unary signs after binary operators', () => {
+  for (const [text, expected] of [
+    ['2--3=', '5'],
+    ['2-+3=', '-1'],
+    ['2^-2=', '0.25'],
+    ['2*--3=', '6'],
+    ['2*(-3+1)=', '-4']
+  ]) {
+    assert.strictEqual(paste('en-US', text).text, expected, text);
+  }
+});
+
+test('a pasted expression continues one waiting for an operand', () => {
+  Utils.setLocale('en-US');
+  const engine = new CalculatorEngine({ memory: new MemoryOperations() });
+  engine.pressKeys('2*');
+  engine.pasteText('-3');
+  engine.pressKeys('=');
+  assert.strictEqual(engine.getDisplayText(), '-6');
+  assert.strictEqual(engine.getExpressionLine(), '2 × -3 =');
+});
+
+test('malformed grouping is refused', () => {
+  for (const [locale, text] of [
+    ['en-US', '€ 1 234,50'],
+    ['en-US', '1.234,56'],
+    ['en-US', '1,2,3'],
+    ['en-US', '12,34'],
+    ['en-US', '0.123,456'],
+    ['de-DE', '1.5']
+  ]) {
+    const result = paste(locale, text);
+    assert.strictEqual(result.pasted, false, `${locale} ${text}`);
+    assert.match(result.message, /^Can't paste/);
+    assert.strictEqual(result.text, '0');
+  }
+});
+
+test('number parsing refuses malformed grouping', () => {
+  Utils.setLocale('en-US');
+  assert.strictEqual(Utils.isValidNumber('1,2,3'), false);
+  assert.ok(isNaN(Utils.toNumber('1,2,3')));
+  assert.throws(() => Utils.delocalizeNumber('1,2,3'), RangeError);
+  assert.strictEqual(Utils.delocalizeNumber('1,234.5 + 6'), '1234.5 + 6');
+});
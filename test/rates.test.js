@@ -0,0 +1,24 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('../js/engine.js');
+
+test('the CSV base comes from the base column', () => {
+  const table = CurrencyRates.parseCSV('base,currency,rate,date\nUSD,EUR,0.86,2026-10-01\nUSD,JPY,1\nUSD,GBP,0.75');
+  assert.strictEqual(table.base, 'USD');
+  assert.strictEqual(table.asOf, '2026-10-01');
+  assert.deepStrictEqual(table.rates, { EUR: '0.86', JPY: '1', GBP: '0.75' });
+});
+
+test('a CSV without a base column or with mixed bases is refused', () => {
+  assert.throws(() => CurrencyRates.parseCSV('currency,rate\nEUR,1\nUSD,1.03'), /"base"/);
+  assert.throws(() => CurrencyRates.parseCSV('base,currency,rate\nEUR,USD,1.03\nUSD,GBP,0.75'), /same base/);
+  assert.throws(() => CurrencyRates.parseCSV('base,currency,rate\nEUR,EUR,2\nEUR,USD,1.03'), /must have rate 1/);
+});
+
+test('an undated table stays undated', () => {
+  assert.strictEqual(CurrencyRates.parseCSV('base,currency,rate\nEUR,USD,1.03').asOf, null);
+  assert.strictEqual(CurrencyRates.parseJSON('{ "base": "EUR", "rates": { "USD": 1.03 } }').asOf, null);
+  assert.strictEqual(CurrencyRates.parseJSON('{ "base": "EUR", "date": "2025-01-02", "rates": { "USD": 1.03 } }').asOf, '2025-01-02');
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+require('../js/engine.js');
+const ThemeManager = require('../js/themes.js');
+
+/**
+ * Read the custom properties the stylesheet sets for a dark color scheme
+ * @returns {Object} Values keyed by custom property
+ */
+function systemDarkColors() {
+  const css = fs.readFileSync(path.join(__dirname, '../css/responsive.css'), 'utf8');
+  const block = /@media \(prefers-color-scheme: dark\) \{\s*:root \{([^}]*)\}/.exec(css)[1];
+  return Object.fromEntries([...block.matchAll(/(--[\w-]+):\s*([^;]+);/g)].map(match => [match[1], match[2].trim()]));
+}
+
+test('the system dark scheme shows the Dark theme colors', () => {
+  assert.deepStrictEqual(systemDarkColors(), ThemeManager.THEMES.dark.colors);
+});
+
+test('the built-in themes pass their contrast checks', () => {
+  for (const id of Object.keys(ThemeManager.THEMES)) {
+    assert.deepStrictEqual(ThemeManager.checkContrast(ThemeManager.THEMES[id].colors), [], id);
+  }
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CalculatorEngine = require('../js/engine.js');
+
+test('sine and cosine are exact at multiples of a right angle', () => {
+  assert.strictEqual(Operations.sin(180, 'deg'), 0);
+  assert.strictEqual(Operations.sin(360, 'deg'), 0);
+  assert.strictEqual(Operations.sin(-90, 'deg'), -1);
+  assert.strictEqual(Operations.sin(450, 'deg'), 1);
+  assert.strictEqual(Operations.cos(90, 'deg'), 0);
+  assert.strictEqual(Operations.cos(270, 'deg'), 0);
+  assert.strictEqual(Operations.cos(-180, 'deg'), -1);
+  assert.strictEqual(Operations.sin(200, 'grad'), 0);
+  assert.strictEqual(Operations.cos(100, 'grad'), 0);
+  assert.strictEqual(Operations.cos(400, 'grad'), 1);
+});
+
+test('angles are reduced to one full turn', () => {
+  assert.strictEqual(Operations.sin(30 + 3600, 'deg'), Operations.sin(30, 'deg'));
+  assert.ok(Math.abs(Operations.sin(30, 'deg') - 0.5) < 1e-15);
+  assert.ok(Math.abs(Operations.cos(-60, 'deg') - 0.5) < 1e-15);
+});
+
+test('tangent is 0 at a straight angle and an error at a right angle', () => {
+  assert.strictEqual(Operations.tan(180, 'deg'), 0);
+  assert.strictEqual(Operations.tan(-360, 'deg'), 0);
+  assert.strictEqual(Operations.tan(200, 'grad'), 0);
+  assert.ok(Operations.tan(90, 'deg') instanceof CalculationError);
+  assert.ok(Operations.tan(-270, 'deg') instanceof CalculationError);
+  assert.ok(Operations.tan(300, 'grad') instanceof CalculationError);
+});
+
+test('radians are not snapped', () => {
+  assert.ok(Math.abs(Operations.sin(Math.PI, 'rad')) < 1e-15);
+  assert.strictEqual(Operations.sin(0, 'rad'), 0);
+});
+
+test('a minus after xʸ or ʸ√ starts a negative operand on the scientific keypad', () => {
+  for (const [operator, expected] of [['^', '0.25'], ['ʸ√', '0.5']]) {
+    const engine = new CalculatorEngine({ memory: new MemoryOperations() });
+    engine.setKeypadMode('scientific');
+    engine.press({ number: operator === '^' ? '2' : '4' });
+    engine.press({ operator });
+    engine.press({ operator: '-' });
+    engine.press({ number: '2' });
+    engine.press({ action: 'calculate' });
+    assert.strictEqual(engine.getDisplayText(), expected, operator);
+  }
+});
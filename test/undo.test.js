@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CalculatorEngine = require('../js/engine.js');
+
+Utils.setLocale('en-US');
+
+/**
+ * Engine with empty memory
+ * @returns {CalculatorEngine} Fresh engine
+ */
+function create() {
+  return new CalculatorEngine({ memory: new MemoryOperations() });
+}
+
+/**
+ * Value of the selected memory slot as a number (registers may hold Decimals)
+ * @param {CalculatorEngine} engine - Engine to read
+ * @returns {number} Memory value
+ */
+function recall(engine) {
+  return Operations.toNumber(engine.memory.recall());
+}
+
+for (const action of ['memory-store', 'memory-add', 'memory-subtract']) {
+  test(`undo right after ${action} puts memory back and keeps the entry`, () => {
+    const engine = create();
+    engine.pressKeys('42');
+    engine.press({ action });
+    assert.notStrictEqual(recall(engine), 0);
+    
+    engine.press({ action: 'undo' });
+    assert.strictEqual(recall(engine), 0);
+    assert.strictEqual(engine.getDisplayText(), '42');
+    
+    engine.press({ action: 'redo' });
+    assert.strictEqual(Math.abs(recall(engine)), 42);
+  });
+}
+
+test('undo right after memory clear brings the value back', () => {
+  const engine = create();
+  engine.pressKeys('7');
+  engine.press({ action: 'memory-store' });
+  engine.press({ action: 'memory-clear' });
+  assert.strictEqual(recall(engine), 0);
+  
+  engine.press({ action: 'undo' });
+  assert.strictEqual(recall(engine), 7);
+  assert.strictEqual(engine.getDisplayText(), '7');
+});